@@ -7,6 +7,9 @@ import { createServer } from 'http';
 import { readFileSync, existsSync, readdirSync } from 'fs';
 import { join, extname, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { getInstitutionId, normalizeName } from '../src/shared/identity.js';
+import { getSnapshotStore } from '../src/shared/snapshot-store.js';
+import { readTimeline, findTimeline, recentNewcomers, daysSince } from '../src/watcher/timeline.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = join(__dirname, '..', 'data');
@@ -21,31 +24,16 @@ const MIME = {
   '.png': 'image/png',
 };
 
-function loadLatestSnapshot() {
-  const dir = join(DATA_DIR, 'snapshots');
-  if (!existsSync(dir)) return null;
-
-  const files = readdirSync(dir)
-    .filter(f => f.startsWith('snapshot-') && f.endsWith('.json'))
-    .sort()
-    .reverse();
-
-  if (files.length === 0) return null;
-  return JSON.parse(readFileSync(join(dir, files[0]), 'utf-8'));
-}
+const snapshotStore = getSnapshotStore();
 
-function loadAllSnapshots() {
-  const dir = join(DATA_DIR, 'snapshots');
-  if (!existsSync(dir)) return [];
+// Timeline refreshed in memory, reused until the snapshot history changes
+let timelineCache = null;
 
-  return readdirSync(dir)
-    .filter(f => f.startsWith('snapshot-') && f.endsWith('.json'))
-    .sort()
-    .reverse()
-    .map(f => {
-      const data = JSON.parse(readFileSync(join(dir, f), 'utf-8'));
-      return { filename: f, timestamp: data.timestamp, count: data.count };
-    });
+function getTimeline() {
+  const entries = snapshotStore.list();
+  const key = `${snapshotStore.revision()}|${entries[entries.length - 1]?.id || ''}`;
+  if (timelineCache?.key !== key) timelineCache = { key, timeline: readTimeline({ store: snapshotStore }) };
+  return timelineCache.timeline;
 }
 
 function loadLatestReport() {
@@ -53,7 +41,7 @@ function loadLatestReport() {
   if (!existsSync(dir)) return null;
 
   const files = readdirSync(dir)
-    .filter(f => f.endsWith('.md'))
+    .filter(f => /^report-\d{4}-\d{2}-\d{2}\.md$/.test(f))
     .sort()
     .reverse();
 
@@ -70,7 +58,7 @@ const server = createServer((req, res) => {
 
   // API routes
   if (path === '/api/institutions') {
-    const snapshot = loadLatestSnapshot();
+    const snapshot = snapshotStore.latest();
     if (!snapshot) {
       res.writeHead(404, { 'Content-Type': 'application/json' });
       return res.end(JSON.stringify({ error: 'No snapshot data' }));
@@ -78,6 +66,7 @@ const server = createServer((req, res) => {
 
     const q = url.searchParams.get('q')?.toLowerCase() || '';
     const license = url.searchParams.get('license') || '';
+    const activity = url.searchParams.get('activity')?.toLowerCase() || '';
 
     let institutions = snapshot.institutions;
 
@@ -85,7 +74,15 @@ const server = createServer((req, res) => {
       institutions = institutions.filter(i =>
         i.name.toLowerCase().includes(q) ||
         i.address?.toLowerCase().includes(q) ||
-        i.activities?.some(a => a.toLowerCase().includes(q))
+        i.activities?.some(a => a.toLowerCase().includes(q)) ||
+        Object.values(i.subActivities || {}).flat().some(s => s.toLowerCase().includes(q))
+      );
+    }
+
+    if (activity) {
+      institutions = institutions.filter(i =>
+        i.activities?.some(a => a.toLowerCase() === activity) ||
+        Object.values(i.subActivities || {}).flat().some(s => s.toLowerCase() === activity)
       );
     }
 
@@ -105,7 +102,7 @@ const server = createServer((req, res) => {
   }
 
   if (path === '/api/stats') {
-    const snapshot = loadLatestSnapshot();
+    const snapshot = snapshotStore.latest();
     if (!snapshot) {
       res.writeHead(404, { 'Content-Type': 'application/json' });
       return res.end(JSON.stringify({ error: 'No data' }));
@@ -128,7 +125,28 @@ const server = createServer((req, res) => {
       total: snapshot.count,
       licenseTypes: types,
       sectors,
-      snapshots: loadAllSnapshots(),
+      // Manifest only — no snapshot file is parsed for the history list
+      snapshots: snapshotStore.list().reverse().map(e => ({ filename: e.id, timestamp: e.timestamp, count: e.count })),
+    }));
+  }
+
+  // Licence timeline — ?id=<institutionId> or ?q=<name>; without either, the most recent newcomers
+  if (path === '/api/timeline') {
+    const timeline = getTimeline();
+    const id = url.searchParams.get('id');
+    const q = url.searchParams.get('q');
+    const limit = parseInt(url.searchParams.get('limit') || '50', 10);
+
+    const entries = id || q ? findTimeline(timeline, id || q) : recentNewcomers(timeline, limit);
+    if ((id || q) && entries.length === 0) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'Institution not found' }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({
+      snapshots: timeline.processed,
+      institutions: entries.map(e => ({ ...e, daysSinceFirstSeen: e.baseline ? null : daysSince(e.firstSeen) })),
     }));
   }
 
@@ -141,18 +159,21 @@ const server = createServer((req, res) => {
   // Enrichment pipeline — reads from data/enrichment.json (written by src/pipeline.js)
   if (path === '/api/enrichment') {
     const enrichmentFile = join(DATA_DIR, 'enrichment.json');
-    const snapshot = loadLatestSnapshot();
+    const snapshot = snapshotStore.latest();
 
     if (existsSync(enrichmentFile)) {
       // Real data from pipeline
       const data = JSON.parse(readFileSync(enrichmentFile, 'utf-8'));
       const enrichment = data.results || [];
 
-      // Merge with snapshot: mark un-enriched institutions as "pending"
-      const enrichedNames = new Set(enrichment.map(e => e.company));
+      // Merge with snapshot: mark un-enriched institutions as "pending".
+      // Older records predate institutionId, so fall back to the normalized name.
+      const enrichedIds = new Set(enrichment.map(e => e.institutionId).filter(Boolean));
+      const enrichedNames = new Set(enrichment.map(e => normalizeName(e.company)));
       const pending = (snapshot?.institutions || [])
-        .filter(i => !enrichedNames.has(i.name))
+        .filter(i => !enrichedIds.has(getInstitutionId(i)) && !enrichedNames.has(normalizeName(i.name)))
         .map(i => ({
+          institutionId: getInstitutionId(i),
           company: i.name,
           licenseTypes: i.licenseTypes,
           status: 'pending',
@@ -162,8 +183,12 @@ const server = createServer((req, res) => {
         }));
 
       const all = [...enrichment, ...pending];
-      const counts = { enriched: 0, no_contacts: 0, pending: 0, failed: 0 };
-      for (const e of all) counts[e.status] = (counts[e.status] || 0) + 1;
+      // Blocked searches (CAPTCHA, rate limit, markup drift) are counted apart from real no-contact results
+      const counts = { enriched: 0, no_contacts: 0, pending: 0, failed: 0, blocked: 0, rate_limited: 0, parse_error: 0, authwall: 0 };
+      for (const e of all) {
+        counts[e.status] = (counts[e.status] || 0) + 1;
+        if (e.issues?.some(i => i.status === 'authwall')) counts.authwall++;
+      }
 
       res.writeHead(200, { 'Content-Type': 'application/json' });
       return res.end(JSON.stringify({
@@ -182,6 +207,7 @@ const server = createServer((req, res) => {
     }
 
     const pending = snapshot.institutions.map(i => ({
+      institutionId: getInstitutionId(i),
       company: i.name,
       licenseTypes: i.licenseTypes,
       status: 'pending',
@@ -193,7 +219,7 @@ const server = createServer((req, res) => {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     return res.end(JSON.stringify({
       enrichment: pending,
-      counts: { enriched: 0, pending: pending.length, failed: 0 },
+      counts: { enriched: 0, no_contacts: 0, pending: pending.length, failed: 0, blocked: 0, rate_limited: 0, parse_error: 0, authwall: 0 },
       total: pending.length,
       lastRun: null,
       source: 'none',
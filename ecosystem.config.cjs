@@ -14,5 +14,20 @@ module.exports = {
         NODE_ENV: 'production',
       },
     },
+    {
+      name: 'mas-scout-digest',
+      script: 'src/watcher/digest.js',
+      args: '--notify',
+      cron_restart: '0 2 * * 1',  // Mondays 10:00 SGT, after the daily watcher
+      autorestart: false,
+      watch: false,
+      max_memory_restart: '256M',
+      log_date_format: 'YYYY-MM-DD HH:mm:ss Z',
+      error_file: 'data/logs/digest-error.log',
+      out_file: 'data/logs/digest-out.log',
+      env: {
+        NODE_ENV: 'production',
+      },
+    },
   ],
 };
@@ -0,0 +1,101 @@
+/**
+ * Block detection — tell a real empty result apart from a page that stopped
+ * us from seeing results
+ *
+ * Statuses (used as the enrichment record status when the search itself is blocked):
+ *   blocked       CAPTCHA / bot challenge page
+ *   rate_limited  HTTP 429 (or LinkedIn's 999) / "too many requests" page
+ *   parse_error   the page loaded but none of the known result selectors matched
+ *                 and it is not a "no results" page — the markup has drifted
+ *   authwall      LinkedIn redirected to login; recorded as an issue, not fatal
+ */
+
+const BLOCK_STATUSES = ['blocked', 'rate_limited', 'parse_error', 'authwall'];
+
+// Statuses that mean the search engine is pushing back — pause before the next request
+const THROTTLE_STATUSES = new Set(['blocked', 'rate_limited']);
+
+const CHALLENGE_PATTERNS = [
+  /bots use duckduckgo too/i,
+  /anomaly[-_ ]modal|anomaly detected/i,
+  /complete the following challenge/i,
+  /select all (?:squares|images) with/i,
+  /\b(?:h|re)captcha\b|g-recaptcha|cf-challenge|challenge-form/i,
+  /verify (?:that )?you are (?:a )?human|are you a robot/i,
+  /unusual traffic from your (?:computer )?network/i,
+];
+
+const RATE_LIMIT_PATTERNS = [
+  /too many requests/i,
+  /rate limit(?:ed)? exceeded|you have been rate limited/i,
+];
+
+const NO_RESULTS_PATTERNS = [
+  /no results found for/i,
+  /no-results-message/i,
+  /no more results/i,
+  /class="no-results"/i,
+  /there are no results for|class="b_no"/i,
+];
+
+const AUTHWALL_URL = /linkedin\.com\/(?:authwall|login|checkpoint|uas\/login)/i;
+const AUTHWALL_PATTERNS = [
+  /authwall/i,
+  /sign in to see (?:who you already know|more)|join linkedin to see/i,
+];
+
+/**
+ * Error for a detected block, carrying the status for the enrichment record
+ * @param {{ status: string, reason: string }} detection
+ * @param {string} source - search backend name (search.js), 'search' or 'linkedin'
+ * @returns {Error & { enrichStatus: string, reason: string, source: string }}
+ */
+function blockError(detection, source) {
+  const err = new Error(`${source} ${detection.status}: ${detection.reason}`);
+  err.enrichStatus = detection.status;
+  err.reason = detection.reason;
+  err.source = source;
+  return err;
+}
+
+/**
+ * Classify a search results page
+ * @param {{ status?: number, html?: string, resultCount: number }} page
+ *   status: HTTP status of the navigation; html: page markup or text
+ * @returns {{ status: string, reason: string } | null} null for a usable page (with or without results)
+ */
+function detectSearchBlock({ status, html = '', resultCount }) {
+  if (status === 429) return { status: 'rate_limited', reason: 'HTTP 429' };
+  if (CHALLENGE_PATTERNS.some(re => re.test(html))) return { status: 'blocked', reason: 'challenge page' };
+  if (RATE_LIMIT_PATTERNS.some(re => re.test(html))) return { status: 'rate_limited', reason: 'rate-limit page' };
+  if (status >= 400) return { status: 'blocked', reason: `HTTP ${status}` };
+  if (resultCount === 0 && !NO_RESULTS_PATTERNS.some(re => re.test(html))) {
+    return { status: 'parse_error', reason: 'no result selectors matched' };
+  }
+  return null;
+}
+
+/**
+ * Classify a LinkedIn company page
+ * @param {{ url?: string, status?: number, html?: string }} page - url after redirects
+ * @returns {{ status: string, reason: string } | null}
+ */
+function detectLinkedInBlock({ url = '', status, html = '' }) {
+  // LinkedIn answers throttled clients with a non-standard 999
+  if (status === 999 || status === 429) return { status: 'rate_limited', reason: `HTTP ${status}` };
+  if (AUTHWALL_URL.test(url)) return { status: 'authwall', reason: 'redirected to login' };
+  if (CHALLENGE_PATTERNS.some(re => re.test(html))) return { status: 'blocked', reason: 'challenge page' };
+  // Company pages mention "authwall" in scripts even when readable — only trust it without JSON-LD
+  if (!/application\/ld\+json/i.test(html) && AUTHWALL_PATTERNS.some(re => re.test(html))) {
+    return { status: 'authwall', reason: 'login wall' };
+  }
+  return null;
+}
+
+export {
+  detectSearchBlock,
+  detectLinkedInBlock,
+  blockError,
+  BLOCK_STATUSES,
+  THROTTLE_STATUSES,
+};
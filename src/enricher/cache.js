@@ -0,0 +1,207 @@
+/**
+ * Enrichment cache — SERP results, LinkedIn company metadata and website
+ * scrapes, keyed by query or URL, so re-enrichment only goes back to the
+ * network for what has gone stale.
+ *
+ * Stored in data/enrichment-cache.json as { entries: { "<kind>:<key>": { value, fetchedAt } } }.
+ * Empty results (no SERP hits, a failed scrape) are not cached — they are
+ * more often a block page or a timeout than a real answer.
+ *
+ * TTLs in days, overridable in mas-scout.config.json:
+ *   { "enricher": { "cacheTtlDays": { "serp": 7, "linkedin": 30, "website": 14 } } }
+ *
+ * Enrichment records carry `fieldsVerifiedAt` — for contacts and each
+ * companyInfo field, when the source it came from was last fetched.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { DATA_DIR, loadConfigFile } from '../shared/config.js';
+
+const CACHE_FILE = join(DATA_DIR, 'enrichment-cache.json');
+
+const DEFAULT_CACHE_TTL_DAYS = {
+  serp: 7,
+  linkedin: 30,
+  website: 14,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Which cached source each enrichment field comes from; unlisted fields (API data) use serp
+const FIELD_SOURCES = {
+  contacts: 'serp',
+  linkedInUrl: 'serp',
+  description: 'linkedin',
+  industry: 'linkedin',
+  followers: 'linkedin',
+  headcount: 'linkedin',
+  logoUrl: 'linkedin',
+  specialties: 'linkedin',
+  teamSize: 'website',
+  emails: 'website',
+  emailPattern: 'website',
+};
+
+/**
+ * Cache TTLs in days: defaults merged with config enricher.cacheTtlDays
+ * @returns {{ serp: number, linkedin: number, website: number }}
+ */
+function getCacheTtls() {
+  return { ...DEFAULT_CACHE_TTL_DAYS, ...loadConfigFile().enricher?.cacheTtlDays };
+}
+
+/**
+ * Normalize a cache key: queries are case- and whitespace-insensitive, URLs
+ * lose their scheme, "www.", query string and trailing slash
+ * @param {string} kind
+ * @param {string} key
+ * @returns {string}
+ */
+function cacheKey(kind, key) {
+  const k = String(key).trim().toLowerCase().replace(/\s+/g, ' ');
+  if (kind === 'serp') return `${kind}:${k}`;
+  return `${kind}:${k.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').split(/[?#]/)[0].replace(/\/+$/, '')}`;
+}
+
+/**
+ * Nothing worth caching: null, an empty array, or an object with only empty fields
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  if (value === null || value === undefined || value === '' || value === 0) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.values(value).every(isEmptyValue);
+  return false;
+}
+
+/**
+ * Whether a timestamp is within the TTL of a source kind
+ * @param {string|undefined} verifiedAt - ISO timestamp
+ * @param {string} kind
+ * @param {{ ttlDays?: object, now?: Date }} [opts]
+ * @returns {boolean}
+ */
+function isFresh(verifiedAt, kind, opts = {}) {
+  if (!verifiedAt) return false;
+  const ttlDays = (opts.ttlDays || getCacheTtls())[kind] ?? DEFAULT_CACHE_TTL_DAYS.serp;
+  return (opts.now || new Date()) - new Date(verifiedAt) < ttlDays * DAY_MS;
+}
+
+/**
+ * Persistent cache of enrichment fetches
+ * @param {{ file?: string, ttlDays?: object, now?: () => Date, bypass?: boolean }} [opts]
+ *   bypass: always fetch (results are still stored) — for a forced refresh
+ */
+function createEnrichmentCache(opts = {}) {
+  const file = opts.file || CACHE_FILE;
+  const ttlDays = opts.ttlDays || getCacheTtls();
+  const now = opts.now || (() => new Date());
+  let entries = null;
+
+  function load() {
+    if (!entries) entries = existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')).entries || {} : {};
+    return entries;
+  }
+
+  function save() {
+    // Expired entries are never read again
+    for (const [key, entry] of Object.entries(entries)) {
+      if (!isFresh(entry.fetchedAt, key.split(':')[0], { ttlDays, now: now() })) delete entries[key];
+    }
+    if (!existsSync(dirname(file))) mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify({ entries }));
+  }
+
+  /**
+   * Fresh cached value, or null
+   * @param {string} kind - serp / linkedin / website
+   * @param {string} key - query or URL
+   * @returns {{ value: *, fetchedAt: string } | null}
+   */
+  function get(kind, key) {
+    const entry = load()[cacheKey(kind, key)];
+    return entry && isFresh(entry.fetchedAt, kind, { ttlDays, now: now() }) ? entry : null;
+  }
+
+  /**
+   * Cached value if fresh, otherwise call the loader and store a non-empty result
+   * @param {string} kind
+   * @param {string} key
+   * @param {() => Promise<*>} loader
+   * @returns {Promise<{ value: *, cached: boolean, fetchedAt: string }>}
+   */
+  async function fetch(kind, key, loader) {
+    const hit = opts.bypass ? null : get(kind, key);
+    if (hit) return { value: hit.value, cached: true, fetchedAt: hit.fetchedAt };
+
+    const value = await loader();
+    const fetchedAt = now().toISOString();
+    if (!isEmptyValue(value)) {
+      load()[cacheKey(kind, key)] = { value, fetchedAt };
+      save();
+    }
+    return { value, cached: false, fetchedAt };
+  }
+
+  /**
+   * A view for one company that remembers the oldest fetch used per kind
+   * @returns {{ fetch: typeof fetch, verifiedAt: (kind: string) => string|null }}
+   */
+  function session() {
+    const oldest = {};
+    return {
+      async fetch(kind, key, loader) {
+        const result = await fetch(kind, key, loader);
+        if (!isEmptyValue(result.value) && (!oldest[kind] || result.fetchedAt < oldest[kind])) {
+          oldest[kind] = result.fetchedAt;
+        }
+        return result;
+      },
+      verifiedAt: kind => oldest[kind] || null,
+    };
+  }
+
+  return { get, fetch, session };
+}
+
+/**
+ * Carry over fields from the previous enrichment record that are still fresh
+ * but missing from the new one (a scrape that failed this time, a cache entry
+ * that was dropped). Fields the new run returned always win.
+ * @param {object} previous - enrichment record with fieldsVerifiedAt
+ * @param {object} current - new enrichment record with fieldsVerifiedAt
+ * @param {{ ttlDays?: object, now?: Date }} [opts]
+ * @returns {object} the new record
+ */
+function mergeFreshFields(previous, current, opts = {}) {
+  const verified = previous?.fieldsVerifiedAt || {};
+  const fresh = field => isFresh(verified[field], FIELD_SOURCES[field] || 'serp', opts);
+  const merged = { ...current, fieldsVerifiedAt: { ...current.fieldsVerifiedAt } };
+
+  if (current.contacts.length === 0 && previous.contacts?.length > 0 && fresh('contacts')) {
+    merged.contacts = previous.contacts;
+    merged.status = 'enriched';
+    merged.fieldsVerifiedAt.contacts = verified.contacts;
+  }
+
+  for (const [field, value] of Object.entries(previous.companyInfo || {})) {
+    if (merged.companyInfo?.[field] !== undefined && merged.companyInfo?.[field] !== null) continue;
+    if (!fresh(field)) continue;
+    merged.companyInfo = { ...merged.companyInfo, [field]: value };
+    merged.fieldsVerifiedAt[field] = verified[field];
+  }
+
+  return merged;
+}
+
+export {
+  createEnrichmentCache,
+  getCacheTtls,
+  isFresh,
+  mergeFreshFields,
+  CACHE_FILE,
+  DEFAULT_CACHE_TTL_DAYS,
+  FIELD_SOURCES,
+};
@@ -0,0 +1,165 @@
+/**
+ * Per-contact confidence — how sure we are that a person holds the listed
+ * role at the company, and the evidence that says so
+ *
+ * Every contact carries `evidence`: [{ source, url, snippet, title?, employer?, query? }]
+ *   serp      search result snippet (employer read from the snippet, or not named)
+ *   linkedin  LinkedIn profile headline seen in search results ("Name - Title - Employer")
+ *   website   the company's own team / about page
+ *   apollo    Apollo.io person record
+ *   hunter    Hunter.io address on the company's domain
+ *
+ * confidence = 0.4 × employer match + 0.2 × title relevance + 0.15 × recency + 0.25 × agreement
+ *   employer match  1 same name, 0.7 distinctive keyword, 0.4 employer not named; the
+ *                   company's own website 1, Hunter 0.9, Apollo without an employer 0.8
+ *   title relevance titles.js score / 100
+ *   recency         snippet hints: "Present" 1, a year in the last two 0.8, older years 0.3,
+ *                   "former" / "ex-" 0.2, no hint 0.5; non-search sources 0.7
+ *   agreement       distinct evidence sources: 1 → 0, 2 → 0.6, 3+ → 1
+ * Contacts below 0.4 are flagged `lowConfidence`.
+ */
+
+import { normalizeCompanyName, verifyContactCompany } from './scraper.js';
+import { parseTitle, scoreTitle } from './titles.js';
+
+const CONFIDENCE_WEIGHTS = {
+  employer: 0.4,
+  title: 0.2,
+  recency: 0.15,
+  agreement: 0.25,
+};
+
+const LOW_CONFIDENCE_THRESHOLD = 0.4;
+
+// Evidence kept per contact, and snippet length
+const MAX_EVIDENCE = 10;
+const MAX_SNIPPET_LENGTH = 300;
+
+// Employer strength for sources that are tied to the company by how they were queried
+const SOURCE_EMPLOYER_MATCH = {
+  website: 1,
+  hunter: 0.9,
+  apollo: 0.8,
+};
+
+const SOURCE_RECENCY = 0.7;
+
+const CURRENT_HINT = /\b(?:present|current|currently)\b/i;
+const PAST_HINT = /\b(?:former|formerly|previously|retired)\b|\bex-/i;
+
+/**
+ * Lowercase words, legal suffix removed ("Alpha Pay Pte. Ltd." → "alpha pay")
+ * @param {string} name
+ * @returns {string}
+ */
+function comparableName(name) {
+  return normalizeCompanyName(String(name)).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * How well a stated employer matches the company
+ * @param {string|null|undefined} employer
+ * @param {string} companyName
+ * @returns {number|null} 1 same name, 0.7 distinctive keyword, 0 mismatch, null when no employer is named
+ */
+function employerMatchStrength(employer, companyName) {
+  if (!employer) return null;
+  const stated = comparableName(employer);
+  const target = comparableName(companyName);
+  if (stated.length >= 3 && (stated === target || stated.includes(target) || target.includes(stated))) return 1;
+  return verifyContactCompany({ employer }, companyName) ? 0.7 : 0;
+}
+
+/**
+ * Recency hint in a search snippet
+ * @param {string} text
+ * @param {Date} [now]
+ * @returns {{ hint: 'current'|'past'|'recent'|'dated'|null, score: number }}
+ */
+function recencyHint(text, now = new Date()) {
+  if (!text) return { hint: null, score: 0.5 };
+  if (CURRENT_HINT.test(text)) return { hint: 'current', score: 1 };
+  if (PAST_HINT.test(text)) return { hint: 'past', score: 0.2 };
+  const years = (text.match(/\b(?:19|20)\d{2}\b/g) || []).map(Number).filter(y => y <= now.getFullYear());
+  if (years.length === 0) return { hint: null, score: 0.5 };
+  return Math.max(...years) >= now.getFullYear() - 1 ? { hint: 'recent', score: 0.8 } : { hint: 'dated', score: 0.3 };
+}
+
+/**
+ * Evidence lists merged: duplicates (same source and URL) collapsed into the first one,
+ * keeping the longest snippet; snippets trimmed, capped
+ * @param {...Array<object>} lists
+ * @returns {Array<object>}
+ */
+function mergeEvidence(...lists) {
+  const byKey = new Map();
+  for (const item of lists.flat()) {
+    if (!item) continue;
+    const key = `${item.source}|${item.url || ''}`;
+    const existing = byKey.get(key);
+    if (!existing) byKey.set(key, item);
+    else if ((item.snippet?.length || 0) > (existing.snippet?.length || 0)) byKey.set(key, { ...existing, snippet: item.snippet });
+  }
+  return [...byKey.values()]
+    .slice(0, MAX_EVIDENCE)
+    .map(item => item.snippet?.length > MAX_SNIPPET_LENGTH ? { ...item, snippet: item.snippet.slice(0, MAX_SNIPPET_LENGTH) } : item);
+}
+
+/**
+ * Confidence of one contact
+ * @param {{ title?: string, evidence?: Array<object> }} contact
+ * @param {string} companyName
+ * @param {{ now?: Date }} [opts]
+ * @returns {{ confidence: number, factors: { employer: number, title: number, recency: number, agreement: number } }}
+ */
+function contactConfidence(contact, companyName, opts = {}) {
+  const evidence = contact.evidence || [];
+
+  const employer = Math.max(0, ...evidence.map(e =>
+    SOURCE_EMPLOYER_MATCH[e.source] !== undefined && !e.employer
+      ? SOURCE_EMPLOYER_MATCH[e.source]
+      : employerMatchStrength(e.employer, companyName) ?? 0.4));
+
+  const recency = evidence.length === 0 ? 0.5 : Math.max(...evidence.map(e =>
+    e.source === 'serp' || e.source === 'linkedin' ? recencyHint(e.snippet, opts.now).score : SOURCE_RECENCY));
+
+  const title = Math.min(1, scoreTitle(parseTitle(contact.title)) / 100);
+
+  const kinds = new Set(evidence.map(e => e.source)).size;
+  const agreement = kinds >= 3 ? 1 : kinds === 2 ? 0.6 : 0;
+
+  const factors = { employer, title, recency, agreement };
+  const confidence = Object.entries(CONFIDENCE_WEIGHTS).reduce((sum, [factor, weight]) => sum + weight * factors[factor], 0);
+  return { confidence: Math.round(confidence * 100) / 100, factors };
+}
+
+/**
+ * Attach confidence, its factors and the lowConfidence flag to every contact
+ * @param {Array<object>} contacts
+ * @param {string} companyName
+ * @param {{ now?: Date }} [opts]
+ * @returns {Array<object>}
+ */
+function scoreContacts(contacts, companyName, opts = {}) {
+  return contacts.map(c => {
+    const evidence = mergeEvidence(c.evidence || []);
+    const { confidence, factors } = contactConfidence({ ...c, evidence }, companyName, opts);
+    return {
+      ...c,
+      evidence,
+      confidence,
+      confidenceFactors: factors,
+      lowConfidence: c.lowConfidence || confidence < LOW_CONFIDENCE_THRESHOLD,
+    };
+  });
+}
+
+export {
+  scoreContacts,
+  contactConfidence,
+  employerMatchStrength,
+  recencyHint,
+  mergeEvidence,
+  CONFIDENCE_WEIGHTS,
+  LOW_CONFIDENCE_THRESHOLD,
+};
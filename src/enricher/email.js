@@ -0,0 +1,304 @@
+/**
+ * Email discovery — harvest addresses, infer the company's address pattern,
+ * and generate a best-guess email for every contact that has none.
+ *
+ * Patterns use Hunter.io's template syntax: {first}.{last}, {f}{last}, ...
+ *
+ * Each contact ends up with:
+ *   email            best address ('' when nothing usable was found)
+ *   emailStatus      how the address was obtained, strongest first:
+ *                      verified   a provider verified the mailbox
+ *                      published  found on the company website / in provider data (a website
+ *                                 address must use both names, or fit the inferred pattern)
+ *                      pattern    built from a pattern seen in real addresses
+ *                      guessed    built from a common pattern, nothing confirms it
+ *                      no_mx      the domain does not accept mail (email cleared)
+ *   emailConfidence  0–1
+ *   emailCandidates  alternatives for generated addresses, best first
+ */
+
+import { promises as dns } from 'dns';
+import { normalizeWebsite } from '../shared/identity.js';
+
+// Most common corporate patterns first — the order ranks guesses
+const EMAIL_PATTERNS = [
+  '{first}.{last}',
+  '{f}{last}',
+  '{first}',
+  '{first}{last}',
+  '{f}.{last}',
+  '{first}_{last}',
+  '{first}{l}',
+  '{last}.{first}',
+  '{last}{f}',
+  '{last}',
+  '{first}-{last}',
+];
+
+// Confidence of a guessed address, by rank of its pattern in EMAIL_PATTERNS
+const GUESS_CONFIDENCE = [0.3, 0.2, 0.15];
+const PUBLISHED_CONFIDENCE = 0.9;
+// Harvested address that only fits one name ("tan@", "jane@") — may well be somebody else's
+const SINGLE_NAME_CONFIDENCE = 0.2;
+const VERIFIED_CONFIDENCE = 0.95;
+// Provider address with no verification
+const UNVERIFIED_CONFIDENCE = 0.6;
+const MAX_CANDIDATES = 3;
+
+// Role mailboxes: useful company contacts, useless for pattern inference
+const ROLE_MAILBOX = /^(info|contact|hello|enquir(y|ies)|support|admin|sales|marketing|careers?|jobs|hr|media|press|compliance|legal|privacy|dpo|office|general|team|help|service|cs|feedback|noreply|no-reply)$/;
+
+const EMAIL_RE = /[a-z0-9][a-z0-9._%+-]*@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+
+// Honorifics and post-nominals that are not part of an address
+const NAME_NOISE = new Set(['mr', 'mrs', 'ms', 'mdm', 'dr', 'prof', 'sir', 'cams', 'cfa', 'cpa', 'ca', 'acca', 'cfe', 'cia', 'cisa', 'llb', 'llm', 'mba', 'phd', 'jr', 'sr', 'cipp']);
+
+/**
+ * Find email addresses in text, optionally only those on a domain (or its subdomains)
+ * @param {string} text - page text, mailto links, ...
+ * @param {string} [domain]
+ * @returns {string[]} unique, lower-cased
+ */
+function extractEmails(text, domain) {
+  const found = new Set();
+  for (const match of (text || '').match(EMAIL_RE) || []) {
+    const email = match.toLowerCase().replace(/\.+$/, '');
+    // Retina asset names look like addresses: logo@2x.png
+    if (/\.(png|jpe?g|gif|svg|webp)$/.test(email)) continue;
+    const host = email.split('@')[1];
+    if (domain && host !== domain && !host.endsWith(`.${domain}`)) continue;
+    found.add(email);
+  }
+  return [...found];
+}
+
+/**
+ * First and last name tokens for address building: accents, honorifics and credentials removed
+ * @param {string} name
+ * @returns {{ first: string, last: string } | null}
+ */
+function splitName(name) {
+  const tokens = (name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .split(',')[0]
+    .split(/\s+/)
+    .map(t => t.replace(/[^a-z'-]/g, '').replace(/['-]/g, ''))
+    .filter(t => t && !NAME_NOISE.has(t));
+  if (tokens.length === 0) return null;
+  return { first: tokens[0], last: tokens.length > 1 ? tokens[tokens.length - 1] : '' };
+}
+
+/**
+ * Build the local part of an address from a pattern
+ * @param {string} pattern
+ * @param {{ first: string, last: string }} parts
+ * @returns {string|null} null when the pattern needs a last name the contact lacks
+ */
+function applyPattern(pattern, parts) {
+  if (!parts.last && /\{(last|l)\}/.test(pattern)) return null;
+  return pattern
+    .replace('{first}', parts.first)
+    .replace('{last}', parts.last)
+    .replace('{f}', parts.first[0])
+    .replace('{l}', parts.last[0] || '');
+}
+
+/**
+ * Patterns that turn this person's name into this local part
+ * @param {string} local
+ * @param {{ first: string, last: string }} parts
+ * @returns {string[]}
+ */
+function matchingPatterns(local, parts) {
+  return EMAIL_PATTERNS.filter(p => applyPattern(p, parts) === local);
+}
+
+/**
+ * Whether a pattern uses both the first and the last name
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function usesFullName(pattern) {
+  return /\{(first|f)\}/.test(pattern) && /\{(last|l)\}/.test(pattern);
+}
+
+/**
+ * Infer the address pattern from known name/address pairs and harvested addresses
+ * @param {{ domain: string, people?: Array<{ name: string, email?: string }>, emails?: string[], hint?: string }} input
+ *   people: anyone known at the company; emails: harvested addresses; hint: pattern reported by a provider
+ * @returns {{ pattern: string, samples: number, confidence: number } | null}
+ */
+function inferPattern({ domain, people = [], emails = [], hint }) {
+  const counts = new Map();
+  const count = (pattern, n = 1) => counts.set(pattern, (counts.get(pattern) || 0) + n);
+  const onDomain = email => email?.toLowerCase().endsWith(`@${domain}`);
+
+  const named = people.map(p => ({ ...p, parts: splitName(p.name) })).filter(p => p.parts);
+  const paired = new Set();
+  for (const person of named) {
+    if (!onDomain(person.email)) continue;
+    const local = person.email.toLowerCase().split('@')[0];
+    for (const p of matchingPatterns(local, person.parts)) count(p);
+    paired.add(person.email.toLowerCase());
+  }
+  // Harvested addresses: attribute each to at most one known person. Only
+  // full-name patterns count — "tan@" fits every Tan at the company
+  for (const email of emails.filter(e => onDomain(e) && !paired.has(e))) {
+    const local = email.split('@')[0];
+    if (ROLE_MAILBOX.test(local)) continue;
+    for (const person of named) {
+      const patterns = matchingPatterns(local, person.parts).filter(usesFullName);
+      if (patterns.length === 0) continue;
+      for (const p of patterns) count(p);
+      break;
+    }
+  }
+  // A provider's pattern is backed by addresses we cannot see
+  if (hint && EMAIL_PATTERNS.includes(hint)) count(hint, 2);
+
+  if (counts.size === 0) return null;
+  // Ties go to the more common pattern
+  const [pattern, samples] = [...counts].sort((a, b) =>
+    (b[1] - a[1]) || (EMAIL_PATTERNS.indexOf(a[0]) - EMAIL_PATTERNS.indexOf(b[0])))[0];
+  return { pattern, samples, confidence: Math.min(0.85, 0.5 + 0.15 * samples) };
+}
+
+/**
+ * Candidate addresses for one person, best first
+ * @param {string} name
+ * @param {string} domain
+ * @param {{ pattern: string, confidence: number } | null} inferred
+ * @returns {Array<{ email: string, pattern: string, status: string, confidence: number }>}
+ */
+function generateCandidates(name, domain, inferred) {
+  const parts = splitName(name);
+  if (!parts || !domain) return [];
+  const candidates = [];
+  const add = (pattern, status, confidence) => {
+    const local = applyPattern(pattern, parts);
+    if (!local || candidates.some(c => c.email === `${local}@${domain}`)) return;
+    candidates.push({ email: `${local}@${domain}`, pattern, status, confidence });
+  };
+
+  if (inferred) add(inferred.pattern, 'pattern', inferred.confidence);
+  for (const pattern of EMAIL_PATTERNS) {
+    if (candidates.length >= MAX_CANDIDATES) break;
+    // Without an inferred pattern the first guesses carry the most weight
+    const rank = candidates.length - (inferred ? 1 : 0);
+    add(pattern, 'guessed', inferred ? 0.1 : (GUESS_CONFIDENCE[rank] ?? 0.1));
+  }
+  return candidates;
+}
+
+/**
+ * Add a candidate (or raise the confidence of the same address), keeping the list best first
+ * @param {Array<{ email: string, confidence: number }>} candidates - modified in place
+ * @param {{ email: string, pattern: string, status: string, confidence: number }} candidate
+ */
+function addCandidate(candidates, candidate) {
+  const existing = candidates.find(c => c.email === candidate.email);
+  if (existing) existing.confidence = Math.max(existing.confidence, candidate.confidence);
+  else candidates.push(candidate);
+  candidates.sort((a, b) => b.confidence - a.confidence);
+  candidates.splice(MAX_CANDIDATES);
+}
+
+/**
+ * Whether a domain accepts mail
+ * @param {string} domain
+ * @param {(domain: string) => Promise<Array>} [resolveMx]
+ * @returns {Promise<boolean|null>} null when the lookup itself failed
+ */
+async function hasMailServer(domain, resolveMx = dns.resolveMx) {
+  try {
+    const records = await resolveMx(domain);
+    return records.length > 0;
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') return false;
+    return null;
+  }
+}
+
+/**
+ * Fill in email, emailStatus, emailConfidence and emailCandidates for every contact
+ * @param {Array<{ name: string, email?: string, emailStatus?: string|null, emailConfidence?: number }>} contacts
+ * @param {{ website?: string, emails?: string[], people?: Array<{ name: string, email?: string }>, patternHint?: string, resolveMx?: Function }} [opts]
+ *   emails: addresses harvested from the website or providers; people: other known staff
+ * @returns {Promise<{ contacts: Array, pattern: string|null, domain: string, emails: string[] }>}
+ *   emails: harvested addresses on the company domain
+ */
+async function discoverEmails(contacts, opts = {}) {
+  const domain = normalizeWebsite(opts.website);
+  const harvested = domain ? extractEmails((opts.emails || []).join('\n'), domain) : [];
+  if (!domain) return { contacts, pattern: null, domain, emails: harvested };
+
+  const inferred = inferPattern({
+    domain,
+    people: [...contacts, ...(opts.people || [])],
+    emails: harvested,
+    hint: opts.patternHint,
+  });
+
+  let mailServer;
+  const checkDomain = async () => {
+    if (mailServer === undefined) mailServer = await hasMailServer(domain, opts.resolveMx);
+    return mailServer;
+  };
+
+  const result = [];
+  for (const contact of contacts) {
+    if (contact.email) {
+      const verified = ['verified', 'valid'].includes((contact.emailStatus || '').toLowerCase());
+      result.push({
+        ...contact,
+        emailStatus: verified ? 'verified' : (contact.emailStatus || 'published'),
+        emailConfidence: contact.emailConfidence ?? (verified ? VERIFIED_CONFIDENCE : UNVERIFIED_CONFIDENCE),
+      });
+      continue;
+    }
+
+    // Published: a harvested address built from both names, or from the domain's inferred pattern
+    const parts = splitName(contact.name);
+    const patternsOf = email => (parts ? matchingPatterns(email.split('@')[0], parts) : []);
+    const published = harvested.find(e => patternsOf(e).some(p => usesFullName(p) || p === inferred?.pattern));
+    if (published) {
+      result.push({ ...contact, email: published, emailStatus: 'published', emailConfidence: PUBLISHED_CONFIDENCE });
+      continue;
+    }
+
+    const candidates = generateCandidates(contact.name, domain, inferred);
+    // A single-name match is only a weak guess
+    const singleName = harvested.find(e => patternsOf(e).length > 0);
+    if (singleName) addCandidate(candidates, { email: singleName, pattern: patternsOf(singleName)[0], status: 'guessed', confidence: SINGLE_NAME_CONFIDENCE });
+    if (candidates.length === 0) {
+      result.push(contact);
+      continue;
+    }
+    if (await checkDomain() === false) {
+      result.push({ ...contact, email: '', emailStatus: 'no_mx', emailConfidence: 0 });
+      continue;
+    }
+    const [best] = candidates;
+    result.push({
+      ...contact,
+      email: best.email,
+      emailStatus: best.status,
+      emailConfidence: best.confidence,
+      emailCandidates: candidates,
+    });
+  }
+
+  return { contacts: result, pattern: inferred?.pattern || null, domain, emails: harvested };
+}
+
+export {
+  discoverEmails,
+  extractEmails,
+  inferPattern,
+  generateCandidates,
+  splitName,
+  hasMailServer,
+  EMAIL_PATTERNS,
+};
@@ -1,5 +1,9 @@
-import { describe, it, before } from 'node:test';
+import { describe, it, before, after, beforeEach } from 'node:test';
 import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { normalizeCompanyName, resultMentionsCompany, parseLinkedInResult, verifyContactCompany, extractEmployerFromSnippet } from './scraper.js';
 
 describe('rankContacts', () => {
@@ -101,37 +105,82 @@ describe('rankContacts', () => {
     const ranked = rankContacts([]);
     assert.deepStrictEqual(ranked, []);
   });
+
+  it('should not match abbreviations inside other words', () => {
+    const ranked = rankContacts([{ name: 'Ivy', title: 'Accounts Officer' }]);
+    assert.strictEqual(ranked[0].priority, 99);
+  });
+
+  it('should rank titles outside the old lookup table by function and seniority', () => {
+    const ranked = rankContacts([
+      { name: 'Ops', title: 'Operations Manager' },
+      { name: 'Risk', title: 'Chief Risk Officer' },
+      { name: 'Aml', title: 'Head of AML & Financial Crime' },
+      { name: 'Group', title: 'Group MLRO' },
+    ]);
+    assert.deepStrictEqual(ranked.map(c => c.name), ['Group', 'Aml', 'Risk', 'Ops']);
+    assert.deepStrictEqual(ranked.map(c => c.priority), [1, 3, 4, 9]);
+    assert.deepStrictEqual(ranked[0].classification, { functions: ['aml'], seniority: null, scope: 'group', roles: ['mlro'], deputy: false });
+  });
+
+  it('should take custom weights', () => {
+    const weights = { functions: { compliance: 1, aml: 1, risk: 1.2 }, seniority: { c_level: 100 }, roles: {}, scope: {}, deputyPenalty: 0 };
+    const ranked = rankContacts([
+      { name: 'Cco', title: 'Chief Compliance Officer' },
+      { name: 'Cro', title: 'Chief Risk Officer' },
+    ], weights);
+    assert.strictEqual(ranked[0].name, 'Cro');
+  });
 });
 
-describe('searchContacts', () => {
-  let searchContacts;
+describe('parseTitle', () => {
+  let parseTitle;
 
   before(async () => {
-    const mod = await import('./index.js');
-    searchContacts = mod.searchContacts;
+    ({ parseTitle } = await import('./titles.js'));
   });
 
-  it('should return an array', async () => {
-    const result = await searchContacts('Test Company');
-    assert.ok(Array.isArray(result), 'searchContacts should return an array');
+  it('extracts function, seniority and scope', () => {
+    assert.deepStrictEqual(parseTitle('Regional Head of Compliance & Legal, APAC'), {
+      functions: ['compliance', 'legal'], seniority: 'head', scope: 'regional', roles: [], deputy: false,
+    });
+    assert.deepStrictEqual(parseTitle('Deputy MLRO (Singapore)'), {
+      functions: ['aml'], seniority: null, scope: 'singapore', roles: ['mlro'], deputy: true,
+    });
+  });
+
+  it('tells vice presidents and managing directors apart from presidents and directors', () => {
+    assert.strictEqual(parseTitle('Vice President, Compliance').seniority, 'vp');
+    assert.strictEqual(parseTitle('SVP Risk').seniority, 'vp');
+    assert.strictEqual(parseTitle('Managing Director').seniority, 'c_level');
+    assert.deepStrictEqual(parseTitle('Managing Director').functions, ['c_suite']);
+    assert.strictEqual(parseTitle('Compliance Director').seniority, 'director');
+  });
+
+  it('returns an empty classification for missing titles', () => {
+    assert.deepStrictEqual(parseTitle(undefined), { functions: [], seniority: null, scope: null, roles: [], deputy: false });
   });
 });
 
-describe('enrichCompany', () => {
-  let enrichCompany;
+describe('enrich without results', () => {
+  let mod;
 
   before(async () => {
-    const mod = await import('./index.js');
-    enrichCompany = mod.enrichCompany;
+    mod = await import('./index.js');
+  });
+
+  it('should return no contacts and no company info when no provider finds any', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const empty = { name: 'browser', paid: false, search: async () => ({ contacts: [], companyInfo: null, credits: 0 }) };
+    const result = await mod.enrich({ name: 'Test Company', website: '' }, { providers: [empty] });
+    assert.deepStrictEqual(result.contacts, []);
+    assert.strictEqual(result.companyInfo, null);
   });
 
-  it('should return an object with expected shape', async () => {
-    const result = await enrichCompany('Test Company', 'https://example.com');
-    assert.ok(typeof result === 'object', 'enrichCompany should return an object');
-    assert.ok('headcount' in result, 'result should have headcount');
-    assert.ok('fundingStage' in result, 'result should have fundingStage');
-    assert.ok(Array.isArray(result.techStack), 'techStack should be an array');
-    assert.ok(Array.isArray(result.recentNews), 'recentNews should be an array');
+  it('should not export placeholder contacts or company info', () => {
+    for (const name of ['searchContacts', 'enrichCompany', 'MOCK_CONTACTS', 'MOCK_COMPANY_INFO']) {
+      assert.strictEqual(mod[name], undefined, name);
+    }
   });
 });
 
@@ -268,3 +317,961 @@ describe('extractEmployerFromSnippet', () => {
     assert.strictEqual(extractEmployerFromSnippet(''), null);
   });
 });
+
+describe('contact providers', () => {
+  let providers;
+  let enrich;
+  let server;
+  let baseUrl;
+  let requests;
+  let replies;
+  let tmpDir;
+
+  before(async () => {
+    providers = await import('./providers.js');
+    enrich = (await import('./index.js')).enrich;
+    // Local stub API: records requests, answers from a queue of { status, body }
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+        const reply = replies.shift() || { status: 200, body: {} };
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply.body));
+      });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    requests = [];
+    replies = [];
+    tmpDir = mkdtempSync(join(tmpdir(), 'mas-scout-providers-'));
+  });
+
+  const apolloPeople = {
+    people: [
+      {
+        name: 'Jane Chen', title: 'Chief Compliance Officer', email: 'jane.chen@alphapay.sg', email_status: 'verified',
+        linkedin_url: 'http://www.linkedin.com/in/janechen',
+        organization: { estimated_num_employees: 40, industry: 'financial services', linkedin_url: 'http://www.linkedin.com/company/alphapay' },
+      },
+      { first_name: 'Ahmad', last_name: 'Razak', title: 'MLRO', email: 'email_not_unlocked@domain.com', email_status: null },
+    ],
+  };
+
+  const hunterDomain = {
+    data: {
+      domain: 'alphapay.sg',
+      pattern: '{first}.{last}',
+      emails: [
+        { value: 'ahmad.razak@alphapay.sg', first_name: 'Ahmad', last_name: 'Razak', position: 'MLRO', confidence: 92, verification: { status: 'valid' }, linkedin: null },
+        { value: 'tom.lee@alphapay.sg', first_name: 'Tom', last_name: 'Lee', position: 'Software Engineer', confidence: 90 },
+      ],
+    },
+  };
+
+  const company = { name: 'Alpha Pay Pte. Ltd.', website: 'https://www.alphapay.sg/' };
+
+  it('Apollo adapter searches by domain and compliance titles', async () => {
+    replies.push({ status: 200, body: apolloPeople });
+    const apollo = providers.createApolloProvider({ apiKey: 'k1', apiBase: baseUrl, titles: ['MLRO'] });
+    const result = await apollo.search(company);
+
+    assert.strictEqual(requests[0].method, 'POST');
+    assert.strictEqual(requests[0].url, '/api/v1/mixed_people/search');
+    assert.strictEqual(requests[0].headers['x-api-key'], 'k1');
+    assert.deepStrictEqual(requests[0].body.q_organization_domains_list, ['alphapay.sg']);
+    assert.deepStrictEqual(requests[0].body.person_titles, ['MLRO']);
+
+    assert.strictEqual(result.credits, 1);
+    assert.strictEqual(result.contacts.length, 2);
+    assert.strictEqual(result.contacts[0].email, 'jane.chen@alphapay.sg');
+    assert.strictEqual(result.contacts[1].name, 'Ahmad Razak');
+    assert.strictEqual(result.contacts[1].email, '', 'locked emails are dropped');
+    assert.strictEqual(result.companyInfo.headcount, 40);
+  });
+
+  it('Apollo adapter falls back to the company name without a website', async () => {
+    replies.push({ status: 200, body: { people: [] } });
+    const apollo = providers.createApolloProvider({ apiKey: 'k1', apiBase: baseUrl });
+    const result = await apollo.search({ name: 'Alpha Pay Pte. Ltd.' });
+    assert.strictEqual(requests[0].body.q_organization_name, 'Alpha Pay');
+    assert.deepStrictEqual(result.contacts, []);
+    assert.strictEqual(result.companyInfo, null);
+  });
+
+  it('Hunter adapter keeps compliance positions and the email pattern', async () => {
+    replies.push({ status: 200, body: hunterDomain });
+    const hunter = providers.createHunterProvider({ apiKey: 'k2', apiBase: baseUrl });
+    const result = await hunter.search(company);
+
+    const url = new URL(requests[0].url, baseUrl);
+    assert.strictEqual(url.pathname, '/v2/domain-search');
+    assert.strictEqual(url.searchParams.get('domain'), 'alphapay.sg');
+    assert.strictEqual(url.searchParams.get('api_key'), 'k2');
+
+    assert.strictEqual(result.contacts.length, 1);
+    assert.deepStrictEqual(
+      { name: result.contacts[0].name, email: result.contacts[0].email, emailStatus: result.contacts[0].emailStatus, emailConfidence: result.contacts[0].emailConfidence },
+      { name: 'Ahmad Razak', email: 'ahmad.razak@alphapay.sg', emailStatus: 'valid', emailConfidence: 0.92 }
+    );
+    assert.strictEqual(result.companyInfo.emailPattern, '{first}.{last}');
+    assert.strictEqual(result.credits, 1);
+  });
+
+  it('Hunter adapter skips companies without a website', async () => {
+    const hunter = providers.createHunterProvider({ apiKey: 'k2', apiBase: baseUrl });
+    const result = await hunter.search({ name: 'No Site Pte Ltd', website: '' });
+    assert.strictEqual(requests.length, 0);
+    assert.strictEqual(result.credits, 0);
+  });
+
+  it('adapters retry 5xx but not 4xx responses', async () => {
+    replies.push({ status: 503, body: {} }, { status: 200, body: apolloPeople });
+    const apollo = providers.createApolloProvider({ apiKey: 'k1', apiBase: baseUrl, retries: 1 });
+    const result = await apollo.search(company);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(result.contacts.length, 2);
+
+    requests = [];
+    replies.push({ status: 401, body: { error: 'invalid key' } });
+    await assert.rejects(() => apollo.search(company), err => err.status === 401);
+    assert.strictEqual(requests.length, 1);
+  });
+
+  it('usage tracker counts credits per month against the quota', () => {
+    let now = new Date('2026-03-30T00:00:00Z');
+    const file = join(tmpDir, 'usage.json');
+    const usage = providers.createUsageTracker({ file, quotas: { apollo: { monthlyCredits: 2 } }, now: () => now });
+
+    assert.strictEqual(usage.remaining('apollo'), 2);
+    usage.record('apollo', 1);
+    usage.record('apollo', 1);
+    assert.strictEqual(usage.remaining('apollo'), 0);
+    assert.deepStrictEqual(usage.used('apollo'), { calls: 2, credits: 2 });
+    assert.strictEqual(usage.remaining('browser'), Infinity);
+
+    now = new Date('2026-04-01T00:00:00Z');
+    assert.strictEqual(usage.remaining('apollo'), 2, 'quota resets each month');
+  });
+
+  it('mergeContacts joins contacts by LinkedIn URL or name and prefers verified emails', () => {
+    const merged = providers.mergeContacts([
+      [{ name: 'Jane Chen', title: 'Unknown Title', linkedInUrl: 'https://sg.linkedin.com/in/janechen/', source: 'ddg-serp' }],
+      [
+        { name: 'Jane C.', title: 'Chief Compliance Officer', email: 'jchen@alphapay.sg', emailStatus: 'guessed', linkedInUrl: 'http://www.linkedin.com/in/janechen', source: 'apollo' },
+        { name: 'Ahmad Razak', title: 'MLRO', email: 'ahmad@alphapay.sg', emailStatus: null, linkedInUrl: '', source: 'apollo' },
+      ],
+      [
+        { name: 'Jane Chen', title: 'Compliance', email: 'jane.chen@alphapay.sg', emailStatus: 'valid', emailConfidence: 0.95, linkedInUrl: '', source: 'hunter' },
+        { name: 'Ahmad Razak', title: 'MLRO', email: 'a.razak@alphapay.sg', emailStatus: null, linkedInUrl: '', source: 'hunter' },
+      ],
+    ]);
+
+    assert.strictEqual(merged.length, 2);
+    const [jane, ahmad] = merged;
+    assert.strictEqual(jane.name, 'Jane Chen');
+    assert.strictEqual(jane.title, 'Chief Compliance Officer', 'placeholder title is filled in');
+    assert.strictEqual(jane.email, 'jane.chen@alphapay.sg', 'verified email wins');
+    assert.strictEqual(jane.emailConfidence, 0.95);
+    assert.deepStrictEqual(jane.sources, ['ddg-serp', 'apollo', 'hunter']);
+    assert.strictEqual(ahmad.email, 'ahmad@alphapay.sg', 'first unverified email is kept');
+  });
+
+  it('mergeContacts keeps non-Latin names apart and folds accents', () => {
+    const merged = providers.mergeContacts([
+      [
+        { name: '陈伟', title: '合规总监', linkedInUrl: '', source: 'company-website' },
+        { name: '李娜', title: 'MLRO', linkedInUrl: '', source: 'company-website' },
+        { name: 'José Tan', title: 'CCO', linkedInUrl: '', source: 'ddg-serp' },
+      ],
+      [
+        { name: '陈伟', title: 'Head of Compliance', email: 'chen.wei@alphapay.sg', linkedInUrl: '', source: 'hunter' },
+        { name: 'Jose Tan', title: 'CCO', email: 'jose.tan@alphapay.sg', linkedInUrl: '', source: 'hunter' },
+      ],
+    ]);
+
+    assert.deepStrictEqual(merged.map(c => c.name), ['陈伟', '李娜', 'José Tan']);
+    assert.deepStrictEqual(merged.map(c => c.sources), [['company-website', 'hunter'], ['company-website'], ['ddg-serp', 'hunter']]);
+    assert.strictEqual(merged[1].email, undefined, 'another person\'s email is not attached');
+  });
+
+  it('mergeCompanyInfo fills gaps from later providers', () => {
+    assert.strictEqual(providers.mergeCompanyInfo([null, undefined]), null);
+    assert.deepStrictEqual(
+      providers.mergeCompanyInfo([{ headcount: null, linkedInUrl: 'a' }, { headcount: 40, linkedInUrl: 'b' }, null]),
+      { headcount: 40, linkedInUrl: 'a' }
+    );
+  });
+
+  it('enrich runs every provider, skips exhausted quotas and survives failures', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    replies.push({ status: 200, body: hunterDomain });
+    const browser = providers.createBrowserProvider({ enrichWithBrowser: async () => { throw new Error('CDP unavailable'); } });
+    const apollo = providers.createApolloProvider({ apiKey: 'k1', apiBase: baseUrl });
+    const hunter = providers.createHunterProvider({ apiKey: 'k2', apiBase: baseUrl });
+    const usage = providers.createUsageTracker({
+      file: join(tmpDir, 'usage.json'),
+      quotas: { apollo: { monthlyCredits: 0 }, hunter: { monthlyCredits: 5 } },
+    });
+
+    const result = await enrich(company, { providers: [browser, apollo, hunter], usage });
+
+    assert.deepStrictEqual(result.providers.map(p => [p.name, p.ok, p.skipped || p.error || p.contacts]), [
+      ['browser', false, 'CDP unavailable'],
+      ['apollo', false, 'quota'],
+      ['hunter', true, 1],
+    ]);
+    assert.strictEqual(requests.length, 1, 'Apollo is not called once its quota is spent');
+    assert.strictEqual(result.contacts[0].name, 'Ahmad Razak');
+    assert.strictEqual(result.contacts[0].priority, 2);
+    assert.strictEqual(result.companyInfo.emailPattern, '{first}.{last}');
+    assert.strictEqual(usage.used('hunter').credits, 1);
+  });
+
+  it('enrich reserves paid credits so parallel companies cannot overshoot the quota', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    let calls = 0;
+    const paid = {
+      name: 'apollo',
+      paid: true,
+      search: async () => {
+        calls++;
+        await new Promise(r => setTimeout(r, 20));
+        return { contacts: [], companyInfo: null, credits: 1 };
+      },
+    };
+    const failing = { name: 'hunter', paid: true, search: async () => { throw new Error('HTTP 500'); } };
+    const usage = providers.createUsageTracker({
+      file: join(tmpDir, 'usage-parallel.json'),
+      quotas: { apollo: { monthlyCredits: 1 }, hunter: { monthlyCredits: 1 } },
+    });
+
+    const results = await Promise.all([company, company, company].map(c => enrich(c, { providers: [paid, failing], usage })));
+
+    assert.strictEqual(calls, 1);
+    assert.deepStrictEqual(results.map(r => r.providers[0].skipped || 'called').sort(), ['called', 'quota', 'quota']);
+    assert.deepStrictEqual(usage.used('apollo'), { calls: 1, credits: 1 });
+    assert.strictEqual(usage.remaining('hunter'), 1, 'a failed call gives its reservation back');
+  });
+
+  it('getProviders enables paid providers by API key', async () => {
+    const { getProviders } = await import('./index.js');
+    assert.deepStrictEqual(getProviders({}).map(p => p.name), ['browser']);
+    assert.deepStrictEqual(getProviders({ APOLLO_API_KEY: 'a', HUNTER_API_KEY: 'h' }).map(p => p.name), ['browser', 'apollo', 'hunter']);
+  });
+});
+
+describe('email discovery', () => {
+  let email;
+  const noMx = async () => { throw Object.assign(new Error('queryMx ENOTFOUND'), { code: 'ENOTFOUND' }); };
+  const mx = async () => [{ exchange: 'mx.alphapay.sg', priority: 10 }];
+
+  before(async () => {
+    email = await import('./email.js');
+  });
+
+  it('extractEmails keeps addresses on the company domain and skips asset names', () => {
+    const text = 'Write to Jane.Chen@AlphaPay.sg or ops@mail.alphapay.sg. <img src="logo@2x.png"> partner@bank.com';
+    assert.deepStrictEqual(email.extractEmails(text, 'alphapay.sg'), ['jane.chen@alphapay.sg', 'ops@mail.alphapay.sg']);
+    assert.strictEqual(email.extractEmails(text).length, 3);
+  });
+
+  it('splitName drops honorifics, credentials and accents', () => {
+    assert.deepStrictEqual(email.splitName('Dr. José Ramírez, CAMS'), { first: 'jose', last: 'ramirez' });
+    assert.deepStrictEqual(email.splitName('Tan Wei Ming'), { first: 'tan', last: 'ming' });
+    assert.deepStrictEqual(email.splitName('Priya'), { first: 'priya', last: '' });
+    assert.strictEqual(email.splitName(''), null);
+  });
+
+  it('inferPattern learns from name/address pairs and ignores role mailboxes', () => {
+    const inferred = email.inferPattern({
+      domain: 'alphapay.sg',
+      people: [{ name: 'Tom Lee', email: 'tlee@alphapay.sg' }, { name: 'Mary Ong' }],
+      emails: ['mong@alphapay.sg', 'info@alphapay.sg', 'jane.chen@other.com'],
+    });
+    assert.deepStrictEqual(inferred, { pattern: '{f}{last}', samples: 2, confidence: 0.8 });
+    assert.strictEqual(email.inferPattern({ domain: 'alphapay.sg', emails: ['info@alphapay.sg'] }), null);
+  });
+
+  it('inferPattern weighs a provider pattern hint', () => {
+    const inferred = email.inferPattern({ domain: 'alphapay.sg', hint: '{first}.{last}' });
+    assert.strictEqual(inferred.pattern, '{first}.{last}');
+    assert.strictEqual(inferred.samples, 2);
+  });
+
+  it('generateCandidates ranks the inferred pattern before common guesses', () => {
+    const inferred = email.generateCandidates('Jane Chen', 'alphapay.sg', { pattern: '{f}.{last}', confidence: 0.65 });
+    assert.deepStrictEqual(inferred.map(c => [c.email, c.status]), [
+      ['j.chen@alphapay.sg', 'pattern'],
+      ['jane.chen@alphapay.sg', 'guessed'],
+      ['jchen@alphapay.sg', 'guessed'],
+    ]);
+
+    const guessed = email.generateCandidates('Jane Chen', 'alphapay.sg', null);
+    assert.deepStrictEqual(guessed.map(c => c.confidence), [0.3, 0.2, 0.15]);
+    assert.strictEqual(guessed[0].email, 'jane.chen@alphapay.sg');
+  });
+
+  it('discoverEmails prefers published addresses, then the inferred pattern', async () => {
+    const result = await email.discoverEmails([
+      { name: 'Jane Chen', title: 'CCO' },
+      { name: 'Ahmad Razak', title: 'MLRO' },
+      { name: 'Sarah Tan', title: 'Head of Compliance', email: 'sarah@alphapay.sg', emailStatus: 'valid' },
+    ], {
+      website: 'https://www.alphapay.sg',
+      emails: ['Contact: jchen@alphapay.sg, info@alphapay.sg'],
+      people: [{ name: 'Tom Lee', email: 'tlee@alphapay.sg' }],
+      resolveMx: mx,
+    });
+
+    const [jane, ahmad, sarah] = result.contacts;
+    assert.deepStrictEqual([jane.email, jane.emailStatus, jane.emailConfidence], ['jchen@alphapay.sg', 'published', 0.9]);
+    assert.deepStrictEqual([ahmad.email, ahmad.emailStatus], ['arazak@alphapay.sg', 'pattern']);
+    assert.ok(ahmad.emailConfidence >= 0.7);
+    assert.strictEqual(ahmad.emailCandidates.length, 3);
+    assert.deepStrictEqual([sarah.email, sarah.emailStatus, sarah.emailConfidence], ['sarah@alphapay.sg', 'verified', 0.95]);
+    assert.strictEqual(result.pattern, '{f}{last}');
+    assert.deepStrictEqual(result.emails, ['jchen@alphapay.sg', 'info@alphapay.sg']);
+  });
+
+  it('discoverEmails does not publish single-name addresses as the contact\'s own', async () => {
+    const result = await email.discoverEmails([{ name: 'Jane Tan', title: 'CCO' }], {
+      website: 'alphapay.sg',
+      emails: ['tan@alphapay.sg', 'jane@alphapay.sg'],
+      resolveMx: mx,
+    });
+
+    const [jane] = result.contacts;
+    assert.notStrictEqual(jane.emailStatus, 'published');
+    assert.strictEqual(result.pattern, null, 'single-name addresses do not set the pattern');
+    assert.deepStrictEqual([jane.email, jane.emailStatus, jane.emailConfidence], ['jane.tan@alphapay.sg', 'guessed', 0.3]);
+    const single = jane.emailCandidates.find(c => c.email === 'tan@alphapay.sg');
+    assert.deepStrictEqual([single.status, single.confidence], ['guessed', 0.2]);
+  });
+
+  it('discoverEmails publishes a single-name address that fits the inferred pattern', async () => {
+    const result = await email.discoverEmails([{ name: 'Jane Tan', title: 'CCO' }], {
+      website: 'alphapay.sg',
+      emails: ['jane@alphapay.sg'],
+      people: [{ name: 'Tom Lee', email: 'tom@alphapay.sg' }, { name: 'Wei Ming Lim', email: 'wei@alphapay.sg' }],
+      resolveMx: mx,
+    });
+    assert.strictEqual(result.pattern, '{first}');
+    assert.deepStrictEqual([result.contacts[0].email, result.contacts[0].emailStatus], ['jane@alphapay.sg', 'published']);
+  });
+
+  it('discoverEmails clears generated addresses when the domain has no mail server', async () => {
+    const result = await email.discoverEmails([{ name: 'Jane Chen', title: 'CCO' }], { website: 'alphapay.sg', resolveMx: noMx });
+    assert.deepStrictEqual(
+      [result.contacts[0].email, result.contacts[0].emailStatus, result.contacts[0].emailConfidence],
+      ['', 'no_mx', 0]
+    );
+  });
+
+  it('discoverEmails leaves contacts alone without a website', async () => {
+    const contacts = [{ name: 'Jane Chen', title: 'CCO' }];
+    const result = await email.discoverEmails(contacts, { website: '' });
+    assert.strictEqual(result.contacts, contacts);
+    assert.strictEqual(result.pattern, null);
+  });
+
+  it('enrich feeds website addresses into contact emails', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { enrich } = await import('./index.js');
+    const { createBrowserProvider } = await import('./providers.js');
+    const browser = createBrowserProvider({
+      enrichWithBrowser: async () => ({
+        contacts: [{ name: 'Jane Chen', title: 'Chief Compliance Officer', linkedInUrl: '', source: 'ddg-serp' }],
+        companyInfo: { description: 'Payments' },
+        emails: ['tom.lee@alphapay.sg', 'hello@alphapay.sg'],
+        people: [{ name: 'Tom Lee', title: 'CTO' }],
+      }),
+    });
+
+    const result = await enrich({ name: 'Alpha Pay', website: 'alphapay.sg' }, { providers: [browser], resolveMx: mx });
+    assert.strictEqual(result.contacts[0].email, 'jane.chen@alphapay.sg');
+    assert.strictEqual(result.contacts[0].emailStatus, 'pattern');
+    assert.strictEqual(result.companyInfo.emailPattern, '{first}.{last}');
+    assert.deepStrictEqual(result.companyInfo.emails, ['tom.lee@alphapay.sg', 'hello@alphapay.sg']);
+  });
+});
+
+describe('enrichment cache', () => {
+  let cacheMod;
+  let tmpDir;
+  const DAY = 24 * 60 * 60 * 1000;
+
+  before(async () => {
+    cacheMod = await import('./cache.js');
+  });
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'mas-scout-cache-'));
+  });
+
+  it('serves fresh entries and refetches after the TTL', async () => {
+    let now = new Date('2026-03-01T00:00:00Z');
+    const file = join(tmpDir, 'cache.json');
+    const cache = cacheMod.createEnrichmentCache({ file, ttlDays: { serp: 7 }, now: () => now });
+    let calls = 0;
+    const loader = async () => [{ url: `https://example.com/${++calls}` }];
+
+    const first = await cache.fetch('serp', 'Alpha Pay  compliance', loader);
+    assert.strictEqual(first.cached, false);
+    const second = await cache.fetch('serp', 'alpha pay compliance', loader);
+    assert.strictEqual(second.cached, true, 'queries are case- and whitespace-insensitive');
+    assert.deepStrictEqual(second.value, first.value);
+
+    // Persisted across instances
+    const reopened = cacheMod.createEnrichmentCache({ file, ttlDays: { serp: 7 }, now: () => now });
+    assert.ok(reopened.get('serp', 'alpha pay compliance'));
+
+    now = new Date(now.getTime() + 8 * DAY);
+    const third = await cache.fetch('serp', 'alpha pay compliance', loader);
+    assert.strictEqual(third.cached, false);
+    assert.strictEqual(calls, 2);
+  });
+
+  it('normalizes URLs and does not cache empty results', async () => {
+    const cache = cacheMod.createEnrichmentCache({ file: join(tmpDir, 'cache.json') });
+    await cache.fetch('website', 'https://www.alphapay.sg/', async () => ({ description: 'Payments', teamMembers: [] }));
+    assert.ok(cache.get('website', 'alphapay.sg'));
+
+    await cache.fetch('website', 'https://beta.sg', async () => ({ description: '', teamMembers: [], emails: [] }));
+    await cache.fetch('serp', 'nothing', async () => []);
+    assert.strictEqual(cache.get('website', 'beta.sg'), null);
+    assert.strictEqual(cache.get('serp', 'nothing'), null);
+  });
+
+  it('bypass refetches but still stores', async () => {
+    const file = join(tmpDir, 'cache.json');
+    await cacheMod.createEnrichmentCache({ file }).fetch('serp', 'q', async () => ['old']);
+    const bypass = cacheMod.createEnrichmentCache({ file, bypass: true });
+    const result = await bypass.fetch('serp', 'q', async () => ['new']);
+    assert.strictEqual(result.cached, false);
+    assert.deepStrictEqual(cacheMod.createEnrichmentCache({ file }).get('serp', 'q').value, ['new']);
+  });
+
+  it('session records the oldest fetch per kind', async () => {
+    let now = new Date('2026-03-01T00:00:00Z');
+    const cache = cacheMod.createEnrichmentCache({ file: join(tmpDir, 'cache.json'), now: () => now });
+    await cache.fetch('serp', 'a', async () => ['a']);
+    now = new Date('2026-03-03T00:00:00Z');
+
+    const session = cache.session();
+    await session.fetch('serp', 'a', async () => ['x']);
+    await session.fetch('serp', 'b', async () => ['b']);
+    assert.strictEqual(session.verifiedAt('serp'), '2026-03-01T00:00:00.000Z');
+    assert.strictEqual(session.verifiedAt('linkedin'), null);
+  });
+
+  it('enrichWithBrowser runs from the cache without a browser', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { enrichWithBrowser } = await import('./scraper.js');
+    const cache = cacheMod.createEnrichmentCache({ file: join(tmpDir, 'cache.json'), now: () => new Date('2026-03-01T00:00:00Z') });
+    const seed = (kind, key, value) => cache.fetch(kind, key, async () => value);
+    await seed('serp', 'Alpha Pay site:linkedin.com/company Singapore', [
+      { title: 'Alpha Pay | LinkedIn', url: 'https://sg.linkedin.com/company/alpha-pay', snippet: '' },
+    ]);
+    await seed('linkedin', 'https://sg.linkedin.com/company/alpha-pay', { description: 'Cross-border payments', industry: 'Financial Services' });
+    await seed('serp', 'Alpha Pay compliance OR CCO OR MLRO OR AML site:linkedin.com/in', [
+      { title: 'Jane Chen - Chief Compliance Officer - Alpha Pay | LinkedIn', url: 'https://sg.linkedin.com/in/janechen', snippet: 'Alpha Pay' },
+    ]);
+    await seed('website', 'https://alphapay.sg', { description: 'Home', teamMembers: [], emails: ['hello@alphapay.sg'] });
+
+    const result = await enrichWithBrowser(
+      { name: 'ALPHA PAY PTE. LTD.', website: 'https://alphapay.sg' },
+      { cache }
+    );
+
+    assert.strictEqual(result.contacts[0].name, 'Jane Chen');
+    assert.strictEqual(result.companyInfo.industry, 'Financial Services');
+    assert.deepStrictEqual(result.emails, ['hello@alphapay.sg']);
+    assert.strictEqual(result.verifiedAt.contacts, '2026-03-01T00:00:00.000Z');
+    assert.strictEqual(result.verifiedAt.industry, '2026-03-01T00:00:00.000Z');
+  });
+
+  it('mergeFreshFields keeps fresh fields the new run did not return', () => {
+    const now = new Date('2026-03-10T00:00:00Z');
+    const previous = {
+      status: 'enriched',
+      contacts: [{ name: 'Jane Chen', title: 'CCO' }],
+      companyInfo: { industry: 'Payments', description: 'Old', logoUrl: 'logo.png' },
+      fieldsVerifiedAt: {
+        contacts: '2026-03-08T00:00:00Z',
+        industry: '2026-03-01T00:00:00Z',
+        description: '2026-03-01T00:00:00Z',
+        logoUrl: '2025-12-01T00:00:00Z',
+      },
+    };
+    const current = {
+      status: 'no_contacts',
+      contacts: [],
+      companyInfo: { description: 'New' },
+      fieldsVerifiedAt: { description: '2026-03-10T00:00:00Z' },
+    };
+
+    const merged = cacheMod.mergeFreshFields(previous, current, { ttlDays: { serp: 7, linkedin: 30 }, now });
+    assert.strictEqual(merged.status, 'enriched');
+    assert.strictEqual(merged.contacts.length, 1);
+    assert.strictEqual(merged.companyInfo.description, 'New', 'refetched fields win');
+    assert.strictEqual(merged.companyInfo.industry, 'Payments');
+    assert.strictEqual(merged.fieldsVerifiedAt.industry, '2026-03-01T00:00:00Z');
+    assert.strictEqual(merged.companyInfo.logoUrl, undefined, 'stale fields are dropped');
+  });
+});
+
+describe('createPagePool', () => {
+  let createPagePool;
+
+  before(async () => {
+    ({ createPagePool } = await import('./pool.js'));
+  });
+
+  function fakeBrowser() {
+    const state = { connects: 0, pages: 0, closedPages: 0, browserClosed: false };
+    const connect = async () => {
+      state.connects++;
+      return {
+        browser: { close: async () => { state.browserClosed = true; } },
+        context: { newPage: async () => ({ id: ++state.pages, close: async () => { state.closedPages++; } }) },
+      };
+    };
+    return { state, connect };
+  }
+
+  it('connects once and opens at most `size` pages', async () => {
+    const { state, connect } = fakeBrowser();
+    const pool = createPagePool({ size: 2, connect });
+    const a = await pool.acquire();
+    const b = await pool.acquire();
+    assert.strictEqual(state.connects, 1);
+    assert.notStrictEqual(a, b);
+
+    // A third worker waits for a page to come back
+    let third = null;
+    const waiting = pool.acquire().then(p => { third = p; });
+    await new Promise(r => setImmediate(r));
+    assert.strictEqual(third, null);
+    assert.strictEqual(pool.stats().waiting, 1);
+
+    pool.release(a);
+    await waiting;
+    assert.strictEqual(third, a);
+    assert.strictEqual(state.pages, 2);
+  });
+
+  it('replaces discarded pages and closes everything', async () => {
+    const { state, connect } = fakeBrowser();
+    const pool = createPagePool({ size: 1, connect });
+    const page = await pool.acquire();
+    const next = pool.acquire();
+    await pool.discard(page);
+    const replacement = await next;
+    assert.notStrictEqual(replacement, page);
+    assert.strictEqual(state.pages, 2);
+
+    pool.release(replacement);
+    await pool.close();
+    assert.strictEqual(state.closedPages, 2);
+    assert.strictEqual(state.browserClosed, true);
+  });
+
+  it('retries the connection after a failed connect', async () => {
+    let attempts = 0;
+    const pool = createPagePool({
+      connect: async () => {
+        if (++attempts === 1) throw new Error('ECONNREFUSED');
+        return { browser: { close: async () => {} }, context: { newPage: async () => ({ close: async () => {} }) } };
+      },
+    });
+    await assert.rejects(() => pool.acquire(), /ECONNREFUSED/);
+    assert.ok(await pool.acquire());
+    assert.strictEqual(pool.stats().open, 1);
+  });
+});
+
+describe('block detection', () => {
+  let blocks;
+
+  before(async () => {
+    blocks = await import('./blocks.js');
+  });
+
+  it('classifies search pages', () => {
+    const { detectSearchBlock } = blocks;
+    assert.strictEqual(detectSearchBlock({ status: 429, resultCount: 0 }).status, 'rate_limited');
+    assert.strictEqual(detectSearchBlock({ status: 200, html: '<div class="anomaly-modal">Unfortunately, bots use DuckDuckGo too.</div>', resultCount: 0 }).status, 'blocked');
+    assert.strictEqual(detectSearchBlock({ status: 200, html: '<h1>Too Many Requests</h1>', resultCount: 0 }).status, 'rate_limited');
+    assert.strictEqual(detectSearchBlock({ status: 403, html: '', resultCount: 0 }).status, 'blocked');
+    assert.strictEqual(detectSearchBlock({ status: 200, html: '<div class="new-layout">...</div>', resultCount: 0 }).status, 'parse_error');
+  });
+
+  it('accepts real empty and non-empty result pages', () => {
+    const { detectSearchBlock } = blocks;
+    assert.strictEqual(detectSearchBlock({ status: 200, html: '<div class="no-results-message">No results found for "x"</div>', resultCount: 0 }), null);
+    assert.strictEqual(detectSearchBlock({ status: 200, resultCount: 8 }), null);
+  });
+
+  it('classifies LinkedIn company pages', () => {
+    const { detectLinkedInBlock } = blocks;
+    assert.strictEqual(detectLinkedInBlock({ status: 999 }).status, 'rate_limited');
+    assert.strictEqual(detectLinkedInBlock({ url: 'https://www.linkedin.com/authwall?trk=x', status: 200 }).status, 'authwall');
+    assert.strictEqual(detectLinkedInBlock({ status: 200, html: '<p>Sign in to see who you already know</p>' }).status, 'authwall');
+    assert.strictEqual(
+      detectLinkedInBlock({ status: 200, html: '<script type="application/ld+json">{}</script><script>authwall</script>' }),
+      null,
+      'readable page that only mentions the authwall in scripts'
+    );
+  });
+
+  it('enrich records the block status of a failed provider', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { enrich, enrichmentStatus } = await import('./index.js');
+    const { createBrowserProvider } = await import('./providers.js');
+    const browser = createBrowserProvider({
+      enrichWithBrowser: async () => { throw blocks.blockError({ status: 'blocked', reason: 'challenge page' }, 'search'); },
+    });
+
+    const result = await enrich({ name: 'Alpha Pay' }, { providers: [browser] });
+    assert.strictEqual(result.providers[0].status, 'blocked');
+    assert.strictEqual(enrichmentStatus(result), 'blocked');
+  });
+
+  it('enrichmentStatus prefers contacts and otherwise reports no_contacts', async () => {
+    const { enrichmentStatus } = await import('./index.js');
+    assert.strictEqual(enrichmentStatus({ contacts: [{ name: 'A' }], providers: [{ status: 'rate_limited' }] }), 'enriched');
+    assert.strictEqual(enrichmentStatus({ contacts: [], providers: [{ ok: true }] }), 'no_contacts');
+    assert.strictEqual(enrichmentStatus({ contacts: [], providers: [{ ok: false, error: 'timeout' }, { status: 'parse_error' }] }), 'parse_error');
+  });
+});
+
+describe('search backends', () => {
+  let search;
+  let server;
+  let baseUrl;
+  let requests;
+  let replies;
+
+  before(async () => {
+    search = await import('./search.js');
+    server = createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      const reply = replies.shift() || { status: 200, body: {} };
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body));
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    requests = [];
+    replies = [];
+  });
+
+  const ddgHtml = `
+    <div class="result results_links results_links_deep web-result">
+      <h2 class="result__title"><a class="result__a" href="//duckduckgo.com/l/?uddg=https%3A%2F%2Fsg.linkedin.com%2Fin%2Fjanechen&rut=abc">Jane Chen - Chief Compliance Officer - Alpha Pay | LinkedIn</a></h2>
+      <a class="result__snippet">Chief Compliance Officer at <b>Alpha Pay</b>.</a>
+    </div>
+    <div class="result result--ad"><a class="result__a" href="https://duckduckgo.com/y.js?ad">Ad</a></div>
+    <div class="result"><a class="result__a" href="https://www.linkedin.com/company/alphapay">Alpha Pay | LinkedIn</a></div>`;
+
+  const bingHtml = `
+    <ol id="b_results">
+      <li class="b_algo"><h2><a href="https://www.bing.com/ck/a?!&&p=x&u=a1${Buffer.from('https://sg.linkedin.com/in/janechen').toString('base64url')}&ntb=1">Jane Chen - CCO - Alpha Pay | LinkedIn</a></h2>
+        <div class="b_caption"><p>Chief Compliance Officer at Alpha Pay · Singapore</p></div></li>
+      <li class="b_ans">Related searches</li>
+    </ol>`;
+
+  it('parses DuckDuckGo HTML results and unwraps redirect links', () => {
+    const { items, containers } = search.parseDuckDuckGoHtml(ddgHtml);
+    assert.strictEqual(containers, 2, 'ads are not counted');
+    assert.deepStrictEqual(items, [
+      { title: 'Jane Chen - Chief Compliance Officer - Alpha Pay | LinkedIn', url: 'https://sg.linkedin.com/in/janechen', snippet: 'Chief Compliance Officer at Alpha Pay.' },
+      { title: 'Alpha Pay | LinkedIn', url: 'https://www.linkedin.com/company/alphapay', snippet: '' },
+    ]);
+  });
+
+  it('parses Bing results and decodes click-tracking links', () => {
+    const { items, containers } = search.parseBingHtml(bingHtml);
+    assert.strictEqual(containers, 1);
+    assert.deepStrictEqual(items, [
+      { title: 'Jane Chen - CCO - Alpha Pay | LinkedIn', url: 'https://sg.linkedin.com/in/janechen', snippet: 'Chief Compliance Officer at Alpha Pay · Singapore' },
+    ]);
+  });
+
+  it('page backends report drifted markup and challenge pages as blocks', async () => {
+    const fakePage = html => ({ goto: async () => ({ status: () => 200 }), content: async () => html });
+    const ddg = search.createDuckDuckGoBackend();
+    assert.strictEqual((await ddg.search('alpha', { getPage: async () => fakePage(ddgHtml) })).length, 2);
+    await assert.rejects(() => ddg.search('alpha', { getPage: async () => fakePage('<div class="serp-v2"></div>') }), { enrichStatus: 'parse_error', source: 'duckduckgo' });
+    assert.deepStrictEqual(await ddg.search('alpha', { getPage: async () => fakePage('<div class="no-results">No results.</div>') }), []);
+    const bing = search.createBingBackend();
+    await assert.rejects(() => bing.search('alpha', { getPage: async () => fakePage('<div id="b_captcha">Verify you are human</div>') }), { enrichStatus: 'blocked' });
+  });
+
+  it('Brave and SearXNG call their JSON APIs', async () => {
+    replies.push(
+      { status: 200, body: { web: { results: [{ title: 'Jane Chen - <strong>Alpha Pay</strong>', url: 'https://sg.linkedin.com/in/janechen', description: 'CCO at <strong>Alpha Pay</strong>' }] } } },
+      { status: 200, body: { results: [{ title: 'Alpha Pay | LinkedIn', url: 'https://www.linkedin.com/company/alphapay', content: 'Payments' }] } },
+    );
+    const brave = search.createBraveBackend({ apiKey: 'bk', apiBase: baseUrl });
+    const searxng = search.createSearxngBackend({ url: `${baseUrl}/` });
+
+    assert.deepStrictEqual(await brave.search('alpha pay'), [
+      { title: 'Jane Chen - Alpha Pay', url: 'https://sg.linkedin.com/in/janechen', snippet: 'CCO at Alpha Pay' },
+    ]);
+    assert.strictEqual(requests[0].url, '/res/v1/web/search?q=alpha+pay&count=20');
+    assert.strictEqual(requests[0].headers['x-subscription-token'], 'bk');
+
+    assert.strictEqual((await searxng.search('alpha pay'))[0].snippet, 'Payments');
+    assert.strictEqual(requests[1].url, '/search?q=alpha+pay&format=json');
+  });
+
+  it('API rate limits become rate_limited blocks', async () => {
+    replies.push({ status: 429, body: {} });
+    const brave = search.createBraveBackend({ apiKey: 'bk', apiBase: baseUrl });
+    await assert.rejects(() => brave.search('alpha'), { enrichStatus: 'rate_limited', source: 'brave' });
+  });
+
+  it('createSearchBackends skips unconfigured APIs and rejects unknown names', () => {
+    assert.deepStrictEqual(search.createSearchBackends({}, search.DEFAULT_SEARCH_BACKENDS).map(b => b.name), ['duckduckgo', 'bing']);
+    assert.deepStrictEqual(
+      search.createSearchBackends({ SEARXNG_URL: 'http://searx', BRAVE_API_KEY: 'k' }, ['brave', 'searxng']).map(b => b.name),
+      ['brave', 'searxng']
+    );
+    assert.throws(() => search.createSearchBackends({}, ['google']), /Unknown search backend "google"/);
+  });
+
+  it('the chain fails over and cools down a blocked backend', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { blockError } = await import('./blocks.js');
+    let clock = 0;
+    const calls = [];
+    const backend = (name, fn) => ({ name, search: async q => { calls.push(name); return fn(q); } });
+    const chain = search.createSearchChain([
+      backend('duckduckgo', () => { throw blockError({ status: 'blocked', reason: 'challenge page' }, 'duckduckgo'); }),
+      backend('bing', () => { throw new Error('net::ERR_TIMED_OUT'); }),
+      backend('brave', q => [{ title: q, url: 'https://x', snippet: '' }]),
+    ], { now: () => clock, sleep: async ms => { clock += ms; } });
+
+    assert.strictEqual((await chain.search('alpha'))[0].title, 'alpha');
+    assert.deepStrictEqual(calls, ['duckduckgo', 'bing', 'brave']);
+
+    // DuckDuckGo sits out its cooldown; the timed-out Bing is tried again
+    await chain.search('beta');
+    assert.deepStrictEqual(calls.slice(3), ['bing', 'brave']);
+    assert.ok(chain.status()[0].coolingDownMs > 0);
+
+    clock += 20 * 60 * 1000;
+    await chain.search('gamma');
+    assert.strictEqual(calls[5], 'duckduckgo');
+  });
+
+  it('the chain rethrows the last block when every backend fails', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { blockError } = await import('./blocks.js');
+    const chain = search.createSearchChain([
+      { name: 'duckduckgo', search: async () => { throw blockError({ status: 'parse_error', reason: 'no result selectors matched' }, 'duckduckgo'); } },
+    ]);
+    await assert.rejects(() => chain.search('alpha'), { enrichStatus: 'parse_error' });
+  });
+});
+
+describe('browser connect', () => {
+  let connect;
+
+  before(async () => {
+    ({ connect } = await import('./scraper.js'));
+  });
+
+  const fakeChromium = (calls, { cdp = false } = {}) => ({
+    connectOverCDP: async () => {
+      calls.push('cdp');
+      if (!cdp) throw new Error('connect ECONNREFUSED 127.0.0.1:9222');
+      return { contexts: () => ['existing'] };
+    },
+    launch: async (opts) => {
+      calls.push(['launch', opts.headless, opts.executablePath]);
+      return { version: () => '131.0.0.0', newContext: async ctx => ({ userAgent: ctx.userAgent }) };
+    },
+  });
+
+  it('auto mode attaches over CDP when Chrome is running', async () => {
+    const calls = [];
+    const { context } = await connect({ mode: 'auto', browserType: fakeChromium(calls, { cdp: true }) });
+    assert.strictEqual(context, 'existing');
+    assert.deepStrictEqual(calls, ['cdp']);
+  });
+
+  it('auto mode launches headless Chromium when CDP is unavailable', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const calls = [];
+    const { context } = await connect({ mode: 'auto', executablePath: '/usr/bin/chromium', browserType: fakeChromium(calls) });
+    assert.deepStrictEqual(calls, ['cdp', ['launch', true, '/usr/bin/chromium']]);
+    assert.match(context.userAgent, /Chrome\/131\.0\.0\.0/);
+    assert.doesNotMatch(context.userAgent, /Headless/);
+  });
+
+  it('cdp mode does not fall back', async () => {
+    const calls = [];
+    await assert.rejects(() => connect({ mode: 'cdp', browserType: fakeChromium(calls) }), /ECONNREFUSED/);
+    assert.deepStrictEqual(calls, ['cdp']);
+  });
+});
+
+describe('contact confidence', () => {
+  let confidence;
+  const now = new Date('2026-10-01T00:00:00Z');
+
+  before(async () => {
+    confidence = await import('./confidence.js');
+  });
+
+  it('grades employer matches', () => {
+    const { employerMatchStrength } = confidence;
+    assert.strictEqual(employerMatchStrength('Alpha Pay Pte Ltd', 'ALPHA PAY PTE. LTD.'), 1);
+    assert.strictEqual(employerMatchStrength('AlphaPay Group', 'Alphapay Holdings Pte Ltd'), 0.7);
+    assert.strictEqual(employerMatchStrength('JPMorgan', 'Apollo Management'), 0);
+    assert.strictEqual(employerMatchStrength(null, 'Apollo Management'), null);
+  });
+
+  it('reads recency hints from snippets', () => {
+    const { recencyHint } = confidence;
+    assert.strictEqual(recencyHint('Chief Compliance Officer · Jan 2022 - Present', now).hint, 'current');
+    assert.strictEqual(recencyHint('Former MLRO at Alpha Pay', now).hint, 'past');
+    assert.strictEqual(recencyHint('Joined Alpha Pay in 2025 as MLRO', now).hint, 'recent');
+    assert.strictEqual(recencyHint('MLRO at Alpha Pay 2016 – 2019', now).hint, 'dated');
+    assert.deepStrictEqual(recencyHint('', now), { hint: null, score: 0.5 });
+  });
+
+  it('scores agreeing sources above a single snippet and flags weak contacts', () => {
+    const company = 'Alpha Pay Pte. Ltd.';
+    const [strong, weak] = confidence.scoreContacts([
+      {
+        name: 'Jane Chen', title: 'Chief Compliance Officer',
+        evidence: [
+          { source: 'linkedin', url: 'https://sg.linkedin.com/in/janechen', snippet: 'CCO · 2023 - Present', employer: 'Alpha Pay' },
+          { source: 'website', url: 'https://alphapay.sg/team', snippet: 'Jane Chen — Chief Compliance Officer' },
+          { source: 'apollo', url: 'https://sg.linkedin.com/in/janechen', snippet: 'Chief Compliance Officer at Alpha Pay', employer: 'Alpha Pay' },
+        ],
+      },
+      {
+        name: 'Tom Lee', title: 'Compliance Analyst',
+        evidence: [{ source: 'serp', url: 'https://sg.linkedin.com/in/tomlee', snippet: 'Formerly compliance analyst at Alpha Pay' }],
+      },
+    ], company, { now });
+
+    assert.deepStrictEqual(strong.confidenceFactors, { employer: 1, title: 1, recency: 1, agreement: 1 });
+    assert.strictEqual(strong.confidence, 1);
+    assert.strictEqual(strong.lowConfidence, false);
+    assert.strictEqual(strong.evidence.length, 3);
+
+    assert.ok(weak.confidence < 0.4, `weak contact scored ${weak.confidence}`);
+    assert.strictEqual(weak.lowConfidence, true);
+  });
+
+  it('drops duplicate evidence and trims long snippets', () => {
+    const item = { source: 'serp', url: 'https://x', snippet: 'a'.repeat(500) };
+    const merged = confidence.mergeEvidence([item], [item]);
+    assert.strictEqual(merged.length, 1);
+    assert.strictEqual(merged[0].snippet.length, 300);
+  });
+
+  it('keys evidence on source and URL and keeps the longest snippet', () => {
+    const merged = confidence.mergeEvidence(
+      [{ source: 'serp', url: 'https://x', snippet: 'Jane Chen - CCO', employer: 'Alpha Pay' }],
+      [{ source: 'serp', url: 'https://x', snippet: 'Jane Chen - CCO at Alpha Pay, 2023 - Present' }, { source: 'website', url: 'https://x', snippet: 'Jane' }],
+    );
+    assert.deepStrictEqual(merged, [
+      { source: 'serp', url: 'https://x', snippet: 'Jane Chen - CCO at Alpha Pay, 2023 - Present', employer: 'Alpha Pay' },
+      { source: 'website', url: 'https://x', snippet: 'Jane' },
+    ]);
+  });
+
+  it('records search evidence with where the employer came from', async () => {
+    const { findComplianceContacts } = await import('./scraper.js');
+    const results = [
+      { title: 'Jane Chen - CCO - Alpha Pay | LinkedIn', url: 'https://sg.linkedin.com/in/janechen?trk=x', snippet: 'Singapore · 2023 - Present' },
+      { title: 'Ahmad Razak | LinkedIn', url: 'https://sg.linkedin.com/in/ahmad', snippet: 'MLRO at Alpha Pay. Singapore.' },
+    ];
+    const contacts = await findComplianceContacts(null, 'Alpha Pay Pte. Ltd.', async () => results);
+    assert.deepStrictEqual(contacts.map(c => c.evidence[0].source), ['linkedin', 'serp']);
+    assert.strictEqual(contacts[0].evidence[0].url, 'https://sg.linkedin.com/in/janechen');
+    assert.strictEqual(contacts[1].evidence[0].employer, 'Alpha Pay');
+    assert.match(contacts[0].evidence[0].query, /site:linkedin\.com\/in/);
+  });
+
+  it('enrich merges evidence across providers into the confidence score', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { enrich } = await import('./index.js');
+    const provider = (name, contact) => ({ name, paid: false, search: async () => ({ contacts: [contact], companyInfo: null, credits: 0 }) });
+    const result = await enrich({ name: 'Alpha Pay Pte. Ltd.' }, {
+      providers: [
+        provider('browser', { name: 'Jane Chen', title: 'Chief Compliance Officer', linkedInUrl: 'https://sg.linkedin.com/in/janechen', source: 'ddg-serp',
+          evidence: [{ source: 'linkedin', url: 'https://sg.linkedin.com/in/janechen', snippet: '', employer: 'Alpha Pay' }] }),
+        provider('apollo', { name: 'Jane Chen', title: 'Chief Compliance Officer', linkedInUrl: 'https://sg.linkedin.com/in/janechen', source: 'apollo',
+          evidence: [{ source: 'apollo', url: 'https://sg.linkedin.com/in/janechen', snippet: 'Chief Compliance Officer at Alpha Pay', employer: 'Alpha Pay' }] }),
+      ],
+      resolveMx: async () => false,
+    });
+    const [jane] = result.contacts;
+    assert.deepStrictEqual(jane.evidence.map(e => e.source), ['linkedin', 'apollo']);
+    assert.strictEqual(jane.confidenceFactors.agreement, 0.6);
+    assert.ok(jane.confidence > 0.7);
+  });
+});
+
+describe('pipeline checkpoint', () => {
+  let pipeline;
+  let getInstitutionId;
+
+  before(async () => {
+    pipeline = await import('../pipeline.js');
+    ({ getInstitutionId } = await import('../shared/identity.js'));
+  });
+
+  it('a resumed run retries the companies that were blocked', () => {
+    const targets = [
+      { name: 'Alpha Pay Pte. Ltd.' },
+      { name: 'Beta Capital Pte. Ltd.' },
+      { name: 'Gamma Exchange Pte. Ltd.' },
+      { name: 'Delta Remit Pte. Ltd.' },
+      { name: 'Epsilon Trust Pte. Ltd.' },
+    ];
+
+    // First run: one enriched, then three blocked in a row — the run pauses before the last
+    const checkpoint = { done: [] };
+    const statuses = ['enriched', 'blocked', 'rate_limited', 'parse_error'];
+    statuses.forEach((status, i) => pipeline.markDone(checkpoint, getInstitutionId(targets[i]), status));
+
+    assert.deepStrictEqual(checkpoint.done, [getInstitutionId(targets[0])]);
+    assert.deepStrictEqual(
+      pipeline.resumeTargets(targets, checkpoint).map(t => t.name),
+      ['Beta Capital Pte. Ltd.', 'Gamma Exchange Pte. Ltd.', 'Delta Remit Pte. Ltd.', 'Epsilon Trust Pte. Ltd.']
+    );
+  });
+
+  it('no_contacts and failed companies count as done', () => {
+    const checkpoint = { done: [] };
+    pipeline.markDone(checkpoint, 'a', 'no_contacts');
+    pipeline.markDone(checkpoint, 'b', 'failed');
+    assert.deepStrictEqual(checkpoint.done, ['a', 'b']);
+  });
+});
@@ -4,11 +4,33 @@
  * 输入：新获牌公司名称
  * 输出：决策层联系人 + 公司背景
  *
- * 优先使用 browser-based scraping（Google SERP + 公司网站），
- * CDP 不可用时 fallback 到 mock 数据。
+ * 联系人来源（providers.js）：
+ *   browser  浏览器抓取（SERP + LinkedIn + 公司网站），始终启用
+ *   apollo   Apollo.io 人员搜索，设置 APOLLO_API_KEY 后启用
+ *   hunter   Hunter.io 域名邮箱搜索，设置 HUNTER_API_KEY 后启用
+ * 付费来源按月额度计费，额度用完自动跳过；多个来源的结果按联系人合并。
+ * 合并后由 email.js 补全邮箱：网站公开地址 → 推断的地址格式 → 常见格式猜测。
+ * 浏览器抓取结果按查询 / URL 缓存（cache.js），未过期的不重新抓取。
+ * 联系人按职位分类打分排序（titles.js），并附带置信度与证据来源（confidence.js）。
  */
 
-import { enrichWithBrowser } from './scraper.js';
+import {
+  createBrowserProvider,
+  createApolloProvider,
+  createHunterProvider,
+  createUsageTracker,
+  getProviderConfig,
+  mergeContacts,
+  mergeCompanyInfo,
+} from './providers.js';
+import { discoverEmails } from './email.js';
+import { createEnrichmentCache } from './cache.js';
+import { BLOCK_STATUSES } from './blocks.js';
+import { parseTitle, scoreTitle, priorityFromScore, getTitleWeights } from './titles.js';
+import { scoreContacts } from './confidence.js';
+
+// 付费来源每次调用前预留的额度（单次调用最多消耗 1 个）
+const RESERVED_CREDITS = 1;
 
 const COMPLIANCE_TITLES = [
   'Chief Compliance Officer',
@@ -22,104 +44,136 @@ const COMPLIANCE_TITLES = [
   'Compliance Director',
 ];
 
-const MOCK_CONTACTS = {
-  _default: [
-    { name: 'Jane Chen', title: 'Chief Compliance Officer', email: 'jane.chen@example.com', linkedInUrl: 'https://linkedin.com/in/janechen' },
-    { name: 'Ahmad Razak', title: 'MLRO', email: 'ahmad.r@example.com', linkedInUrl: 'https://linkedin.com/in/ahmadrazak' },
-    { name: 'Sarah Tan', title: 'Head of Compliance', email: 'sarah.t@example.com', linkedInUrl: 'https://linkedin.com/in/sarahtan' },
-  ],
-};
-
-const MOCK_COMPANY_INFO = {
-  _default: {
-    headcount: 85,
-    fundingStage: 'Series A',
-    techStack: ['Python', 'AWS', 'PostgreSQL'],
-    recentNews: ['Obtained MAS CMS license in Feb 2026'],
-  },
-};
-
 /**
  * 对联系人按决策层优先级排序
+ * 职位解析为职能 / 级别 / 范围（titles.js），按可配置权重打分；分类结果随联系人保存
  * @param {Array} contacts
- * @returns {Array}
+ * @param {object} [weights] - 默认读取配置 enricher.titleWeights
+ * @returns {Array} 每个联系人附加 classification、score、priority（1 最优先，99 为无关职位），按 score 从高到低
  */
-function rankContacts(contacts) {
-  const titlePriority = {
-    'Chief Compliance Officer': 1,
-    'CCO': 1,
-    'MLRO': 2,
-    'Money Laundering Reporting Officer': 2,
-    'Head of Compliance': 3,
-    'VP Compliance': 4,
-    'Vice President Compliance': 4,
-    'Director of Compliance': 5,
-    'Compliance Director': 5,
-  };
-
+function rankContacts(contacts, weights = getTitleWeights()) {
   return contacts
     .map(c => {
-      const priority = Object.entries(titlePriority)
-        .find(([key]) => c.title?.toLowerCase().includes(key.toLowerCase()));
-      return { ...c, priority: priority ? priority[1] : 99 };
+      const classification = parseTitle(c.title);
+      const score = scoreTitle(classification, weights);
+      return { ...c, classification, score, priority: priorityFromScore(score) };
     })
-    .sort((a, b) => a.priority - b.priority);
+    .sort((a, b) => b.score - a.score);
 }
 
 /**
- * 通过浏览器搜索公司联系人（Google SERP + 公司网站）
- * @param {string} companyName
- * @returns {Promise<Array>}
+ * 按环境变量启用联系人来源；配置 enricher.providers.<name>.enabled = false 可停用
+ * @param {object} [env]
+ * @param {{ cache?: object, pool?: object }} [opts] - 浏览器抓取使用的缓存与页面池
+ * @returns {Array<{ name: string, paid: boolean, search: Function }>}
  */
-async function searchContacts(companyName) {
-  console.log(`[enricher] 搜索联系人: ${companyName}`);
-  // Browser-based search is handled in enrich() flow
-  // This function provides mock fallback for direct calls
-  return MOCK_CONTACTS[companyName] || MOCK_CONTACTS._default;
-}
-
-/**
- * 补全公司背景信息
- * @param {string} companyName
- * @param {string} website
- * @returns {Promise<object>}
- */
-async function enrichCompany(companyName, website) {
-  console.log(`[enricher] 补全公司信息: ${companyName}`);
-  // Browser-based enrichment is handled in enrich() flow
-  return MOCK_COMPANY_INFO[companyName] || MOCK_COMPANY_INFO._default;
+function getProviders(env = process.env, opts = {}) {
+  const config = getProviderConfig();
+  const providers = [createBrowserProvider({ cache: opts.cache, pool: opts.pool })];
+  if (env.APOLLO_API_KEY) {
+    providers.push(createApolloProvider({ apiKey: env.APOLLO_API_KEY, apiBase: env.APOLLO_API_BASE, titles: COMPLIANCE_TITLES }));
+  }
+  if (env.HUNTER_API_KEY) {
+    providers.push(createHunterProvider({ apiKey: env.HUNTER_API_KEY, apiBase: env.HUNTER_API_BASE }));
+  }
+  return providers.filter(p => config[p.name]?.enabled !== false);
 }
 
 /**
  * 完整的 enrich 流程
- * 优先使用浏览器抓取，CDP 连接失败时 fallback 到 mock
+ * 依次调用各联系人来源，单个来源失败或额度用完不影响其他来源
  *
  * @param {{ name: string, website: string, address?: string, licenseTypes?: string[] }} company
- * @returns {Promise<{ contacts: Array, companyInfo: object }>}
+ * @param {{ providers?: Array, usage?: ReturnType<typeof createUsageTracker>, cache?: ReturnType<typeof createEnrichmentCache>, pool?: object, resolveMx?: Function }} [opts]
+ *   pool: 并行 enrich 时共享的浏览器页面池（pool.js）
+ * @returns {Promise<{ contacts: Array, companyInfo: object|null, verifiedAt: object, issues: Array, providers: Array<{ name: string, ok: boolean, contacts?: number, credits?: number, skipped?: string, error?: string, status?: string }> }>}
+ *   verifiedAt: contacts 及 companyInfo 各字段的数据抓取时间；issues: 非致命的拦截（如 LinkedIn authwall）
+ *   providers[].status: 来源被拦截时的状态（blocked / rate_limited / parse_error）
  */
-async function enrich(company) {
-  try {
-    console.log(`[enricher] 尝试浏览器抓取: ${company.name}`);
-    const result = await enrichWithBrowser(company);
-    const contactCount = result.contacts.length;
+async function enrich(company, opts = {}) {
+  const providers = opts.providers || getProviders(process.env, { cache: opts.cache || createEnrichmentCache(), pool: opts.pool });
+  const startedAt = new Date().toISOString();
+  const usage = opts.usage || createUsageTracker();
+  const results = [];
+  const runs = [];
 
-    if (contactCount > 0) {
-      console.log(`[enricher] 浏览器抓取成功: ${contactCount} 个联系人`);
-    } else {
-      console.log('[enricher] 浏览器抓取无联系人结果');
+  for (const provider of providers) {
+    // 付费来源先预留额度再调用，并行 worker 不会同时通过额度检查而超额
+    if (provider.paid && !usage.reserve(provider.name, RESERVED_CREDITS)) {
+      console.log(`[enricher] ${provider.name} 本月额度已用完，跳过`);
+      runs.push({ name: provider.name, ok: false, skipped: 'quota' });
+      continue;
     }
+    let reserved = provider.paid;
+    try {
+      console.log(`[enricher] ${provider.name}: ${company.name}`);
+      const result = await provider.search(company);
+      if (reserved) {
+        usage.record(provider.name, result.credits || 0, RESERVED_CREDITS);
+        reserved = false;
+      }
+      console.log(`[enricher] ${provider.name} 找到 ${result.contacts.length} 个联系人`);
+      results.push(result);
+      runs.push({ name: provider.name, ok: true, contacts: result.contacts.length, credits: result.credits || 0 });
+    } catch (err) {
+      if (reserved) usage.release(provider.name, RESERVED_CREDITS);
+      console.log(`[enricher] ${provider.name} 不可用 (${err.message})`);
+      runs.push({ name: provider.name, ok: false, error: err.message, ...(err.enrichStatus ? { status: err.enrichStatus } : {}) });
+    }
+  }
 
-    return {
-      contacts: rankContacts(result.contacts),
-      companyInfo: result.companyInfo,
-    };
-  } catch (err) {
-    console.log(`[enricher] 浏览器不可用 (${err.message})`);
-    return {
-      contacts: [],
-      companyInfo: null,
-    };
+  const companyInfo = mergeCompanyInfo(results.map(r => r.companyInfo));
+  const discovered = await discoverEmails(mergeContacts(results.map(r => r.contacts)), {
+    website: company.website,
+    emails: results.flatMap(r => r.emails || []),
+    people: results.flatMap(r => r.people || []),
+    patternHint: companyInfo?.emailPattern,
+    resolveMx: opts.resolveMx,
+  });
+  if (discovered.pattern) console.log(`[enricher] 邮箱格式: ${discovered.pattern}@${discovered.domain}`);
+
+  const mergedInfo = companyInfo && {
+    ...companyInfo,
+    ...(discovered.pattern ? { emailPattern: discovered.pattern } : {}),
+    ...(discovered.emails.length > 0 ? { emails: discovered.emails } : {}),
+  };
+
+  // 字段取自哪个来源，就用该来源的抓取时间；缓存外的数据视为刚刚抓取
+  const verifiedAt = {};
+  const withContacts = results.filter(r => r.contacts.length > 0);
+  if (withContacts.length > 0) {
+    verifiedAt.contacts = withContacts.map(r => r.verifiedAt?.contacts || startedAt).sort()[0];
+  }
+  for (const field of Object.keys(mergedInfo || {})) {
+    const source = results.find(r => r.companyInfo?.[field] !== undefined && r.companyInfo?.[field] !== null)
+      || results.find(r => r.verifiedAt?.[field]);
+    verifiedAt[field] = source?.verifiedAt?.[field] || startedAt;
   }
+
+  return {
+    contacts: rankContacts(scoreContacts(discovered.contacts, company.name)),
+    companyInfo: mergedInfo,
+    verifiedAt,
+    issues: results.flatMap(r => r.issues || []),
+    providers: runs,
+  };
+}
+
+/**
+ * enrich 结果的记录状态：有联系人为 enriched；没有联系人时，若有来源被拦截则记为拦截状态
+ * （blocked / rate_limited / parse_error），以免与真正的 no_contacts 混淆
+ * @param {{ contacts: Array, providers?: Array<{ status?: string }> }} result
+ * @returns {string}
+ */
+function enrichmentStatus(result) {
+  if (result.contacts.length > 0) return 'enriched';
+  const blocked = (result.providers || []).find(p => BLOCK_STATUSES.includes(p.status));
+  return blocked ? blocked.status : 'no_contacts';
 }
 
-export { enrich, searchContacts, rankContacts, enrichCompany, MOCK_CONTACTS, MOCK_COMPANY_INFO };
+export {
+  enrich,
+  enrichmentStatus,
+  getProviders,
+  rankContacts,
+};
@@ -0,0 +1,90 @@
+/**
+ * Browser page pool — one browser connection (CDP or headless launch) shared by up to `size` pages
+ *
+ * Workers acquire a page, use it for one company and release it; the pool
+ * connects lazily on the first acquire, so a run served entirely from the
+ * enrichment cache never starts a browser.
+ */
+
+import { connect as connectBrowser } from './scraper.js';
+
+/**
+ * @param {{ size?: number, connect?: () => Promise<{ browser: object, context: object }> }} [opts]
+ * @returns {{ acquire: () => Promise<object>, release: (page: object) => void, discard: (page: object) => Promise<void>, close: () => Promise<void>, stats: () => { open: number, idle: number, waiting: number } }}
+ */
+function createPagePool(opts = {}) {
+  const size = Math.max(1, opts.size || 1);
+  const connect = opts.connect || connectBrowser;
+  const idle = [];
+  const waiters = [];
+  let connection = null;
+  let open = 0;
+
+  function getConnection() {
+    // A failed connect is not cached, so the next acquire tries again
+    connection ||= connect().catch(err => {
+      connection = null;
+      throw err;
+    });
+    return connection;
+  }
+
+  async function newPage() {
+    open++;
+    try {
+      const { context } = await getConnection();
+      return await context.newPage();
+    } catch (err) {
+      open--;
+      throw err;
+    }
+  }
+
+  /**
+   * An idle page, a new one while under `size`, or the next page released
+   * @returns {Promise<object>}
+   */
+  async function acquire() {
+    if (idle.length > 0) return idle.pop();
+    if (open < size) return newPage();
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  }
+
+  /**
+   * Return a page for reuse
+   * @param {object} page
+   */
+  function release(page) {
+    const waiter = waiters.shift();
+    if (waiter) waiter.resolve(page);
+    else idle.push(page);
+  }
+
+  /**
+   * Close a page that is no longer usable (crashed, stuck on a block page)
+   * @param {object} page
+   */
+  async function discard(page) {
+    open--;
+    await page.close().catch(() => {});
+    const waiter = waiters.shift();
+    if (waiter) newPage().then(waiter.resolve, waiter.reject);
+  }
+
+  /**
+   * Close every idle page and the browser connection
+   */
+  async function close() {
+    for (const page of idle.splice(0)) await page.close().catch(() => {});
+    if (connection) {
+      const { browser } = await connection.catch(() => ({}));
+      await browser?.close().catch(() => {});
+      connection = null;
+    }
+    open = 0;
+  }
+
+  return { acquire, release, discard, close, stats: () => ({ open, idle: idle.length, waiting: waiters.length }) };
+}
+
+export { createPagePool };
@@ -0,0 +1,379 @@
+/**
+ * Contact providers — browser SERP scraping, Apollo.io, Hunter.io
+ *
+ * Every provider has the same shape:
+ *   { name, paid, search(company) → Promise<{ contacts, companyInfo?, credits, emails?, people? }> }
+ *
+ * `company` is { name, website?, address?, licenseTypes? }. A contact is
+ * { name, title, email?, emailStatus?, emailConfidence?, linkedInUrl?, source, evidence? }
+ * where evidence lists what tied the person to the company (see confidence.js).
+ * `credits` is what the call cost against the provider's plan; free providers
+ * report 0. `emails` (addresses seen at the company) and `people` (other staff,
+ * { name, email? }) feed email pattern inference in email.js. `verifiedAt`
+ * maps contacts / companyInfo fields to when their data was fetched, for
+ * results served from the enrichment cache; fields without it are fresh.
+ * `issues` lists non-fatal blocks (see blocks.js). A provider whose own
+ * lookup was blocked throws an error carrying `enrichStatus`.
+ *
+ * Paid providers have a monthly credit quota, tracked in data/enricher-usage.json.
+ * Override quotas in mas-scout.config.json:
+ *   { "enricher": { "providers": { "apollo": { "monthlyCredits": 50 } } } }
+ *
+ * Results from several providers are merged per contact (same LinkedIn URL or
+ * same name): the first non-empty value wins, except that a verified email
+ * beats an unverified one.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { DATA_DIR, loadConfigFile } from '../shared/config.js';
+import { normalizeWebsite } from '../shared/identity.js';
+import { retry, parseRetryAfter } from '../shared/retry.js';
+import { enrichWithBrowser, normalizeCompanyName } from './scraper.js';
+
+const USAGE_FILE = join(DATA_DIR, 'enricher-usage.json');
+
+// Monthly credits per paid provider (null = unlimited)
+const DEFAULT_PROVIDER_QUOTAS = {
+  apollo: { monthlyCredits: 50 },
+  hunter: { monthlyCredits: 25 },
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Positions worth keeping from a domain-wide email list
+const RELEVANT_POSITION = /compliance|\bcco\b|mlro|money laundering|\baml\b|risk|legal|regulatory/i;
+
+// Email statuses that count as verified
+const VERIFIED_EMAIL = new Set(['verified', 'valid']);
+
+/**
+ * Fetch JSON and throw (with .status, and .retryAfterMs on 429) on a non-2xx response
+ * @param {string} url
+ * @param {{ method?: string, headers?: object, body?: object, timeoutMs?: number }} [opts]
+ * @returns {Promise<object>}
+ */
+async function requestJson(url, opts = {}) {
+  const resp = await fetch(url, {
+    method: opts.method || 'GET',
+    headers: { 'Content-Type': 'application/json', ...opts.headers },
+    body: opts.body ? JSON.stringify(opts.body) : undefined,
+    signal: AbortSignal.timeout(opts.timeoutMs || DEFAULT_TIMEOUT_MS),
+  });
+  if (!resp.ok) {
+    const body = await resp.text().catch(() => '');
+    const err = new Error(`HTTP ${resp.status} ${body.slice(0, 200)}`.trim());
+    err.status = resp.status;
+    const retryAfterMs = parseRetryAfter(resp.headers.get('retry-after'));
+    if (retryAfterMs !== null) err.retryAfterMs = retryAfterMs;
+    throw err;
+  }
+  return resp.json();
+}
+
+/**
+ * Browser-based SERP + LinkedIn + company website scraping (free; Chrome over CDP or headless Chromium)
+ * @param {{ cache?: object, pool?: object, enrichWithBrowser?: Function }} [opts]
+ *   cache: enrichment cache (cache.js); pool: page pool (pool.js); enrichWithBrowser: injectable for tests
+ */
+function createBrowserProvider(opts = {}) {
+  const run = opts.enrichWithBrowser || enrichWithBrowser;
+  return {
+    name: 'browser',
+    paid: false,
+    async search(company) {
+      const result = await run(company, { cache: opts.cache, pool: opts.pool });
+      return {
+        contacts: result.contacts,
+        companyInfo: result.companyInfo,
+        credits: 0,
+        emails: result.emails || [],
+        people: result.people || [],
+        verifiedAt: result.verifiedAt,
+        issues: result.issues || [],
+      };
+    },
+  };
+}
+
+/**
+ * Apollo.io people search — one credit per search request
+ * @param {{ apiKey: string, apiBase?: string, titles?: string[], perPage?: number, retries?: number, timeoutMs?: number }} opts
+ */
+function createApolloProvider(opts) {
+  const apiBase = opts.apiBase || 'https://api.apollo.io';
+  return {
+    name: 'apollo',
+    paid: true,
+    async search(company) {
+      const domain = normalizeWebsite(company.website);
+      const body = {
+        person_titles: opts.titles || [],
+        page: 1,
+        per_page: opts.perPage || 10,
+        ...(domain ? { q_organization_domains_list: [domain] } : { q_organization_name: normalizeCompanyName(company.name) }),
+      };
+      const data = await retry(() => requestJson(`${apiBase}/api/v1/mixed_people/search`, {
+        method: 'POST',
+        headers: { 'X-Api-Key': opts.apiKey },
+        body,
+        timeoutMs: opts.timeoutMs,
+      }), { retries: opts.retries ?? 2, baseDelayMs: 1000 });
+
+      const people = data.people || [];
+      const contacts = people.map(p => ({
+        name: p.name || `${p.first_name || ''} ${p.last_name || ''}`.trim(),
+        title: p.title || '',
+        // Locked emails come back as a placeholder address
+        email: p.email && !p.email.startsWith('email_not_unlocked') ? p.email : '',
+        emailStatus: p.email_status || null,
+        linkedInUrl: p.linkedin_url || '',
+        source: 'apollo',
+        evidence: [{
+          source: 'apollo',
+          url: p.linkedin_url || null,
+          snippet: [p.title, p.organization?.name].filter(Boolean).join(' at '),
+          employer: p.organization?.name || null,
+        }],
+      })).filter(c => c.name);
+
+      const org = people.find(p => p.organization)?.organization;
+      const companyInfo = org ? {
+        headcount: org.estimated_num_employees || null,
+        industry: org.industry || null,
+        linkedInUrl: org.linkedin_url || null,
+      } : null;
+
+      return { contacts, companyInfo, credits: 1 };
+    },
+  };
+}
+
+/**
+ * Hunter.io domain search — needs the company website; one credit per search that returns emails
+ * @param {{ apiKey: string, apiBase?: string, limit?: number, retries?: number, timeoutMs?: number }} opts
+ */
+function createHunterProvider(opts) {
+  const apiBase = opts.apiBase || 'https://api.hunter.io';
+  return {
+    name: 'hunter',
+    paid: true,
+    async search(company) {
+      const domain = normalizeWebsite(company.website);
+      if (!domain) return { contacts: [], companyInfo: null, credits: 0 };
+
+      const params = new URLSearchParams({ domain, limit: String(opts.limit || 20), api_key: opts.apiKey });
+      const { data } = await retry(() => requestJson(`${apiBase}/v2/domain-search?${params}`, {
+        timeoutMs: opts.timeoutMs,
+      }), { retries: opts.retries ?? 2, baseDelayMs: 1000 });
+
+      const emails = data?.emails || [];
+      const contacts = emails
+        .filter(e => e.first_name && RELEVANT_POSITION.test(e.position || ''))
+        .map(e => ({
+          name: `${e.first_name} ${e.last_name || ''}`.trim(),
+          title: e.position,
+          email: e.value,
+          emailStatus: e.verification?.status || null,
+          emailConfidence: typeof e.confidence === 'number' ? e.confidence / 100 : null,
+          linkedInUrl: e.linkedin ? (e.linkedin.startsWith('http') ? e.linkedin : `https://www.linkedin.com/in/${e.linkedin}`) : '',
+          source: 'hunter',
+          evidence: [{ source: 'hunter', url: e.sources?.[0]?.uri || null, snippet: `${e.position} — ${e.value}`, employer: null }],
+        }));
+
+      const companyInfo = data?.pattern ? { emailPattern: data.pattern, emailDomain: domain } : null;
+      return {
+        contacts,
+        companyInfo,
+        credits: emails.length > 0 ? 1 : 0,
+        // Every address on the domain, compliance or not, helps pattern inference
+        emails: emails.map(e => e.value),
+        people: emails.filter(e => e.first_name).map(e => ({ name: `${e.first_name} ${e.last_name || ''}`.trim(), email: e.value })),
+      };
+    },
+  };
+}
+
+/**
+ * Provider quotas: defaults merged with config enricher.providers
+ * @returns {Object<string, { monthlyCredits: number|null, enabled?: boolean }>}
+ */
+function getProviderConfig() {
+  const configured = loadConfigFile().enricher?.providers || {};
+  const names = new Set([...Object.keys(DEFAULT_PROVIDER_QUOTAS), ...Object.keys(configured)]);
+  return Object.fromEntries([...names].map(name => [name, { ...DEFAULT_PROVIDER_QUOTAS[name], ...configured[name] }]));
+}
+
+/**
+ * Monthly credit tracker backed by a JSON file: { [provider]: { [YYYY-MM]: { calls, credits } } }
+ * @param {{ file?: string, quotas?: Object<string, { monthlyCredits: number|null }>, now?: () => Date }} [opts]
+ */
+function createUsageTracker(opts = {}) {
+  const file = opts.file || USAGE_FILE;
+  const quotas = opts.quotas || getProviderConfig();
+  const now = opts.now || (() => new Date());
+  const month = () => now().toISOString().slice(0, 7);
+
+  function load() {
+    if (!existsSync(file)) return {};
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  }
+
+  /**
+   * This month's usage of a provider
+   * @param {string} name
+   * @returns {{ calls: number, credits: number }}
+   */
+  function used(name) {
+    return load()[name]?.[month()] || { calls: 0, credits: 0 };
+  }
+
+  /**
+   * Credits left this month (Infinity when the provider has no quota)
+   * @param {string} name
+   * @returns {number}
+   */
+  function remaining(name) {
+    const limit = quotas[name]?.monthlyCredits;
+    if (limit === null || limit === undefined) return Infinity;
+    return Math.max(0, limit - used(name).credits);
+  }
+
+  /**
+   * Apply a change to this month's entry of a provider and save
+   * @param {string} name
+   * @param {(entry: { calls: number, credits: number }) => void} change
+   */
+  function update(name, change) {
+    const usage = load();
+    change((usage[name] ||= {})[month()] ||= { calls: 0, credits: 0 });
+    const dir = join(file, '..');
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    writeFileSync(file, JSON.stringify(usage, null, 2));
+  }
+
+  /**
+   * Set credits aside before a paid call, so parallel workers cannot all pass
+   * the quota check and overshoot it. Check and write happen without yielding.
+   * @param {string} name
+   * @param {number} [credits]
+   * @returns {boolean} false when the quota cannot cover the call
+   */
+  function reserve(name, credits = 1) {
+    if (remaining(name) < credits) return false;
+    update(name, entry => { entry.credits += credits; });
+    return true;
+  }
+
+  /**
+   * Return reserved credits when the call failed
+   * @param {string} name
+   * @param {number} [credits]
+   */
+  function release(name, credits = 1) {
+    update(name, entry => { entry.credits = Math.max(0, entry.credits - credits); });
+  }
+
+  /**
+   * Record one call and the credits it cost
+   * @param {string} name
+   * @param {number} credits
+   * @param {number} [reserved] - credits already set aside by reserve()
+   */
+  function record(name, credits, reserved = 0) {
+    update(name, entry => {
+      entry.calls++;
+      entry.credits += credits - reserved;
+    });
+  }
+
+  return { used, remaining, reserve, release, record };
+}
+
+/**
+ * Merge key candidates for a contact: normalized LinkedIn profile URL and name.
+ * Names keep letters in any script ("陈伟", "José" → "jose"); a name with none gets no key.
+ * @param {{ name: string, linkedInUrl?: string }} contact
+ * @returns {string[]}
+ */
+function contactKeys(contact) {
+  const name = (contact.name || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  const keys = name ? [`name:${name}`] : [];
+  const url = (contact.linkedInUrl || '').toLowerCase().split('?')[0].replace(/\/+$/, '').replace(/^https?:\/\/([a-z]+\.)?linkedin\.com/, '');
+  if (url) keys.unshift(`li:${url}`);
+  return keys;
+}
+
+function isVerified(contact) {
+  return VERIFIED_EMAIL.has((contact.emailStatus || '').toLowerCase());
+}
+
+/**
+ * Merge contact lists from several providers (earlier lists take precedence)
+ * @param {Array<Array<object>>} lists
+ * @returns {Array<object>} contacts with a `sources` array
+ */
+function mergeContacts(lists) {
+  const merged = [];
+  const byKey = new Map();
+
+  for (const contact of lists.flat()) {
+    const keys = contactKeys(contact);
+    const existing = keys.map(k => byKey.get(k)).find(Boolean);
+    if (!existing) {
+      const entry = { ...contact, sources: [contact.source], evidence: [...(contact.evidence || [])] };
+      merged.push(entry);
+      for (const k of keys) byKey.set(k, entry);
+      continue;
+    }
+
+    for (const [field, value] of Object.entries(contact)) {
+      if (field === 'source' || field === 'evidence' || field.startsWith('email')) continue;
+      const current = existing[field];
+      if ((current === undefined || current === null || current === '' || current === 'Unknown Title') && value) {
+        existing[field] = value;
+      }
+    }
+    // A verified email beats an unverified one; otherwise the first email wins
+    if (contact.email && (!existing.email || (isVerified(contact) && !isVerified(existing)))) {
+      existing.email = contact.email;
+      existing.emailStatus = contact.emailStatus ?? null;
+      if (contact.emailConfidence !== undefined) existing.emailConfidence = contact.emailConfidence;
+    }
+    if (!existing.sources.includes(contact.source)) existing.sources.push(contact.source);
+    existing.evidence.push(...(contact.evidence || []));
+    for (const k of keys) if (!byKey.has(k)) byKey.set(k, existing);
+  }
+
+  return merged;
+}
+
+/**
+ * Merge company info objects field by field (earlier objects take precedence)
+ * @param {Array<object|null|undefined>} infos
+ * @returns {object|null}
+ */
+function mergeCompanyInfo(infos) {
+  const present = infos.filter(Boolean);
+  if (present.length === 0) return null;
+  const merged = {};
+  for (const info of present) {
+    for (const [field, value] of Object.entries(info)) {
+      if ((merged[field] === undefined || merged[field] === null) && value !== null && value !== undefined) {
+        merged[field] = value;
+      }
+    }
+  }
+  return merged;
+}
+
+export {
+  createBrowserProvider,
+  createApolloProvider,
+  createHunterProvider,
+  createUsageTracker,
+  getProviderConfig,
+  mergeContacts,
+  mergeCompanyInfo,
+  DEFAULT_PROVIDER_QUOTAS,
+};
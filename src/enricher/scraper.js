@@ -1,20 +1,51 @@
 /**
  * Browser-based enrichment scraper
  *
- * Uses DuckDuckGo SERP to find:
+ * Uses web search (search.js — DuckDuckGo, Bing, SearXNG, Brave, with failover) to find:
  * 1. Company LinkedIn page
  * 2. Compliance officers' LinkedIn profiles
- * 3. Company website team/about pages
+ * 3. Company website team/about/contact pages (incl. published email addresses)
  *
- * Connects to existing Chrome via CDP (port 9222).
- * No paid APIs, no LinkedIn login required.
+ * Connects to an existing Chrome via CDP (port 9222), or launches headless
+ * Chromium when nothing is listening there. No LinkedIn login required.
+ *
+ * Browser mode in mas-scout.config.json (env ENRICHER_BROWSER / CHROME_PATH override):
+ *   { "enricher": { "browser": { "mode": "auto", "executablePath": "/usr/bin/chromium" } } }
+ *   mode: auto (CDP, else launch) / cdp (CDP only) / launch (always headless)
  */
 
 import { chromium } from 'playwright-core';
+import { extractEmails } from './email.js';
+import { FIELD_SOURCES } from './cache.js';
+import { createRateLimiter } from '../shared/concurrency.js';
+import { backoffDelay } from '../shared/retry.js';
+import { loadConfigFile } from '../shared/config.js';
+import { detectLinkedInBlock, blockError, THROTTLE_STATUSES } from './blocks.js';
+import { createSearchBackends, createSearchChain } from './search.js';
+import { parseTitle } from './titles.js';
 
 const CDP_PORT = process.env.CDP_PORT || 9222;
+
+const DEFAULT_BROWSER_CONFIG = {
+  mode: 'auto',
+  executablePath: null,
+};
 const SEARCH_DELAY = 3000; // ms between searches to avoid rate limits
 
+// One limiter per process: parallel workers share the search budget (cached lookups don't count)
+const searchLimiter = createRateLimiter({ minIntervalMs: SEARCH_DELAY });
+
+// Search backends in configured order; each one sits out its own cooldown after a block
+let searchChain = null;
+
+// Pause after a LinkedIn challenge / rate-limit page: 1 min, doubling per consecutive block, up to 15 min
+const BLOCK_BACKOFF_MS = 60 * 1000;
+const MAX_BLOCK_BACKOFF_MS = 15 * 60 * 1000;
+let consecutiveBlocks = 0;
+
+// Team-page people kept as contacts (titles.js functions)
+const WEBSITE_CONTACT_FUNCTIONS = new Set(['compliance', 'aml', 'risk', 'legal']);
+
 // Legal suffixes to strip from company names for better search results
 const LEGAL_SUFFIXES = /\s*\b(PTE\.?\s*LTD\.?|PRIVATE\s+LIMITED|LIMITED|LTD\.?|INC\.?|CORP\.?|LLC|L\.?P\.?|S\.?A\.?|GMBH|PTY\.?\s*LTD\.?|CO\.?\s*LTD\.?)\s*\.?\s*$/i;
 
@@ -68,81 +99,125 @@ function resultMentionsCompany(title, snippet, companyName) {
 }
 
 /**
- * Connect to existing Chrome via CDP
+ * Browser settings: defaults merged with config enricher.browser and env overrides
+ * @param {object} [env]
+ * @returns {{ mode: 'auto'|'cdp'|'launch', executablePath: string|null }}
+ */
+function getBrowserConfig(env = process.env) {
+  const config = { ...DEFAULT_BROWSER_CONFIG, ...loadConfigFile().enricher?.browser };
+  if (env.ENRICHER_BROWSER) config.mode = env.ENRICHER_BROWSER;
+  if (env.CHROME_PATH) config.executablePath = env.CHROME_PATH;
+  if (!['auto', 'cdp', 'launch'].includes(config.mode)) {
+    throw new Error(`Unknown browser mode "${config.mode}" (expected auto, cdp or launch)`);
+  }
+  return config;
+}
+
+/**
+ * Connect to existing Chrome via CDP, or launch headless Chromium
+ * @param {{ mode?: string, executablePath?: string|null, browserType?: object }} [opts]
+ *   defaults from getBrowserConfig(); browserType: injectable for tests
+ * @returns {Promise<{browser: object, context: object}>}
+ */
+async function connect(opts = {}) {
+  const { mode, executablePath } = { ...getBrowserConfig(), ...opts };
+  const browserType = opts.browserType || chromium;
+
+  if (mode !== 'launch') {
+    try {
+      const browser = await browserType.connectOverCDP(`http://127.0.0.1:${CDP_PORT}`);
+      const contexts = browser.contexts();
+      const context = contexts[0] || await browser.newContext();
+      return { browser, context };
+    } catch (err) {
+      if (mode === 'cdp') throw err;
+      console.log(`[enricher/scraper] CDP 端口 ${CDP_PORT} 不可用，启动 headless Chromium`);
+    }
+  }
+
+  return launchHeadless(browserType, executablePath);
+}
+
+/**
+ * Launch headless Chromium with a regular desktop user agent — search engines
+ * challenge "HeadlessChrome" far more often
+ * @param {object} browserType - playwright chromium
+ * @param {string|null} executablePath - system Chrome/Chromium; null uses Playwright's download
  * @returns {Promise<{browser: object, context: object}>}
  */
-async function connect() {
-  const browser = await chromium.connectOverCDP(`http://127.0.0.1:${CDP_PORT}`);
-  const contexts = browser.contexts();
-  const context = contexts[0] || await browser.newContext();
+async function launchHeadless(browserType, executablePath) {
+  let browser;
+  try {
+    browser = await browserType.launch({
+      headless: true,
+      executablePath: executablePath || undefined,
+      args: ['--disable-blink-features=AutomationControlled'],
+    });
+  } catch (err) {
+    err.message = `${err.message}\nSet CHROME_PATH to a Chrome/Chromium binary, or run: npx playwright install chromium`;
+    throw err;
+  }
+  const userAgent = `Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${browser.version()} Safari/537.36`;
+  const context = await browser.newContext({ userAgent, locale: 'en-US' });
   return { browser, context };
 }
 
 /**
- * Search DuckDuckGo and extract results
- * (Google blocks cloud IPs with CAPTCHA; DDG works reliably)
+ * The process-wide search chain, built from the configured backends on first use
+ * @returns {ReturnType<typeof createSearchChain>}
+ */
+function getSearchChain() {
+  searchChain ||= createSearchChain(createSearchBackends());
+  return searchChain;
+}
+
+/**
+ * Search the web through the configured backends, falling back to the next on a block
  *
- * @param {object} page - Playwright page
+ * @param {object} page - Playwright page, for the browser backends
  * @param {string} query
  * @returns {Promise<Array<{title: string, url: string, snippet: string}>>}
+ * @throws {Error} with enrichStatus (blocks.js) when every backend was blocked or could not be parsed
  */
 async function webSearch(page, query) {
-  const url = `https://duckduckgo.com/?q=${encodeURIComponent(query)}`;
-
-  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
-
-  // Wait for results
-  await page.waitForSelector('[data-testid="result"], .react-results--main article, .result', { timeout: 10000 }).catch(() => {});
-  // Extra wait for JS rendering
-  await delay(2000);
-
-  const results = await page.evaluate(() => {
-    const items = [];
-
-    // DDG result container — try selectors in order, fallback if empty
-    let resultEls = document.querySelectorAll('[data-testid="result"]');
-    if (!resultEls.length) resultEls = document.querySelectorAll('.react-results--main article');
-    if (!resultEls.length) resultEls = document.querySelectorAll('li[data-layout="organic"]');
-
-    for (const el of resultEls) {
-      // Use data-testid selectors for the actual external links (not DDG internal links)
-      const titleLinkEl = el.querySelector('a[data-testid="result-title-a"]');
-      const urlLinkEl = el.querySelector('a[data-testid="result-extras-url-link"]');
-      const linkEl = titleLinkEl || urlLinkEl || el.querySelector('a[href^="http"]');
-
-      const titleEl = el.querySelector('h2, [data-testid="result-title"]');
-      const snippetEl = el.querySelector('[data-result="snippet"], span.kY2IgmnCmOGjharHErah, .result__snippet');
-
-      if (!linkEl) continue;
-
-      const href = linkEl.getAttribute('href');
-      // Skip DDG internal links and relative URLs
-      if (!href || !href.startsWith('http') || href.includes('duckduckgo.com')) continue;
+  return getSearchChain().search(query, { getPage: async () => page });
+}
 
-      items.push({
-        title: titleEl?.textContent?.trim() || '',
-        url: href,
-        snippet: snippetEl?.textContent?.trim() || '',
-      });
-    }
-    return items;
-  });
+/**
+ * Pause all live requests after a LinkedIn challenge or rate-limit page, longer each time in a row
+ * @param {{ status: string, reason: string }} detection
+ * @param {string} source
+ */
+function backOff(detection, source) {
+  if (!THROTTLE_STATUSES.has(detection.status)) return;
+  consecutiveBlocks++;
+  const ms = backoffDelay(consecutiveBlocks, {}, { baseDelayMs: BLOCK_BACKOFF_MS, maxDelayMs: MAX_BLOCK_BACKOFF_MS, jitter: 0.2 });
+  console.log(`[enricher/scraper] ${source} ${detection.status} (${detection.reason}) — 暂停 ${Math.round(ms / 1000)}s`);
+  searchLimiter.pause(ms);
+}
 
-  return results;
+/**
+ * Run a live search / LinkedIn request through the shared rate limiter
+ * @param {() => Promise<*>} fn
+ * @returns {Promise<*>}
+ */
+function paced(fn) {
+  return searchLimiter.schedule(fn);
 }
 
 /**
  * Search for company LinkedIn page
  * @param {object} page
  * @param {string} companyName
+ * @param {(query: string) => Promise<Array>} [search] - defaults to a paced webSearch on page
  * @returns {Promise<string|null>} LinkedIn company URL
  */
-async function findCompanyLinkedIn(page, companyName) {
+async function findCompanyLinkedIn(page, companyName, search = q => paced(() => webSearch(page, q))) {
   const clean = normalizeCompanyName(companyName);
 
   // Try without quotes first — more results on DDG
   const query = `${clean} site:linkedin.com/company Singapore`;
-  const results = await webSearch(page, query);
+  const results = await search(query);
 
   for (const r of results) {
     if (r.url.includes('linkedin.com/company/')) {
@@ -156,15 +231,16 @@ async function findCompanyLinkedIn(page, companyName) {
  * Search for compliance contacts via Google SERP
  * @param {object} page
  * @param {string} companyName
+ * @param {(query: string) => Promise<Array>} [search] - defaults to a paced webSearch on page
  * @returns {Promise<Array<{name: string, title: string, linkedInUrl: string}>>}
  */
-async function findComplianceContacts(page, companyName) {
+async function findComplianceContacts(page, companyName, search = q => paced(() => webSearch(page, q))) {
   const contacts = [];
   const clean = normalizeCompanyName(companyName);
 
   // Search for compliance officers — use unquoted name for broader DDG results
   const query = `${clean} compliance OR CCO OR MLRO OR AML site:linkedin.com/in`;
-  const results = await webSearch(page, query);
+  const results = await search(query);
 
   for (const r of results) {
     if (!r.url.includes('linkedin.com/in/')) continue;
@@ -182,14 +258,14 @@ async function findComplianceContacts(page, companyName) {
       title: parsed.title,
       linkedInUrl: r.url.split('?')[0],
       source: 'ddg-serp',
+      evidence: [serpEvidence(r, parsed, query)],
     });
   }
 
   // If no compliance-specific results, search broader management
   if (contacts.length === 0) {
     const broadQuery = `${clean} director OR head OR chief OR VP site:linkedin.com/in`;
-    await delay(SEARCH_DELAY);
-    const broadResults = await webSearch(page, broadQuery);
+    const broadResults = await search(broadQuery);
 
     for (const r of broadResults) {
       if (!r.url.includes('linkedin.com/in/')) continue;
@@ -206,6 +282,7 @@ async function findComplianceContacts(page, companyName) {
         title: parsed.title,
         linkedInUrl: r.url.split('?')[0],
         source: 'ddg-serp-broad',
+        evidence: [serpEvidence(r, parsed, broadQuery)],
       });
     }
   }
@@ -213,6 +290,25 @@ async function findComplianceContacts(page, companyName) {
   return contacts;
 }
 
+/**
+ * Evidence item for a contact found in search results (confidence.js)
+ * @param {{ title: string, url: string, snippet: string }} result
+ * @param {{ employer: string|null, employerSource: string|null }} parsed
+ * @param {string} query
+ * @returns {{ source: 'linkedin'|'serp', url: string, title: string, snippet: string, employer: string|null, query: string }}
+ */
+function serpEvidence(result, parsed, query) {
+  return {
+    // An employer in the profile headline is LinkedIn's own data; otherwise we only have the search snippet
+    source: parsed.employerSource === 'headline' ? 'linkedin' : 'serp',
+    url: result.url.split('?')[0],
+    title: result.title,
+    snippet: result.snippet,
+    employer: parsed.employer,
+    query,
+  };
+}
+
 /**
  * Parse LinkedIn SERP result to extract name, title, and employer company
  * Common formats:
@@ -223,7 +319,8 @@ async function findComplianceContacts(page, companyName) {
  * @param {string} title
  * @param {string} snippet
  * @param {string} companyName
- * @returns {{name: string, title: string, employer: string|null}|null}
+ * @returns {{name: string, title: string, employer: string|null, employerSource: 'headline'|'snippet'|null}|null}
+ *   employerSource: whether the employer came from the profile headline or the snippet
  */
 function parseLinkedInResult(title, snippet, companyName) {
   // Remove " | LinkedIn" suffix
@@ -255,15 +352,18 @@ function parseLinkedInResult(title, snippet, companyName) {
     if (snippetTitle) jobTitle = snippetTitle;
   }
 
+  let employerSource = employer ? 'headline' : null;
+
   // Try to extract employer from snippet if not found in title
   if (!employer) {
     employer = extractEmployerFromSnippet(snippet);
+    if (employer) employerSource = 'snippet';
   }
 
   // Skip if no useful title found
   if (!jobTitle) jobTitle = 'Unknown Title';
 
-  return { name, title: jobTitle, employer };
+  return { name, title: jobTitle, employer, employerSource };
 }
 
 /**
@@ -327,15 +427,28 @@ function extractTitleFromSnippet(snippet) {
 }
 
 /**
- * Scrape company website About/Team page for additional info
+ * Email addresses on the current page: mailto links and visible text
+ * @param {object} page
+ * @returns {Promise<string[]>}
+ */
+async function collectPageEmails(page) {
+  const mailto = await page.$$eval('a[href^="mailto:"]', links =>
+    links.map(a => decodeURIComponent(a.getAttribute('href').slice(7).split('?')[0])));
+  const text = await page.innerText('body').catch(() => '');
+  return extractEmails([...mailto, text].join('\n'));
+}
+
+/**
+ * Scrape company website About/Team and Contact pages for additional info
  * @param {object} page
  * @param {string} websiteUrl
- * @returns {Promise<{description: string, teamMembers: Array}>}
+ * @returns {Promise<{description: string, teamMembers: Array, teamPageUrl: string|null, emails: string[]}>}
  */
 async function scrapeCompanyWebsite(page, websiteUrl) {
-  if (!websiteUrl) return { description: '', teamMembers: [] };
+  if (!websiteUrl) return { description: '', teamMembers: [], teamPageUrl: null, emails: [] };
 
-  const result = { description: '', teamMembers: [] };
+  const result = { description: '', teamMembers: [], teamPageUrl: null, emails: [] };
+  const emails = new Set();
 
   try {
     const baseUrl = websiteUrl.startsWith('http') ? websiteUrl : `https://${websiteUrl}`;
@@ -350,17 +463,16 @@ async function scrapeCompanyWebsite(page, websiteUrl) {
       return firstP?.textContent?.trim()?.slice(0, 300) || '';
     });
 
-    // Try to find About/Team page link
-    const aboutLink = await page.evaluate(() => {
+    for (const email of await collectPageEmails(page)) emails.add(email);
+
+    // Try to find About/Team and Contact page links
+    const { aboutLink, contactLink } = await page.evaluate(() => {
       const links = Array.from(document.querySelectorAll('a'));
-      for (const link of links) {
-        const text = link.textContent?.toLowerCase() || '';
-        const href = link.href || '';
-        if (text.match(/\b(team|about|leadership|people|management)\b/) && href) {
-          return href;
-        }
-      }
-      return null;
+      const find = (re) => links.find(link => (link.textContent?.toLowerCase() || '').match(re) && link.href)?.href || null;
+      return {
+        aboutLink: find(/\b(team|about|leadership|people|management)\b/),
+        contactLink: find(/\bcontact\b/),
+      };
     });
 
     if (aboutLink) {
@@ -386,11 +498,19 @@ async function scrapeCompanyWebsite(page, websiteUrl) {
         }
         return members.slice(0, 20);
       });
+      if (result.teamMembers.length > 0) result.teamPageUrl = aboutLink;
+      for (const email of await collectPageEmails(page)) emails.add(email);
+    }
+
+    if (contactLink && contactLink !== aboutLink) {
+      await page.goto(contactLink, { waitUntil: 'domcontentloaded', timeout: 10000 });
+      for (const email of await collectPageEmails(page)) emails.add(email);
     }
   } catch (err) {
     console.log(`[enricher/scraper] 公司网站抓取失败: ${err.message}`);
   }
 
+  result.emails = [...emails];
   return result;
 }
 
@@ -402,6 +522,7 @@ async function scrapeCompanyWebsite(page, websiteUrl) {
  * @param {object} page - Playwright page
  * @param {string} linkedInUrl - LinkedIn company page URL
  * @returns {Promise<object|null>} Metadata object or null on failure
+ * @throws {Error} with enrichStatus (blocks.js) on an authwall, challenge or rate-limit page
  */
 async function scrapeLinkedInCompanyPage(page, linkedInUrl) {
   if (!linkedInUrl) return null;
@@ -409,14 +530,15 @@ async function scrapeLinkedInCompanyPage(page, linkedInUrl) {
   try {
     // Normalize URL — ensure we hit the main company page
     const url = linkedInUrl.split('?')[0].replace(/\/+$/, '') + '/';
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
 
-    // Check for login wall
-    const currentUrl = page.url();
-    if (currentUrl.includes('/login') || currentUrl.includes('/checkpoint') || currentUrl.includes('/authwall')) {
-      console.log('[enricher/scraper] LinkedIn authwall — skipping metadata scrape');
-      return null;
+    // Login wall, challenge or throttling — reported to the caller rather than read as "no metadata"
+    const detection = detectLinkedInBlock({ url: page.url(), status: response?.status(), html: await page.content() });
+    if (detection) {
+      backOff(detection, 'linkedin');
+      throw blockError(detection, 'linkedin');
     }
+    consecutiveBlocks = 0;
 
     // Wait a moment for JS to render
     await delay(2000);
@@ -499,6 +621,7 @@ async function scrapeLinkedInCompanyPage(page, linkedInUrl) {
     console.log(`[enricher/scraper] LinkedIn metadata: ${Object.keys(cleaned).join(', ')}`);
     return cleaned;
   } catch (err) {
+    if (err.enrichStatus) throw err;
     console.log(`[enricher/scraper] LinkedIn metadata scrape failed: ${err.message}`);
     return null;
   }
@@ -506,57 +629,94 @@ async function scrapeLinkedInCompanyPage(page, linkedInUrl) {
 
 /**
  * Full browser-based enrichment for a company
+ *
+ * With a cache (cache.js), fresh SERP results, LinkedIn metadata and website
+ * scrapes are reused and the browser is only connected when something has to
+ * be fetched live. With a page pool (pool.js), the page is borrowed from the
+ * pool and returned afterwards instead of opening a connection per company.
+ *
  * @param {{ name: string, website: string, address: string, licenseTypes: string[] }} company
- * @returns {Promise<{ contacts: Array, companyInfo: object, linkedInUrl: string|null }>}
+ * @param {{ cache?: ReturnType<typeof import('./cache.js').createEnrichmentCache>, pool?: ReturnType<typeof import('./pool.js').createPagePool> }} [opts]
+ * @returns {Promise<{ contacts: Array, companyInfo: object, linkedInUrl: string|null, emails: string[], people: Array, verifiedAt: object, issues: Array }>}
+ *   emails: addresses found on the website; people: everyone listed on its team page;
+ *   verifiedAt: contacts / companyInfo field → when its source was fetched;
+ *   issues: non-fatal blocks ({ source: 'linkedin', status: 'authwall', reason })
+ * @throws {Error} with enrichStatus (blocks.js) when a search is blocked or cannot be parsed
  */
-async function enrichWithBrowser(company) {
+async function enrichWithBrowser(company, opts = {}) {
   console.log(`[enricher/scraper] 开始 enrich: ${company.name}`);
 
-  let browser, context, page;
-  try {
-    ({ browser, context } = await connect());
-    page = await context.newPage();
+  const session = opts.cache?.session();
+  const startedAt = new Date().toISOString();
+  const issues = [];
+  const cached = async (kind, key, loader) => (session ? session.fetch(kind, key, loader) : { value: await loader() });
+
+  let browser, page;
+  const getPage = async () => {
+    if (!page && opts.pool) {
+      page = await opts.pool.acquire();
+    } else if (!page) {
+      let context;
+      ({ browser, context } = await connect());
+      page = await context.newPage();
+    }
+    return page;
+  };
+  const search = async query => (await cached('serp', query, () => paced(() => getSearchChain().search(query, { getPage })))).value || [];
 
+  try {
     // 1. Find LinkedIn company page
-    const linkedInUrl = await findCompanyLinkedIn(page, company.name);
+    const linkedInUrl = await findCompanyLinkedIn(null, company.name, search);
     console.log(`[enricher/scraper] LinkedIn: ${linkedInUrl || 'not found'}`);
-    await delay(SEARCH_DELAY);
 
-    // 2. Scrape LinkedIn company page metadata (no login needed)
+    // 2. Scrape LinkedIn company page metadata (no login needed) — optional, so a block is only noted
     let linkedInMeta = null;
     if (linkedInUrl) {
-      linkedInMeta = await scrapeLinkedInCompanyPage(page, linkedInUrl);
-      await delay(SEARCH_DELAY);
+      try {
+        linkedInMeta = (await cached('linkedin', linkedInUrl,
+          () => paced(async () => scrapeLinkedInCompanyPage(await getPage(), linkedInUrl)))).value;
+      } catch (err) {
+        if (!err.enrichStatus) throw err;
+        issues.push({ source: 'linkedin', status: err.enrichStatus, reason: err.reason });
+      }
     }
 
     // 3. Find compliance contacts
-    const contacts = await findComplianceContacts(page, company.name);
+    const contacts = await findComplianceContacts(null, company.name, search);
     console.log(`[enricher/scraper] 找到 ${contacts.length} 个联系人`);
-    await delay(SEARCH_DELAY);
 
     // 4. Scrape company website
-    const websiteInfo = await scrapeCompanyWebsite(page, company.website);
+    const websiteInfo = company.website
+      ? (await cached('website', company.website, async () => scrapeCompanyWebsite(await getPage(), company.website))).value
+      : { description: '', teamMembers: [], emails: [] };
 
     // Merge website team members as additional contacts (lower priority)
     const websiteContacts = (websiteInfo.teamMembers || [])
-      .filter(m => m.title?.toLowerCase().match(/compliance|cco|mlro|aml|risk|legal/))
+      .filter(m => parseTitle(m.title).functions.some(f => WEBSITE_CONTACT_FUNCTIONS.has(f)))
       .map(m => ({
         name: m.name,
         title: m.title,
         linkedInUrl: '',
         source: 'company-website',
+        evidence: [{ source: 'website', url: websiteInfo.teamPageUrl || company.website, snippet: `${m.name} — ${m.title}` }],
       }));
 
     const allContacts = [...contacts, ...websiteContacts];
 
-    // De-duplicate by name similarity
-    const seen = new Set();
-    const uniqueContacts = allContacts.filter(c => {
+    // De-duplicate by name similarity — a person found twice keeps the evidence from both
+    const byName = new Map();
+    const uniqueContacts = [];
+    for (const c of allContacts) {
       const key = c.name.toLowerCase().replace(/\s+/g, '');
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
+      const first = byName.get(key);
+      if (first) {
+        first.evidence = [...first.evidence, ...c.evidence];
+        continue;
+      }
+      const entry = { ...c, evidence: [...c.evidence] };
+      byName.set(key, entry);
+      uniqueContacts.push(entry);
+    }
 
     // Merge companyInfo: LinkedIn metadata takes priority, then website info
     const companyInfo = {
@@ -577,14 +737,38 @@ async function enrichWithBrowser(company) {
       }
     }
 
+    // When each field's source was fetched (now, without a cache)
+    const fetchedAt = kind => session?.verifiedAt(kind) || startedAt;
+    const verifiedAt = { contacts: fetchedAt('serp') };
+    for (const key of Object.keys(companyInfo)) {
+      const kind = key === 'description' && !linkedInMeta?.description ? 'website' : FIELD_SOURCES[key] || 'serp';
+      verifiedAt[key] = fetchedAt(kind);
+    }
+    if (websiteInfo.emails?.length) verifiedAt.emails = fetchedAt('website');
+
     return {
       contacts: uniqueContacts,
       companyInfo,
       linkedInUrl,
+      emails: websiteInfo.emails || [],
+      people: websiteInfo.teamMembers || [],
+      verifiedAt,
+      issues,
     };
+  } catch (err) {
+    // Don't hand a page in an unknown state to the next worker
+    if (page && opts.pool) {
+      await opts.pool.discard(page);
+      page = null;
+    }
+    throw err;
   } finally {
-    if (page) await page.close().catch(() => {});
-    if (browser) await browser.close().catch(() => {});
+    if (page && opts.pool) {
+      opts.pool.release(page);
+    } else if (!opts.pool) {
+      if (page) await page.close().catch(() => {});
+      if (browser) await browser.close().catch(() => {});
+    }
   }
 }
 
@@ -604,5 +788,6 @@ export {
   normalizeCompanyName,
   resultMentionsCompany,
   connect,
+  getBrowserConfig,
   webSearch,
 };
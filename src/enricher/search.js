@@ -0,0 +1,299 @@
+/**
+ * Search backends for the enricher — every backend has the same shape:
+ *   { name, needsPage, search(query, { getPage }) → Promise<Array<{ title, url, snippet }>> }
+ *
+ * Backends:
+ *   duckduckgo  html.duckduckgo.com (server-rendered results, loaded in the browser)
+ *   bing        www.bing.com (loaded in the browser)
+ *   searxng     self-hosted SearXNG JSON API (SEARXNG_URL; the instance must enable `format=json`)
+ *   brave       Brave Search API (BRAVE_API_KEY)
+ *
+ * A blocked or unparseable page throws an error carrying `enrichStatus`
+ * (blocks.js). The search chain tries the backends in order and moves on to
+ * the next when one fails; a backend that was blocked or rate limited sits
+ * out a cooldown (1 min, doubling per consecutive block, up to 15 min).
+ *
+ * Order and selection in mas-scout.config.json (backends without their
+ * env setting are left out):
+ *   { "enricher": { "search": { "backends": ["duckduckgo", "bing", "searxng", "brave"] } } }
+ */
+
+import { load } from 'cheerio';
+import { loadConfigFile } from '../shared/config.js';
+import { backoffDelay, parseRetryAfter, sleep } from '../shared/retry.js';
+import { detectSearchBlock, blockError, THROTTLE_STATUSES } from './blocks.js';
+
+const DEFAULT_SEARCH_BACKENDS = ['duckduckgo', 'bing', 'searxng', 'brave'];
+
+const DEFAULT_BRAVE_API_BASE = 'https://api.search.brave.com';
+const DEFAULT_TIMEOUT_MS = 15000;
+const NAVIGATION_TIMEOUT_MS = 15000;
+
+const BLOCK_COOLDOWN_MS = 60 * 1000;
+const MAX_BLOCK_COOLDOWN_MS = 15 * 60 * 1000;
+
+/**
+ * Strip markup (Brave highlights matches with <strong>) and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+function plainText(text) {
+  return String(text || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Target of a DuckDuckGo redirect link ("//duckduckgo.com/l/?uddg=<url>")
+ * @param {string} href
+ * @returns {string}
+ */
+function unwrapDuckDuckGoUrl(href) {
+  if (!href || !href.includes('uddg=')) return href || '';
+  return new URL(href, 'https://duckduckgo.com').searchParams.get('uddg') || '';
+}
+
+/**
+ * Target of a Bing click-tracking link ("bing.com/ck/a?…&u=a1<base64url>")
+ * @param {string} href
+ * @returns {string}
+ */
+function unwrapBingUrl(href) {
+  if (!href || !/^https?:\/\/(?:www\.)?bing\.com\/ck\/a/.test(href)) return href || '';
+  const u = new URL(href).searchParams.get('u') || '';
+  return u.startsWith('a1') ? Buffer.from(u.slice(2), 'base64url').toString('utf-8') : '';
+}
+
+/**
+ * Parse a DuckDuckGo HTML results page
+ * @param {string} html
+ * @returns {{ items: Array<{ title: string, url: string, snippet: string }>, containers: number }}
+ *   containers: result blocks found, before links were filtered — 0 means nothing matched
+ */
+function parseDuckDuckGoHtml(html) {
+  const $ = load(html);
+  const results = $('.result').not('.result--ad');
+  const items = [];
+  results.each((_, el) => {
+    const link = $(el).find('a.result__a').first();
+    const url = unwrapDuckDuckGoUrl(link.attr('href'));
+    if (!url.startsWith('http') || url.includes('duckduckgo.com')) return;
+    items.push({
+      title: plainText(link.text()),
+      url,
+      snippet: plainText($(el).find('.result__snippet').text()),
+    });
+  });
+  return { items, containers: results.length };
+}
+
+/**
+ * Parse a Bing results page
+ * @param {string} html
+ * @returns {{ items: Array<{ title: string, url: string, snippet: string }>, containers: number }}
+ */
+function parseBingHtml(html) {
+  const $ = load(html);
+  const results = $('#b_results > li.b_algo');
+  const items = [];
+  results.each((_, el) => {
+    const link = $(el).find('h2 a').first();
+    const url = unwrapBingUrl(link.attr('href'));
+    if (!url.startsWith('http') || url.includes('bing.com')) return;
+    items.push({
+      title: plainText(link.text()),
+      url,
+      snippet: plainText($(el).find('.b_caption p, .b_lineclamp2, .b_lineclamp3').first().text()),
+    });
+  });
+  return { items, containers: results.length };
+}
+
+/**
+ * A backend that loads a results page in the browser and parses its HTML
+ * @param {string} name
+ * @param {(query: string) => string} searchUrl
+ * @param {(html: string) => { items: Array, containers: number }} parse
+ */
+function createPageBackend(name, searchUrl, parse) {
+  return {
+    name,
+    needsPage: true,
+    async search(query, { getPage }) {
+      const page = await getPage();
+      const response = await page.goto(searchUrl(query), { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+      const html = await page.content();
+      const { items, containers } = parse(html);
+
+      // No result blocks: a challenge page, a throttle page, drifted markup — or a real "no results"
+      const detection = detectSearchBlock({ status: response?.status(), html: containers === 0 ? html : '', resultCount: containers });
+      if (detection) throw blockError(detection, name);
+      return items;
+    },
+  };
+}
+
+function createDuckDuckGoBackend() {
+  return createPageBackend('duckduckgo', q => `https://html.duckduckgo.com/html/?q=${encodeURIComponent(q)}`, parseDuckDuckGoHtml);
+}
+
+function createBingBackend() {
+  return createPageBackend('bing', q => `https://www.bing.com/search?q=${encodeURIComponent(q)}&setlang=en`, parseBingHtml);
+}
+
+/**
+ * GET a JSON search API; 429 becomes a rate_limited block, other failures a plain error
+ * @param {string} name - backend name, for errors
+ * @param {string} url
+ * @param {{ headers?: object, timeoutMs?: number }} [opts]
+ * @returns {Promise<object>}
+ */
+async function getJson(name, url, opts = {}) {
+  const resp = await fetch(url, {
+    headers: { Accept: 'application/json', ...opts.headers },
+    signal: AbortSignal.timeout(opts.timeoutMs || DEFAULT_TIMEOUT_MS),
+  });
+  if (resp.status === 429) {
+    const err = blockError({ status: 'rate_limited', reason: 'HTTP 429' }, name);
+    const retryAfterMs = parseRetryAfter(resp.headers.get('retry-after'));
+    if (retryAfterMs !== null) err.retryAfterMs = retryAfterMs;
+    throw err;
+  }
+  if (!resp.ok) {
+    const body = await resp.text().catch(() => '');
+    const err = new Error(`${name} HTTP ${resp.status} ${body.slice(0, 200)}`.trim());
+    err.status = resp.status;
+    throw err;
+  }
+  return resp.json();
+}
+
+/**
+ * Brave Search API — https://api.search.brave.com/app/documentation/web-search
+ * @param {{ apiKey: string, apiBase?: string, count?: number, timeoutMs?: number }} opts
+ */
+function createBraveBackend(opts) {
+  const apiBase = (opts.apiBase || DEFAULT_BRAVE_API_BASE).replace(/\/+$/, '');
+  return {
+    name: 'brave',
+    needsPage: false,
+    async search(query) {
+      const params = new URLSearchParams({ q: query, count: String(opts.count || 20) });
+      const data = await getJson('brave', `${apiBase}/res/v1/web/search?${params}`, {
+        headers: { 'X-Subscription-Token': opts.apiKey },
+        timeoutMs: opts.timeoutMs,
+      });
+      return (data.web?.results || []).map(r => ({
+        title: plainText(r.title),
+        url: r.url,
+        snippet: plainText(r.description),
+      }));
+    },
+  };
+}
+
+/**
+ * Self-hosted SearXNG instance (JSON output must be enabled in its settings.yml)
+ * @param {{ url: string, timeoutMs?: number }} opts
+ */
+function createSearxngBackend(opts) {
+  const base = opts.url.replace(/\/+$/, '');
+  return {
+    name: 'searxng',
+    needsPage: false,
+    async search(query) {
+      const params = new URLSearchParams({ q: query, format: 'json' });
+      const data = await getJson('searxng', `${base}/search?${params}`, { timeoutMs: opts.timeoutMs });
+      return (data.results || []).map(r => ({
+        title: plainText(r.title),
+        url: r.url,
+        snippet: plainText(r.content),
+      }));
+    },
+  };
+}
+
+/**
+ * Configured search backends, in order
+ * @param {object} [env] - process.env or equivalent (BRAVE_API_KEY, BRAVE_API_BASE, SEARXNG_URL)
+ * @param {string[]} [names] - defaults to config enricher.search.backends
+ * @returns {Array<{ name: string, needsPage: boolean, search: Function }>}
+ */
+function createSearchBackends(env = process.env, names = loadConfigFile().enricher?.search?.backends || DEFAULT_SEARCH_BACKENDS) {
+  const factories = {
+    duckduckgo: () => createDuckDuckGoBackend(),
+    bing: () => createBingBackend(),
+    searxng: () => env.SEARXNG_URL && createSearxngBackend({ url: env.SEARXNG_URL }),
+    brave: () => env.BRAVE_API_KEY && createBraveBackend({ apiKey: env.BRAVE_API_KEY, apiBase: env.BRAVE_API_BASE }),
+  };
+  return names.map(name => {
+    if (!factories[name]) throw new Error(`Unknown search backend "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+    return factories[name]();
+  }).filter(Boolean);
+}
+
+/**
+ * Try backends in order until one answers
+ * @param {Array<{ name: string, search: Function }>} backends
+ * @param {{ now?: () => number, sleep?: (ms: number) => Promise<void> }} [opts]
+ * @returns {{ search: (query: string, ctx?: { getPage?: () => Promise<object> }) => Promise<Array>, status: () => Array<{ name: string, blocks: number, coolingDownMs: number }> }}
+ */
+function createSearchChain(backends, opts = {}) {
+  const now = opts.now || Date.now;
+  const wait = opts.sleep || sleep;
+  const state = new Map(backends.map(b => [b.name, { blocks: 0, until: 0 }]));
+
+  function coolDown(backend, err) {
+    const s = state.get(backend.name);
+    s.blocks++;
+    const ms = backoffDelay(s.blocks, err, { baseDelayMs: BLOCK_COOLDOWN_MS, maxDelayMs: MAX_BLOCK_COOLDOWN_MS, jitter: 0.2 });
+    s.until = now() + ms;
+    console.log(`[enricher/search] ${backend.name} ${err.enrichStatus} (${err.reason}) — 暂停 ${Math.round(ms / 1000)}s`);
+  }
+
+  async function search(query, ctx = {}) {
+    if (backends.length === 0) throw new Error('No search backends configured');
+
+    // Every backend cooling down: wait for the first to come back rather than fail the company
+    const ready = backends.filter(b => state.get(b.name).until <= now());
+    if (ready.length === 0) {
+      const next = Math.min(...backends.map(b => state.get(b.name).until));
+      await wait(next - now());
+    }
+
+    let lastErr = null;
+    for (const backend of backends) {
+      const s = state.get(backend.name);
+      if (s.until > now()) continue;
+      try {
+        const items = await backend.search(query, ctx);
+        s.blocks = 0;
+        return items;
+      } catch (err) {
+        lastErr = err;
+        if (THROTTLE_STATUSES.has(err.enrichStatus)) coolDown(backend, err);
+        else console.log(`[enricher/search] ${backend.name} 搜索失败: ${err.message}`);
+      }
+    }
+    throw lastErr || blockError({ status: 'rate_limited', reason: 'every backend is cooling down' }, 'search');
+  }
+
+  return {
+    search,
+    status: () => backends.map(b => ({
+      name: b.name,
+      blocks: state.get(b.name).blocks,
+      coolingDownMs: Math.max(0, state.get(b.name).until - now()),
+    })),
+  };
+}
+
+export {
+  createSearchBackends,
+  createSearchChain,
+  createDuckDuckGoBackend,
+  createBingBackend,
+  createBraveBackend,
+  createSearxngBackend,
+  parseDuckDuckGoHtml,
+  parseBingHtml,
+  DEFAULT_SEARCH_BACKENDS,
+};
@@ -0,0 +1,166 @@
+/**
+ * Job title taxonomy — function, seniority and scope parsed from a free-text
+ * title, and the score contacts are ranked by
+ *
+ *   parseTitle('Group Head of AML & Financial Crime')
+ *   → { functions: ['aml'], seniority: 'head', scope: 'group', roles: [], deputy: false }
+ *
+ * Abbreviations match whole words only, so "CCO" is not found in "Accounts".
+ *
+ * score = function weight × seniority points + scope points (0 for titles
+ * outside every known function). The legacy `priority` is derived from it:
+ * CCO 1, MLRO 2, Head of Compliance 3, VP 4, Director 5, …, unrelated titles 99.
+ *
+ * Weights are overridable in mas-scout.config.json, section by section:
+ *   { "enricher": { "titleWeights": { "functions": { "risk": 0.8 }, "scope": { "group": 5 } } } }
+ */
+
+import { loadConfigFile } from '../shared/config.js';
+
+const DEFAULT_TITLE_WEIGHTS = {
+  // Multiplier per function; a title with several functions uses the best
+  functions: {
+    compliance: 1,
+    aml: 1,
+    risk: 0.7,
+    legal: 0.6,
+    c_suite: 0.5,
+    operations: 0.4,
+  },
+  // Points per seniority level (unknown: no level word in the title)
+  seniority: {
+    c_level: 100,
+    head: 80,
+    vp: 70,
+    director: 60,
+    manager: 40,
+    officer: 30,
+    staff: 10,
+    unknown: 20,
+  },
+  // Statutory appointments rank at least this high whatever the wording
+  roles: {
+    cco: 100,
+    mlro: 90,
+  },
+  scope: {
+    singapore: 4,
+    group: 3,
+    regional: 2,
+    global: 1,
+  },
+  // Taken off the seniority points of deputy / assistant / acting titles
+  deputyPenalty: 15,
+};
+
+const FUNCTION_PATTERNS = {
+  compliance: /\bcompliance\b|\bcco\b|\bregulatory\b/,
+  aml: /\baml\b|\bcft\b|\bmlro\b|money laundering|financial crimes?\b|\bfin ?crime\b|\bkyc\b|\bcdd\b|\bsanctions\b/,
+  risk: /\brisk\b|\bcro\b/,
+  legal: /\blegal\b|\bcounsel\b/,
+  c_suite: /\bceo\b|\bcfo\b|\bcoo\b|\bcto\b|chief executive|chief financial|chief operating|chief technology|\bco ?founder\b|\bfounder\b|managing director|(?<!vice )\bpresident\b/,
+  operations: /\boperations\b|\bops\b|\bcoo\b/,
+};
+
+// Most senior first: the first level that matches wins
+const SENIORITY_PATTERNS = [
+  ['c_level', /\bchief\b|\bc[a-z]o\b|\bco ?founder\b|\bfounder\b|managing director|(?<!vice )\bpresident\b/],
+  ['head', /\bhead\b/],
+  ['vp', /\b[se]?vp\b|vice president/],
+  ['director', /\bdirector\b/],
+  ['manager', /\bmanager\b|\blead\b/],
+  ['officer', /\bofficer\b/],
+  ['staff', /\banalyst\b|\bassociate\b|\bspecialist\b|\bexecutive\b|\bassistant\b|\bintern\b/],
+];
+
+const ROLE_PATTERNS = {
+  cco: /\bcco\b|chief compliance officer/,
+  mlro: /\bmlro\b|money laundering reporting officer/,
+};
+
+const SCOPE_PATTERNS = [
+  ['singapore', /\bsingapore\b|\bsg\b/],
+  ['group', /\bgroup\b/],
+  ['regional', /\bregional\b|\bregion\b|\bapac\b|asia pacific|southeast asia|\bsea\b|\basia\b|\bemea\b/],
+  ['global', /\bglobal\b|\bworldwide\b/],
+];
+
+const DEPUTY = /\bdeputy\b|\bassistant\b|\bacting\b|\binterim\b/;
+
+/**
+ * Title weights: defaults merged with config enricher.titleWeights
+ * @returns {typeof DEFAULT_TITLE_WEIGHTS}
+ */
+function getTitleWeights() {
+  const config = loadConfigFile().enricher?.titleWeights || {};
+  const weights = { ...DEFAULT_TITLE_WEIGHTS, ...config };
+  for (const section of ['functions', 'seniority', 'roles', 'scope']) {
+    weights[section] = { ...DEFAULT_TITLE_WEIGHTS[section], ...config[section] };
+  }
+  return weights;
+}
+
+/**
+ * Lowercase words separated by single spaces ("Head of AML & Fin-Crime, APAC" → "head of aml and fin crime apac")
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Classify a job title
+ * @param {string} title
+ * @returns {{ functions: string[], seniority: string|null, scope: string|null, roles: string[], deputy: boolean }}
+ */
+function parseTitle(title) {
+  const text = normalizeTitle(title);
+  return {
+    functions: Object.keys(FUNCTION_PATTERNS).filter(f => FUNCTION_PATTERNS[f].test(text)),
+    seniority: SENIORITY_PATTERNS.find(([, re]) => re.test(text))?.[0] || null,
+    scope: SCOPE_PATTERNS.find(([, re]) => re.test(text))?.[0] || null,
+    roles: Object.keys(ROLE_PATTERNS).filter(r => ROLE_PATTERNS[r].test(text)),
+    deputy: DEPUTY.test(text),
+  };
+}
+
+/**
+ * Ranking score of a classified title (higher is better; 0 = no relevant function)
+ * @param {ReturnType<typeof parseTitle>} classification
+ * @param {typeof DEFAULT_TITLE_WEIGHTS} [weights]
+ * @returns {number}
+ */
+function scoreTitle(classification, weights = getTitleWeights()) {
+  const functionWeight = Math.max(0, ...classification.functions.map(f => weights.functions[f] ?? 0));
+  if (functionWeight === 0) return 0;
+
+  let points = weights.seniority[classification.seniority || 'unknown'] ?? 0;
+  for (const role of classification.roles) points = Math.max(points, weights.roles[role] ?? 0);
+  if (classification.deputy) points -= weights.deputyPenalty;
+
+  const scopePoints = classification.scope ? weights.scope[classification.scope] ?? 0 : 0;
+  return Math.max(0, Math.round(functionWeight * points + scopePoints));
+}
+
+/**
+ * Priority bucket from a score: every 10 points below 100 is one step down, 99 for unrelated titles
+ * @param {number} score
+ * @returns {number}
+ */
+function priorityFromScore(score) {
+  if (score <= 0) return 99;
+  return Math.max(1, 1 + Math.floor((100 - score) / 10));
+}
+
+export {
+  parseTitle,
+  scoreTitle,
+  priorityFromScore,
+  getTitleWeights,
+  DEFAULT_TITLE_WEIGHTS,
+};
@@ -0,0 +1,182 @@
+/**
+ * Notification channels — Telegram, Slack webhook, Lark webhook, SMTP email
+ *
+ * Every channel has the same shape:
+ *   { name, format(message) → payload, send(message) → Promise<void> }
+ *
+ * A message is { title, text, markdown?, priority? } where text is the plain
+ * summary and markdown the full report (used by email only).
+ */
+
+import { createHmac } from 'crypto';
+import { sendMail } from './smtp.js';
+
+const TELEGRAM_LIMIT = 4096;
+const SLACK_SECTION_LIMIT = 3000;
+
+// A hung webhook must fail (and be retried) rather than stall the run
+const WEBHOOK_TIMEOUT_MS = 15000;
+
+/**
+ * Truncate text to a channel's size limit, marking the cut
+ * @param {string} text
+ * @param {number} limit
+ * @returns {string}
+ */
+function truncate(text, limit) {
+  if (text.length <= limit) return text;
+  return text.slice(0, limit - 2) + '\n…';
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * POST JSON and throw (with .status) on a non-2xx response
+ * @param {string} url
+ * @param {object} payload
+ * @param {number} [timeoutMs]
+ * @returns {Promise<Response>}
+ */
+async function postJson(url, payload, timeoutMs = WEBHOOK_TIMEOUT_MS) {
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw new Error(`Webhook timeout after ${timeoutMs}ms`);
+    throw err;
+  }
+  if (!resp.ok) {
+    const body = await resp.text().catch(() => '');
+    const err = new Error(`HTTP ${resp.status} ${body.slice(0, 200)}`.trim());
+    err.status = resp.status;
+    throw err;
+  }
+  return resp;
+}
+
+/**
+ * Telegram Bot API — sendMessage with HTML formatting
+ * @param {{ token: string, chatId: string, apiBase?: string, timeoutMs?: number }} opts
+ */
+function createTelegramChannel(opts) {
+  const apiBase = opts.apiBase || 'https://api.telegram.org';
+  const format = message => {
+    const prefix = message.priority === 'high' ? '🚨 ' : '';
+    const body = `<b>${escapeHtml(prefix + message.title)}</b>\n${escapeHtml(message.text)}`;
+    return {
+      chat_id: opts.chatId,
+      text: truncate(body, TELEGRAM_LIMIT),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    };
+  };
+  return {
+    name: 'telegram',
+    format,
+    async send(message) {
+      await postJson(`${apiBase}/bot${opts.token}/sendMessage`, format(message), opts.timeoutMs);
+    },
+  };
+}
+
+/**
+ * Slack incoming webhook — header + mrkdwn section blocks
+ * @param {{ webhookUrl: string, timeoutMs?: number }} opts
+ */
+function createSlackChannel(opts) {
+  const format = message => {
+    const prefix = message.priority === 'high' ? ':rotating_light: ' : '';
+    return {
+      text: `${prefix}${message.title}`,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: truncate(`${prefix}${message.title}`, 150) } },
+        { type: 'section', text: { type: 'mrkdwn', text: truncate(escapeHtml(message.text), SLACK_SECTION_LIMIT) } },
+      ],
+    };
+  };
+  return {
+    name: 'slack',
+    format,
+    async send(message) {
+      await postJson(opts.webhookUrl, format(message), opts.timeoutMs);
+    },
+  };
+}
+
+/**
+ * Lark (Feishu) custom bot webhook — rich-text "post" message.
+ * When a signing secret is configured, timestamp + sign are added.
+ * Lark answers HTTP 200 with a non-zero code on failure, so the body is checked too.
+ * @param {{ webhookUrl: string, secret?: string, timeoutMs?: number }} opts
+ */
+function createLarkChannel(opts) {
+  const format = message => {
+    const prefix = message.priority === 'high' ? '🚨 ' : '';
+    const payload = {
+      msg_type: 'post',
+      content: {
+        post: {
+          zh_cn: {
+            title: `${prefix}${message.title}`,
+            content: message.text.split('\n').map(line => [{ tag: 'text', text: line }]),
+          },
+        },
+      },
+    };
+    if (opts.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      payload.timestamp = timestamp;
+      payload.sign = createHmac('sha256', `${timestamp}\n${opts.secret}`).update('').digest('base64');
+    }
+    return payload;
+  };
+  return {
+    name: 'lark',
+    format,
+    async send(message) {
+      const resp = await postJson(opts.webhookUrl, format(message), opts.timeoutMs);
+      const data = await resp.json().catch(() => ({}));
+      const code = data.code ?? data.StatusCode ?? 0;
+      if (code !== 0) {
+        const err = new Error(`Lark error ${code}: ${data.msg || data.StatusMessage || ''}`.trim());
+        err.retryable = false;
+        throw err;
+      }
+    },
+  };
+}
+
+/**
+ * SMTP email — the full Markdown report as the body when available
+ * @param {{ host: string, port?: number, secure?: boolean, user?: string, pass?: string, from: string, to: string[] }} opts
+ */
+function createEmailChannel(opts) {
+  const format = message => ({
+    from: opts.from,
+    to: opts.to,
+    subject: message.priority === 'high' ? `[ALERT] ${message.title}` : message.title,
+    text: message.markdown || message.text,
+  });
+  return {
+    name: 'email',
+    format,
+    async send(message) {
+      await sendMail(opts, format(message));
+    },
+  };
+}
+
+export {
+  createTelegramChannel,
+  createSlackChannel,
+  createLarkChannel,
+  createEmailChannel,
+  truncate,
+};
@@ -0,0 +1,116 @@
+/**
+ * MAS Scout Notifier — 将 watcher 摘要推送到已配置的渠道
+ *
+ * 渠道由环境变量启用（未配置的渠道直接跳过）：
+ *   Telegram  TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID
+ *   Slack     SLACK_WEBHOOK_URL
+ *   Lark      LARK_WEBHOOK_URL（可选 LARK_WEBHOOK_SECRET）
+ *   Email     SMTP_HOST + SMTP_FROM + SMTP_TO（可选 SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS）
+ *
+ * NOTIFY_QUIET_ON_NO_CHANGE=1 时，无变化的日报不推送；高优先级告警始终推送。
+ */
+
+import { retry } from '../shared/retry.js';
+import { loadConfigFile } from '../shared/config.js';
+import {
+  createTelegramChannel,
+  createSlackChannel,
+  createLarkChannel,
+  createEmailChannel,
+} from './channels.js';
+
+/**
+ * 根据环境变量构造已启用的渠道
+ * @param {object} [env]
+ * @returns {Array}
+ */
+function getChannels(env = process.env) {
+  const channels = [];
+
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    channels.push(createTelegramChannel({
+      token: env.TELEGRAM_BOT_TOKEN,
+      chatId: env.TELEGRAM_CHAT_ID,
+      apiBase: env.TELEGRAM_API_BASE,
+    }));
+  }
+  if (env.SLACK_WEBHOOK_URL) {
+    channels.push(createSlackChannel({ webhookUrl: env.SLACK_WEBHOOK_URL }));
+  }
+  if (env.LARK_WEBHOOK_URL) {
+    channels.push(createLarkChannel({ webhookUrl: env.LARK_WEBHOOK_URL, secret: env.LARK_WEBHOOK_SECRET }));
+  }
+  if (env.SMTP_HOST && env.SMTP_FROM && env.SMTP_TO) {
+    channels.push(createEmailChannel({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT ? parseInt(env.SMTP_PORT, 10) : undefined,
+      secure: env.SMTP_SECURE === '1' || env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.SMTP_FROM,
+      to: env.SMTP_TO.split(',').map(s => s.trim()).filter(Boolean),
+    }));
+  }
+
+  return channels;
+}
+
+/**
+ * 是否开启「无变化不推送」
+ * @param {object} [env]
+ * @returns {boolean}
+ */
+function isQuietOnNoChange(env = process.env) {
+  if (env.NOTIFY_QUIET_ON_NO_CHANGE !== undefined) {
+    return env.NOTIFY_QUIET_ON_NO_CHANGE === '1' || env.NOTIFY_QUIET_ON_NO_CHANGE === 'true';
+  }
+  return Boolean(loadConfigFile().notifier?.quietOnNoChange);
+}
+
+/**
+ * 推送一条消息到所有渠道，失败按指数退避重试；不会抛出异常
+ *
+ * @param {{ title: string, text: string, markdown?: string, priority?: 'normal'|'high', hasChanges?: boolean }} message
+ * @param {{ channels?: Array, quietOnNoChange?: boolean, retries?: number, baseDelayMs?: number }} [opts]
+ * @returns {Promise<Array<{ channel: string, ok: boolean, attempts: number, error?: string, skipped?: boolean }>>}
+ */
+async function notify(message, opts = {}) {
+  const channels = opts.channels || getChannels();
+  const quiet = opts.quietOnNoChange ?? isQuietOnNoChange();
+
+  if (channels.length === 0) {
+    console.log('[notifier] 未配置任何推送渠道，跳过');
+    return [];
+  }
+
+  if (quiet && message.hasChanges === false && message.priority !== 'high') {
+    console.log('[notifier] 今日无变化，静默模式下不推送');
+    return channels.map(c => ({ channel: c.name, ok: true, attempts: 0, skipped: true }));
+  }
+
+  const results = [];
+  for (const channel of channels) {
+    let attempts = 0;
+    try {
+      await retry(async attempt => {
+        attempts = attempt;
+        await channel.send(message);
+      }, {
+        retries: opts.retries ?? 2,
+        baseDelayMs: opts.baseDelayMs ?? 2000,
+        onRetry: (err, attempt, delayMs) => {
+          console.log(`[notifier] ${channel.name} 第 ${attempt} 次失败 (${err.message})，${delayMs}ms 后重试`);
+        },
+      });
+      console.log(`[notifier] ${channel.name} 推送成功`);
+      results.push({ channel: channel.name, ok: true, attempts });
+    } catch (err) {
+      console.error(`[notifier] ${channel.name} 推送失败:`, err.message);
+      results.push({ channel: channel.name, ok: false, attempts, error: err.message });
+    }
+  }
+
+  return results;
+}
+
+export { notify, getChannels, isQuietOnNoChange };
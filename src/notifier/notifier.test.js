@@ -0,0 +1,236 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import net from 'net';
+import {
+  createTelegramChannel,
+  createSlackChannel,
+  createLarkChannel,
+  createEmailChannel,
+  truncate,
+} from './channels.js';
+import { notify, getChannels } from './index.js';
+
+// Local stub HTTP server: records requests, replies from a queue of statuses
+let server;
+let baseUrl;
+let requests = [];
+let statuses = [];
+let replyBody = '{}';
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+      res.writeHead(statuses.shift() || 200, { 'Content-Type': 'application/json' });
+      res.end(replyBody);
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+  statuses = [];
+  replyBody = '{}';
+});
+
+const message = {
+  title: 'MAS Scout 日报',
+  text: '新增 1 家牌照持有者：\n  - Alpha <Pay> & Co',
+  markdown: '# MAS Scout 日报\n\n## 新增牌照持有者',
+  hasChanges: true,
+};
+
+describe('Telegram channel', () => {
+  it('should call sendMessage with escaped HTML', async () => {
+    const channel = createTelegramChannel({ token: 'T0KEN', chatId: '42', apiBase: baseUrl });
+    await channel.send(message);
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url, '/botT0KEN/sendMessage');
+    assert.strictEqual(requests[0].body.chat_id, '42');
+    assert.strictEqual(requests[0].body.parse_mode, 'HTML');
+    assert.ok(requests[0].body.text.includes('Alpha &lt;Pay&gt; &amp; Co'));
+  });
+});
+
+describe('Slack channel', () => {
+  it('should post header and section blocks to the webhook', async () => {
+    const channel = createSlackChannel({ webhookUrl: `${baseUrl}/slack` });
+    await channel.send(message);
+
+    assert.strictEqual(requests[0].url, '/slack');
+    assert.strictEqual(requests[0].body.blocks[0].type, 'header');
+    assert.strictEqual(requests[0].body.blocks[1].text.type, 'mrkdwn');
+  });
+
+  it('should throw with the HTTP status on failure', async () => {
+    statuses = [403];
+    const channel = createSlackChannel({ webhookUrl: `${baseUrl}/slack` });
+    await assert.rejects(channel.send(message), err => err.status === 403);
+  });
+
+  it('should time out a webhook that never answers', async () => {
+    const hung = createServer(() => {});
+    await new Promise(r => hung.listen(0, '127.0.0.1', r));
+    try {
+      const channel = createSlackChannel({ webhookUrl: `http://127.0.0.1:${hung.address().port}/slack`, timeoutMs: 50 });
+      await assert.rejects(channel.send(message), /Webhook timeout after 50ms/);
+    } finally {
+      hung.closeAllConnections();
+      hung.close();
+    }
+  });
+});
+
+describe('Lark channel', () => {
+  it('should post a rich-text message with a signature when a secret is set', async () => {
+    replyBody = '{"code":0}';
+    const channel = createLarkChannel({ webhookUrl: `${baseUrl}/lark`, secret: 's3cret' });
+    await channel.send(message);
+
+    const body = requests[0].body;
+    assert.strictEqual(body.msg_type, 'post');
+    assert.strictEqual(body.content.post.zh_cn.title, 'MAS Scout 日报');
+    assert.strictEqual(body.content.post.zh_cn.content.length, 2);
+    assert.ok(body.sign && body.timestamp);
+  });
+
+  it('should treat a non-zero Lark code as failure', async () => {
+    replyBody = '{"code":19021,"msg":"sign match fail"}';
+    const channel = createLarkChannel({ webhookUrl: `${baseUrl}/lark` });
+    await assert.rejects(channel.send(message), /19021/);
+  });
+});
+
+describe('Email channel', () => {
+  it('should deliver the Markdown report over SMTP', async () => {
+    const received = [];
+    const smtp = net.createServer(socket => {
+      let inData = false;
+      let data = '';
+      socket.write('220 stub ESMTP\r\n');
+      socket.on('data', chunk => {
+        for (const line of chunk.toString().split('\r\n')) {
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              received.push(data);
+              socket.write('250 queued\r\n');
+            } else {
+              data += line + '\n';
+            }
+            continue;
+          }
+          if (!line) continue;
+          received.push(line);
+          if (line.startsWith('EHLO')) socket.write('250-stub\r\n250 AUTH LOGIN\r\n');
+          else if (line === 'AUTH LOGIN') socket.write('334 VXNlcm5hbWU6\r\n');
+          else if (line === Buffer.from('bot').toString('base64')) socket.write('334 UGFzc3dvcmQ6\r\n');
+          else if (line === Buffer.from('pw').toString('base64')) socket.write('235 ok\r\n');
+          else if (line === 'DATA') { inData = true; socket.write('354 go\r\n'); }
+          else if (line === 'QUIT') { socket.write('221 bye\r\n'); socket.end(); }
+          else socket.write('250 ok\r\n');
+        }
+      });
+    });
+    await new Promise(r => smtp.listen(0, '127.0.0.1', r));
+
+    try {
+      const channel = createEmailChannel({
+        host: '127.0.0.1',
+        port: smtp.address().port,
+        user: 'bot',
+        pass: 'pw',
+        from: 'scout@example.com',
+        to: ['sales@example.com'],
+      });
+      await channel.send(message);
+    } finally {
+      smtp.close();
+    }
+
+    assert.ok(received.includes('MAIL FROM:<scout@example.com>'));
+    assert.ok(received.includes('RCPT TO:<sales@example.com>'));
+    const mail = received.find(r => r.includes('Content-Transfer-Encoding'));
+    assert.ok(mail.includes('Subject: =?UTF-8?B?'));
+    const body = Buffer.from(mail.split('\n\n')[1].replace(/\n/g, ''), 'base64').toString('utf-8');
+    assert.ok(body.includes('## 新增牌照持有者'));
+  });
+
+  it('should fail instead of hanging when the server closes the connection', async () => {
+    const smtp = net.createServer(socket => {
+      socket.write('220 stub ESMTP\r\n');
+      socket.once('data', () => socket.end());
+    });
+    await new Promise(r => smtp.listen(0, '127.0.0.1', r));
+
+    try {
+      const channel = createEmailChannel({ host: '127.0.0.1', port: smtp.address().port, from: 'scout@example.com', to: ['sales@example.com'] });
+      await assert.rejects(channel.send(message), /SMTP connection closed by server/);
+    } finally {
+      smtp.close();
+    }
+  });
+});
+
+describe('notify', () => {
+  it('should retry a failing channel and report attempts', async () => {
+    statuses = [500, 200];
+    const channel = createSlackChannel({ webhookUrl: `${baseUrl}/slack` });
+    const results = await notify(message, { channels: [channel], baseDelayMs: 1 });
+
+    assert.deepStrictEqual(results, [{ channel: 'slack', ok: true, attempts: 2 }]);
+    assert.strictEqual(requests.length, 2);
+  });
+
+  it('should not retry client errors and should not throw', async () => {
+    statuses = [400, 200];
+    const channel = createSlackChannel({ webhookUrl: `${baseUrl}/slack` });
+    const results = await notify(message, { channels: [channel], baseDelayMs: 1 });
+
+    assert.strictEqual(results[0].ok, false);
+    assert.strictEqual(results[0].attempts, 1);
+    assert.strictEqual(requests.length, 1);
+  });
+
+  it('should stay quiet on no change but still send high-priority alerts', async () => {
+    const channel = createSlackChannel({ webhookUrl: `${baseUrl}/slack` });
+
+    const quiet = await notify({ ...message, hasChanges: false }, { channels: [channel], quietOnNoChange: true });
+    assert.strictEqual(quiet[0].skipped, true);
+    assert.strictEqual(requests.length, 0);
+
+    await notify({ ...message, hasChanges: false, priority: 'high' }, { channels: [channel], quietOnNoChange: true });
+    assert.strictEqual(requests.length, 1);
+  });
+});
+
+describe('getChannels', () => {
+  it('should enable only fully configured channels', () => {
+    const channels = getChannels({
+      TELEGRAM_BOT_TOKEN: 'x',
+      SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/x',
+      SMTP_HOST: 'smtp.example.com',
+      SMTP_FROM: 'a@example.com',
+      SMTP_TO: 'b@example.com, c@example.com',
+    });
+    assert.deepStrictEqual(channels.map(c => c.name), ['slack', 'email']);
+  });
+});
+
+describe('truncate', () => {
+  it('should cut long text to the limit', () => {
+    const out = truncate('x'.repeat(100), 10);
+    assert.strictEqual(out.length, 10);
+    assert.ok(out.endsWith('…'));
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Minimal SMTP client — enough to deliver a plain-text UTF-8 report
+ *
+ * Supports implicit TLS (port 465), STARTTLS when the server offers it,
+ * and AUTH LOGIN. No attachments, no HTML parts.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { hostname } from 'os';
+
+/**
+ * Wrap a socket in a reader that yields complete SMTP replies
+ * ("250-..." continuation lines are gathered until "250 ...").
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+  const pending = [];
+
+  const flush = () => {
+    let idx;
+    while ((idx = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines };
+        lines = [];
+        if (waiting) {
+          const w = waiting;
+          waiting = null;
+          w.resolve(reply);
+        } else {
+          pending.push(reply);
+        }
+      }
+    }
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf-8');
+    flush();
+  };
+  const onError = err => {
+    failure = err;
+    if (waiting) {
+      const w = waiting;
+      waiting = null;
+      w.reject(err);
+    }
+  };
+  // A server that hangs up without an error must not leave a reader waiting forever
+  const onClose = () => onError(failure || new Error('SMTP connection closed by server'));
+
+  const attach = s => {
+    s.on('data', onData);
+    s.on('error', onError);
+    s.on('close', onClose);
+  };
+  attach(socket);
+
+  return {
+    next() {
+      if (pending.length > 0) return Promise.resolve(pending.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => { waiting = { resolve, reject }; });
+    },
+    detach(s) {
+      s.off('data', onData);
+      s.off('error', onError);
+      s.off('close', onClose);
+    },
+    attach,
+  };
+}
+
+/**
+ * Encode a header value as RFC 2047 UTF-8 base64 when it is not plain ASCII
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  if ([...value].every(ch => ch.charCodeAt(0) < 0x80)) return value;
+  return `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`;
+}
+
+/**
+ * Build the RFC 5322 message
+ * @param {{ from: string, to: string[], subject: string, text: string }} mail
+ * @returns {string}
+ */
+function buildMessage(mail) {
+  const body = Buffer.from(mail.text, 'utf-8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${mail.from}`,
+    `To: ${mail.to.join(', ')}`,
+    `Subject: ${encodeHeader(mail.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+/**
+ * Send one message
+ * @param {{ host: string, port?: number, secure?: boolean, user?: string, pass?: string, timeoutMs?: number }} server
+ * @param {{ from: string, to: string[], subject: string, text: string }} mail
+ * @returns {Promise<void>}
+ */
+async function sendMail(server, mail) {
+  const port = server.port || (server.secure ? 465 : 587);
+  const timeoutMs = server.timeoutMs || 30000;
+
+  let socket = await new Promise((resolve, reject) => {
+    const s = server.secure
+      ? tls.connect({ host: server.host, port, servername: server.host }, () => resolve(s))
+      : net.connect({ host: server.host, port }, () => resolve(s));
+    s.once('error', reject);
+  });
+  const armTimeout = s => s.setTimeout(timeoutMs, () => s.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+  armTimeout(socket);
+
+  const reader = createReplyReader(socket);
+
+  const expect = async (codes, step) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      const err = new Error(`SMTP ${step} failed: ${reply.lines.join(' ')}`);
+      // 4xx replies are transient in SMTP, 5xx are permanent
+      err.retryable = reply.code < 500;
+      throw err;
+    }
+    return reply;
+  };
+  const command = async (line, codes, step) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, step);
+  };
+
+  try {
+    await expect([220], 'greeting');
+    const helo = hostname() || 'localhost';
+    const ehlo = await command(`EHLO ${helo}`, [250], 'EHLO');
+
+    if (!server.secure && ehlo.lines.some(l => /STARTTLS/i.test(l))) {
+      await command('STARTTLS', [220], 'STARTTLS');
+      reader.detach(socket);
+      socket = await new Promise((resolve, reject) => {
+        const s = tls.connect({ socket, servername: server.host }, () => resolve(s));
+        s.once('error', reject);
+      });
+      armTimeout(socket);
+      reader.attach(socket);
+      await command(`EHLO ${helo}`, [250], 'EHLO');
+    }
+
+    if (server.user) {
+      await command('AUTH LOGIN', [334], 'AUTH');
+      await command(Buffer.from(server.user).toString('base64'), [334], 'AUTH user');
+      await command(Buffer.from(server.pass || '').toString('base64'), [235], 'AUTH pass');
+    }
+
+    await command(`MAIL FROM:<${mail.from}>`, [250], 'MAIL FROM');
+    for (const rcpt of mail.to) {
+      await command(`RCPT TO:<${rcpt}>`, [250, 251], 'RCPT TO');
+    }
+    await command('DATA', [354], 'DATA');
+    // Dot-stuffing: lines starting with "." get an extra "."
+    const data = buildMessage(mail).replace(/\r\n\./g, '\r\n..');
+    await command(`${data}\r\n.`, [250], 'message');
+    await command('QUIT', [221], 'QUIT').catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+export { sendMail, buildMessage, encodeHeader };
@@ -6,38 +6,79 @@
  */
 
 import { callLLM } from '../shared/llm.js';
+import { getCategoryCatalogue } from '../shared/config.js';
 
 const CONFIDENCE_THRESHOLD = 0.7;
 
+let regulatoryHooks = null;
+
 /**
- * 按牌照类型获取监管义务模板
+ * 按牌照类型获取监管义务模板（来自类别目录的 regulatoryHook）
+ * 首次使用时才读取类别目录，配置文件有误时由调用方的错误处理报告，而不是在 import 时抛出
+ * @returns {Object<string, { obligation: string, products: string[] }>}
  */
-const REGULATORY_HOOKS = {
-  'Capital Markets Services Licensee': {
-    obligation: 'SFA 第 339 条要求 CMS 持牌人建立完善的 KYC/AML 程序',
-    products: ['Artemis (KYC)', 'Athena (交易监控)'],
-  },
-  'Major Payment Institution': {
-    obligation: 'PSA 第 29 条要求 MPI 持有人实施客户尽职调查和交易监控',
-    products: ['Artemis (KYC)', 'Athena (交易监控)', 'Iris (合规顾问)'],
+function getRegulatoryHooks() {
+  if (!regulatoryHooks) {
+    regulatoryHooks = Object.fromEntries(
+      getCategoryCatalogue()
+        .filter(c => c.regulatoryHook && !c.activity)
+        .map(c => [c.category, c.regulatoryHook])
+    );
+  }
+  return regulatoryHooks;
+}
+
+/**
+ * 按受监管活动 / 子项追加的监管切入点
+ * match 与机构的 activity 名称及 Sub-Activity/Product 文本做不区分大小写匹配
+ */
+const ACTIVITY_HOOKS = [
+  {
+    match: /cross[- ]border money transfer/i,
+    obligation: 'MAS Notice PSN01 要求跨境汇款服务执行客户尽职调查并随汇款传递付款人/收款人信息',
+    products: ['Athena (交易监控)'],
   },
-  'Standard Payment Institution': {
-    obligation: 'PSA 要求 SPI 实施基础反洗钱程序',
+  {
+    match: /e-?money issuance/i,
+    obligation: 'MAS Notice PSN01 要求电子货币发行机构对账户持有人实施客户尽职调查和持续监控',
     products: ['Artemis (KYC)'],
   },
-};
+  {
+    match: /digital payment token|\bDPT\b/i,
+    obligation: 'MAS Notice PSN02 要求 DPT 服务商执行客户尽职调查、交易监控及 Travel Rule',
+    products: ['Artemis (KYC)', 'Athena (交易监控)'],
+  },
+];
+
+/**
+ * 合并牌照类型与受监管活动的监管切入点
+ * @param {string} licenseType
+ * @param {Object<string, string[]>} [subActivities] - activity → Sub-Activity/Product
+ * @returns {{ obligation: string, products: string[] } | null} 都不认识时返回 null
+ */
+function getRegulatoryHook(licenseType, subActivities = {}) {
+  const base = getRegulatoryHooks()[licenseType];
+  const text = Object.entries(subActivities).flatMap(([activity, subs]) => [activity, ...subs]).join(' | ');
+  const extra = ACTIVITY_HOOKS.filter(h => h.match.test(text));
+
+  if (!base && extra.length === 0) return null;
+
+  const obligations = [base?.obligation, ...extra.map(h => h.obligation)].filter(Boolean);
+  const products = [...new Set([...(base?.products || []), ...extra.flatMap(h => h.products)])];
+  return { obligation: obligations.join('；'), products };
+}
 
 /**
  * 计算 prospect 置信度分数
- * @param {{ company: object, contact: object, licenseType: string }} prospect
+ * @param {{ company: object, contact: object, licenseType: string, subActivities?: object }} prospect
  * @returns {number} 0-1 confidence score
  */
 function calculateConfidence(prospect) {
   let score = 0;
-  // Known license type
-  if (REGULATORY_HOOKS[prospect.licenseType]) score += 0.3;
-  // Has contact email
-  if (prospect.contact?.email) score += 0.25;
+  // Known license type (or a recognised regulated activity)
+  if (getRegulatoryHook(prospect.licenseType, prospect.subActivities)) score += 0.3;
+  // Has contact email — discovered addresses count in proportion to their confidence
+  if (prospect.contact?.email) score += 0.25 * (prospect.contact.emailConfidence ?? 1);
   // Has contact title matching compliance roles
   if (prospect.contact?.title) {
     const title = prospect.contact.title.toLowerCase();
@@ -51,11 +92,11 @@ function calculateConfidence(prospect) {
 
 /**
  * 生成个性化邮件内容
- * @param {{ company: object, contact: object, licenseType: string }} prospect
+ * @param {{ company: object, contact: object, licenseType: string, subActivities?: object }} prospect
  * @returns {Promise<string>}
  */
 async function generateEmail(prospect) {
-  const hook = REGULATORY_HOOKS[prospect.licenseType] || {
+  const hook = getRegulatoryHook(prospect.licenseType, prospect.subActivities) || {
     obligation: '合规法规要求建立 KYC/AML 系统',
     products: ['Artemis (KYC)'],
   };
@@ -69,7 +110,7 @@ async function generateEmail(prospect) {
 - Title: ${prospect.contact.title}
 - Company: ${prospect.company.name}
 - License type: ${prospect.licenseType}
-- Regulatory obligation: ${hook.obligation}
+${prospect.subActivities && Object.keys(prospect.subActivities).length ? `- Regulated activities: ${Object.keys(prospect.subActivities).join(', ')}\n` : ''}- Regulatory obligation: ${hook.obligation}
 - Recommended products: ${hook.products.join(', ')}
 ${prospect.company.headcount ? `- Company size: ~${prospect.company.headcount} employees` : ''}
 
@@ -102,7 +143,7 @@ Cynopsis Solutions`;
 
 /**
  * 生成 LinkedIn 连接请求消息
- * @param {{ company: object, contact: object, licenseType: string }} prospect
+ * @param {{ company: object, contact: object, licenseType: string, subActivities?: object }} prospect
  * @returns {Promise<string>}
  */
 async function generateLinkedInConnect(prospect) {
@@ -116,11 +157,11 @@ async function generateLinkedInConnect(prospect) {
 
 /**
  * 生成 LinkedIn 跟进消息
- * @param {{ company: object, contact: object, licenseType: string }} prospect
+ * @param {{ company: object, contact: object, licenseType: string, subActivities?: object }} prospect
  * @returns {Promise<string>}
  */
 async function generateLinkedInFollowUp(prospect) {
-  const hook = REGULATORY_HOOKS[prospect.licenseType] || { products: ['Artemis (KYC)'] };
+  const hook = getRegulatoryHook(prospect.licenseType, prospect.subActivities) || { products: ['Artemis (KYC)'] };
   const systemPrompt = `Write a brief LinkedIn follow-up message (under 500 characters). Reference regulatory obligations, offer value, suggest a call.`;
   const userPrompt = `Follow-up message to ${prospect.contact.name} at ${prospect.company.name} (${prospect.licenseType}). Products to mention: ${hook.products.join(', ')}.`;
 
@@ -131,7 +172,7 @@ async function generateLinkedInFollowUp(prospect) {
 
 /**
  * 生成跟进邮件
- * @param {{ company: object, contact: object, licenseType: string }} prospect
+ * @param {{ company: object, contact: object, licenseType: string, subActivities?: object }} prospect
  * @returns {Promise<string>}
  */
 async function generateFollowUpEmail(prospect) {
@@ -154,7 +195,7 @@ Cynopsis Solutions`;
 
 /**
  * 创建多渠道外联序列（全部 LLM 生成）
- * @param {{ company: object, contact: object, licenseType: string }} prospect
+ * @param {{ company: object, contact: object, licenseType: string, subActivities?: object }} prospect
  * @returns {Promise<{sequence: Array<{channel: string, day: number, content: string, status: string}>, confidence: number, requiresReview: boolean}>}
  */
 async function createSequence(prospect) {
@@ -206,6 +247,8 @@ export {
   createSequence,
   reviewStep,
   calculateConfidence,
-  REGULATORY_HOOKS,
+  getRegulatoryHook,
+  getRegulatoryHooks,
+  ACTIVITY_HOOKS,
   CONFIDENCE_THRESHOLD,
 };
@@ -1,12 +1,12 @@
 import { describe, it, before } from 'node:test';
 import assert from 'node:assert';
 
-describe('REGULATORY_HOOKS', () => {
+describe('getRegulatoryHooks', () => {
   let REGULATORY_HOOKS;
 
   before(async () => {
     const mod = await import('./index.js');
-    REGULATORY_HOOKS = mod.REGULATORY_HOOKS;
+    REGULATORY_HOOKS = mod.getRegulatoryHooks();
   });
 
   it('should have an entry for Capital Markets Services Licensee', () => {
@@ -35,6 +35,35 @@ describe('REGULATORY_HOOKS', () => {
   });
 });
 
+describe('getRegulatoryHook', () => {
+  let getRegulatoryHook;
+
+  before(async () => {
+    const mod = await import('./index.js');
+    getRegulatoryHook = mod.getRegulatoryHook;
+  });
+
+  it('should return the licence hook when there are no activities', () => {
+    const hook = getRegulatoryHook('Major Payment Institution');
+    assert.ok(hook.obligation.length > 0);
+    assert.ok(hook.products.length > 0);
+  });
+
+  it('should add activity obligations and merge products', () => {
+    const hook = getRegulatoryHook('Major Payment Institution', {
+      'Digital Payment Token Service': ['Dealing in DPT'],
+    });
+    assert.ok(hook.obligation.includes('PSN02'));
+    assert.strictEqual(new Set(hook.products).size, hook.products.length);
+  });
+
+  it('should match sub-activity text under an unknown licence type', () => {
+    const hook = getRegulatoryHook('Unknown', { 'Money Transfer Service': ['Cross-border Money Transfer'] });
+    assert.ok(hook.obligation.includes('PSN01'));
+    assert.strictEqual(getRegulatoryHook('Unknown', {}), null);
+  });
+});
+
 describe('generateEmail', () => {
   let generateEmail;
 
@@ -132,3 +161,29 @@ describe('createSequence', () => {
     );
   });
 });
+
+describe('calculateConfidence', () => {
+  let calculateConfidence;
+
+  before(async () => {
+    const mod = await import('./index.js');
+    calculateConfidence = mod.calculateConfidence;
+  });
+
+  const prospect = (contact) => ({
+    company: { name: 'Acme Payments Pte Ltd', website: '' },
+    contact: { name: 'John Doe', title: 'CCO', ...contact },
+    licenseType: 'Major Payment Institution',
+  });
+
+  it('awards the full email score to addresses without a discovery confidence', () => {
+    assert.strictEqual(calculateConfidence(prospect({ email: 'john@acme.com' })), 0.8);
+  });
+
+  it('scales the email score by how confident discovery is', () => {
+    const inferred = calculateConfidence(prospect({ email: 'john.doe@acme.com', emailConfidence: 0.8 }));
+    const guessed = calculateConfidence(prospect({ email: 'john.doe@acme.com', emailConfidence: 0.3 }));
+    assert.ok(inferred >= 0.7, 'an inferred-pattern address clears the review threshold');
+    assert.ok(guessed < 0.7, 'a guessed address still needs review');
+  });
+});
@@ -13,45 +13,44 @@
  *   node src/pipeline.js --all --retry           # retry no_contacts companies
  *   node src/pipeline.js --all --force           # re-enrich all (even already enriched)
  *   node src/pipeline.js --company "Name"       # enrich a single company
+ *   node src/pipeline.js --all --force --no-cache  # re-enrich, ignoring cached scrapes
+ *   node src/pipeline.js --all --concurrency 4  # 4 parallel browser pages (default 3)
+ *   node src/pipeline.js --all --force --resume # continue an interrupted run from its checkpoint
+ *
+ * Browser scrapes are cached in data/enrichment-cache.json (see src/enricher/cache.js),
+ * so --force / --retry only re-fetch sources past their TTL. Fields that are still
+ * fresh in the previous record but missing from the new one are kept.
+ *
+ * Companies are processed by a pool of workers, each with its own browser page;
+ * searches from all workers share one rate limit. Progress is checkpointed in
+ * data/pipeline-checkpoint.json after every company and removed when the run ends.
  */
 
-import { readFileSync, writeFileSync, existsSync, readdirSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, unlinkSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { enrich } from './enricher/index.js';
+import { enrich, enrichmentStatus } from './enricher/index.js';
+import { createEnrichmentCache, mergeFreshFields } from './enricher/cache.js';
+import { createPagePool } from './enricher/pool.js';
 import { createSequence } from './outreach/index.js';
-import { DATA_DIR } from './shared/config.js';
+import { DATA_DIR, getCategoryCatalogue, loadConfigFile } from './shared/config.js';
+import { getInstitutionId, normalizeName } from './shared/identity.js';
+import { getSnapshotStore } from './shared/snapshot-store.js';
+import { mapLimit } from './shared/concurrency.js';
+import { diffSnapshots, untrustedCategories } from './watcher/snapshot.js';
 
 const ENRICHMENT_FILE = join(DATA_DIR, 'enrichment.json');
 const OUTREACH_FILE = join(DATA_DIR, 'outreach.json');
+const CHECKPOINT_FILE = join(DATA_DIR, 'pipeline-checkpoint.json');
 
-// ── Snapshot helpers ──
-
-function loadLatestSnapshot() {
-  const dir = join(DATA_DIR, 'snapshots');
-  if (!existsSync(dir)) return null;
-
-  const files = readdirSync(dir)
-    .filter(f => f.startsWith('snapshot-') && f.endsWith('.json'))
-    .sort()
-    .reverse();
-
-  if (files.length === 0) return null;
-  return JSON.parse(readFileSync(join(dir, files[0]), 'utf-8'));
-}
-
-function loadPreviousSnapshot() {
-  const dir = join(DATA_DIR, 'snapshots');
-  if (!existsSync(dir)) return null;
+// Parallel browser pages; override with --concurrency or pipeline.concurrency in the config file
+const DEFAULT_CONCURRENCY = 3;
 
-  const files = readdirSync(dir)
-    .filter(f => f.startsWith('snapshot-') && f.endsWith('.json'))
-    .sort()
-    .reverse();
+// Statuses that mean the search itself failed, not that the company has no contacts
+const BLOCKED_STATUSES = ['blocked', 'rate_limited', 'parse_error'];
 
-  if (files.length < 2) return null;
-  return JSON.parse(readFileSync(join(dir, files[1]), 'utf-8'));
-}
+// Stop the run (keeping the checkpoint) after this many blocked companies in a row
+const MAX_CONSECUTIVE_BLOCKED = 3;
 
 // ── Persistence ──
 
@@ -68,9 +67,62 @@ function save(file, data) {
   writeFileSync(file, JSON.stringify(data, null, 2));
 }
 
+/**
+ * Backfill institutionId on records written before IDs existed, and refresh
+ * the display name of renamed institutions. Records are matched to the
+ * snapshot by normalized company name.
+ */
+function migrateRecords(records, institutions) {
+  const byName = new Map(institutions.map(i => [normalizeName(i.name), i]));
+  const byId = new Map(institutions.map(i => [getInstitutionId(i), i]));
+  for (const record of records) {
+    if (!record.institutionId) {
+      const inst = byName.get(normalizeName(record.company));
+      record.institutionId = inst ? getInstitutionId(inst) : getInstitutionId({ name: record.company });
+    }
+    const current = byId.get(record.institutionId);
+    if (current) record.company = current.name;
+  }
+  return records;
+}
+
+// ── Checkpoint ──
+
+/**
+ * Record a processed company in the run checkpoint. Blocked companies are not
+ * marked done, so resuming a paused run retries them.
+ * @param {{ done: string[] }} checkpoint
+ * @param {string} id - institution ID
+ * @param {string} status - status of the fetch (before fresh fields were carried over)
+ */
+function markDone(checkpoint, id, status) {
+  if (BLOCKED_STATUSES.includes(status)) return;
+  checkpoint.done.push(id);
+}
+
+/**
+ * Targets still to process when resuming from a checkpoint
+ * @param {Array<object>} targets - institutions
+ * @param {{ done: string[] }} previousRun
+ * @returns {Array<object>}
+ */
+function resumeTargets(targets, previousRun) {
+  const done = new Set(previousRun.done);
+  return targets.filter(inst => !done.has(getInstitutionId(inst)));
+}
+
 // ── Pipeline ──
 
-async function enrichCompany(inst) {
+/**
+ * Lowest (= most urgent) catalogue priority among an institution's categories.
+ * Institutions from snapshots without category tags sort last.
+ */
+function institutionPriority(inst, priorities) {
+  const values = (inst.categories || []).map(code => priorities.get(code)).filter(p => p !== undefined);
+  return values.length > 0 ? Math.min(...values) : 99;
+}
+
+async function enrichCompany(inst, { cache, pool }) {
   const startTime = Date.now();
   try {
     const result = await enrich({
@@ -78,25 +130,33 @@ async function enrichCompany(inst) {
       website: inst.website || '',
       address: inst.address || '',
       licenseTypes: inst.licenseTypes || [],
-    });
+    }, { cache, pool });
 
     return {
+      institutionId: getInstitutionId(inst),
       company: inst.name,
       licenseTypes: inst.licenseTypes || [],
-      status: result.contacts.length > 0 ? 'enriched' : 'no_contacts',
+      subActivities: inst.subActivities || {},
+      status: enrichmentStatus(result),
       contacts: result.contacts,
       companyInfo: result.companyInfo,
+      providers: result.providers,
+      ...(result.issues.length > 0 ? { issues: result.issues } : {}),
+      fieldsVerifiedAt: result.verifiedAt,
       enrichedAt: new Date().toISOString(),
       durationMs: Date.now() - startTime,
     };
   } catch (err) {
     console.error(`[pipeline] enrich failed for ${inst.name}: ${err.message}`);
     return {
+      institutionId: getInstitutionId(inst),
       company: inst.name,
       licenseTypes: inst.licenseTypes || [],
+      subActivities: inst.subActivities || {},
       status: 'failed',
       contacts: [],
       companyInfo: null,
+      fieldsVerifiedAt: {},
       enrichedAt: new Date().toISOString(),
       error: err.message,
       durationMs: Date.now() - startTime,
@@ -120,16 +180,20 @@ async function generateOutreach(enrichmentResult) {
       name: contact.name,
       title: contact.title,
       email: contact.email || '',
+      ...(contact.email ? { emailStatus: contact.emailStatus, emailConfidence: contact.emailConfidence } : {}),
     },
     licenseType: (enrichmentResult.licenseTypes || [])[0] || 'Unknown',
+    subActivities: enrichmentResult.subActivities || {},
   };
 
   try {
     const result = await createSequence(prospect);
     return {
+      institutionId: enrichmentResult.institutionId,
       contact: prospect.contact,
       company: enrichmentResult.company,
       licenseType: prospect.licenseType,
+      subActivities: prospect.subActivities,
       confidence: result.confidence,
       requiresReview: result.requiresReview,
       sequence: result.sequence,
@@ -146,10 +210,13 @@ async function main() {
   const runAll = args.includes('--all');
   const singleCompany = args.includes('--company') ? args[args.indexOf('--company') + 1] : null;
   const limit = args.includes('--limit') ? parseInt(args[args.indexOf('--limit') + 1], 10) : 0;
+  const concurrency = args.includes('--concurrency')
+    ? parseInt(args[args.indexOf('--concurrency') + 1], 10)
+    : loadConfigFile().pipeline?.concurrency || DEFAULT_CONCURRENCY;
 
   console.log('[pipeline] MAS Scout Pipeline starting');
 
-  const snapshot = loadLatestSnapshot();
+  const snapshot = getSnapshotStore().latest();
   if (!snapshot) {
     console.error('[pipeline] No snapshot data — run watcher first');
     process.exit(1);
@@ -167,25 +234,40 @@ async function main() {
     console.log(`[pipeline] Full run: ${targets.length} institutions`);
   } else {
     // Diff mode: only new institutions
-    const prev = loadPreviousSnapshot();
+    const prev = getSnapshotStore().latest({ offset: 1 });
     if (!prev) {
       targets = snapshot.institutions;
       console.log(`[pipeline] First run (no previous snapshot): ${targets.length} institutions`);
     } else {
-      const prevNames = new Set(prev.institutions.map(i => i.name));
-      targets = snapshot.institutions.filter(i => !prevNames.has(i.name));
+      // Renamed institutions are matched by ID, so only genuinely new ones are enriched
+      const untrusted = untrustedCategories(snapshot.categories, prev.categories);
+      targets = diffSnapshots(snapshot.institutions, prev.institutions, { untrusted }).added;
       console.log(`[pipeline] Diff mode: ${targets.length} new institutions`);
     }
   }
 
+  // Highest-priority licence categories first (stable, so snapshot order breaks ties)
+  const priorities = new Map(getCategoryCatalogue().map(c => [c.code, c.priority ?? 99]));
+  targets = [...targets].sort((a, b) => institutionPriority(a, priorities) - institutionPriority(b, priorities));
+
   // Apply limit
   if (limit > 0 && targets.length > limit) {
     console.log(`[pipeline] Limiting to ${limit} of ${targets.length}`);
     targets = targets.slice(0, limit);
   }
 
+  // Checkpoint of an interrupted run: --resume skips the companies it finished
+  const previousRun = loadExisting(CHECKPOINT_FILE);
+  if (previousRun && args.includes('--resume')) {
+    targets = resumeTargets(targets, previousRun);
+    console.log(`[pipeline] Resuming run from ${previousRun.startedAt}: ${previousRun.done.length} done, ${targets.length} left`);
+  } else if (previousRun) {
+    console.log(`[pipeline] Previous run from ${previousRun.startedAt} did not finish (${previousRun.done.length}/${previousRun.total} done) — pass --resume to continue it`);
+  }
+
   if (targets.length === 0) {
     console.log('[pipeline] No new institutions to process');
+    if (previousRun && args.includes('--resume')) unlinkSync(CHECKPOINT_FILE);
     process.exit(0);
   }
 
@@ -193,82 +275,126 @@ async function main() {
   const existingEnrichment = loadExisting(ENRICHMENT_FILE) || { lastRun: null, results: [] };
   const existingOutreach = loadExisting(OUTREACH_FILE) || { lastRun: null, prospects: [] };
 
-  // Index existing by company name for dedup
-  const enrichedMap = new Map(existingEnrichment.results.map(r => [r.company, r]));
-  const outreachMap = new Map(existingOutreach.prospects.map(p => [p.company, p]));
+  migrateRecords(existingEnrichment.results, snapshot.institutions);
+  migrateRecords(existingOutreach.prospects, snapshot.institutions);
 
+  // Index existing by institution ID for dedup
+  const enrichedMap = new Map(existingEnrichment.results.map(r => [r.institutionId, r]));
+  const outreachMap = new Map(existingOutreach.prospects.map(p => [p.institutionId, p]));
+
+  const workers = Math.max(1, Math.min(concurrency || 1, targets.length));
   console.log(`[pipeline] Existing: ${enrichedMap.size} enrichment, ${outreachMap.size} outreach records`);
-  console.log(`[pipeline] Processing ${targets.length} companies...\n`);
+  console.log(`[pipeline] Processing ${targets.length} companies with ${workers} worker(s)...\n`);
+
+  const outcomes = {};
+  let consecutiveBlocked = 0;
+  let halted = false;
+  const cache = createEnrichmentCache({ bypass: args.includes('--no-cache') });
+  const pool = createPagePool({ size: workers });
+  const checkpoint = args.includes('--resume') && previousRun
+    ? { ...previousRun, total: previousRun.done.length + targets.length, workers: {} }
+    : { startedAt: new Date().toISOString(), args, total: targets.length, done: [], workers: {} };
+
+  function saveProgress() {
+    existingEnrichment.lastRun = new Date().toISOString();
+    existingEnrichment.results = Array.from(enrichedMap.values());
+    save(ENRICHMENT_FILE, existingEnrichment);
+
+    existingOutreach.lastRun = new Date().toISOString();
+    existingOutreach.prospects = Array.from(outreachMap.values());
+    save(OUTREACH_FILE, existingOutreach);
 
-  let enriched = 0, failed = 0;
+    checkpoint.updatedAt = new Date().toISOString();
+    save(CHECKPOINT_FILE, checkpoint);
+  }
 
-  for (let i = 0; i < targets.length; i++) {
-    const inst = targets[i];
+  async function processCompany(inst, i, worker) {
+    if (halted) return;
+    const label = `[${i + 1}/${targets.length}]${workers > 1 ? ` w${worker}` : ''}`;
+    const id = getInstitutionId(inst);
 
     // Skip already-processed companies (unless --force flag)
-    const existing = enrichedMap.get(inst.name);
+    const existing = enrichedMap.get(id);
     if (existing && !args.includes('--force')) {
       if (existing.status === 'enriched') {
-        console.log(`[pipeline] [${i + 1}/${targets.length}] Skipping (already enriched): ${inst.name}`);
-        continue;
+        console.log(`[pipeline] ${label} Skipping (already enriched): ${inst.name}`);
+        return;
       }
       if (existing.status === 'no_contacts' && !args.includes('--retry')) {
-        console.log(`[pipeline] [${i + 1}/${targets.length}] Skipping (no_contacts, use --retry): ${inst.name}`);
-        continue;
+        console.log(`[pipeline] ${label} Skipping (no_contacts, use --retry): ${inst.name}`);
+        return;
       }
     }
 
-    console.log(`[pipeline] [${i + 1}/${targets.length}] Enriching: ${inst.name}`);
-
-    // Enrich
-    const enrichResult = await enrichCompany(inst);
-    enrichedMap.set(enrichResult.company, enrichResult);
+    console.log(`[pipeline] ${label} Enriching: ${inst.name}`);
+    checkpoint.workers[worker] = { institutionId: id, company: inst.name, startedAt: new Date().toISOString() };
+    save(CHECKPOINT_FILE, checkpoint);
+
+    // Enrich — fields still fresh in the previous record survive a failed refetch
+    const fetched = await enrichCompany(inst, { cache, pool });
+    const enrichResult = existing ? mergeFreshFields(existing, fetched) : fetched;
+    enrichedMap.set(enrichResult.institutionId, enrichResult);
+
+    outcomes[enrichResult.status] = (outcomes[enrichResult.status] || 0) + 1;
+    // Judge the fetch itself — carried-over contacts don't mean the search got through
+    if (BLOCKED_STATUSES.includes(fetched.status)) {
+      consecutiveBlocked++;
+      if (consecutiveBlocked >= MAX_CONSECUTIVE_BLOCKED && !halted) {
+        halted = true;
+        console.log(`[pipeline] ${consecutiveBlocked} companies blocked in a row (${fetched.status}) — pausing the run; continue later with --resume`);
+      }
+    } else {
+      consecutiveBlocked = 0;
+    }
 
     if (enrichResult.status === 'enriched') {
-      enriched++;
-      console.log(`  → ${enrichResult.contacts.length} contacts found (${enrichResult.durationMs}ms)`);
+      console.log(`  ${label} → ${enrichResult.contacts.length} contacts found (${enrichResult.durationMs}ms)`);
 
       // Generate outreach sequence
       const outreachResult = await generateOutreach(enrichResult);
       if (outreachResult) {
-        outreachMap.set(outreachResult.company, outreachResult);
-        console.log(`  → Outreach sequence created (confidence: ${outreachResult.confidence.toFixed(2)})`);
+        outreachMap.set(outreachResult.institutionId, outreachResult);
+        console.log(`  ${label} → Outreach sequence created (confidence: ${outreachResult.confidence.toFixed(2)})`);
       }
     } else {
-      failed++;
-      console.log(`  → ${enrichResult.status}${enrichResult.error ? ': ' + enrichResult.error : ''}`);
+      console.log(`  ${label} → ${enrichResult.status}${enrichResult.error ? ': ' + enrichResult.error : ''}`);
     }
 
-    // Save after each company (crash-safe)
-    existingEnrichment.lastRun = new Date().toISOString();
-    existingEnrichment.results = Array.from(enrichedMap.values());
-    save(ENRICHMENT_FILE, existingEnrichment);
+    // Save after each company (crash-safe); blocked companies stay open for --resume
+    markDone(checkpoint, id, fetched.status);
+    delete checkpoint.workers[worker];
+    saveProgress();
+  }
 
-    existingOutreach.lastRun = new Date().toISOString();
-    existingOutreach.prospects = Array.from(outreachMap.values());
-    save(OUTREACH_FILE, existingOutreach);
+  try {
+    await mapLimit(targets, workers, processCompany);
+  } finally {
+    await pool.close();
   }
+  // A paused run keeps its checkpoint for --resume
+  if (!halted && existsSync(CHECKPOINT_FILE)) unlinkSync(CHECKPOINT_FILE);
 
   // Cross-company dedup: flag contacts that appear in multiple companies
-  const contactIndex = new Map(); // linkedInUrl or name+title → [company names]
+  const contactIndex = new Map(); // linkedInUrl or name+title → [institution IDs]
   for (const result of enrichedMap.values()) {
     if (result.status !== 'enriched') continue;
     for (const contact of result.contacts) {
       const key = contact.linkedInUrl || `${contact.name.toLowerCase()}|${contact.title.toLowerCase()}`;
       if (!contactIndex.has(key)) contactIndex.set(key, []);
-      contactIndex.get(key).push(result.company);
+      contactIndex.get(key).push(result.institutionId);
     }
   }
 
   let dupCount = 0;
-  for (const [key, companies] of contactIndex) {
-    if (companies.length <= 1) continue;
+  for (const [key, ids] of contactIndex) {
+    if (ids.length <= 1) continue;
     dupCount++;
+    const companies = ids.map(id => enrichedMap.get(id).company);
     console.log(`[pipeline] 跨公司重复: "${key}" 出现在 ${companies.length} 家: ${companies.join(', ')}`);
     // Mark duplicates as low_confidence (keep the first occurrence as-is)
     const keepCompany = companies[0];
-    for (const companyName of companies.slice(1)) {
-      const result = enrichedMap.get(companyName);
+    for (const id of ids.slice(1)) {
+      const result = enrichedMap.get(id);
       if (!result) continue;
       for (const contact of result.contacts) {
         const contactKey = contact.linkedInUrl || `${contact.name.toLowerCase()}|${contact.title.toLowerCase()}`;
@@ -287,11 +413,21 @@ async function main() {
     save(ENRICHMENT_FILE, existingEnrichment);
   }
 
-  console.log(`\n[pipeline] Done. Enriched: ${enriched}, Failed: ${failed}`);
+  const blockedCount = BLOCKED_STATUSES.reduce((n, s) => n + (outcomes[s] || 0), 0);
+  const authwalls = [...enrichedMap.values()].filter(r => r.issues?.some(i => i.status === 'authwall')).length;
+  console.log(`\n[pipeline] ${halted ? 'Paused' : 'Done'}. Enriched: ${outcomes.enriched || 0}, No contacts: ${outcomes.no_contacts || 0}, Blocked: ${blockedCount}, Failed: ${outcomes.failed || 0}`);
+  if (blockedCount > 0) {
+    console.log(`[pipeline] Blocked by status: ${BLOCKED_STATUSES.filter(s => outcomes[s]).map(s => `${s} ${outcomes[s]}`).join(', ')} — rerun to retry them`);
+  }
+  if (authwalls > 0) console.log(`[pipeline] LinkedIn authwall hit for ${authwalls} companies (metadata missing)`);
   console.log(`[pipeline] Results saved to:\n  ${ENRICHMENT_FILE}\n  ${OUTREACH_FILE}`);
 }
 
-main().catch(err => {
-  console.error('[pipeline] Fatal error:', err);
-  process.exit(1);
-});
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error('[pipeline] Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+export { markDone, resumeTargets, BLOCKED_STATUSES };
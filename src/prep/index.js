@@ -8,7 +8,7 @@
  */
 
 import { callLLM, callLLMJson } from '../shared/llm.js';
-import { REGULATORY_HOOKS } from '../outreach/index.js';
+import { getRegulatoryHook } from '../outreach/index.js';
 
 /**
  * 回复分类 — LLM with keyword fallback
@@ -87,7 +87,7 @@ function classifyByKeywords(replyText) {
 async function generateBrief(prospect) {
   console.log(`[prep] 生成会前简报: ${prospect.company.name}`);
 
-  const hook = REGULATORY_HOOKS[prospect.licenseType] || {
+  const hook = getRegulatoryHook(prospect.licenseType, prospect.subActivities) || {
     obligation: 'MAS regulations require KYC/AML compliance programs',
     products: ['Artemis (KYC)'],
   };
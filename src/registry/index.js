@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * ACRA registry lookup — UEN, incorporation date, entity status and primary SSIC
+ *
+ * FID rows carry no UEN. ACRA publishes its register of corporate entities as
+ * open-data CSVs ("ACRA Information on Corporate Entities" on data.gov.sg, one
+ * file per initial letter). Import them once; the watcher then attaches the
+ * matching record to every institution as `inst.registry`, matched by
+ * normalized name. A UEN survives renames, so identity matching also uses it.
+ *
+ * The full register has about two million entities, most of them sole
+ * proprietorships, partnerships and struck-off companies that cannot hold a
+ * MAS licence. The default import keeps every other entity — live companies,
+ * foreign companies and LLPs — so firms licensed after the import, and renamed
+ * licensees, still find their record. Re-import after the monthly ACRA
+ * refresh; pass --all to keep every row of a small extract.
+ *
+ * Usage:
+ *   node src/registry/index.js import <csv...> [--all]
+ *   node src/registry/index.js lookup "Alpha Pay Pte Ltd"
+ *   node src/registry/index.js status
+ */
+
+import { createReadStream, readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { createInterface } from 'readline';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR } from '../shared/config.js';
+import { normalizeName } from '../shared/identity.js';
+
+const REGISTRY_FILE = join(DATA_DIR, 'registry', 'acra.json');
+
+// Record field → ACRA CSV column
+const ACRA_COLUMNS = {
+  uen: 'uen',
+  name: 'entity_name',
+  entityType: 'entity_type_description',
+  status: 'entity_status_description',
+  incorporatedAt: 'registration_incorporation_date',
+  ssic: 'primary_ssic_code',
+  ssicDescription: 'primary_ssic_description',
+};
+
+const REQUIRED_COLUMNS = ['uen', 'entity_name'];
+
+// Entity types that can hold a MAS licence, and statuses of entities that no longer exist
+const LICENSABLE_ENTITY_TYPES = /company|limited liability partnership/i;
+const DEFUNCT_STATUSES = /struck off|dissolved|cancelled|amalgamated|terminated/i;
+
+/**
+ * Split one CSV line into cells (RFC 4180 quoting, no embedded newlines)
+ * @param {string} line
+ * @returns {string[]}
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * Map a CSV row to a registry record; empty fields are dropped
+ * @param {string[]} cells
+ * @param {Map<string, number>} columns - header name → index
+ * @returns {object}
+ */
+function toRecord(cells, columns) {
+  const record = {};
+  for (const [field, column] of Object.entries(ACRA_COLUMNS)) {
+    const value = cells[columns.get(column)]?.trim();
+    if (value && value.toLowerCase() !== 'na') record[field] = value;
+  }
+  return record;
+}
+
+/**
+ * Whether an entity could be a MAS licensee (rows without a type or status are kept)
+ * @param {{ entityType?: string, status?: string }} record
+ * @returns {boolean}
+ */
+function isLicensable(record) {
+  if (record.entityType && !LICENSABLE_ENTITY_TYPES.test(record.entityType)) return false;
+  return !DEFUNCT_STATUSES.test(record.status || '');
+}
+
+/**
+ * Stream one ACRA CSV file into the index
+ * @param {string} file
+ * @param {Object<string, Array>} records - normalized name → records, mutated
+ * @param {(record: object, key: string) => boolean} keep - rows to keep
+ * @returns {Promise<{ rows: number, kept: number }>}
+ */
+async function importFile(file, records, keep) {
+  const lines = createInterface({ input: createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+  let columns = null;
+  let rows = 0;
+  let kept = 0;
+
+  for await (const raw of lines) {
+    const line = columns ? raw : raw.replace(/^\uFEFF/, '');
+    if (!line.trim()) continue;
+    const cells = parseCsvLine(line);
+    if (!columns) {
+      columns = new Map(cells.map((c, i) => [c.trim().toLowerCase(), i]));
+      const missing = REQUIRED_COLUMNS.filter(c => !columns.has(c));
+      if (missing.length > 0) {
+        lines.close();
+        throw new Error(`Not an ACRA entity CSV (missing ${missing.join(', ')}): ${file}`);
+      }
+      continue;
+    }
+    rows++;
+    const record = toRecord(cells, columns);
+    if (!record.uen || !record.name) continue;
+    const key = normalizeName(record.name);
+    if (!keep(record, key)) continue;
+    // The same UEN may appear in more than one file of a refresh
+    const existing = records[key] || (records[key] = []);
+    if (existing.some(r => r.uen === record.uen)) continue;
+    existing.push(record);
+    kept++;
+  }
+
+  return { rows, kept };
+}
+
+/**
+ * Import ACRA CSV files and write the registry index
+ * @param {string[]} files
+ * @param {{ names?: Iterable<string> | null, file?: string, now?: Date }} [opts]
+ *   names: institution names to keep; null keeps every row; default keeps entities that can be licensed
+ * @returns {Promise<{ rows: number, kept: number, matched: number, path: string }>}
+ */
+async function importRegistry(files, opts = {}) {
+  const path = opts.file || REGISTRY_FILE;
+  let keep = isLicensable;
+  if (opts.names === null) {
+    keep = () => true;
+  } else if (opts.names) {
+    const nameSet = new Set([...opts.names].map(normalizeName));
+    keep = (record, key) => nameSet.has(key);
+  }
+
+  const records = {};
+  let rows = 0;
+  let kept = 0;
+  for (const file of files) {
+    const result = await importFile(file, records, keep);
+    console.log(`[registry] ${basename(file)}: ${result.rows} rows, ${result.kept} kept`);
+    rows += result.rows;
+    kept += result.kept;
+  }
+
+  const index = {
+    importedAt: (opts.now || new Date()).toISOString(),
+    sources: files.map(f => basename(f)),
+    count: kept,
+    records,
+  };
+  if (!existsSync(dirname(path))) mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(index));
+  return { rows, kept, matched: Object.keys(records).length, path };
+}
+
+/**
+ * Load the imported registry index
+ * @param {string} [file]
+ * @returns {{ importedAt: string, sources: string[], count: number, records: Object<string, Array> } | null}
+ */
+function loadRegistry(file = REGISTRY_FILE) {
+  if (!existsSync(file)) return null;
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Registry record for an institution. When several entities share the name
+ * (a struck-off company and its live successor), live entities win, then the
+ * most recently incorporated.
+ * @param {{ name: string }} inst
+ * @param {ReturnType<typeof loadRegistry>} registry
+ * @returns {object | null}
+ */
+function lookupRegistry(inst, registry) {
+  const candidates = registry?.records[normalizeName(inst.name)];
+  if (!candidates?.length) return null;
+  const isLive = r => /^live/i.test(r.status || '');
+  return [...candidates].sort((a, b) =>
+    (isLive(b) - isLive(a)) || (b.incorporatedAt || '').localeCompare(a.incorporatedAt || ''))[0];
+}
+
+/**
+ * Attach registry records to institutions as `inst.registry`
+ * @param {Array} institutions - mutated in place
+ * @param {ReturnType<typeof loadRegistry>} registry
+ * @returns {number} how many institutions matched
+ */
+function attachRegistry(institutions, registry) {
+  let matched = 0;
+  for (const inst of institutions) {
+    const record = lookupRegistry(inst, registry);
+    if (!record) continue;
+    const fields = { ...record };
+    delete fields.name;
+    inst.registry = fields;
+    matched++;
+  }
+  return matched;
+}
+
+/**
+ * Whole years between incorporation and a later date
+ * @param {string} incorporatedAt - YYYY-MM-DD
+ * @param {string|Date} [at]
+ * @returns {number|null}
+ */
+function companyAgeYears(incorporatedAt, at = new Date()) {
+  const start = new Date(incorporatedAt);
+  const end = new Date(at);
+  if (isNaN(start) || isNaN(end)) return null;
+  let years = end.getUTCFullYear() - start.getUTCFullYear();
+  if (end.getUTCMonth() < start.getUTCMonth()
+    || (end.getUTCMonth() === start.getUTCMonth() && end.getUTCDate() < start.getUTCDate())) {
+    years--;
+  }
+  return years;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+
+  if (command === 'import') {
+    const files = rest.filter(a => !a.startsWith('--'));
+    if (files.length === 0) throw new Error('Usage: import <csv...> [--all]');
+    const result = await importRegistry(files, rest.includes('--all') ? { names: null } : {});
+    console.log(`[registry] ${result.rows} rows read, ${result.kept} records kept for ${result.matched} names → ${result.path}`);
+    return;
+  }
+
+  const registry = loadRegistry();
+  if (!registry) throw new Error('No registry imported yet — run: import <csv...>');
+
+  if (command === 'lookup') {
+    const name = rest.join(' ');
+    const record = lookupRegistry({ name }, registry);
+    if (!record) {
+      console.log(`[registry] No record for: ${name}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(JSON.stringify(record, null, 2));
+    return;
+  }
+
+  if (command === 'status' || !command) {
+    console.log(`[registry] Imported ${registry.importedAt} from ${registry.sources.join(', ')}: ${registry.count} records`);
+    return;
+  }
+
+  throw new Error(`Unknown command: ${command} (import / lookup / status)`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(`[registry] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+export {
+  importRegistry,
+  loadRegistry,
+  lookupRegistry,
+  attachRegistry,
+  companyAgeYears,
+  parseCsvLine,
+  REGISTRY_FILE,
+};
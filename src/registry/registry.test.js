@@ -0,0 +1,101 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+describe('parseCsvLine', () => {
+  let parseCsvLine;
+
+  before(async () => {
+    ({ parseCsvLine } = await import('./index.js'));
+  });
+
+  it('should handle quoted commas and escaped quotes', () => {
+    assert.deepStrictEqual(parseCsvLine('a,"b, c","say ""hi""",'), ['a', 'b, c', 'say "hi"', '']);
+  });
+});
+
+describe('ACRA registry', () => {
+  let importRegistry;
+  let loadRegistry;
+  let lookupRegistry;
+  let attachRegistry;
+  let companyAgeYears;
+  let tempDir;
+  let registryFile;
+
+  const HEADER = 'uen,issuance_agency_id,entity_name,entity_type_description,entity_status_description,registration_incorporation_date,primary_ssic_code,primary_ssic_description';
+
+  before(async () => {
+    ({ importRegistry, loadRegistry, lookupRegistry, attachRegistry, companyAgeYears } = await import('./index.js'));
+    tempDir = mkdtempSync(join(tmpdir(), 'mas-scout-registry-'));
+    registryFile = join(tempDir, 'acra.json');
+    writeFileSync(join(tempDir, 'a.csv'), '\uFEFF' + [
+      HEADER,
+      '201912345K,ACRA,ALPHA PAY PTE. LTD.,Local Company,Live Company,2019-03-01,66192,"Payment processing, remittance"',
+      '200800001A,ACRA,ALPHA PAY PTE. LTD.,Local Company,Struck Off,2008-01-15,66192,',
+      '199900002B,ACRA,UNRELATED TRADING PTE. LTD.,Local Company,Live Company,1999-05-05,46900,na',
+    ].join('\r\n'));
+    writeFileSync(join(tempDir, 'bad.csv'), 'foo,bar\n1,2\n');
+  });
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should keep only rows matching the given institution names', async () => {
+    const result = await importRegistry([join(tempDir, 'a.csv')], { names: ['Alpha Pay Pte Ltd'], file: registryFile });
+    assert.deepStrictEqual([result.rows, result.kept, result.matched], [3, 2, 1]);
+
+    const registry = loadRegistry(registryFile);
+    assert.deepStrictEqual(registry.sources, ['a.csv']);
+    assert.strictEqual(lookupRegistry({ name: 'Unrelated Trading Pte Ltd' }, registry), null);
+  });
+
+  it('should prefer the live entity and attach it without the name', async () => {
+    await importRegistry([join(tempDir, 'a.csv')], { names: null, file: registryFile });
+    const registry = loadRegistry(registryFile);
+    const institutions = [{ name: 'Alpha Pay Pte. Ltd.' }, { name: 'Unknown Pte Ltd' }];
+
+    assert.strictEqual(attachRegistry(institutions, registry), 1);
+    assert.deepStrictEqual(institutions[0].registry, {
+      uen: '201912345K',
+      entityType: 'Local Company',
+      status: 'Live Company',
+      incorporatedAt: '2019-03-01',
+      ssic: '66192',
+      ssicDescription: 'Payment processing, remittance',
+    });
+    assert.strictEqual(institutions[1].registry, undefined);
+    assert.strictEqual(lookupRegistry({ name: 'Unrelated Trading Pte Ltd' }, registry).ssicDescription, undefined);
+  });
+
+  it('should keep every entity that can be licensed by default, not just firms already in FID', async () => {
+    writeFileSync(join(tempDir, 'b.csv'), [
+      HEADER,
+      '202500001C,ACRA,NEWCO PAYMENTS PTE. LTD.,Local Company,Live Company,2025-01-02,66192,',
+      '202500002D,ACRA,GLOBAL BANK,Foreign Company,Registered,1990-01-01,64110,',
+      '53400001E,ACRA,KOPI CORNER,Sole Proprietorship/ Partnership,Live,2020-06-01,56111,',
+      '200800001A,ACRA,ALPHA PAY PTE. LTD.,Local Company,Struck Off,2008-01-15,66192,',
+    ].join('\n'));
+    const result = await importRegistry([join(tempDir, 'b.csv')], { file: registryFile });
+    assert.deepStrictEqual([result.rows, result.kept], [4, 2]);
+
+    const registry = loadRegistry(registryFile);
+    assert.strictEqual(lookupRegistry({ name: 'Newco Payments Pte Ltd' }, registry).uen, '202500001C');
+    assert.strictEqual(lookupRegistry({ name: 'Global Bank' }, registry).uen, '202500002D');
+    assert.strictEqual(lookupRegistry({ name: 'Kopi Corner' }, registry), null);
+    assert.strictEqual(lookupRegistry({ name: 'Alpha Pay Pte Ltd' }, registry), null);
+  });
+
+  it('should reject files that are not ACRA entity CSVs', async () => {
+    await assert.rejects(importRegistry([join(tempDir, 'bad.csv')], { names: null, file: registryFile }), /missing uen, entity_name/);
+  });
+
+  it('should count whole years since incorporation', () => {
+    assert.strictEqual(companyAgeYears('2019-03-01', '2025-02-28T00:00:00Z'), 5);
+    assert.strictEqual(companyAgeYears('2019-03-01', '2025-03-01T00:00:00Z'), 6);
+    assert.strictEqual(companyAgeYears('not a date', '2025-03-01T00:00:00Z'), null);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Shared concurrency helpers — a bounded worker pool and a rate limiter that
+ * spaces out requests across every worker in the process
+ */
+
+import { sleep } from './retry.js';
+
+/**
+ * Map items through an async function with at most `limit` calls in flight.
+ * Items are taken in order; each worker picks the next one when it is free.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number, worker: number) => Promise<R>} fn - worker is 0…limit-1
+ * @returns {Promise<R[]>} results in item order
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function work(worker) {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index, worker);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, (_, w) => work(w)));
+  return results;
+}
+
+/**
+ * Start calls no closer together than minIntervalMs, however many callers share the limiter
+ * @param {{ minIntervalMs: number, now?: () => number, sleep?: (ms: number) => Promise<void> }} opts
+ * @returns {{ schedule: <T>(fn: () => Promise<T>) => Promise<T>, pause: (ms: number) => void }}
+ */
+function createRateLimiter(opts) {
+  const now = opts.now || Date.now;
+  const wait = opts.sleep || sleep;
+  let nextSlot = 0;
+
+  return {
+    async schedule(fn) {
+      // Reserve a slot before waiting, so concurrent callers queue up behind each other
+      const slot = Math.max(now(), nextSlot);
+      nextSlot = slot + opts.minIntervalMs;
+      const delayMs = slot - now();
+      if (delayMs > 0) await wait(delayMs);
+      return fn();
+    },
+
+    /**
+     * Hold every caller that has not started yet for at least ms from now
+     * @param {number} ms
+     */
+    pause(ms) {
+      nextSlot = Math.max(nextSlot, now() + ms);
+    },
+  };
+}
+
+export { mapLimit, createRateLimiter };
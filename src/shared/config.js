@@ -6,14 +6,158 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..', '..');
 const DATA_DIR = join(ROOT, 'data');
 
+// 可选配置文件，可用 MAS_SCOUT_CONFIG 指定路径
+const CONFIG_FILE = process.env.MAS_SCOUT_CONFIG || join(ROOT, 'mas-scout.config.json');
+
 // MAS FID 基础 URL
 const MAS_FID_BASE = 'https://eservices.mas.gov.sg/fid';
 
-// 我们关注的牌照类别
-const WATCHED_CATEGORIES = [
-  { sector: 'Capital Markets', category: 'Capital Markets Services Licensee' },
-  { sector: 'Payments', category: 'Major Payment Institution' },
-  { sector: 'Payments', category: 'Standard Payment Institution' },
+/**
+ * 牌照类别目录
+ *
+ * code 是 CLI / 配置文件中使用的简称；sector + category 对应 FID 查询参数。
+ * activity 可选，用于只保留某项受监管活动（如 DPT 服务）的机构。
+ * priority 越小越优先；regulatoryHook 供 outreach 生成监管切入点。
+ */
+const CATEGORY_CATALOGUE = [
+  {
+    code: 'cms',
+    sector: 'Capital Markets',
+    category: 'Capital Markets Services Licensee',
+    priority: 1,
+    regulatoryHook: {
+      obligation: 'SFA 第 339 条要求 CMS 持牌人建立完善的 KYC/AML 程序',
+      products: ['Artemis (KYC)', 'Athena (交易监控)'],
+    },
+  },
+  {
+    code: 'mpi',
+    sector: 'Payments',
+    category: 'Major Payment Institution',
+    priority: 1,
+    regulatoryHook: {
+      obligation: 'PSA 第 29 条要求 MPI 持有人实施客户尽职调查和交易监控',
+      products: ['Artemis (KYC)', 'Athena (交易监控)', 'Iris (合规顾问)'],
+    },
+  },
+  {
+    code: 'spi',
+    sector: 'Payments',
+    category: 'Standard Payment Institution',
+    priority: 2,
+    regulatoryHook: {
+      obligation: 'PSA 要求 SPI 实施基础反洗钱程序',
+      products: ['Artemis (KYC)'],
+    },
+  },
+  {
+    code: 'mpi-dpt',
+    sector: 'Payments',
+    category: 'Major Payment Institution',
+    activity: 'Digital Payment Token Service',
+    priority: 1,
+  },
+  {
+    code: 'rfmc',
+    sector: 'Capital Markets',
+    category: 'Registered Fund Management Company',
+    priority: 2,
+    regulatoryHook: {
+      obligation: 'MAS Notice SFA04-N02 要求基金管理公司执行客户尽职调查与可疑交易报告',
+      products: ['Artemis (KYC)'],
+    },
+  },
+  {
+    code: 'insurance-broker',
+    sector: 'Insurance',
+    category: 'Registered Insurance Broker',
+    priority: 3,
+    regulatoryHook: {
+      obligation: 'MAS AML/CFT 通告要求保险中介建立客户尽职调查与可疑交易报告程序',
+      products: ['Artemis (KYC)'],
+    },
+  },
+  {
+    code: 'bank-full',
+    sector: 'Banking',
+    category: 'Full Bank',
+    priority: 3,
+    regulatoryHook: {
+      obligation: 'MAS Notice 626 要求银行实施客户尽职调查、持续监控和可疑交易报告',
+      products: ['Artemis (KYC)', 'Athena (交易监控)'],
+    },
+  },
+  {
+    code: 'bank-wholesale',
+    sector: 'Banking',
+    category: 'Wholesale Bank',
+    priority: 3,
+    regulatoryHook: {
+      obligation: 'MAS Notice 626 要求银行实施客户尽职调查、持续监控和可疑交易报告',
+      products: ['Artemis (KYC)', 'Athena (交易监控)'],
+    },
+  },
 ];
 
-export { ROOT, DATA_DIR, MAS_FID_BASE, WATCHED_CATEGORIES };
+// 默认监控的类别
+const DEFAULT_CATEGORY_CODES = ['cms', 'mpi', 'spi'];
+
+let cachedConfig;
+
+/**
+ * 读取配置文件（不存在时返回空对象），结果缓存
+ * @returns {object}
+ */
+function loadConfigFile() {
+  if (cachedConfig !== undefined) return cachedConfig;
+  cachedConfig = existsSync(CONFIG_FILE) ? JSON.parse(readFileSync(CONFIG_FILE, 'utf-8')) : {};
+  return cachedConfig;
+}
+
+/**
+ * 内置目录 + 配置文件中的 catalogue 条目（同 code 覆盖内置）
+ * @returns {Array}
+ */
+function getCategoryCatalogue() {
+  const extra = loadConfigFile().catalogue || [];
+  const byCode = new Map(CATEGORY_CATALOGUE.map(c => [c.code, c]));
+  for (const entry of extra) {
+    byCode.set(entry.code, { ...byCode.get(entry.code), ...entry });
+  }
+  return [...byCode.values()];
+}
+
+/**
+ * 解析本次要监控的类别
+ * 优先级：CLI 参数 > 配置文件 watcher.categories > 默认
+ * @param {string[]} [codes]
+ * @returns {Array}
+ */
+function resolveCategories(codes) {
+  const selected = codes?.length ? codes : (loadConfigFile().watcher?.categories || DEFAULT_CATEGORY_CODES);
+  const catalogue = getCategoryCatalogue();
+
+  return selected.map(code => {
+    const entry = catalogue.find(c => c.code === code);
+    if (!entry) {
+      throw new Error(`未知类别 "${code}"，可选: ${catalogue.map(c => c.code).join(', ')}`);
+    }
+    return entry;
+  });
+}
+
+// 我们关注的牌照类别（默认集合；实际运行时用 resolveCategories）
+const WATCHED_CATEGORIES = DEFAULT_CATEGORY_CODES.map(code => CATEGORY_CATALOGUE.find(c => c.code === code));
+
+export {
+  ROOT,
+  DATA_DIR,
+  CONFIG_FILE,
+  MAS_FID_BASE,
+  CATEGORY_CATALOGUE,
+  DEFAULT_CATEGORY_CODES,
+  WATCHED_CATEGORIES,
+  loadConfigFile,
+  getCategoryCatalogue,
+  resolveCategories,
+};
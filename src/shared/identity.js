@@ -0,0 +1,219 @@
+/**
+ * Institution identity — canonical IDs that survive renames and punctuation drift
+ *
+ * FID rows carry no stable identifier, so we derive one from the normalized
+ * name, address and website the first time an institution is seen, then carry
+ * it forward snapshot to snapshot by matching on normalized name, and failing
+ * that, on website domain / address (rename detection).
+ */
+
+import { createHash } from 'crypto';
+
+// Legal-form variants collapsed to one spelling so "PTE. LTD." == "PTE LTD"
+const LEGAL_FORMS = [
+  [/\bPRIVATE\s+LIMITED\b/g, 'PTE LTD'],
+  [/\bPTE\s+LIMITED\b/g, 'PTE LTD'],
+  [/\bLIMITED\b/g, 'LTD'],
+  [/\bCORPORATION\b/g, 'CORP'],
+  [/\bINCORPORATED\b/g, 'INC'],
+  [/\bCOMPANY\b/g, 'CO'],
+];
+
+const LEGAL_TOKENS = new Set(['PTE', 'LTD', 'INC', 'CORP', 'LLC', 'LLP', 'LP', 'CO', 'PLC', 'SINGAPORE', 'BRANCH']);
+
+/**
+ * Normalize an institution name for identity comparison
+ * "ABC (SINGAPORE) PTE. LTD." → "ABC SINGAPORE PTE LTD"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  let s = (name || '').toUpperCase()
+    .replace(/&/g, ' AND ')
+    .replace(/[.,'’"()[\]]/g, ' ')
+    .replace(/[^A-Z0-9 ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  for (const [pattern, replacement] of LEGAL_FORMS) {
+    s = s.replace(pattern, replacement);
+  }
+  return s;
+}
+
+/**
+ * Name without legal-form tokens — used for similarity, not identity
+ * @param {string} name
+ * @returns {string[]}
+ */
+function nameTokens(name) {
+  return normalizeName(name).split(' ').filter(t => t && !LEGAL_TOKENS.has(t));
+}
+
+/**
+ * Normalize an address: uppercase, punctuation stripped, whitespace collapsed
+ * @param {string} address
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+  return (address || '').toUpperCase()
+    .replace(/[.,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Reduce a website to its bare domain: "https://www.abc.com/sg/" → "abc.com"
+ * @param {string} website
+ * @returns {string}
+ */
+function normalizeWebsite(website) {
+  return (website || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#]/)[0]
+    .replace(/:\d+$/, '');
+}
+
+/**
+ * Token-level Dice similarity of two institution names (0–1), legal forms ignored
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function nameSimilarity(a, b) {
+  const ta = new Set(nameTokens(a));
+  const tb = new Set(nameTokens(b));
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return (2 * shared) / (ta.size + tb.size);
+}
+
+/**
+ * Derive a fresh canonical ID from normalized name, address and website
+ * @param {{ name: string, address?: string, website?: string }} inst
+ * @returns {string}
+ */
+function institutionId(inst) {
+  const basis = [normalizeName(inst.name), normalizeAddress(inst.address), normalizeWebsite(inst.website)].join('|');
+  return 'inst-' + createHash('sha1').update(basis).digest('hex').slice(0, 12);
+}
+
+/**
+ * ID of an institution record: the stored one if present, else derived
+ * @param {object} inst
+ * @returns {string}
+ */
+function getInstitutionId(inst) {
+  return inst.id || institutionId(inst);
+}
+
+/**
+ * Whether an unmatched pair looks like the same institution under a new name
+ * Same website domain is enough; same address also needs a similar name,
+ * since shared serviced offices are common in the FID.
+ */
+function isProbableRename(current, previous) {
+  const domain = normalizeWebsite(current.website);
+  if (domain && domain === normalizeWebsite(previous.website)) return true;
+
+  const address = normalizeAddress(current.address);
+  if (address && address === normalizeAddress(previous.address)) {
+    return nameSimilarity(current.name, previous.name) >= 0.5;
+  }
+  return false;
+}
+
+/**
+ * Pair up institutions across two snapshots
+ * Match order: stored ID → registry UEN → normalized name → rename detection
+ *
+ * @param {Array} current
+ * @param {Array} previous
+ * @returns {{ pairs: Array<{ current: object, previous: object, via: 'id'|'uen'|'name'|'rename' }>, added: Array, removed: Array }}
+ */
+function matchInstitutions(current, previous) {
+  const pairs = [];
+  const unmatchedPrev = new Set(previous);
+  let unmatchedCurr = [];
+
+  const prevById = new Map();
+  const prevByUen = new Map();
+  const prevByName = new Map();
+  for (const p of previous) {
+    if (p.id && !prevById.has(p.id)) prevById.set(p.id, p);
+    const uen = p.registry?.uen;
+    if (uen && !prevByUen.has(uen)) prevByUen.set(uen, p);
+    const key = normalizeName(p.name);
+    if (!prevByName.has(key)) prevByName.set(key, []);
+    prevByName.get(key).push(p);
+  }
+
+  for (const c of current) {
+    const byId = c.id ? prevById.get(c.id) : null;
+    if (byId && unmatchedPrev.has(byId)) {
+      pairs.push({ current: c, previous: byId, via: 'id' });
+      unmatchedPrev.delete(byId);
+      continue;
+    }
+    // A UEN survives renames, and registry records are only attached when the name matched ACRA
+    const byUen = c.registry?.uen ? prevByUen.get(c.registry.uen) : null;
+    if (byUen && unmatchedPrev.has(byUen)) {
+      pairs.push({ current: c, previous: byUen, via: 'uen' });
+      unmatchedPrev.delete(byUen);
+      continue;
+    }
+    const byName = (prevByName.get(normalizeName(c.name)) || []).find(p => unmatchedPrev.has(p));
+    if (byName) {
+      pairs.push({ current: c, previous: byName, via: 'name' });
+      unmatchedPrev.delete(byName);
+      continue;
+    }
+    unmatchedCurr.push(c);
+  }
+
+  // Rename pass over whatever is left on both sides
+  const stillUnmatched = [];
+  for (const c of unmatchedCurr) {
+    const candidate = [...unmatchedPrev].find(p => isProbableRename(c, p));
+    if (candidate) {
+      pairs.push({ current: c, previous: candidate, via: 'rename' });
+      unmatchedPrev.delete(candidate);
+    } else {
+      stillUnmatched.push(c);
+    }
+  }
+  unmatchedCurr = stillUnmatched;
+
+  return { pairs, added: unmatchedCurr, removed: [...unmatchedPrev] };
+}
+
+/**
+ * Stamp each current institution with a canonical ID, inheriting the ID of its
+ * match in the previous snapshot so renames keep their identity.
+ * @param {Array} current - mutated in place
+ * @param {Array} previous
+ * @returns {Array} current
+ */
+function assignInstitutionIds(current, previous = []) {
+  const { pairs, added } = matchInstitutions(current, previous);
+  for (const { current: c, previous: p } of pairs) {
+    c.id = getInstitutionId(p);
+  }
+  for (const c of added) {
+    c.id = institutionId(c);
+  }
+  return current;
+}
+
+export {
+  normalizeName,
+  normalizeAddress,
+  normalizeWebsite,
+  nameTokens,
+  nameSimilarity,
+  institutionId,
+  getInstitutionId,
+  matchInstitutions,
+  assignInstitutionIds,
+};
@@ -0,0 +1,87 @@
+/**
+ * Shared retry helper — exponential backoff (with optional jitter) for flaky network calls
+ *
+ * An error may carry retryAfterMs (e.g. parsed from a Retry-After header);
+ * the next attempt then waits at least that long, still capped by maxDelayMs.
+ */
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * Default retry predicate: network errors, HTTP 429 and 5xx are retryable,
+ * other HTTP errors (bad token, bad payload) are not. An explicit
+ * err.retryable flag wins.
+ * @param {Error & { status?: number, retryable?: boolean }} err
+ * @returns {boolean}
+ */
+function isRetryable(err) {
+  if (typeof err.retryable === 'boolean') return err.retryable;
+  if (!err.status) return true;
+  return err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ * @param {string|null} value
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempt - the attempt that just failed (1-based)
+ * @param {Error & { retryAfterMs?: number }} err
+ * @param {{ baseDelayMs: number, maxDelayMs: number, jitter: number }} opts
+ * @returns {number}
+ */
+function backoffDelay(attempt, err, { baseDelayMs, maxDelayMs, jitter }) {
+  let delayMs = baseDelayMs * 2 ** (attempt - 1);
+  if (jitter > 0) delayMs *= 1 - jitter + Math.random() * 2 * jitter;
+  if (typeof err.retryAfterMs === 'number') delayMs = Math.max(delayMs, err.retryAfterMs);
+  return Math.round(Math.min(delayMs, maxDelayMs));
+}
+
+/**
+ * Run fn until it succeeds or attempts run out
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn
+ * @param {{ retries?: number, baseDelayMs?: number, maxDelayMs?: number, jitter?: number, shouldRetry?: (err: Error) => boolean, onRetry?: (err: Error, attempt: number, delayMs: number) => void }} [opts]
+ *   jitter is a fraction (0–1) by which each delay is randomly spread, default 0
+ * @returns {Promise<T>}
+ */
+async function retry(fn, opts = {}) {
+  const retries = opts.retries ?? 2;
+  const baseDelayMs = opts.baseDelayMs ?? 1000;
+  const maxDelayMs = opts.maxDelayMs ?? 30000;
+  const jitter = opts.jitter ?? 0;
+  const shouldRetry = opts.shouldRetry || isRetryable;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt > retries || !shouldRetry(err)) {
+        err.attempts = attempt;
+        throw err;
+      }
+      const delayMs = backoffDelay(attempt, err, { baseDelayMs, maxDelayMs, jitter });
+      opts.onRetry?.(err, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+export { retry, sleep, isRetryable, parseRetryAfter, backoffDelay };
@@ -0,0 +1,330 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  normalizeName,
+  normalizeWebsite,
+  nameSimilarity,
+  institutionId,
+  matchInstitutions,
+  assignInstitutionIds,
+} from './identity.js';
+import { resolveCategories, WATCHED_CATEGORIES, CATEGORY_CATALOGUE } from './config.js';
+import { retry, parseRetryAfter, backoffDelay } from './retry.js';
+import { createSnapshotStore, isoWeek } from './snapshot-store.js';
+
+describe('normalizeName', () => {
+  it('should collapse punctuation and legal-form variants', () => {
+    assert.strictEqual(normalizeName('ABC PTE. LTD.'), 'ABC PTE LTD');
+    assert.strictEqual(normalizeName('ABC PTE LTD'), 'ABC PTE LTD');
+    assert.strictEqual(normalizeName('Abc Private Limited'), 'ABC PTE LTD');
+  });
+
+  it('should keep the (SINGAPORE) qualifier as a plain token', () => {
+    assert.strictEqual(normalizeName('XYZ (SINGAPORE) PTE. LTD.'), 'XYZ SINGAPORE PTE LTD');
+  });
+});
+
+describe('normalizeWebsite', () => {
+  it('should reduce a URL to its bare domain', () => {
+    assert.strictEqual(normalizeWebsite('https://www.Example.com/sg/about'), 'example.com');
+    assert.strictEqual(normalizeWebsite('example.com'), 'example.com');
+    assert.strictEqual(normalizeWebsite(''), '');
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('should ignore legal forms', () => {
+    assert.strictEqual(nameSimilarity('Alpha Pay Pte Ltd', 'ALPHA PAY LIMITED'), 1);
+  });
+
+  it('should return 0 for unrelated names', () => {
+    assert.strictEqual(nameSimilarity('Alpha Pay', 'Beta Securities'), 0);
+  });
+});
+
+describe('institutionId', () => {
+  it('should be stable across punctuation drift', () => {
+    const a = institutionId({ name: 'ABC PTE. LTD.', address: '1 Raffles Place, Singapore 048616', website: 'https://abc.com' });
+    const b = institutionId({ name: 'ABC PTE LTD', address: '1 RAFFLES PLACE SINGAPORE 048616', website: 'www.abc.com/' });
+    assert.strictEqual(a, b);
+    assert.match(a, /^inst-[0-9a-f]{12}$/);
+  });
+});
+
+describe('matchInstitutions', () => {
+  it('should pair renamed institutions sharing a website domain', () => {
+    const previous = [{ name: 'Old Name Pte Ltd', website: 'https://brand.io' }];
+    const current = [{ name: 'New Brand Pte Ltd', website: 'brand.io' }];
+
+    const result = matchInstitutions(current, previous);
+    assert.strictEqual(result.pairs.length, 1);
+    assert.strictEqual(result.pairs[0].via, 'rename');
+    assert.strictEqual(result.added.length, 0);
+    assert.strictEqual(result.removed.length, 0);
+  });
+
+  it('should not pair unrelated firms that only share an address', () => {
+    const previous = [{ name: 'Alpha Capital Pte Ltd', address: '1 Raffles Place' }];
+    const current = [{ name: 'Omega Payments Pte Ltd', address: '1 Raffles Place' }];
+
+    const result = matchInstitutions(current, previous);
+    assert.strictEqual(result.pairs.length, 0);
+    assert.strictEqual(result.added.length, 1);
+    assert.strictEqual(result.removed.length, 1);
+  });
+});
+
+describe('assignInstitutionIds', () => {
+  it('should carry the previous ID forward through a rename', () => {
+    const previous = [{ id: 'inst-000000000001', name: 'Old Name Pte Ltd', website: 'https://brand.io' }];
+    const current = [
+      { name: 'New Brand Pte Ltd', website: 'https://brand.io' },
+      { name: 'Fresh Co Pte Ltd', website: 'https://fresh.co' },
+    ];
+
+    assignInstitutionIds(current, previous);
+    assert.strictEqual(current[0].id, 'inst-000000000001');
+    assert.strictEqual(current[1].id, institutionId(current[1]));
+  });
+});
+
+describe('resolveCategories', () => {
+  it('should resolve catalogue codes in the given order', () => {
+    const categories = resolveCategories(['mpi-dpt', 'cms']);
+    assert.deepStrictEqual(categories.map(c => c.code), ['mpi-dpt', 'cms']);
+    assert.strictEqual(categories[0].category, 'Major Payment Institution');
+    assert.strictEqual(categories[0].activity, 'Digital Payment Token Service');
+  });
+
+  it('should throw on an unknown code', () => {
+    assert.throws(() => resolveCategories(['nope']), /nope/);
+  });
+
+  it('should keep the original three categories as the default watch set', () => {
+    assert.deepStrictEqual(WATCHED_CATEGORIES.map(c => c.category), [
+      'Capital Markets Services Licensee',
+      'Major Payment Institution',
+      'Standard Payment Institution',
+    ]);
+  });
+
+  it('should give every catalogue entry a sector, category and priority', () => {
+    for (const entry of CATEGORY_CATALOGUE) {
+      assert.ok(entry.sector && entry.category, `${entry.code} needs sector and category`);
+      assert.ok(typeof entry.priority === 'number', `${entry.code} needs a priority`);
+    }
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should accept delta-seconds and HTTP dates', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    assert.strictEqual(parseRetryAfter('120'), 120000);
+    assert.strictEqual(parseRetryAfter('Wed, 01 Jan 2025 00:00:30 GMT', now), 30000);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+    assert.strictEqual(parseRetryAfter(null), null);
+  });
+});
+
+describe('backoffDelay', () => {
+  const opts = { baseDelayMs: 1000, maxDelayMs: 10000, jitter: 0 };
+
+  it('should double per attempt up to the cap', () => {
+    assert.strictEqual(backoffDelay(1, {}, opts), 1000);
+    assert.strictEqual(backoffDelay(3, {}, opts), 4000);
+    assert.strictEqual(backoffDelay(10, {}, opts), 10000);
+  });
+
+  it('should wait at least Retry-After, still capped', () => {
+    assert.strictEqual(backoffDelay(1, { retryAfterMs: 5000 }, opts), 5000);
+    assert.strictEqual(backoffDelay(1, { retryAfterMs: 60000 }, opts), 10000);
+  });
+
+  it('should keep jittered delays within the spread', () => {
+    for (let i = 0; i < 20; i++) {
+      const delay = backoffDelay(2, {}, { ...opts, jitter: 0.5 });
+      assert.ok(delay >= 1000 && delay <= 3000);
+    }
+  });
+});
+
+describe('retry', () => {
+  it('should record attempts on the final error', async () => {
+    let calls = 0;
+    await assert.rejects(retry(async () => {
+      calls++;
+      throw new Error('down');
+    }, { retries: 2, baseDelayMs: 1 }), err => err.attempts === 3);
+    assert.strictEqual(calls, 3);
+  });
+});
+
+describe('snapshot store', () => {
+  let dir;
+
+  const snapshot = (timestamp, names) => ({
+    timestamp,
+    count: names.length,
+    categories: [{ code: 'mpi', status: 'ok', count: names.length }],
+    institutions: names.map(name => ({ name })),
+  });
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mas-scout-store-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should write gzip files and list from the manifest', () => {
+    const store = createSnapshotStore({ dir: join(dir, 'basic') });
+    store.save(snapshot('2025-01-01T01:00:00.000Z', ['Alpha']));
+    store.save(snapshot('2025-01-02T01:00:00.000Z', ['Alpha', 'Beta']));
+
+    assert.deepStrictEqual(store.list().map(e => e.count), [1, 2]);
+    assert.ok(readdirSync(join(dir, 'basic')).every(f => f === 'manifest.json' || f.endsWith('.json.gz')));
+    assert.strictEqual(store.latest().institutions.length, 2);
+    assert.strictEqual(store.latest({ offset: 1 }).institutions.length, 1);
+    assert.strictEqual(store.latest({ before: new Date('2025-01-02T00:00:00Z') }).timestamp, '2025-01-01T01:00:00.000Z');
+  });
+
+  it('should reuse the previous file when content is unchanged', () => {
+    const store = createSnapshotStore({ dir: join(dir, 'dedup') });
+    store.save(snapshot('2025-01-01T01:00:00.000Z', ['Alpha']));
+    const result = store.save(snapshot('2025-01-02T01:00:00.000Z', ['Alpha']));
+
+    assert.strictEqual(result.deduplicated, true);
+    assert.strictEqual(readdirSync(join(dir, 'dedup')).filter(f => f.endsWith('.gz')).length, 1);
+    assert.strictEqual(store.latest().timestamp, '2025-01-02T01:00:00.000Z');
+  });
+
+  it('should bump the revision when history is rewritten', () => {
+    const store = createSnapshotStore({ dir: join(dir, 'revision') });
+    store.save(snapshot('2025-01-05T01:00:00.000Z', ['Alpha']));
+    assert.strictEqual(store.revision(), 0);
+    store.save(snapshot('2025-01-01T01:00:00.000Z', ['Alpha']));
+    assert.strictEqual(store.revision(), 1);
+  });
+
+  it('should keep daily snapshots inside the window and weekly ones before it', () => {
+    const store = createSnapshotStore({ dir: join(dir, 'retention'), retention: { dailyDays: 7 } });
+    for (let day = 1; day <= 21; day++) {
+      store.save(snapshot(`2025-03-${String(day).padStart(2, '0')}T01:00:00.000Z`, [`Inst ${day}`]));
+    }
+
+    const pruned = store.prune(new Date('2025-03-21T12:00:00Z'));
+    const kept = store.list().map(e => e.timestamp.slice(0, 10));
+    assert.ok(pruned.length > 0);
+    assert.ok(kept.includes('2025-03-20'));
+    assert.deepStrictEqual(kept.filter(d => d < '2025-03-14'), ['2025-03-02', '2025-03-09']);
+    assert.strictEqual(readdirSync(join(dir, 'retention')).filter(f => f.endsWith('.gz')).length, kept.length);
+  });
+
+  it('should index legacy uncompressed snapshots', () => {
+    const legacyDir = join(dir, 'legacy');
+    const store = createSnapshotStore({ dir: legacyDir });
+    store.list();
+    rmSync(join(legacyDir, 'manifest.json'));
+    writeFileSync(join(legacyDir, 'snapshot-2024-12-31T01-00-00.json'), JSON.stringify(snapshot('2024-12-31T01:00:00.000Z', ['Old'])));
+
+    assert.strictEqual(store.list().length, 1);
+    assert.strictEqual(store.latest().institutions[0].name, 'Old');
+  });
+
+  it('should compute ISO weeks across year boundaries', () => {
+    assert.strictEqual(isoWeek('2024-12-30T00:00:00Z'), '2025-W01');
+    assert.strictEqual(isoWeek('2021-01-03T00:00:00Z'), '2020-W53');
+  });
+});
+
+describe('matchInstitutions — registry UEN', () => {
+  it('should pair a renamed institution by UEN even when address and website change', () => {
+    const previous = [{ id: 'inst-old', name: 'Alpha Pay Pte Ltd', address: '1 Raffles Place', registry: { uen: '201912345K' } }];
+    const current = [{ name: 'Zeta Payments Pte Ltd', address: '9 Marina Blvd', registry: { uen: '201912345K' } }];
+
+    const result = matchInstitutions(current, previous);
+    assert.deepStrictEqual(result.pairs.map(p => p.via), ['uen']);
+    assert.strictEqual(result.added.length, 0);
+    assert.strictEqual(assignInstitutionIds(current, previous)[0].id, 'inst-old');
+  });
+});
+
+describe('mapLimit', () => {
+  let mapLimit;
+
+  before(async () => {
+    ({ mapLimit } = await import('./concurrency.js'));
+  });
+
+  it('keeps at most `limit` calls in flight and returns results in order', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const workersSeen = new Set();
+    const results = await mapLimit([30, 10, 20, 5, 15], 2, async (ms, index, worker) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      workersSeen.add(worker);
+      await new Promise(r => setTimeout(r, ms));
+      inFlight--;
+      return index * 10;
+    });
+    assert.deepStrictEqual(results, [0, 10, 20, 30, 40]);
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual([...workersSeen].sort(), [0, 1]);
+  });
+
+  it('handles an empty list', async () => {
+    assert.deepStrictEqual(await mapLimit([], 3, async () => 1), []);
+  });
+});
+
+describe('createRateLimiter', () => {
+  let createRateLimiter;
+
+  before(async () => {
+    ({ createRateLimiter } = await import('./concurrency.js'));
+  });
+
+  it('spaces calls from concurrent callers by the minimum interval', async () => {
+    let clock = 1000;
+    const waits = [];
+    const limiter = createRateLimiter({
+      minIntervalMs: 3000,
+      now: () => clock,
+      sleep: async ms => { waits.push(ms); },
+    });
+
+    const started = [];
+    await Promise.all([1, 2, 3].map(n => limiter.schedule(async () => started.push(n))));
+    assert.deepStrictEqual(started, [1, 2, 3]);
+    assert.deepStrictEqual(waits, [3000, 6000]);
+
+    // After a quiet spell the next call goes straight through
+    clock += 60000;
+    await limiter.schedule(async () => {});
+    assert.strictEqual(waits.length, 2);
+  });
+
+  it('pause holds calls that have not started yet', async () => {
+    const clock = 0;
+    const waits = [];
+    const limiter = createRateLimiter({
+      minIntervalMs: 1000,
+      now: () => clock,
+      sleep: async ms => { waits.push(ms); },
+    });
+
+    limiter.pause(60000);
+    await limiter.schedule(async () => {});
+    assert.deepStrictEqual(waits, [60000]);
+
+    // A shorter pause never shortens one already in force
+    limiter.pause(10);
+    await limiter.schedule(async () => {});
+    assert.deepStrictEqual(waits, [60000, 61000]);
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Snapshot store — gzip-compressed FID snapshots behind a manifest index
+ *
+ * Layout of the store directory (data/snapshots by default):
+ *   manifest.json                { version, revision, snapshots: [entry] }
+ *   snapshot-<timestamp>-<hash>.json.gz
+ *                                one file per distinct content
+ *
+ * A manifest entry is { id, file, timestamp, count, hash, categories }. When a
+ * snapshot's institutions hash equal to the preceding snapshot's, no new file
+ * is written; the entry points at the earlier file (deduplication). Listing
+ * snapshots reads only the manifest.
+ *
+ * Retention: every snapshot is kept for `dailyDays` days; older ones are thinned
+ * to the last snapshot of each ISO week. Override in mas-scout.config.json:
+ *   { "snapshots": { "retention": { "dailyDays": 90 } } }
+ *
+ * `revision` is bumped whenever history is rewritten (a snapshot inserted before
+ * the newest one, or replaced), so caches derived from the history can tell
+ * when to rebuild.
+ *
+ * Legacy uncompressed snapshot-*.json files are indexed the first time a store
+ * without a manifest is opened, and stay readable.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { gzipSync, gunzipSync } from 'zlib';
+import { createHash } from 'crypto';
+import { DATA_DIR, loadConfigFile } from './config.js';
+
+const MANIFEST = 'manifest.json';
+const MANIFEST_VERSION = 1;
+const SNAPSHOT_FILE = /^snapshot-.+\.json(\.gz)?$/;
+
+const DEFAULT_RETENTION = {
+  dailyDays: 90,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Snapshot ID for a timestamp — sorts chronologically
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function snapshotId(date = new Date()) {
+  return `snapshot-${date.toISOString().replace(/[:.]/g, '-').slice(0, 19)}`;
+}
+
+/**
+ * Content hash of a snapshot's institution list
+ * @param {Array} institutions
+ * @returns {string}
+ */
+function contentHash(institutions) {
+  return createHash('sha1').update(JSON.stringify(institutions)).digest('hex').slice(0, 16);
+}
+
+/**
+ * ISO week key ("2025-W07") used by the weekly retention tier
+ * @param {string} timestamp
+ * @returns {string}
+ */
+function isoWeek(timestamp) {
+  const t = new Date(timestamp);
+  const d = new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth(), t.getUTCDate()));
+  // The Thursday of this week decides the ISO year
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Entries to keep under the retention policy
+ * @param {Array<{ timestamp: string }>} entries - ascending
+ * @param {{ dailyDays: number }} retention
+ * @param {Date} now
+ * @returns {Array}
+ */
+function selectRetained(entries, retention, now) {
+  const cutoff = now.getTime() - retention.dailyDays * DAY_MS;
+  const lastOfWeek = new Map();
+  for (const entry of entries) {
+    if (new Date(entry.timestamp).getTime() < cutoff) lastOfWeek.set(isoWeek(entry.timestamp), entry);
+  }
+  const weekly = new Set(lastOfWeek.values());
+  return entries.filter(e => new Date(e.timestamp).getTime() >= cutoff || weekly.has(e));
+}
+
+/**
+ * Open a snapshot store
+ * @param {{ dir?: string, retention?: Partial<typeof DEFAULT_RETENTION> }} [opts]
+ */
+function createSnapshotStore(opts = {}) {
+  const dir = opts.dir || join(DATA_DIR, 'snapshots');
+  const retention = { ...DEFAULT_RETENTION, ...loadConfigFile().snapshots?.retention, ...opts.retention };
+  // The last loaded snapshot, so repeated dashboard requests don't re-parse it
+  let cached = null;
+
+  function ensureDir() {
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  }
+
+  function readFile(file) {
+    const raw = readFileSync(join(dir, file));
+    return JSON.parse((file.endsWith('.gz') ? gunzipSync(raw) : raw).toString('utf-8'));
+  }
+
+  function writeManifest(manifest) {
+    ensureDir();
+    writeFileSync(join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+  }
+
+  /**
+   * Index snapshot files in the directory (used when no manifest exists)
+   * @returns {{ version: number, revision: number, snapshots: Array }}
+   */
+  function reindex() {
+    ensureDir();
+    const snapshots = readdirSync(dir)
+      .filter(f => SNAPSHOT_FILE.test(f))
+      .sort()
+      .map(file => {
+        const data = readFile(file);
+        return {
+          id: snapshotId(new Date(data.timestamp)),
+          file,
+          timestamp: data.timestamp,
+          count: data.count ?? data.institutions.length,
+          hash: contentHash(data.institutions),
+          categories: data.categories || [],
+        };
+      });
+    const manifest = { version: MANIFEST_VERSION, revision: 0, snapshots };
+    writeManifest(manifest);
+    return manifest;
+  }
+
+  function readManifest() {
+    const path = join(dir, MANIFEST);
+    if (!existsSync(path)) return reindex();
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  }
+
+  /**
+   * Delete files no manifest entry references any more
+   * @param {Array} removed - entries dropped from the manifest
+   * @param {Array} kept
+   */
+  function deleteUnreferenced(removed, kept) {
+    const referenced = new Set(kept.map(e => e.file));
+    for (const file of new Set(removed.map(e => e.file))) {
+      if (!referenced.has(file) && existsSync(join(dir, file))) unlinkSync(join(dir, file));
+    }
+  }
+
+  /**
+   * All snapshot entries, oldest first (manifest only, no snapshot is parsed)
+   * @returns {Array<{ id: string, file: string, timestamp: string, count: number, hash: string, categories: Array }>}
+   */
+  function list() {
+    return readManifest().snapshots;
+  }
+
+  /**
+   * History revision — changes whenever past snapshots are inserted or replaced
+   * @returns {number}
+   */
+  function revision() {
+    return readManifest().revision;
+  }
+
+  /**
+   * Load a snapshot by ID (the result may be shared with later calls — treat it as read-only)
+   * @param {string} id
+   * @returns {{ id: string, timestamp: string, count: number, categories: Array, institutions: Array } | null}
+   */
+  function load(id) {
+    const entry = list().find(e => e.id === id);
+    if (!entry) return null;
+    if (!cached || cached.file !== entry.file) {
+      cached = { file: entry.file, data: readFile(entry.file) };
+    }
+    // A deduplicated entry shares its file with an earlier one; metadata comes from the entry
+    return {
+      ...cached.data,
+      id: entry.id,
+      timestamp: entry.timestamp,
+      count: entry.count,
+      categories: entry.categories,
+    };
+  }
+
+  /**
+   * Newest snapshot, optionally the newest strictly before a point in time
+   * @param {{ before?: Date, offset?: number }} [opts] - offset 1 gives the one before the newest
+   * @returns {object | null}
+   */
+  function latest(opts = {}) {
+    const limit = opts.before ? snapshotId(opts.before) : null;
+    const entries = list().filter(e => !limit || e.id < limit);
+    const entry = entries[entries.length - 1 - (opts.offset || 0)];
+    return entry ? load(entry.id) : null;
+  }
+
+  /**
+   * Save a snapshot. An existing snapshot with the same ID is replaced.
+   * @param {{ timestamp: string, count: number, categories?: Array, institutions: Array }} snapshot
+   * @returns {{ id: string, path: string, deduplicated: boolean }}
+   */
+  function save(snapshot) {
+    const manifest = readManifest();
+    const id = snapshotId(new Date(snapshot.timestamp));
+    const hash = contentHash(snapshot.institutions);
+
+    const others = manifest.snapshots.filter(e => e.id !== id);
+    const replaced = manifest.snapshots.filter(e => e.id === id);
+    const preceding = others.filter(e => e.id < id).pop();
+    const newest = others[others.length - 1];
+    if (replaced.length > 0 || (newest && newest.id > id)) manifest.revision++;
+
+    let file;
+    const deduplicated = Boolean(preceding && preceding.hash === hash);
+    if (deduplicated) {
+      file = preceding.file;
+    } else {
+      ensureDir();
+      // The hash in the name keeps a replaced snapshot from overwriting a file other entries share
+      file = `${id}-${hash}.json.gz`;
+      writeFileSync(join(dir, file), gzipSync(JSON.stringify(snapshot)));
+    }
+
+    const entry = { id, file, timestamp: snapshot.timestamp, count: snapshot.count, hash, categories: snapshot.categories || [] };
+    manifest.snapshots = [...others, entry].sort((a, b) => a.id.localeCompare(b.id));
+    deleteUnreferenced(replaced, manifest.snapshots);
+    writeManifest(manifest);
+
+    return { id, path: join(dir, file), deduplicated };
+  }
+
+  /**
+   * Apply the retention policy
+   * @param {Date} [now]
+   * @returns {string[]} IDs of pruned snapshots
+   */
+  function prune(now = new Date()) {
+    const manifest = readManifest();
+    const kept = selectRetained(manifest.snapshots, retention, now);
+    if (kept.length === manifest.snapshots.length) return [];
+
+    const keptSet = new Set(kept);
+    const removed = manifest.snapshots.filter(e => !keptSet.has(e));
+    manifest.snapshots = kept;
+    writeManifest(manifest);
+    deleteUnreferenced(removed, kept);
+    return removed.map(e => e.id);
+  }
+
+  return { dir, list, revision, load, latest, save, prune, reindex };
+}
+
+let defaultStore = null;
+
+/**
+ * The shared store over data/snapshots — used by the watcher, pipeline and dashboard
+ * @returns {ReturnType<typeof createSnapshotStore>}
+ */
+function getSnapshotStore() {
+  if (!defaultStore) defaultStore = createSnapshotStore();
+  return defaultStore;
+}
+
+export { createSnapshotStore, getSnapshotStore, snapshotId, contentHash, isoWeek, DEFAULT_RETENTION };
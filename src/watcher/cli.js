@@ -0,0 +1,243 @@
+/**
+ * Watcher 查询命令 — 比对任意两份快照、列出快照、查询机构历史、重新生成历史日报
+ *
+ * 由 index.js 分发，不抓取 FID、不推送：
+ *   node src/watcher/index.js list [--limit 20]
+ *   node src/watcher/index.js diff <快照A> <快照B> [--format text|markdown|json]
+ *   node src/watcher/index.js show <机构名或 ID>
+ *   node src/watcher/index.js report --date 2025-05-10 [--format markdown|markdown-en|json|csv] [--write]
+ *
+ * 快照可用以下方式指定：
+ *   2025-05-10                          当天（UTC）最后一份快照
+ *   snapshot-2025-05-10T01-00-00        快照 ID
+ *   snapshot-2025-05-10T01-00-00-<hash>.json.gz    文件名（可带路径）
+ *   latest / latest~1                   最新一份 / 倒数第二份
+ */
+
+import { join, basename } from 'path';
+import { DATA_DIR } from '../shared/config.js';
+import { getInstitutionId } from '../shared/identity.js';
+import { getSnapshotStore } from '../shared/snapshot-store.js';
+import { diffSnapshots, untrustedCategories } from './snapshot.js';
+import { generateMarkdownReport, generateTextSummary } from './report.js';
+import { writeReports, renderReport, generateJsonReport } from './formats.js';
+import { buildTimeline, readTimeline, findTimeline, describeAge, formatEvent } from './timeline.js';
+import { classifyRemovals } from './removals.js';
+import { loadSignals } from './press.js';
+import { checkWatchlist } from './watchlist.js';
+
+const COMMANDS = ['list', 'diff', 'show', 'report'];
+
+// show 命令最多列出的匹配机构数
+const MAX_SHOW_MATCHES = 10;
+
+/**
+ * 取参数值
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string|undefined}
+ */
+function option(args, flag) {
+  return args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined;
+}
+
+// 带参数的选项；其余选项（--write 等）是开关，后面的词仍是位置参数
+const VALUE_FLAGS = ['--date', '--format', '--limit'];
+
+/**
+ * 去掉选项及其参数后的位置参数
+ * @param {string[]} args
+ * @returns {string[]}
+ */
+function positional(args) {
+  return args.filter((a, i) => !a.startsWith('--') && !(i > 0 && VALUE_FLAGS.includes(args[i - 1])));
+}
+
+/**
+ * 把快照引用解析为 manifest 条目
+ * @param {string} ref - 日期、快照 ID、文件名或 latest~N
+ * @param {Array<{ id: string, file: string, timestamp: string }>} entries - 按时间升序
+ * @returns {{ id: string, file: string, timestamp: string }}
+ */
+function resolveSnapshotRef(ref, entries) {
+  const latest = /^latest(?:~(\d+))?$/.exec(ref);
+  if (latest) {
+    const entry = entries[entries.length - 1 - Number(latest[1] || 0)];
+    if (entry) return entry;
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(ref)) {
+    const onDate = entries.filter(e => e.timestamp.slice(0, 10) === ref);
+    if (onDate.length > 0) return onDate[onDate.length - 1];
+  } else {
+    const name = basename(ref);
+    const entry = entries.find(e => e.id === name || e.file === name || name.startsWith(`${e.id}.`));
+    if (entry) return entry;
+  }
+  throw new Error(`找不到快照: ${ref}`);
+}
+
+/**
+ * 比对两份快照（a 较早，b 较晚），沿用日报的不可信类别规则
+ * @param {object} a
+ * @param {object} b
+ * @returns {object} diffSnapshots 的结果
+ */
+function diffPair(a, b) {
+  const untrusted = untrustedCategories(b.categories, a.categories);
+  return diffSnapshots(b.institutions, a.institutions, { untrusted });
+}
+
+function listCommand(args, store) {
+  const entries = store.list();
+  const limit = parseInt(option(args, '--limit') || '20', 10);
+  if (entries.length === 0) return console.log('暂无快照');
+
+  const shown = entries.slice(-limit);
+  console.log(`快照共 ${entries.length} 份${shown.length < entries.length ? `，显示最近 ${shown.length} 份` : ''}：`);
+  for (let i = 0; i < shown.length; i++) {
+    const entry = shown[i];
+    const previous = entries[entries.length - shown.length + i - 1];
+    const failed = entry.categories.filter(c => c.status === 'failed').map(c => c.code);
+    const notes = [
+      previous && previous.hash === entry.hash ? '无变化' : '',
+      failed.length > 0 ? `失败类别 ${failed.join(',')}` : '',
+    ].filter(Boolean);
+    console.log(`  ${entry.id}  ${String(entry.count).padStart(5)} 家${notes.length ? `  (${notes.join('；')})` : ''}`);
+  }
+}
+
+function diffCommand(args, store) {
+  const refs = positional(args);
+  if (refs.length !== 2) throw new Error('用法: diff <快照A> <快照B> [--format text|markdown|json]');
+  const entries = store.list();
+  let [a, b] = refs.map(ref => resolveSnapshotRef(ref, entries));
+  // 始终以较早的一份为基准
+  if (a.id > b.id) [a, b] = [b, a];
+
+  const before = store.load(a.id);
+  const after = store.load(b.id);
+  const diff = diffPair(before, after);
+  const meta = { timestamp: after.timestamp, count: after.institutions.length, categories: after.categories };
+
+  const format = option(args, '--format') || 'text';
+  if (format === 'json') return console.log(generateJsonReport(diff, meta));
+  if (format === 'markdown') return console.log(generateMarkdownReport(diff, meta));
+  console.log(`${a.id} → ${b.id}`);
+  console.log(generateTextSummary(diff, meta));
+}
+
+function showCommand(args, store) {
+  const query = positional(args).join(' ');
+  if (!query) throw new Error('用法: show <机构名或 ID>');
+
+  const timeline = readTimeline({ store });
+  const latest = store.latest();
+  const current = new Map((latest?.institutions || []).map(i => [getInstitutionId(i), i]));
+  const matches = findTimeline(timeline, query);
+  if (matches.length === 0) {
+    console.log(`未找到机构: ${query}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (matches.length > MAX_SHOW_MATCHES) {
+    console.log(`匹配到 ${matches.length} 家机构，只显示前 ${MAX_SHOW_MATCHES} 家，请缩小查询范围`);
+  }
+
+  for (const entry of matches.slice(0, MAX_SHOW_MATCHES)) {
+    const inst = current.get(entry.id);
+    console.log(`\n${entry.name} [${entry.id}]${inst ? '' : '（已不在 FID）'}`);
+    console.log(`  ${describeAge(entry)}`);
+    if (inst) {
+      if (inst.licenseTypes?.length) console.log(`  牌照类型：${inst.licenseTypes.join(', ')}`);
+      if (inst.activities?.length) console.log(`  受监管活动：${inst.activities.join(', ')}`);
+      if (inst.address) console.log(`  地址：${inst.address}`);
+      if (inst.website) console.log(`  网站：${inst.website}`);
+      if (inst.phone) console.log(`  电话：${inst.phone}`);
+      if (inst.registry) console.log(`  UEN：${inst.registry.uen}${inst.registry.incorporatedAt ? `（成立于 ${inst.registry.incorporatedAt}）` : ''}`);
+    }
+    console.log('  历史：');
+    for (const event of entry.events) console.log(`    ${formatEvent(event)}`);
+  }
+}
+
+/**
+ * 依次加载快照（生成器，避免一次性读入全部历史）
+ * @param {object} store
+ * @param {Array<{ id: string }>} entries
+ */
+function* loadEach(store, entries) {
+  for (const entry of entries) yield store.load(entry.id);
+}
+
+function reportCommand(args, store) {
+  const date = option(args, '--date') || positional(args)[0];
+  if (!date) throw new Error('用法: report --date YYYY-MM-DD');
+
+  const entries = store.list();
+  const target = resolveSnapshotRef(date, entries);
+  const index = entries.indexOf(target);
+  const snapshot = store.load(target.id);
+  const previous = index > 0 ? store.load(entries[index - 1].id) : null;
+  const runAt = new Date(snapshot.timestamp);
+
+  const diff = previous
+    ? diffPair(previous, snapshot)
+    : { added: snapshot.institutions, removed: [], changed: [], unverified: { added: [], removed: [] } };
+
+  // 移除分类只用截至当时的时间线与新闻信号，结果与当天运行一致
+  const timeline = buildTimeline(loadEach(store, entries.slice(0, index + 1)));
+  const known = loadSignals().signals.filter(s => (s.publishedAt || s.detectedAt || '') <= snapshot.timestamp);
+  const removals = classifyRemovals(diff, { timeline, signals: known, now: runAt });
+  const reappeared = new Set(removals.reappeared.map(r => r.institution));
+  const reportDiff = { ...diff, added: diff.added.filter(i => !reappeared.has(i)) };
+  const watchAlerts = checkWatchlist(diff, { removals });
+
+  const meta = {
+    timestamp: snapshot.timestamp,
+    count: snapshot.institutions.length,
+    categories: snapshot.categories,
+    // 当天新发现的信号
+    signals: known.filter(s => s.detectedAt?.slice(0, 10) === snapshot.timestamp.slice(0, 10)),
+    removals,
+    watchAlerts,
+  };
+
+  // 默认只输出到终端；--write 才覆盖 data/reports 中的存档
+  if (!args.includes('--write')) {
+    return console.log(renderReport(option(args, '--format') || 'markdown', reportDiff, meta));
+  }
+  const written = writeReports(reportDiff, meta, { dir: join(DATA_DIR, 'reports') });
+  console.log(`[watcher] 已根据 ${target.id} 重新生成日报${previous ? `（对比 ${entries[index - 1].id}）` : '（无更早快照，全部视为新增）'}`);
+  for (const { path } of Object.values(written)) console.log(`[watcher] 报告已保存: ${path}`);
+}
+
+/**
+ * --diff-only：比对最近两份快照，不足两份时只提示
+ * @param {{ store?: object }} [opts]
+ */
+function diffLatest(opts = {}) {
+  const store = opts.store || getSnapshotStore();
+  if (store.list().length < 2) {
+    console.log('[watcher] 快照不足两份，无历史快照可比对');
+    return;
+  }
+  return diffCommand(['latest~1', 'latest'], store);
+}
+
+/**
+ * 执行查询命令
+ * @param {string} command - COMMANDS 之一
+ * @param {string[]} args - 命令之后的参数
+ * @param {{ store?: object }} [opts]
+ */
+function runCommand(command, args, opts = {}) {
+  const store = opts.store || getSnapshotStore();
+  switch (command) {
+    case 'list': return listCommand(args, store);
+    case 'diff': return diffCommand(args, store);
+    case 'show': return showCommand(args, store);
+    case 'report': return reportCommand(args, store);
+    default: throw new Error(`未知命令: ${command}（可用 ${COMMANDS.join(' / ')}）`);
+  }
+}
+
+export { runCommand, diffLatest, resolveSnapshotRef, COMMANDS };
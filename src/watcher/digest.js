@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+
+/**
+ * 周报 / 月报 — 汇总一段时间内的快照历史与 pipeline 结果
+ *
+ * 逐份比对区间内相邻快照（与日报同一套 diff 规则，抓取失败的类别不计增减），汇总：
+ *   - 按类别的新增持牌机构
+ *   - 移除的机构
+ *   - 净增长（区间末与区间前最后一份快照的机构数之差）
+ *   - 新增机构中最常见的受监管活动
+ *   - 每家新增机构的 enrichment / outreach 状态（data/enrichment.json、data/outreach.json）
+ *
+ * 区间内新增后又移除（或移除后又恢复）的机构互相抵消，不出现在周报中。
+ * 输出 data/digests/digest-<起始日>_<结束日>.md 和 .html。
+ *
+ * 用法:
+ *   node src/watcher/digest.js                         # 上一个完整自然周（周一至周日，UTC）
+ *   node src/watcher/digest.js --monthly               # 上一个自然月
+ *   node src/watcher/digest.js --from 2025-05-01 --to 2025-05-31
+ *   node src/watcher/digest.js --notify                # 生成后推送到已配置的渠道
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR, getCategoryCatalogue } from '../shared/config.js';
+import { getInstitutionId } from '../shared/identity.js';
+import { getSnapshotStore } from '../shared/snapshot-store.js';
+import { diffSnapshots, untrustedCategories } from './snapshot.js';
+import { notify } from '../notifier/index.js';
+
+const DIGEST_DIR = join(DATA_DIR, 'digests');
+const ENRICHMENT_FILE = join(DATA_DIR, 'enrichment.json');
+const OUTREACH_FILE = join(DATA_DIR, 'outreach.json');
+
+// 新增机构中列出的受监管活动数量
+const TOP_ACTIVITIES = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ENRICHMENT_LABELS = {
+  enriched: '已找到联系人',
+  no_contacts: '无联系人',
+  failed: '失败',
+};
+
+/**
+ * 上一个完整周期：weekly 为上周一 00:00 至本周一 00:00（UTC），monthly 为上个自然月
+ * @param {'weekly'|'monthly'} period
+ * @param {Date} [now]
+ * @returns {{ from: Date, to: Date }} to 不含
+ */
+function digestRange(period, now = new Date()) {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'monthly') {
+    const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    return { from, to };
+  }
+  const to = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+  return { from: new Date(to.getTime() - 7 * DAY_MS), to };
+}
+
+/**
+ * --from / --to 指定的区间：两端均为含当天的日期（UTC），--to 缺省为今天
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} [toDate] - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {{ from: Date, to: Date }} to 为结束日次日 00:00，与 digestRange 一致
+ */
+function customRange(fromDate, toDate, now = new Date()) {
+  const from = new Date(`${fromDate}T00:00:00Z`);
+  const last = toDate ? new Date(`${toDate}T00:00:00Z`) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const to = new Date(last.getTime() + DAY_MS);
+  if (isNaN(from) || isNaN(to) || from >= to) throw new Error(`无效的日期区间: ${fromDate} ~ ${toDate || '今天'}`);
+  return { from, to };
+}
+
+/**
+ * 读取 pipeline 输出文件，不存在或损坏时返回 null
+ * @param {string} file
+ * @returns {object|null}
+ */
+function loadPipelineFile(file) {
+  if (!existsSync(file)) return null;
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 类别代码的显示名
+ * @param {string} code
+ * @returns {string}
+ */
+function categoryLabel(code) {
+  const c = getCategoryCatalogue().find(entry => entry.code === code);
+  if (!c) return code;
+  return `${c.category}${c.activity ? ` [${c.activity}]` : ''}`;
+}
+
+/**
+ * outreach 序列的状态描述
+ * @param {{ sequence?: Array<{ status: string }>, requiresReview?: boolean, confidence?: number }} prospect
+ * @returns {string}
+ */
+function describeOutreach(prospect) {
+  const sequence = prospect.sequence || [];
+  const sent = sequence.filter(s => s.status === 'sent').length;
+  const parts = [`已发送 ${sent}/${sequence.length}`];
+  if (typeof prospect.confidence === 'number') parts.push(`置信度 ${prospect.confidence.toFixed(2)}`);
+  if (prospect.requiresReview) parts.push('待人工审核');
+  return parts.join('，');
+}
+
+/**
+ * 汇总区间内的快照历史
+ *
+ * @param {{ from: Date, to: Date }} range - to 不含
+ * @param {{ store?: object, enrichment?: { results: Array } | null, outreach?: { prospects: Array } | null }} [opts]
+ *   enrichment / outreach 缺省时读取 data/ 下的 pipeline 文件
+ * @returns {object} 周报数据，供 renderDigestMarkdown / renderDigestHtml 使用
+ */
+function buildDigest(range, opts = {}) {
+  const store = opts.store || getSnapshotStore();
+  const enrichment = opts.enrichment !== undefined ? opts.enrichment : loadPipelineFile(ENRICHMENT_FILE);
+  const outreach = opts.outreach !== undefined ? opts.outreach : loadPipelineFile(OUTREACH_FILE);
+  const fromIso = range.from.toISOString();
+  const toIso = range.to.toISOString();
+
+  const entries = store.list().filter(e => e.timestamp >= fromIso && e.timestamp < toIso);
+  // 区间前最后一份快照作为基线；没有时以区间内第一份为基线
+  let previous = store.latest({ before: range.from });
+  const pending = previous ? entries : entries.slice(1);
+  if (!previous && entries.length > 0) previous = store.load(entries[0].id);
+  const startCount = previous ? previous.institutions.length : 0;
+
+  const added = new Map();
+  const removed = new Map();
+  let current = previous;
+  for (const entry of pending) {
+    current = store.load(entry.id);
+    const untrusted = untrustedCategories(current.categories, previous.categories);
+    const diff = diffSnapshots(current.institutions, previous.institutions, { untrusted });
+    for (const inst of diff.added) {
+      const id = getInstitutionId(inst);
+      if (removed.has(id)) removed.delete(id);
+      else added.set(id, { institution: inst, date: entry.timestamp });
+    }
+    for (const inst of diff.removed) {
+      const id = getInstitutionId(inst);
+      if (added.has(id)) added.delete(id);
+      else removed.set(id, { institution: inst, date: entry.timestamp });
+    }
+    previous = current;
+  }
+  const endCount = current ? current.institutions.length : 0;
+
+  // 新增机构以区间末的信息为准（期间可能有更名或信息变更）
+  const latestById = new Map((current?.institutions || []).map(i => [getInstitutionId(i), i]));
+  const enrichmentById = new Map((enrichment?.results || []).map(r => [r.institutionId, r]));
+  const outreachById = new Map((outreach?.prospects || []).map(p => [p.institutionId, p]));
+  const newLicensees = [...added].map(([id, { institution, date }]) => ({
+    institution: latestById.get(id) || institution,
+    date,
+    enrichment: enrichmentById.get(id) || null,
+    outreach: outreachById.get(id) || null,
+  }));
+
+  const byCategory = new Map();
+  const activities = new Map();
+  for (const { institution } of newLicensees) {
+    const codes = institution.categories?.length ? institution.categories : ['未分类'];
+    for (const code of codes) byCategory.set(code, (byCategory.get(code) || 0) + 1);
+    for (const activity of institution.activities || []) activities.set(activity, (activities.get(activity) || 0) + 1);
+  }
+
+  return {
+    from: fromIso,
+    to: toIso,
+    snapshots: entries.length,
+    startCount,
+    endCount,
+    netGrowth: endCount - startCount,
+    newLicensees,
+    removed: [...removed.values()],
+    byCategory: [...byCategory]
+      .map(([code, count]) => ({ code, label: categoryLabel(code), count }))
+      .sort((a, b) => b.count - a.count),
+    topActivities: [...activities]
+      .map(([activity, count]) => ({ activity, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_ACTIVITIES),
+  };
+}
+
+/**
+ * 区间的显示文本（结束日含）
+ * @param {{ from: string, to: string }} digest
+ * @returns {string}
+ */
+function formatRange(digest) {
+  const last = new Date(new Date(digest.to).getTime() - DAY_MS);
+  return `${digest.from.slice(0, 10)} 至 ${last.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * 一家新增机构的 enrichment 状态
+ * @param {{ enrichment: object|null }} item
+ * @returns {string}
+ */
+function describeEnrichment(item) {
+  if (!item.enrichment) return '未处理';
+  const label = ENRICHMENT_LABELS[item.enrichment.status] || item.enrichment.status;
+  return item.enrichment.status === 'enriched' ? `${label}（${item.enrichment.contacts.length}）` : label;
+}
+
+/**
+ * 周报概览行
+ * @param {object} digest
+ * @returns {string[]}
+ */
+function summaryLines(digest) {
+  const sign = digest.netGrowth > 0 ? '+' : '';
+  return [
+    `快照：${digest.snapshots} 份`,
+    `机构数：${digest.startCount} → ${digest.endCount}（净增长 ${sign}${digest.netGrowth}）`,
+    `新增：${digest.newLicensees.length} 家 | 移除：${digest.removed.length} 家`,
+  ];
+}
+
+/**
+ * 生成 Markdown 周报
+ * @param {ReturnType<typeof buildDigest>} digest
+ * @returns {string}
+ */
+function renderDigestMarkdown(digest) {
+  const lines = [`# MAS Scout 汇总 — ${formatRange(digest)}`, ''];
+  lines.push(...summaryLines(digest), '');
+
+  if (digest.byCategory.length > 0) {
+    lines.push('## 按类别的新增', '');
+    lines.push('| 类别 | 新增 |', '|------|------|');
+    for (const c of digest.byCategory) lines.push(`| ${c.label} | ${c.count} |`);
+    lines.push('');
+  }
+
+  if (digest.topActivities.length > 0) {
+    lines.push('## 新增机构的主要业务', '');
+    for (const a of digest.topActivities) lines.push(`- ${a.activity}：${a.count} 家`);
+    lines.push('');
+  }
+
+  if (digest.newLicensees.length > 0) {
+    lines.push('## 新增持牌机构', '');
+    lines.push('| 机构 | 牌照类型 | 首次出现 | Enrichment | Outreach |', '|------|----------|----------|------------|----------|');
+    for (const item of digest.newLicensees) {
+      const outreach = item.outreach ? describeOutreach(item.outreach) : '—';
+      lines.push(`| ${item.institution.name} | ${item.institution.licenseTypes?.join(', ') || '未知'} | ${item.date.slice(0, 10)} | ${describeEnrichment(item)} | ${outreach} |`);
+    }
+    lines.push('');
+  }
+
+  if (digest.removed.length > 0) {
+    lines.push('## 移除的机构', '');
+    for (const { institution, date } of digest.removed) {
+      lines.push(`- ${institution.name} (${institution.licenseTypes?.join(', ') || '未知'}) — ${date.slice(0, 10)}`);
+    }
+    lines.push('');
+  }
+
+  if (digest.snapshots === 0) {
+    lines.push('> 该区间内没有快照。', '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * HTML 转义
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML 表格
+ * @param {string[]} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function htmlTable(headers, rows) {
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(r => `<tr>${r.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n<tr>${head}</tr>\n${body}\n</table>`;
+}
+
+/**
+ * 生成 HTML 周报（单文件，内联样式，可直接作为邮件正文或存档）
+ * @param {ReturnType<typeof buildDigest>} digest
+ * @returns {string}
+ */
+function renderDigestHtml(digest) {
+  const title = `MAS Scout 汇总 — ${formatRange(digest)}`;
+  const sections = [`<h1>${escapeHtml(title)}</h1>`, `<p>${summaryLines(digest).map(escapeHtml).join('<br>')}</p>`];
+
+  if (digest.byCategory.length > 0) {
+    sections.push('<h2>按类别的新增</h2>', htmlTable(['类别', '新增'], digest.byCategory.map(c => [c.label, c.count])));
+  }
+  if (digest.topActivities.length > 0) {
+    sections.push('<h2>新增机构的主要业务</h2>', htmlTable(['受监管活动', '机构数'], digest.topActivities.map(a => [a.activity, a.count])));
+  }
+  if (digest.newLicensees.length > 0) {
+    sections.push('<h2>新增持牌机构</h2>', htmlTable(
+      ['机构', '牌照类型', '首次出现', 'Enrichment', 'Outreach'],
+      digest.newLicensees.map(item => [
+        item.institution.name,
+        item.institution.licenseTypes?.join(', ') || '未知',
+        item.date.slice(0, 10),
+        describeEnrichment(item),
+        item.outreach ? describeOutreach(item.outreach) : '—',
+      ]),
+    ));
+  }
+  if (digest.removed.length > 0) {
+    sections.push('<h2>移除的机构</h2>', htmlTable(
+      ['机构', '牌照类型', '移除日期'],
+      digest.removed.map(({ institution, date }) => [institution.name, institution.licenseTypes?.join(', ') || '未知', date.slice(0, 10)]),
+    ));
+  }
+  if (digest.snapshots === 0) {
+    sections.push('<p><em>该区间内没有快照。</em></p>');
+  }
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", "PingFang SC", sans-serif; max-width: 960px; margin: 24px auto; color: #1f2933; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+  th, td { border: 1px solid #d9dee3; padding: 6px 10px; text-align: left; font-size: 14px; }
+  th { background: #f3f5f7; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * 生成并保存周报
+ * @param {{ from: Date, to: Date }} range
+ * @param {{ dir?: string }} [opts]
+ * @returns {{ digest: object, markdown: string, paths: { markdown: string, html: string } }}
+ */
+function writeDigest(range, opts = {}) {
+  const dir = opts.dir || DIGEST_DIR;
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const digest = buildDigest(range, opts);
+  const markdown = renderDigestMarkdown(digest);
+  const last = new Date(range.to.getTime() - DAY_MS).toISOString().slice(0, 10);
+  const base = join(dir, `digest-${range.from.toISOString().slice(0, 10)}_${last}`);
+  const paths = { markdown: `${base}.md`, html: `${base}.html` };
+  writeFileSync(paths.markdown, markdown);
+  writeFileSync(paths.html, renderDigestHtml(digest));
+  return { digest, markdown, paths };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const take = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+  const range = take('--from')
+    ? customRange(take('--from'), take('--to'))
+    : digestRange(args.includes('--monthly') ? 'monthly' : 'weekly');
+
+  const { digest, markdown, paths } = writeDigest(range);
+  console.log(`[digest] ${formatRange(digest)}：${digest.snapshots} 份快照，新增 ${digest.newLicensees.length} 家，移除 ${digest.removed.length} 家`);
+  console.log(`[digest] 已保存: ${paths.markdown}`);
+  console.log(`[digest] 已保存: ${paths.html}`);
+
+  if (args.includes('--notify')) {
+    await notify({
+      title: `MAS Scout 汇总 ${formatRange(digest)}`,
+      text: summaryLines(digest).join('\n'),
+      markdown,
+      hasChanges: digest.newLicensees.length > 0 || digest.removed.length > 0,
+    });
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error('[digest] 致命错误:', err.message);
+    process.exit(1);
+  });
+}
+
+export {
+  buildDigest,
+  digestRange,
+  customRange,
+  renderDigestMarkdown,
+  renderDigestHtml,
+  writeDigest,
+  DIGEST_DIR,
+};
@@ -0,0 +1,205 @@
+/**
+ * 报告格式注册表 — 每次运行按配置输出多种格式的日报
+ *
+ * 内置格式：
+ *   markdown     report-YYYY-MM-DD.md      中文日报
+ *   markdown-en  report-YYYY-MM-DD.en.md   英文日报
+ *   json         report-YYYY-MM-DD.json    diff、元数据与类别统计，供 BI 等工具读取
+ *   csv          report-YYYY-MM-DD.csv     新增与信息变更的机构
+ *
+ * 新格式用 registerReportFormat 注册即可，无需改动 index.js。
+ * 输出哪些格式由配置文件 reports.formats 决定，默认全部内置格式。
+ */
+
+import { writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { loadConfigFile } from '../shared/config.js';
+import { generateMarkdownReport, generateEnglishReport } from './report.js';
+
+const JSON_REPORT_VERSION = 1;
+
+// 格式名 → { extension, render(diff, meta) → string }
+const REPORT_FORMATS = new Map();
+
+/**
+ * 注册一种报告格式（同名覆盖）
+ * @param {string} name
+ * @param {{ extension: string, render: (diff: object, meta: object) => string }} format
+ *   extension 含前导点，如 '.json'
+ */
+function registerReportFormat(name, format) {
+  if (!format.extension || typeof format.render !== 'function') {
+    throw new Error(`报告格式 ${name} 缺少 extension 或 render`);
+  }
+  REPORT_FORMATS.set(name, format);
+}
+
+/**
+ * 已注册的格式名
+ * @returns {string[]}
+ */
+function listReportFormats() {
+  return [...REPORT_FORMATS.keys()];
+}
+
+/**
+ * 本次要输出的格式：配置文件 reports.formats，缺省为全部已注册格式
+ * @returns {string[]}
+ */
+function getReportFormats() {
+  return loadConfigFile().reports?.formats || listReportFormats();
+}
+
+/**
+ * 按格式名渲染报告（不写文件）
+ * @param {string} name - 已注册的格式名
+ * @param {object} diff
+ * @param {object} meta
+ * @returns {string}
+ */
+function renderReport(name, diff, meta) {
+  const format = REPORT_FORMATS.get(name);
+  if (!format) throw new Error(`未知的报告格式: ${name}（可选 ${listReportFormats().join(', ')}）`);
+  return format.render(diff, meta);
+}
+
+/**
+ * 各类别的抓取状态与增减统计
+ * @param {object} diff
+ * @param {Array} [categories] - scrapeAll 的 categories
+ * @returns {Array<{ code: string, status: string, count: number, attempts: number, durationMs: number, added: number, removed: number, error?: string }>}
+ */
+function categoryStats(diff, categories = []) {
+  const countIn = (list, code) => list.filter(i => (i.categories || []).includes(code)).length;
+  return categories.map(c => ({
+    code: c.code,
+    status: c.status,
+    count: c.count,
+    attempts: c.attempts,
+    durationMs: c.durationMs,
+    added: countIn(diff.added, c.code),
+    removed: countIn(diff.removed, c.code),
+    ...(c.error ? { error: c.error } : {}),
+  }));
+}
+
+/**
+ * 生成 JSON 日报：机构原样输出，移除附带分类，提醒只保留可序列化的字段
+ * @param {{ added: Array, removed: Array, changed?: Array, unverified?: { added: Array, removed: Array } }} diff
+ * @param {{ timestamp: string, count: number, categories?: Array, signals?: Array, removals?: object, watchAlerts?: Array }} meta
+ * @returns {string}
+ */
+function generateJsonReport(diff, meta) {
+  const changed = diff.changed || [];
+  const signals = meta.signals || [];
+  const watchAlerts = meta.watchAlerts || [];
+  const classified = new Map((meta.removals?.removals || []).map(r => [r.institution, r]));
+  const unverified = diff.unverified || { added: [], removed: [] };
+
+  const report = {
+    version: JSON_REPORT_VERSION,
+    date: meta.timestamp.slice(0, 10),
+    meta: { timestamp: meta.timestamp, count: meta.count },
+    stats: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      changed: changed.length,
+      unverified: unverified.added.length + unverified.removed.length,
+      signals: signals.length,
+      watchAlerts: watchAlerts.length,
+    },
+    categories: categoryStats(diff, meta.categories),
+    diff: {
+      added: diff.added,
+      removed: diff.removed.map(inst => {
+        const r = classified.get(inst);
+        return r ? { ...inst, classification: r.classification, reason: r.reason } : inst;
+      }),
+      changed: changed.map(c => ({ id: c.id, name: c.name, changes: c.changes })),
+      unverified,
+    },
+    downgrades: (meta.removals?.downgrades || []).map(d => ({ id: d.institution.id, name: d.institution.name, from: d.from, to: d.to })),
+    reappeared: (meta.removals?.reappeared || []).map(r => ({ id: r.institution.id, name: r.institution.name, removedAt: r.removedAt, days: r.days })),
+    signals,
+    watchAlerts: watchAlerts.map(a => ({
+      type: a.entry.type,
+      value: a.entry.value,
+      event: a.event,
+      id: a.institution.id,
+      name: a.institution.name,
+      detail: a.detail,
+    })),
+  };
+  return JSON.stringify(report, null, 2);
+}
+
+const CSV_COLUMNS = ['change', 'id', 'name', 'licenseTypes', 'activities', 'address', 'website', 'phone', 'changedFields'];
+
+/**
+ * CSV 单元格：数组以「; 」连接，含逗号、引号或换行时加引号
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  const s = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * 生成 CSV：每行一家新增或信息变更的机构
+ * @param {{ added: Array, changed?: Array }} diff
+ * @returns {string}
+ */
+function generateCsvReport(diff) {
+  const row = (change, inst, changedFields = []) => [
+    change, inst.id, inst.name, inst.licenseTypes, inst.activities, inst.address, inst.website, inst.phone, changedFields,
+  ];
+  const rows = [
+    CSV_COLUMNS,
+    ...diff.added.map(inst => row('added', inst)),
+    ...(diff.changed || []).map(c => row('changed', { ...c.institution, id: c.id }, Object.keys(c.changes))),
+  ];
+  return rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+registerReportFormat('markdown', { extension: '.md', render: generateMarkdownReport });
+registerReportFormat('markdown-en', { extension: '.en.md', render: generateEnglishReport });
+registerReportFormat('json', { extension: '.json', render: generateJsonReport });
+registerReportFormat('csv', { extension: '.csv', render: (diff) => generateCsvReport(diff) });
+
+/**
+ * 按格式输出日报文件；未注册的格式跳过并告警
+ * @param {object} diff
+ * @param {{ timestamp: string }} meta - 同 generateMarkdownReport
+ * @param {{ dir: string, formats?: string[] }} opts
+ * @returns {Object<string, { path: string, content: string }>} 格式名 → 输出
+ */
+function writeReports(diff, meta, opts) {
+  const formats = opts.formats || getReportFormats();
+  const date = meta.timestamp.slice(0, 10);
+  if (!existsSync(opts.dir)) mkdirSync(opts.dir, { recursive: true });
+
+  const written = {};
+  for (const name of formats) {
+    const format = REPORT_FORMATS.get(name);
+    if (!format) {
+      console.warn(`[report] 未知的报告格式: ${name}（可选 ${listReportFormats().join(', ')}）`);
+      continue;
+    }
+    const path = join(opts.dir, `report-${date}${format.extension}`);
+    const content = format.render(diff, meta);
+    writeFileSync(path, content);
+    written[name] = { path, content };
+  }
+  return written;
+}
+
+export {
+  registerReportFormat,
+  listReportFormats,
+  getReportFormats,
+  renderReport,
+  writeReports,
+  generateJsonReport,
+  generateCsvReport,
+};
@@ -0,0 +1,129 @@
+/**
+ * 快照校验 — 覆盖基线前的健全性检查
+ *
+ * FID 改版（表头漂移）或大面积缺失时会得到残缺的机构列表；若直接保存为最新快照，
+ * 下一次运行会把缺失的机构当成「新增」报出来。校验不通过的快照会被隔离，
+ * 并以告警代替日报。
+ *
+ * 单个类别因网络等原因抓取失败不在此拦截：快照照常保存，该类别的增减记为未核实
+ * （见 snapshot.js 的 untrustedCategories），日报照常生成。
+ */
+
+import { loadConfigFile } from '../shared/config.js';
+
+// 默认阈值，可在配置文件 guard 中覆盖
+const DEFAULT_THRESHOLDS = {
+  maxRemovalRatio: 0.1,   // 单次移除占上次总数的比例上限
+  maxAddedRatio: 0.2,     // 单次新增占上次总数的比例上限
+  maxCategoryDrop: 0.2,   // 单个类别数量下降比例上限
+};
+
+/**
+ * 读取阈值
+ * @returns {typeof DEFAULT_THRESHOLDS}
+ */
+function getThresholds() {
+  return { ...DEFAULT_THRESHOLDS, ...loadConfigFile().guard };
+}
+
+/**
+ * 上次快照的各类别数量：优先用快照记录的 count，旧快照则按机构的类别标记统计
+ * @param {{ categories?: Array, institutions: Array }} snapshot
+ * @returns {Map<string, number>}
+ */
+function categoryCounts(snapshot) {
+  const counts = new Map();
+  for (const c of snapshot.categories || []) {
+    if (typeof c.count === 'number') counts.set(c.code, c.count);
+  }
+  if (counts.size > 0) return counts;
+
+  for (const inst of snapshot.institutions) {
+    for (const code of inst.categories || []) {
+      counts.set(code, (counts.get(code) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * 校验本次抓取结果
+ *
+ * @param {{ institutions: Array, categories: Array }} current - scrapeAll 的返回值
+ * @param {{ categories?: Array, institutions: Array } | null} previous - 上次快照
+ * @param {{ added: Array, removed: Array } | null} diff
+ * @param {Partial<typeof DEFAULT_THRESHOLDS>} [thresholds]
+ * @returns {{ ok: boolean, failures: Array<{ check: string, message: string }> }}
+ */
+function checkSnapshot(current, previous, diff, thresholds = getThresholds()) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const failures = [];
+
+  if (current.institutions.length === 0) {
+    failures.push({ check: 'empty', message: '未抓取到任何机构' });
+  }
+
+  for (const c of current.categories) {
+    if (c.status === 'failed' && c.headerDrift) {
+      failures.push({ check: 'header_drift', message: `类别 ${c.code} ${c.error}` });
+    }
+  }
+
+  if (!previous || previous.institutions.length === 0) {
+    return { ok: failures.length === 0, failures };
+  }
+
+  const prevCounts = categoryCounts(previous);
+  for (const c of current.categories) {
+    const before = prevCounts.get(c.code);
+    if (!before || c.status === 'failed') continue;
+    const drop = (before - c.count) / before;
+    if (drop > t.maxCategoryDrop) {
+      failures.push({
+        check: 'category_drop',
+        message: `类别 ${c.code} 数量 ${before} → ${c.count}（下降 ${(drop * 100).toFixed(0)}%，阈值 ${(t.maxCategoryDrop * 100).toFixed(0)}%）`,
+      });
+    }
+  }
+
+  if (diff) {
+    const base = previous.institutions.length;
+    const removalRatio = diff.removed.length / base;
+    if (removalRatio > t.maxRemovalRatio) {
+      failures.push({
+        check: 'removal_ratio',
+        message: `移除 ${diff.removed.length} 家（占 ${(removalRatio * 100).toFixed(0)}%，阈值 ${(t.maxRemovalRatio * 100).toFixed(0)}%）`,
+      });
+    }
+
+    // 新增类别首次抓取时新增量本来就大，不检查
+    const prevCodes = new Set(prevCounts.keys());
+    const newCategory = current.categories.some(c => !prevCodes.has(c.code));
+    const addedRatio = diff.added.length / base;
+    if (!newCategory && addedRatio > t.maxAddedRatio) {
+      failures.push({
+        check: 'added_ratio',
+        message: `新增 ${diff.added.length} 家（占 ${(addedRatio * 100).toFixed(0)}%，阈值 ${(t.maxAddedRatio * 100).toFixed(0)}%）`,
+      });
+    }
+  }
+
+  return { ok: failures.length === 0, failures };
+}
+
+/**
+ * 生成告警文本
+ * @param {Array<{ check: string, message: string }>} failures
+ * @param {string} quarantinePath
+ * @returns {string}
+ */
+function formatGuardAlert(failures, quarantinePath) {
+  return [
+    '本次 FID 抓取未通过校验，快照已隔离，未覆盖基线，未生成日报：',
+    ...failures.map(f => `  - [${f.check}] ${f.message}`),
+    `隔离文件: ${quarantinePath}`,
+    '确认数据无误后可用 --force 重新运行以强制保存。',
+  ].join('\n');
+}
+
+export { checkSnapshot, formatGuardAlert, getThresholds, DEFAULT_THRESHOLDS };
@@ -5,79 +5,211 @@
  *
  * 用法:
  *   node src/watcher/index.js          # 完整运行：抓取 + diff + 保存 + 报告
- *   node src/watcher/index.js --diff-only  # 仅对比上次快照（不抓取）
+ *   node src/watcher/index.js --diff-only  # 仅比对最近两份快照（不抓取、不保存）
+ *   node src/watcher/index.js --categories cms,mpi,mpi-dpt  # 指定监控类别
+ *   node src/watcher/index.js --list-categories  # 列出可选类别
+ *   node src/watcher/index.js --no-press   # 跳过新闻稿扫描
+ *   node src/watcher/index.js --no-notify  # 不推送摘要
+ *   node src/watcher/index.js --force      # 快照校验未通过时仍然保存
+ *   node src/watcher/index.js --no-record  # 不录制原始 HTML
+ *   node src/watcher/index.js --replay <dir>  # 从录制重建快照和日报（不联网、不推送）
+ *   node src/watcher/index.js --no-registry  # 不关联 ACRA 登记信息
+ *
+ * 查询命令（不抓取、不推送，详见 cli.js）:
+ *   node src/watcher/index.js list                     # 列出快照
+ *   node src/watcher/index.js diff 2025-05-01 latest   # 比对任意两份快照
+ *   node src/watcher/index.js show "Alpha Pay"         # 机构当前记录与历史
+ *   node src/watcher/index.js report --date 2025-05-10 # 重新生成历史日报（--write 覆盖存档）
  */
 
 import { scrapeAll } from './scraper.js';
-import { saveSnapshot, loadLatestSnapshot, diffSnapshots } from './snapshot.js';
+import { saveSnapshot, quarantineSnapshot, loadLatestSnapshot, diffSnapshots, untrustedCategories } from './snapshot.js';
+import { checkSnapshot, formatGuardAlert } from './guard.js';
 import { generateMarkdownReport, generateTextSummary } from './report.js';
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { writeReports } from './formats.js';
+import { scanPress, loadSignals } from './press.js';
+import { classifyRemovals } from './removals.js';
+import { checkWatchlist, formatWatchAlert } from './watchlist.js';
+import { createRecorder, openRecording, pruneRecordings } from './recorder.js';
+import { updateTimeline } from './timeline.js';
+import { runCommand, diffLatest, COMMANDS } from './cli.js';
+import { notify } from '../notifier/index.js';
 import { join } from 'path';
-import { DATA_DIR } from '../shared/config.js';
+import { fileURLToPath } from 'url';
+import { DATA_DIR, getCategoryCatalogue, resolveCategories } from '../shared/config.js';
+import { assignInstitutionIds } from '../shared/identity.js';
+import { loadRegistry, attachRegistry } from '../registry/index.js';
+
+/**
+ * 运行 watcher
+ * @param {string[]} [args] - 命令行参数
+ */
+async function main(args = process.argv.slice(2)) {
+  // 查询命令与 --diff-only 只读快照历史
+  if (COMMANDS.includes(args[0])) {
+    return runCommand(args[0], args.slice(1));
+  }
+  if (args.includes('--diff-only')) {
+    return diffLatest();
+  }
+
+  if (args.includes('--list-categories')) {
+    for (const c of getCategoryCatalogue()) {
+      console.log(`${c.code.padEnd(18)} ${c.sector} / ${c.category}${c.activity ? ` [${c.activity}]` : ''} (priority ${c.priority ?? '-'})`);
+    }
+    return;
+  }
+
+  // 回放模式：运行时间取录制时间，默认类别取录制时的类别
+  const replayArg = args.includes('--replay') ? args[args.indexOf('--replay') + 1] : '';
+  const replay = replayArg ? openRecording(replayArg) : null;
+  const runAt = replay ? replay.timestamp : new Date();
+
+  const categoryArg = args.includes('--categories') ? args[args.indexOf('--categories') + 1] : '';
+  const categoryCodes = categoryArg ? categoryArg.split(',').map(c => c.trim()) : replay?.categories;
+  const categories = resolveCategories(categoryCodes?.length ? categoryCodes : undefined);
 
-async function main() {
   const startTime = Date.now();
   console.log('[watcher] MAS Scout Watcher 启动');
-  console.log(`[watcher] 时间: ${new Date().toISOString()}`);
+  console.log(`[watcher] 时间: ${runAt.toISOString()}${replay ? `（回放 ${replay.dir}）` : ''}`);
+  console.log(`[watcher] 监控类别: ${categories.map(c => c.code).join(', ')}`);
 
   // 1. 抓取当前 FID 数据
-  console.log('\n[watcher] === Step 1: 抓取 MAS FID ===');
-  const institutions = await scrapeAll();
+  console.log(`\n[watcher] === Step 1: ${replay ? '回放录制' : '抓取 MAS FID'} ===`);
+  const recorder = !replay && !args.includes('--no-record') ? createRecorder({ timestamp: runAt }) : null;
+  const scraped = await scrapeAll(categories, { recorder, replay });
+  const { institutions } = scraped;
   console.log(`[watcher] 抓取完成: ${institutions.length} 家机构`);
+  if (recorder) {
+    const pruned = pruneRecordings({ now: runAt });
+    if (pruned.length > 0) console.log(`[recorder] 按保留策略清理 ${pruned.length} 份旧录制`);
+  }
 
-  if (institutions.length === 0) {
-    console.error('[watcher] 未抓取到任何机构，可能是网站变更或网络问题');
-    process.exit(1);
+  // 关联 ACRA 登记信息（UEN、成立日期、状态、SSIC）；未导入登记数据时跳过
+  const registry = args.includes('--no-registry') ? null : loadRegistry();
+  if (registry) {
+    const matched = attachRegistry(institutions, registry);
+    console.log(`[watcher] ACRA 登记信息: ${matched}/${institutions.length} 家匹配（导入于 ${registry.importedAt.slice(0, 10)}）`);
   }
 
-  // 2. 加载上次快照
+  // 2. 加载上次快照（回放时取录制时间之前的最后一次）
   console.log('\n[watcher] === Step 2: 加载上次快照 ===');
-  const previous = loadLatestSnapshot();
-
-  // 3. 保存当前快照
-  console.log('\n[watcher] === Step 3: 保存当前快照 ===');
-  saveSnapshot(institutions);
+  const previous = loadLatestSnapshot(runAt);
+  // 沿用上次快照的机构 ID，更名后 ID 不变
+  assignInstitutionIds(institutions, previous?.institutions || []);
 
-  // 4. Diff
-  console.log('\n[watcher] === Step 4: 比对变化 ===');
+  // 3. Diff
+  console.log('\n[watcher] === Step 3: 比对变化 ===');
   let diff;
   if (previous) {
-    diff = diffSnapshots(institutions, previous.institutions);
-    console.log(`[watcher] 新增: ${diff.added.length} 家, 移除: ${diff.removed.length} 家`);
+    // 本次或上次抓取失败的类别，其新增 / 移除无法确认
+    const untrusted = untrustedCategories(scraped.categories, previous.categories);
+    diff = diffSnapshots(institutions, previous.institutions, { untrusted });
+    console.log(`[watcher] 新增: ${diff.added.length} 家, 移除: ${diff.removed.length} 家, 变更: ${diff.changed.length} 家`);
+    if (untrusted.size > 0) {
+      console.warn(`[watcher] 不可信类别: ${[...untrusted].join(', ')}，未核实 新增 ${diff.unverified.added.length} / 移除 ${diff.unverified.removed.length}`);
+    }
   } else {
     console.log('[watcher] 首次运行，无历史快照可比对');
-    diff = { added: institutions, removed: [] };
+    diff = { added: institutions, removed: [], changed: [], unverified: { added: [], removed: [] } };
+  }
+
+  // 4. 校验后保存 — 不通过则隔离快照并告警，不覆盖基线
+  console.log('\n[watcher] === Step 4: 校验并保存快照 ===');
+  const check = checkSnapshot(scraped, previous, previous ? diff : null);
+  if (!check.ok && !args.includes('--force')) {
+    const quarantinePath = quarantineSnapshot(institutions, { categories: scraped.categories, failures: check.failures, timestamp: runAt });
+    const alert = formatGuardAlert(check.failures, quarantinePath);
+    console.error(`[watcher] ${alert}`);
+    if (!replay && !args.includes('--no-notify')) {
+      await notify({ title: 'MAS Scout 告警：FID 快照未通过校验', text: alert, priority: 'high' });
+    }
+    process.exitCode = 2;
+    return { institutions, diff, check };
+  }
+  if (!check.ok) {
+    console.warn(`[watcher] 校验未通过，但指定了 --force，仍然保存: ${check.failures.map(f => f.check).join(', ')}`);
+  }
+  saveSnapshot(institutions, { categories: scraped.categories, timestamp: runAt });
+  let timeline = null;
+  try {
+    timeline = updateTimeline();
+  } catch (err) {
+    console.error('[watcher] 时间线更新失败:', err.message);
   }
 
-  // 5. 生成报告
-  console.log('\n[watcher] === Step 5: 生成报告 ===');
-  const reportDir = join(DATA_DIR, 'reports');
-  if (!existsSync(reportDir)) {
-    mkdirSync(reportDir, { recursive: true });
+  // 5. 新闻稿扫描（失败不影响日报；回放时跳过，新闻源只有当前内容）
+  let signals = [];
+  if (!replay && !args.includes('--no-press')) {
+    console.log('\n[watcher] === Step 5: 扫描新闻稿 ===');
+    try {
+      // 带上今天移除的机构，以便匹配吊销报道
+      signals = await scanPress([...institutions, ...diff.removed]);
+    } catch (err) {
+      console.error('[watcher] 新闻稿扫描失败:', err.message);
+    }
   }
 
-  const date = new Date().toISOString().slice(0, 10);
-  const reportPath = join(reportDir, `report-${date}.md`);
-  const report = generateMarkdownReport(diff, {
-    timestamp: new Date().toISOString(),
+  // 6. 移除分类；短暂消失后恢复的机构不算新增
+  console.log('\n[watcher] === Step 6: 移除分类 ===');
+  const removals = classifyRemovals(diff, { timeline, signals: loadSignals().signals, now: runAt });
+  if (removals.reappeared.length > 0) {
+    const reappeared = new Set(removals.reappeared.map(r => r.institution));
+    diff = { ...diff, added: diff.added.filter(i => !reappeared.has(i)) };
+  }
+  const revoked = removals.removals.filter(r => r.classification === 'revoked');
+
+  // 7. 关注名单；短暂消失后恢复的机构对关注者而言也算出现
+  console.log('\n[watcher] === Step 7: 检查关注名单 ===');
+  const watchAlerts = checkWatchlist({ ...diff, added: [...diff.added, ...removals.reappeared.map(r => r.institution)] }, { removals });
+  console.log(`[watcher] 关注提醒: ${watchAlerts.length} 条`);
+
+  // 8. 生成报告
+  console.log('\n[watcher] === Step 8: 生成报告 ===');
+  const date = runAt.toISOString().slice(0, 10);
+  const reportMeta = {
+    timestamp: runAt.toISOString(),
     count: institutions.length,
-  });
-  writeFileSync(reportPath, report);
-  console.log(`[watcher] 报告已保存: ${reportPath}`);
+    categories: scraped.categories,
+    signals,
+    removals,
+    watchAlerts,
+  };
+  const written = writeReports(diff, reportMeta, { dir: join(DATA_DIR, 'reports') });
+  for (const { path } of Object.values(written)) {
+    console.log(`[watcher] 报告已保存: ${path}`);
+  }
+  // 推送附带中文日报；配置中未输出 markdown 时另行生成
+  const report = written.markdown?.content ?? generateMarkdownReport(diff, reportMeta);
 
-  // 6. 输出摘要
-  const summary = generateTextSummary(diff);
+  // 9. 输出摘要
+  const summary = generateTextSummary(diff, { categories: scraped.categories, signals, removals, watchAlerts });
   console.log('\n[watcher] === 摘要 ===');
   console.log(summary);
 
+  // 10. 推送（回放不推送）；关注名单命中单独发高优先级提醒，有吊销时日报按高优先级推送
+  if (!replay && !args.includes('--no-notify')) {
+    if (watchAlerts.length > 0) {
+      const text = ['关注名单命中：', ...watchAlerts.map(a => `  - ${formatWatchAlert(a)}`)].join('\n');
+      await notify({ title: `MAS Scout 关注提醒 ${date}`, text, priority: 'high' });
+    }
+    const hasChanges = diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0 || signals.length > 0;
+    const priority = revoked.length > 0 ? 'high' : 'normal';
+    await notify({ title: `MAS Scout 日报 ${date}`, text: summary, markdown: report, hasChanges, priority });
+  }
+
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
   console.log(`\n[watcher] 完成，耗时 ${elapsed}s`);
 
   // 返回结果供调用者使用
-  return { institutions, diff, summary, report };
+  return { institutions, diff, signals, removals, watchAlerts, summary, report };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error('[watcher] 致命错误:', err);
+    process.exit(1);
+  });
 }
 
-main().catch(err => {
-  console.error('[watcher] 致命错误:', err);
-  process.exit(1);
-});
+export { main };
@@ -0,0 +1,291 @@
+/**
+ * 新闻稿监控 — RSS/Atom 订阅源 → 牌照信号
+ *
+ * 原则性批准（IPA）往往比 FID 上架早数周出现在新闻稿里，
+ * 因此只要文章命中牌照关键词就记为信号；能对上 FID 机构名时一并记录。
+ *
+ * 订阅源 url 可以是 http(s) 地址，也可以是本地文件路径（离线 fixture）。
+ */
+
+import { load } from 'cheerio';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR, loadConfigFile } from '../shared/config.js';
+import { nameTokens, normalizeName, getInstitutionId } from '../shared/identity.js';
+
+const SIGNALS_FILE = join(DATA_DIR, 'signals.json');
+
+// 单个订阅源的请求超时，避免一个卡住的源拖住整次运行
+const FEED_TIMEOUT_MS = 15000;
+
+// 默认订阅源，可在配置文件 press.feeds 中覆盖
+const DEFAULT_FEEDS = [
+  { name: 'MAS Media Releases', url: 'https://www.mas.gov.sg/rss/media-releases' },
+  { name: 'PR Newswire — Financial Services', url: 'https://www.prnewswire.com/rss/financial-services-latest-news/financial-services-latest-news-list.rss' },
+  { name: 'Fintech News Singapore', url: 'https://fintechnews.sg/feed/' },
+];
+
+// 吊销 / 撤销类关键词 — 移除分类（removals.js）据此识别牌照被吊销
+// 这些词太泛，只在文章同时提到 FID 机构时才算信号
+const REVOCATION_KEYWORDS = [
+  'revoke',
+  'revocation',
+  'cancellation of licence',
+  'cancellation of license',
+  'cancelled the licence',
+  'cancelled the license',
+  'prohibition order',
+];
+
+// 牌照相关关键词（不区分大小写）
+const LICENCE_KEYWORDS = [
+  'in-principle approval',
+  'in principle approval',
+  'major payment institution',
+  'standard payment institution',
+  'MPI licence',
+  'MPI license',
+  'capital markets services licence',
+  'capital markets services license',
+  'CMS licence',
+  'CMS license',
+  'digital payment token',
+  'MAS licence',
+  'MAS license',
+  'Payment Services Act',
+];
+
+/**
+ * 读取配置的订阅源列表
+ * @returns {Array<{ name: string, url: string }>}
+ */
+function getFeeds() {
+  return loadConfigFile().press?.feeds || DEFAULT_FEEDS;
+}
+
+/**
+ * 去掉 HTML 标签，只留文本
+ * @param {string} html
+ * @returns {string}
+ */
+function stripHtml(html) {
+  if (!html) return '';
+  return load(`<div>${html}</div>`)('div').text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 解析日期，无法解析时返回 null
+ * @param {string} value
+ * @returns {string|null} ISO 字符串
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const d = new Date(value.trim());
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * 解析 RSS 2.0 或 Atom 文本
+ * @param {string} xml
+ * @param {string} source - 订阅源名称
+ * @returns {Array<{ title: string, url: string, summary: string, publishedAt: string|null, source: string }>}
+ */
+function parseFeed(xml, source) {
+  const $ = load(xml, { xmlMode: true });
+  const articles = [];
+
+  $('item').each((_, el) => {
+    const item = $(el);
+    articles.push({
+      title: stripHtml(item.children('title').text()),
+      url: item.children('link').text().trim() || item.children('guid').text().trim(),
+      summary: stripHtml(item.children('description').text()),
+      publishedAt: parseDate(item.children('pubDate').text() || item.children('dc\\:date').text()),
+      source,
+    });
+  });
+
+  $('entry').each((_, el) => {
+    const entry = $(el);
+    const links = entry.children('link');
+    const alternate = links.filter((_, l) => !$(l).attr('rel') || $(l).attr('rel') === 'alternate').first();
+    articles.push({
+      title: stripHtml(entry.children('title').text()),
+      url: (alternate.attr('href') || links.first().attr('href') || '').trim(),
+      summary: stripHtml(entry.children('summary').text() || entry.children('content').text()),
+      publishedAt: parseDate(entry.children('published').text() || entry.children('updated').text()),
+      source,
+    });
+  });
+
+  return articles.filter(a => a.title && a.url);
+}
+
+/**
+ * 拉取一个订阅源（http(s) 或本地文件）
+ * @param {{ name: string, url: string }} feed
+ * @param {{ timeoutMs?: number }} [opts]
+ * @returns {Promise<Array>}
+ */
+async function fetchFeed(feed, opts = {}) {
+  const timeoutMs = opts.timeoutMs || FEED_TIMEOUT_MS;
+  let xml;
+  if (/^https?:\/\//.test(feed.url)) {
+    try {
+      const resp = await fetch(feed.url, {
+        headers: {
+          'User-Agent': 'MAS-Scout/0.1 (compliance monitoring)',
+          'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml',
+        },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!resp.ok) {
+        throw new Error(`订阅源拉取失败 ${feed.url}: HTTP ${resp.status}`);
+      }
+      xml = await resp.text();
+    } catch (err) {
+      if (err.name === 'TimeoutError') throw new Error(`订阅源请求超时 (${timeoutMs}ms): ${feed.url}`);
+      throw err;
+    }
+  } else {
+    const path = feed.url.startsWith('file:') ? fileURLToPath(feed.url) : feed.url;
+    xml = readFileSync(path, 'utf-8');
+  }
+  return parseFeed(xml, feed.name);
+}
+
+/**
+ * 为机构名建立匹配用的核心词串
+ * 单个词太泛（如 "ASIA"），要求至少两个词或单词不少于 5 个字符
+ * @param {Array} institutions
+ * @returns {Array<{ core: string, inst: object }>}
+ */
+function buildNameIndex(institutions) {
+  const index = [];
+  for (const inst of institutions) {
+    const tokens = nameTokens(inst.name);
+    if (tokens.length === 0) continue;
+    if (tokens.length === 1 && tokens[0].length < 5) continue;
+    index.push({ core: tokens.join(' '), inst });
+  }
+  return index;
+}
+
+/**
+ * 判断文章是否为牌照信号
+ * @param {{ title: string, summary: string }} article
+ * @param {Array<{ core: string, inst: object }>} nameIndex
+ * @returns {{ keywords: string[], institutions: Array<{ id: string, name: string }> } | null}
+ */
+function matchArticle(article, nameIndex) {
+  const text = `${article.title} ${article.summary}`;
+  const lower = text.toLowerCase();
+  const licence = LICENCE_KEYWORDS.filter(k => lower.includes(k.toLowerCase()));
+  const revocation = REVOCATION_KEYWORDS.filter(k => lower.includes(k.toLowerCase()));
+  if (licence.length === 0 && revocation.length === 0) return null;
+
+  const normalized = ` ${normalizeName(text)} `;
+  const institutions = nameIndex
+    .filter(({ core }) => normalized.includes(` ${core} `))
+    .map(({ inst }) => ({ id: getInstitutionId(inst), name: inst.name }));
+
+  // 只有吊销类关键词而未提到任何机构：不算信号
+  if (licence.length === 0 && institutions.length === 0) return null;
+  return { keywords: [...licence, ...revocation], institutions };
+}
+
+/**
+ * 将文章列表转换为信号
+ * @param {Array} articles
+ * @param {Array} institutions - 当前 FID 机构
+ * @returns {Array}
+ */
+function extractSignals(articles, institutions) {
+  const nameIndex = buildNameIndex(institutions);
+  const signals = [];
+  for (const article of articles) {
+    const match = matchArticle(article, nameIndex);
+    if (!match) continue;
+    signals.push({
+      id: createHash('sha1').update(article.url).digest('hex').slice(0, 16),
+      title: article.title,
+      url: article.url,
+      source: article.source,
+      publishedAt: article.publishedAt,
+      keywords: match.keywords,
+      institutions: match.institutions,
+    });
+  }
+  return signals;
+}
+
+/**
+ * 读取已存储的信号
+ * @returns {{ lastRun: string|null, signals: Array }}
+ */
+function loadSignals() {
+  if (!existsSync(SIGNALS_FILE)) return { lastRun: null, signals: [] };
+  return JSON.parse(readFileSync(SIGNALS_FILE, 'utf-8'));
+}
+
+/**
+ * 合并新信号到存储（按 id 去重）
+ * @param {Array} signals
+ * @returns {Array} 此前未见过的信号
+ */
+function saveSignals(signals) {
+  if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
+  const store = loadSignals();
+  const known = new Set(store.signals.map(s => s.id));
+  const fresh = signals
+    .filter(s => !known.has(s.id))
+    .map(s => ({ ...s, detectedAt: new Date().toISOString() }));
+
+  store.lastRun = new Date().toISOString();
+  store.signals = [...store.signals, ...fresh];
+  writeFileSync(SIGNALS_FILE, JSON.stringify(store, null, 2));
+  return fresh;
+}
+
+/**
+ * 扫描所有订阅源，返回新出现的信号
+ * 单个订阅源失败不影响其他订阅源
+ * @param {Array} institutions
+ * @param {{ feeds?: Array }} [opts]
+ * @returns {Promise<Array>}
+ */
+async function scanPress(institutions, opts = {}) {
+  const feeds = opts.feeds || getFeeds();
+  const articles = [];
+
+  for (const feed of feeds) {
+    try {
+      const items = await fetchFeed(feed);
+      console.log(`[press] ${feed.name}: ${items.length} 篇文章`);
+      articles.push(...items);
+    } catch (err) {
+      console.error(`[press] ${feed.name} 失败:`, err.message);
+    }
+  }
+
+  const fresh = saveSignals(extractSignals(articles, institutions));
+  console.log(`[press] 新信号: ${fresh.length} 条`);
+  return fresh;
+}
+
+export {
+  scanPress,
+  fetchFeed,
+  parseFeed,
+  matchArticle,
+  extractSignals,
+  buildNameIndex,
+  loadSignals,
+  saveSignals,
+  getFeeds,
+  DEFAULT_FEEDS,
+  LICENCE_KEYWORDS,
+  REVOCATION_KEYWORDS,
+};
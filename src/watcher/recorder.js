@@ -0,0 +1,139 @@
+/**
+ * FID 录制 / 回放
+ *
+ * 每次在线抓取时把 printpartial 原始 HTML 存到 data/recordings/<运行时间>/，
+ * 之后可用 --replay <dir> 从录制重建快照和日报：复现历史日报、回归测试解析器改动、
+ * 修复 bug 后回填历史快照。
+ *
+ * 目录结构：
+ *   manifest.json   { timestamp, categories: [code], files: [{ sector, category, file }] }
+ *   <sector>--<category>.html
+ *
+ * 录制只保留最近 retentionDays 天（每次在线运行后清理），可在 mas-scout.config.json 中覆盖：
+ *   { "recordings": { "retentionDays": 30 } }
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, rmSync } from 'fs';
+import { join, isAbsolute } from 'path';
+import { DATA_DIR, loadConfigFile } from '../shared/config.js';
+
+const RECORDINGS_DIR = join(DATA_DIR, 'recordings');
+const MANIFEST = 'manifest.json';
+
+const DEFAULT_RECORDING_RETENTION = {
+  retentionDays: 30,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 录制文件名：sector 与 category 转小写、非字母数字替换为连字符
+ * @param {string} sector
+ * @param {string} category
+ * @returns {string}
+ */
+function recordingFilename(sector, category) {
+  const slug = s => s.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug(sector)}--${slug(category)}.html`;
+}
+
+/**
+ * 运行时间 → 录制目录名（与快照文件名同一格式）
+ * @param {Date} date
+ * @returns {string}
+ */
+function recordingDirname(date) {
+  return date.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
+
+/**
+ * 创建录制器，HTML 在 save 时立即写盘，manifest 在 finish 时写入
+ * @param {{ timestamp?: Date, dir?: string }} [opts]
+ * @returns {{ dir: string, save: (sector: string, category: string, html: string) => void, finish: (categories: string[]) => string }}
+ */
+function createRecorder(opts = {}) {
+  const timestamp = opts.timestamp || new Date();
+  const dir = opts.dir || join(RECORDINGS_DIR, recordingDirname(timestamp));
+  const files = [];
+
+  return {
+    dir,
+    save(sector, category, html) {
+      if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+      const file = recordingFilename(sector, category);
+      writeFileSync(join(dir, file), html);
+      if (!files.some(f => f.file === file)) files.push({ sector, category, file });
+    },
+    finish(categories) {
+      if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+      const manifest = { timestamp: timestamp.toISOString(), categories, files };
+      writeFileSync(join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+      console.log(`[recorder] 已录制 ${files.length} 个类别: ${dir}`);
+      return dir;
+    },
+  };
+}
+
+/**
+ * 解析回放目录：绝对路径、相对当前目录的路径，或 data/recordings 下的目录名
+ * @param {string} dir
+ * @returns {string}
+ */
+function resolveRecordingDir(dir) {
+  if (isAbsolute(dir) || existsSync(dir)) return dir;
+  return join(RECORDINGS_DIR, dir);
+}
+
+/**
+ * 打开一次录制用于回放
+ * @param {string} dir
+ * @returns {{ dir: string, timestamp: Date, categories: string[], load: (sector: string, category: string) => string }}
+ */
+function openRecording(dir) {
+  const resolved = resolveRecordingDir(dir);
+  const manifestPath = join(resolved, MANIFEST);
+  if (!existsSync(manifestPath)) {
+    throw new Error(`录制目录缺少 ${MANIFEST}: ${resolved}`);
+  }
+  const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+
+  return {
+    dir: resolved,
+    timestamp: new Date(manifest.timestamp),
+    categories: manifest.categories || [],
+    load(sector, category) {
+      const entry = manifest.files.find(f => f.sector === sector && f.category === category);
+      if (!entry) throw new Error(`录制中没有该类别: ${sector} / ${category}`);
+      return readFileSync(join(resolved, entry.file), 'utf-8');
+    },
+  };
+}
+
+/**
+ * 列出所有录制（按时间升序）
+ * @returns {string[]} 目录名
+ */
+function listRecordings() {
+  if (!existsSync(RECORDINGS_DIR)) return [];
+  return readdirSync(RECORDINGS_DIR)
+    .filter(d => existsSync(join(RECORDINGS_DIR, d, MANIFEST)))
+    .sort();
+}
+
+/**
+ * 删除超过保留期的录制（按目录名中的运行时间判断，不合格式的目录不动）
+ * @param {{ now?: Date, dir?: string, retentionDays?: number }} [opts]
+ * @returns {string[]} 被删除的目录名
+ */
+function pruneRecordings(opts = {}) {
+  const dir = opts.dir || RECORDINGS_DIR;
+  const { retentionDays } = { ...DEFAULT_RECORDING_RETENTION, ...loadConfigFile().recordings, ...opts };
+  if (!existsSync(dir)) return [];
+
+  const cutoff = recordingDirname(new Date((opts.now || new Date()).getTime() - retentionDays * DAY_MS));
+  const expired = readdirSync(dir).filter(d => /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}$/.test(d) && d < cutoff);
+  for (const d of expired) rmSync(join(dir, d), { recursive: true, force: true });
+  return expired;
+}
+
+export { createRecorder, openRecording, listRecordings, pruneRecordings, recordingFilename, RECORDINGS_DIR, DEFAULT_RECORDING_RETENTION };
@@ -0,0 +1,184 @@
+/**
+ * 移除分类 — 区分吊销、退出、更名 / 合并、降级与抓取噪音
+ *
+ * 分类依据：
+ *   revoked    新闻信号中有该机构的吊销 / 撤销报道（近 revocationLookbackDays 天）
+ *   merger     同日新增的机构与其名称相近、地址相同或网站域名相同（更名或被合并）
+ *   glitch     时间线显示该机构曾消失后又重新出现，本次很可能也是抓取异常
+ *   exit       其余移除：牌照失效 / 主动退出，transientDays 天内未重新出现才算确认
+ *
+ * 另外两类不在 diff.removed 中：
+ *   downgrade  仍在名单上但失去较高级别牌照、获得较低级别牌照（如 MPI → SPI）
+ *   reappeared 今天「新增」的机构其实在 transientDays 天内被移除过（短暂消失），不是新牌照
+ */
+
+import { loadConfigFile } from '../shared/config.js';
+import {
+  getInstitutionId,
+  normalizeName,
+  normalizeAddress,
+  normalizeWebsite,
+  nameSimilarity,
+} from '../shared/identity.js';
+import { REVOCATION_KEYWORDS } from './press.js';
+
+// 默认参数，可在配置文件 removals 中覆盖
+const DEFAULT_REMOVAL_OPTIONS = {
+  transientDays: 7,              // 消失后多少天内重新出现算短暂消失
+  revocationLookbackDays: 30,    // 吊销报道的回溯天数
+  mergerNameSimilarity: 0.6,     // 判定为更名 / 合并的名称相似度下限
+};
+
+// 同一 sector 内从高到低的牌照级别
+const LICENCE_TIERS = [
+  ['Major Payment Institution', 'Standard Payment Institution', 'Money-changing Licensee'],
+  ['Full Bank', 'Wholesale Bank', 'Merchant Bank'],
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 读取参数
+ * @returns {typeof DEFAULT_REMOVAL_OPTIONS}
+ */
+function getRemovalOptions() {
+  return { ...DEFAULT_REMOVAL_OPTIONS, ...loadConfigFile().removals };
+}
+
+/**
+ * 牌照在所属级别序列中的位置
+ * @param {string} licence
+ * @returns {{ tier: number, rank: number } | null}
+ */
+function licenceRank(licence) {
+  for (let tier = 0; tier < LICENCE_TIERS.length; tier++) {
+    const rank = LICENCE_TIERS[tier].findIndex(l => licence.toLowerCase().includes(l.toLowerCase()));
+    if (rank >= 0) return { tier, rank };
+  }
+  return null;
+}
+
+/**
+ * 从牌照变更中找出降级（失去的牌照与获得的牌照同一序列且级别更低）
+ * @param {{ added?: string[], removed?: string[] }} change - licenseTypes 的字段变更
+ * @returns {{ from: string, to: string } | null}
+ */
+function findDowngrade(change) {
+  for (const from of change.removed || []) {
+    const a = licenceRank(from);
+    if (!a) continue;
+    for (const to of change.added || []) {
+      const b = licenceRank(to);
+      if (b && b.tier === a.tier && b.rank > a.rank) return { from, to };
+    }
+  }
+  return null;
+}
+
+/**
+ * 是否为吊销类报道且涉及该机构
+ * @param {object} signal
+ * @param {object} inst
+ * @returns {boolean}
+ */
+function isRevocationSignal(signal, inst) {
+  if (!signal.keywords.some(k => REVOCATION_KEYWORDS.includes(k))) return false;
+  const id = getInstitutionId(inst);
+  const name = normalizeName(inst.name);
+  return signal.institutions.some(i => i.id === id || normalizeName(i.name) === name);
+}
+
+/**
+ * 在同日新增中找疑似更名 / 合并的承接方
+ * @param {object} inst - 被移除的机构
+ * @param {Array} added
+ * @param {number} minSimilarity
+ * @returns {{ institution: object, via: 'website'|'address'|'name' } | null}
+ */
+function findSuccessor(inst, added, minSimilarity) {
+  const domain = normalizeWebsite(inst.website);
+  const address = normalizeAddress(inst.address);
+  for (const candidate of added) {
+    if (domain && normalizeWebsite(candidate.website) === domain) return { institution: candidate, via: 'website' };
+    if (address && normalizeAddress(candidate.address) === address) return { institution: candidate, via: 'address' };
+  }
+  let best = null;
+  for (const candidate of added) {
+    const score = nameSimilarity(inst.name, candidate.name);
+    if (score >= minSimilarity && (!best || score > best.score)) best = { institution: candidate, score };
+  }
+  return best ? { institution: best.institution, via: 'name' } : null;
+}
+
+/**
+ * 时间线条目中最近一次移除时间
+ * @param {object} entry
+ * @param {string} [before] - 只看早于该时间的事件
+ * @returns {string|null}
+ */
+function lastRemoval(entry, before) {
+  const removals = entry.events.filter(e => e.type === 'removed' && (!before || e.date < before));
+  return removals.length > 0 ? removals[removals.length - 1].date : null;
+}
+
+/**
+ * 对一次 diff 的移除做分类
+ *
+ * @param {{ added: Array, removed: Array, changed?: Array }} diff
+ * @param {{ timeline?: { institutions: Object<string, object> }, signals?: Array, now?: Date } & Partial<typeof DEFAULT_REMOVAL_OPTIONS>} [opts]
+ *   timeline 为 updateTimeline() 的结果（已包含本次快照）；signals 为已保存的新闻信号
+ * @returns {{
+ *   removals: Array<{ institution: object, classification: 'revoked'|'merger'|'glitch'|'exit', reason: string, successor?: object, signal?: object }>,
+ *   downgrades: Array<{ institution: object, from: string, to: string }>,
+ *   reappeared: Array<{ institution: object, removedAt: string, days: number }>,
+ * }}
+ */
+function classifyRemovals(diff, opts = {}) {
+  const o = { ...getRemovalOptions(), ...opts };
+  const now = o.now || new Date();
+  const timeline = o.timeline?.institutions || {};
+  const signalCutoff = new Date(now.getTime() - o.revocationLookbackDays * DAY_MS).toISOString();
+  const signals = (o.signals || []).filter(s => (s.publishedAt || s.detectedAt || '') >= signalCutoff);
+
+  // 今天「新增」但 transientDays 天内被移除过 → 短暂消失后恢复
+  const reappeared = [];
+  for (const inst of diff.added) {
+    const entry = timeline[getInstitutionId(inst)];
+    const removedAt = entry && lastRemoval(entry, now.toISOString());
+    if (!removedAt) continue;
+    const days = Math.floor((now.getTime() - new Date(removedAt).getTime()) / DAY_MS);
+    if (days <= o.transientDays) reappeared.push({ institution: inst, removedAt, days });
+  }
+  const reappearedSet = new Set(reappeared.map(r => r.institution));
+  const trulyAdded = diff.added.filter(i => !reappearedSet.has(i));
+
+  const removals = diff.removed.map(inst => {
+    const signal = signals.find(s => isRevocationSignal(s, inst));
+    if (signal) {
+      return { institution: inst, classification: 'revoked', reason: `新闻：${signal.title}`, signal };
+    }
+
+    const successor = findSuccessor(inst, trulyAdded, o.mergerNameSimilarity);
+    if (successor) {
+      const via = { website: '网站相同', address: '地址相同', name: '名称相近' }[successor.via];
+      return { institution: inst, classification: 'merger', reason: `${via}：${successor.institution.name}`, successor: successor.institution };
+    }
+
+    const entry = timeline[getInstitutionId(inst)];
+    if (entry?.events.some(e => e.type === 'reappeared')) {
+      return { institution: inst, classification: 'glitch', reason: '此前曾消失后重新出现' };
+    }
+
+    return { institution: inst, classification: 'exit', reason: `${o.transientDays} 天内未重新出现即确认退出` };
+  });
+
+  const downgrades = [];
+  for (const entry of diff.changed || []) {
+    const downgrade = entry.changes.licenseTypes && findDowngrade(entry.changes.licenseTypes);
+    if (downgrade) downgrades.push({ institution: entry.institution, ...downgrade });
+  }
+
+  return { removals, downgrades, reappeared };
+}
+
+export { classifyRemovals, findDowngrade, getRemovalOptions, DEFAULT_REMOVAL_OPTIONS };
@@ -2,24 +2,119 @@
  * 日报生成 — 将 diff 结果格式化为可读报告
  */
 
+import { formatWatchAlert } from './watchlist.js';
+import { companyAgeYears } from '../registry/index.js';
+
+// 字段变更在报告中的显示名
+const FIELD_LABELS = {
+  name: '名称',
+  licenseTypes: '牌照类型',
+  activities: '受监管活动',
+  subActivities: '业务子项',
+  address: '地址',
+  phone: '电话',
+  website: '网站',
+};
+
+/**
+ * 将单个字段的变更格式化为一行描述
+ * @param {string} field
+ * @param {{ before: *, after: *, added?: string[], removed?: string[] }} change
+ * @returns {string}
+ */
+function formatFieldChange(field, change) {
+  const label = FIELD_LABELS[field] || field;
+  if (change.added || change.removed) {
+    const parts = [
+      ...(change.added || []).map(v => `+${v}`),
+      ...(change.removed || []).map(v => `-${v}`),
+    ];
+    return `${label}：${parts.join(', ')}`;
+  }
+  return `${label}：${change.before || '（空）'} → ${change.after || '（空）'}`;
+}
+
+// 移除分类在报告中的标题，按此顺序输出：吊销最重要，噪音放最后
+const REMOVAL_SECTIONS = [
+  ['revoked', '牌照吊销 / 撤销'],
+  ['exit', '退出（待确认）'],
+  ['merger', '疑似更名 / 合并'],
+  ['glitch', '疑似抓取异常'],
+];
+
+/**
+ * 信号日期（YYYY-MM-DD），无日期时显示「日期未知」
+ * @param {{ publishedAt: string|null }} signal
+ * @returns {string}
+ */
+function signalDate(signal) {
+  return signal.publishedAt ? signal.publishedAt.slice(0, 10) : '日期未知';
+}
+
+/**
+ * 类别抓取状态的一行描述，仅列出失败或经过重试的类别；全部一次成功时返回 null
+ * @param {Array<{ code: string, status?: string, attempts?: number, error?: string }>} [categories]
+ * @returns {string|null}
+ */
+function formatScrapeStatus(categories = []) {
+  const notable = categories.filter(c => c.status === 'failed' || c.attempts > 1);
+  if (notable.length === 0) return null;
+  return notable.map(c => (c.status === 'failed'
+    ? `${c.code} 抓取失败（${c.attempts || 1} 次）：${c.error || '未知错误'}`
+    : `${c.code} 重试后成功（${c.attempts} 次）`)).join('；');
+}
+
+/**
+ * ACRA 登记信息的一行描述：UEN、状态、成立日期（及到本次的年数）、主要 SSIC
+ * @param {{ uen: string, status?: string, incorporatedAt?: string, ssic?: string, ssicDescription?: string }} registry
+ * @param {string} [at] - 计算成立年数的参照时间，即首次出现在 FID 的时间
+ * @returns {string}
+ */
+function formatRegistry(registry, at) {
+  const parts = [registry.uen];
+  if (registry.status) parts.push(registry.status);
+  if (registry.incorporatedAt) {
+    const years = at ? companyAgeYears(registry.incorporatedAt, at) : null;
+    parts.push(`成立于 ${registry.incorporatedAt}${years !== null ? `（${years} 年）` : ''}`);
+  }
+  if (registry.ssic) parts.push(`SSIC ${registry.ssic}${registry.ssicDescription ? ` ${registry.ssicDescription}` : ''}`);
+  return parts.join(' · ');
+}
+
 /**
  * 生成 Markdown 格式的日报
- * @param {{ added: Array, removed: Array }} diff
- * @param {{ timestamp: string, count: number }} meta
+ * @param {{ added: Array, removed: Array, changed?: Array, unverified?: { added: Array, removed: Array } }} diff
+ * @param {{ timestamp: string, count: number, categories?: Array, signals?: Array, removals?: object, watchAlerts?: Array }} meta
+ *   removals 为 classifyRemovals 的结果；缺省时移除的机构不分类；watchAlerts 为 checkWatchlist 的结果
  * @returns {string}
  */
 function generateMarkdownReport(diff, meta) {
   const lines = [];
-  const date = new Date().toLocaleDateString('zh-CN', {
+  const changed = diff.changed || [];
+  const signals = meta.signals || [];
+  const watchAlerts = meta.watchAlerts || [];
+  const unverified = [...(diff.unverified?.added || []), ...(diff.unverified?.removed || [])];
+  const scrapeStatus = formatScrapeStatus(meta.categories);
+  const date = new Date(meta.timestamp || Date.now()).toLocaleDateString('zh-CN', {
     year: 'numeric', month: 'long', day: 'numeric',
   });
 
   lines.push(`# MAS Scout 日报 — ${date}`);
   lines.push('');
   lines.push(`总计监控机构：${meta.count} 家`);
-  lines.push(`新增：${diff.added.length} 家 | 移除：${diff.removed.length} 家`);
+  lines.push(`新增：${diff.added.length} 家 | 移除：${diff.removed.length} 家 | 信息变更：${changed.length} 家`);
+  if (scrapeStatus) lines.push(`抓取状态：${scrapeStatus}`);
   lines.push('');
 
+  if (watchAlerts.length > 0) {
+    lines.push('## 关注名单提醒');
+    lines.push('');
+    for (const alert of watchAlerts) {
+      lines.push(`- ${formatWatchAlert(alert)}`);
+    }
+    lines.push('');
+  }
+
   if (diff.added.length > 0) {
     lines.push('## 新增牌照持有者');
     lines.push('');
@@ -27,14 +122,42 @@ function generateMarkdownReport(diff, meta) {
       lines.push(`### ${inst.name}`);
       if (inst.licenseTypes?.length) lines.push(`- **牌照类型：** ${inst.licenseTypes.join(', ')}`);
       if (inst.activities?.length) lines.push(`- **受监管活动：** ${inst.activities.join(', ')}`);
+      for (const [activity, subs] of Object.entries(inst.subActivities || {})) {
+        if (subs.length) lines.push(`  - ${activity}：${subs.join(', ')}`);
+      }
       if (inst.address) lines.push(`- **地址：** ${inst.address}`);
       if (inst.website) lines.push(`- **网站：** ${inst.website}`);
       if (inst.phone) lines.push(`- **电话：** ${inst.phone}`);
+      if (inst.registry) lines.push(`- **ACRA：** ${formatRegistry(inst.registry, meta.timestamp)}`);
       lines.push('');
     }
   }
 
-  if (diff.removed.length > 0) {
+  if (changed.length > 0) {
+    lines.push('## 信息变更');
+    lines.push('');
+    for (const entry of changed) {
+      lines.push(`### ${entry.name}`);
+      for (const [field, change] of Object.entries(entry.changes)) {
+        lines.push(`- ${formatFieldChange(field, change)}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (diff.removed.length > 0 && meta.removals) {
+    lines.push('## 移除的机构');
+    lines.push('');
+    for (const [classification, title] of REMOVAL_SECTIONS) {
+      const entries = meta.removals.removals.filter(r => r.classification === classification);
+      if (entries.length === 0) continue;
+      lines.push(`### ${title}`);
+      for (const r of entries) {
+        lines.push(`- ${r.institution.name} (${r.institution.licenseTypes?.join(', ') || '未知'}) — ${r.reason}`);
+      }
+      lines.push('');
+    }
+  } else if (diff.removed.length > 0) {
     lines.push('## 移除的机构');
     lines.push('');
     for (const inst of diff.removed) {
@@ -43,7 +166,53 @@ function generateMarkdownReport(diff, meta) {
     lines.push('');
   }
 
-  if (diff.added.length === 0 && diff.removed.length === 0) {
+  if (meta.removals?.downgrades.length > 0) {
+    lines.push('## 牌照降级');
+    lines.push('');
+    for (const d of meta.removals.downgrades) {
+      lines.push(`- ${d.institution.name}：${d.from} → ${d.to}`);
+    }
+    lines.push('');
+  }
+
+  if (meta.removals?.reappeared.length > 0) {
+    lines.push('## 短暂消失后恢复');
+    lines.push('');
+    for (const r of meta.removals.reappeared) {
+      lines.push(`- ${r.institution.name}（${r.removedAt.slice(0, 10)} 消失，${r.days} 天后恢复，不计入新增）`);
+    }
+    lines.push('');
+  }
+
+  if (unverified.length > 0) {
+    lines.push('## 未核实的变化');
+    lines.push('');
+    lines.push('> 以下机构所属类别本次或上次抓取失败，增减无法确认，未计入上方统计。');
+    lines.push('');
+    for (const inst of diff.unverified.added) {
+      lines.push(`- 出现：${inst.name} (${inst.categories.join(', ')})`);
+    }
+    for (const inst of diff.unverified.removed) {
+      lines.push(`- 缺失：${inst.name} (${inst.categories.join(', ')})`);
+    }
+    lines.push('');
+  }
+
+  if (signals.length > 0) {
+    lines.push('## 新闻信号');
+    lines.push('');
+    for (const signal of signals) {
+      lines.push(`- **${signal.title}** — ${signal.source}, ${signalDate(signal)}`);
+      lines.push(`  - 关键词：${signal.keywords.join(', ')}`);
+      if (signal.institutions.length > 0) {
+        lines.push(`  - 相关机构：${signal.institutions.map(i => i.name).join(', ')}`);
+      }
+      lines.push(`  - 来源：${signal.url}`);
+    }
+    lines.push('');
+  }
+
+  if (diff.added.length === 0 && diff.removed.length === 0 && changed.length === 0 && signals.length === 0 && unverified.length === 0) {
     lines.push('> 今日无变化。');
     lines.push('');
   }
@@ -53,29 +222,258 @@ function generateMarkdownReport(diff, meta) {
 
 /**
  * 生成纯文本摘要（用于消息推送）
- * @param {{ added: Array, removed: Array }} diff
+ * @param {{ added: Array, removed: Array, changed?: Array, unverified?: { added: Array, removed: Array } }} diff
+ * @param {{ categories?: Array, signals?: Array, removals?: object, watchAlerts?: Array }} [meta]
  * @returns {string}
  */
-function generateTextSummary(diff) {
-  if (diff.added.length === 0 && diff.removed.length === 0) {
-    return 'MAS Scout: 今日无新增牌照。';
+function generateTextSummary(diff, meta = {}) {
+  const changed = diff.changed || [];
+  const signals = meta.signals || [];
+  const unverifiedCount = (diff.unverified?.added.length || 0) + (diff.unverified?.removed.length || 0);
+  const scrapeStatus = formatScrapeStatus(meta.categories);
+  if (diff.added.length === 0 && diff.removed.length === 0 && changed.length === 0 && signals.length === 0) {
+    const base = 'MAS Scout: 今日无新增牌照。';
+    return scrapeStatus ? `${base}\n抓取状态：${scrapeStatus}` : base;
   }
 
   const parts = [];
+  if (scrapeStatus) parts.push(`抓取状态：${scrapeStatus}`);
+  for (const alert of meta.watchAlerts || []) {
+    parts.push(`关注提醒：${formatWatchAlert(alert)}`);
+  }
   if (diff.added.length > 0) {
     parts.push(`新增 ${diff.added.length} 家牌照持有者：`);
     for (const inst of diff.added) {
       parts.push(`  - ${inst.name} (${inst.licenseTypes?.join(', ') || '未知'})`);
     }
   }
+  if (changed.length > 0) {
+    parts.push(`信息变更 ${changed.length} 家：`);
+    for (const entry of changed) {
+      const fields = Object.entries(entry.changes).map(([field, change]) => formatFieldChange(field, change));
+      parts.push(`  * ${entry.name}：${fields.join('；')}`);
+    }
+  }
   if (diff.removed.length > 0) {
     parts.push(`移除 ${diff.removed.length} 家：`);
+    const byInstitution = new Map((meta.removals?.removals || []).map(r => [r.institution, r]));
     for (const inst of diff.removed) {
-      parts.push(`  • ${inst.name}`);
+      const r = byInstitution.get(inst);
+      const label = r ? REMOVAL_SECTIONS.find(([c]) => c === r.classification)[1] : null;
+      parts.push(label ? `  • ${inst.name}【${label}】` : `  • ${inst.name}`);
+    }
+  }
+  for (const d of meta.removals?.downgrades || []) {
+    parts.push(`牌照降级：${d.institution.name}（${d.from} → ${d.to}）`);
+  }
+  if (unverifiedCount > 0) {
+    parts.push(`未核实 ${unverifiedCount} 家（所属类别抓取失败，详见日报）`);
+  }
+  if (signals.length > 0) {
+    parts.push(`新闻信号 ${signals.length} 条：`);
+    for (const signal of signals) {
+      parts.push(`  > ${signal.title} (${signal.source}, ${signalDate(signal)}) ${signal.url}`);
     }
   }
 
   return `MAS Scout 日报\n${parts.join('\n')}`;
 }
 
-export { generateMarkdownReport, generateTextSummary };
+// 英文报告的字段名、移除分类标题与关注提醒事件名
+const FIELD_LABELS_EN = {
+  name: 'Name',
+  licenseTypes: 'Licence types',
+  activities: 'Regulated activities',
+  subActivities: 'Sub-activities',
+  address: 'Address',
+  phone: 'Phone',
+  website: 'Website',
+};
+
+const REMOVAL_SECTIONS_EN = {
+  revoked: 'Licence revoked / cancelled',
+  exit: 'Exit (unconfirmed)',
+  merger: 'Likely rename / merger',
+  glitch: 'Likely scrape glitch',
+};
+
+const WATCH_EVENTS_EN = {
+  appeared: 'appeared in FID',
+  changed: 'changed',
+  removed: 'left FID',
+  licence_gained: 'gained licence',
+  activity_added: 'added activity',
+};
+
+/**
+ * 英文的字段变更描述
+ * @param {string} field
+ * @param {{ before: *, after: *, added?: string[], removed?: string[] }} change
+ * @returns {string}
+ */
+function formatFieldChangeEn(field, change) {
+  const label = FIELD_LABELS_EN[field] || field;
+  if (change.added || change.removed) {
+    const parts = [
+      ...(change.added || []).map(v => `+${v}`),
+      ...(change.removed || []).map(v => `-${v}`),
+    ];
+    return `${label}: ${parts.join(', ')}`;
+  }
+  return `${label}: ${change.before || '(empty)'} → ${change.after || '(empty)'}`;
+}
+
+/**
+ * 英文的 ACRA 登记信息描述，同 formatRegistry
+ * @param {{ uen: string, status?: string, incorporatedAt?: string, ssic?: string, ssicDescription?: string }} registry
+ * @param {string} [at]
+ * @returns {string}
+ */
+function formatRegistryEn(registry, at) {
+  const parts = [registry.uen];
+  if (registry.status) parts.push(registry.status);
+  if (registry.incorporatedAt) {
+    const years = at ? companyAgeYears(registry.incorporatedAt, at) : null;
+    parts.push(`incorporated ${registry.incorporatedAt}${years !== null ? ` (${years} years)` : ''}`);
+  }
+  if (registry.ssic) parts.push(`SSIC ${registry.ssic}${registry.ssicDescription ? ` ${registry.ssicDescription}` : ''}`);
+  return parts.join(' · ');
+}
+
+/**
+ * 生成英文 Markdown 日报，结构与中文日报一致
+ * @param {{ added: Array, removed: Array, changed?: Array, unverified?: { added: Array, removed: Array } }} diff
+ * @param {{ timestamp: string, count: number, categories?: Array, signals?: Array, removals?: object, watchAlerts?: Array }} meta
+ * @returns {string}
+ */
+function generateEnglishReport(diff, meta) {
+  const lines = [];
+  const changed = diff.changed || [];
+  const signals = meta.signals || [];
+  const watchAlerts = meta.watchAlerts || [];
+  const unverified = [...(diff.unverified?.added || []), ...(diff.unverified?.removed || [])];
+  const failed = (meta.categories || []).filter(c => c.status === 'failed');
+  const date = (meta.timestamp || new Date().toISOString()).slice(0, 10);
+
+  lines.push(`# MAS Scout Daily Report — ${date}`);
+  lines.push('');
+  lines.push(`Institutions monitored: ${meta.count}`);
+  lines.push(`Added: ${diff.added.length} | Removed: ${diff.removed.length} | Changed: ${changed.length}`);
+  if (failed.length > 0) {
+    lines.push(`Scrape failures: ${failed.map(c => `${c.code} (${c.error || 'unknown error'})`).join('; ')}`);
+  }
+  lines.push('');
+
+  if (watchAlerts.length > 0) {
+    lines.push('## Watch List Alerts');
+    lines.push('');
+    for (const alert of watchAlerts) {
+      const detail = alert.detail ? ` (${alert.detail})` : '';
+      lines.push(`- ${alert.institution.name} ${WATCH_EVENTS_EN[alert.event]}${detail} — watching "${alert.entry.value}"`);
+    }
+    lines.push('');
+  }
+
+  if (diff.added.length > 0) {
+    lines.push('## New Licensees');
+    lines.push('');
+    for (const inst of diff.added) {
+      lines.push(`### ${inst.name}`);
+      if (inst.licenseTypes?.length) lines.push(`- **Licence types:** ${inst.licenseTypes.join(', ')}`);
+      if (inst.activities?.length) lines.push(`- **Regulated activities:** ${inst.activities.join(', ')}`);
+      for (const [activity, subs] of Object.entries(inst.subActivities || {})) {
+        if (subs.length) lines.push(`  - ${activity}: ${subs.join(', ')}`);
+      }
+      if (inst.address) lines.push(`- **Address:** ${inst.address}`);
+      if (inst.website) lines.push(`- **Website:** ${inst.website}`);
+      if (inst.phone) lines.push(`- **Phone:** ${inst.phone}`);
+      if (inst.registry) lines.push(`- **ACRA:** ${formatRegistryEn(inst.registry, meta.timestamp)}`);
+      lines.push('');
+    }
+  }
+
+  if (changed.length > 0) {
+    lines.push('## Changes');
+    lines.push('');
+    for (const entry of changed) {
+      lines.push(`### ${entry.name}`);
+      for (const [field, change] of Object.entries(entry.changes)) {
+        lines.push(`- ${formatFieldChangeEn(field, change)}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (diff.removed.length > 0) {
+    lines.push('## Removed Institutions');
+    lines.push('');
+    const byInstitution = new Map((meta.removals?.removals || []).map(r => [r.institution, r]));
+    for (const inst of diff.removed) {
+      const r = byInstitution.get(inst);
+      const label = r ? ` — ${REMOVAL_SECTIONS_EN[r.classification]}` : '';
+      lines.push(`- ${inst.name} (${inst.licenseTypes?.join(', ') || 'unknown'})${label}`);
+    }
+    lines.push('');
+  }
+
+  if (meta.removals?.downgrades.length > 0) {
+    lines.push('## Licence Downgrades');
+    lines.push('');
+    for (const d of meta.removals.downgrades) {
+      lines.push(`- ${d.institution.name}: ${d.from} → ${d.to}`);
+    }
+    lines.push('');
+  }
+
+  if (meta.removals?.reappeared.length > 0) {
+    lines.push('## Reappeared After a Short Absence');
+    lines.push('');
+    for (const r of meta.removals.reappeared) {
+      lines.push(`- ${r.institution.name} (missing since ${r.removedAt.slice(0, 10)}, back after ${r.days} days; not counted as new)`);
+    }
+    lines.push('');
+  }
+
+  if (unverified.length > 0) {
+    lines.push('## Unverified Changes');
+    lines.push('');
+    lines.push('> These institutions belong only to categories that failed to scrape this run or last run; they are not counted above.');
+    lines.push('');
+    for (const inst of diff.unverified.added) {
+      lines.push(`- Appeared: ${inst.name} (${inst.categories.join(', ')})`);
+    }
+    for (const inst of diff.unverified.removed) {
+      lines.push(`- Missing: ${inst.name} (${inst.categories.join(', ')})`);
+    }
+    lines.push('');
+  }
+
+  if (signals.length > 0) {
+    lines.push('## Press Signals');
+    lines.push('');
+    for (const signal of signals) {
+      lines.push(`- **${signal.title}** — ${signal.source}, ${signal.publishedAt ? signal.publishedAt.slice(0, 10) : 'date unknown'}`);
+      lines.push(`  - Keywords: ${signal.keywords.join(', ')}`);
+      if (signal.institutions.length > 0) {
+        lines.push(`  - Institutions: ${signal.institutions.map(i => i.name).join(', ')}`);
+      }
+      lines.push(`  - Source: ${signal.url}`);
+    }
+    lines.push('');
+  }
+
+  if (diff.added.length === 0 && diff.removed.length === 0 && changed.length === 0 && signals.length === 0 && unverified.length === 0) {
+    lines.push('> No changes today.');
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+export {
+  generateMarkdownReport,
+  generateEnglishReport,
+  generateTextSummary,
+  formatFieldChange,
+  formatScrapeStatus,
+};
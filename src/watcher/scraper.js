@@ -10,39 +10,139 @@
  */
 
 import { load } from 'cheerio';
-import { MAS_FID_BASE, WATCHED_CATEGORIES } from '../shared/config.js';
+import { MAS_FID_BASE, WATCHED_CATEGORIES, loadConfigFile } from '../shared/config.js';
+import { retry, sleep, parseRetryAfter } from '../shared/retry.js';
 
 const PRINT_ENDPOINT = `${MAS_FID_BASE}/custom/printpartial`;
 
+// 默认抓取策略，可在配置文件 scraper 中覆盖
+const DEFAULT_SCRAPE_POLICY = {
+  retries: 3,             // 失败后的重试次数
+  baseDelayMs: 2000,      // 指数退避起始间隔
+  maxDelayMs: 60000,      // 单次等待上限（含 Retry-After）
+  jitter: 0.3,            // 退避间隔随机浮动比例
+  timeoutMs: 30000,       // 单次请求超时
+  delayBetweenMs: 2000,   // 类别之间的间隔，避免请求过快
+};
+
+// printpartial 表头（按列顺序）；列不一致说明 MAS 改版，解析结果不可信
+const EXPECTED_HEADERS = [
+  'No.',
+  'Organisation Name',
+  'Address',
+  'Phone Number',
+  'Website',
+  'Sector',
+  'Licence Type/Status',
+  'Activity/Business Type',
+];
+
+/**
+ * 表头比较用的规范化：小写、仅保留字母数字
+ * @param {string} text
+ * @returns {string}
+ */
+function headerKey(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * 校验表头，不匹配时抛出异常（附带实际表头，err.headerDrift 为 true）
+ * @param {string[]} headers
+ */
+function verifyHeaders(headers) {
+  const mismatched = EXPECTED_HEADERS.filter((expected, i) => headerKey(headers[i] || '') !== headerKey(expected));
+  if (mismatched.length > 0) {
+    const err = new Error(`FID 表头不匹配，缺少/错位: ${mismatched.join(', ')}；实际表头: ${headers.join(' | ') || '（空）'}`);
+    err.headerDrift = true;
+    throw err;
+  }
+}
+
+/**
+ * 读取抓取策略
+ * @returns {typeof DEFAULT_SCRAPE_POLICY}
+ */
+function getScrapePolicy() {
+  return { ...DEFAULT_SCRAPE_POLICY, ...loadConfigFile().scraper };
+}
+
+/**
+ * 请求 printpartial HTML：单次请求有超时，网络错误 / 超时 / 429 / 5xx 按指数退避重试，
+ * 429 和 503 的 Retry-After 会被遵守
+ * @param {string} url
+ * @param {Partial<typeof DEFAULT_SCRAPE_POLICY> & { onRetry?: Function }} [policy]
+ * @returns {Promise<string>}
+ */
+async function fetchPrintPartial(url, policy = {}) {
+  const p = { ...getScrapePolicy(), ...policy };
+
+  return retry(async () => {
+    try {
+      const resp = await fetch(url, {
+        headers: {
+          'User-Agent': 'MAS-Scout/0.1 (compliance monitoring)',
+          'Accept': 'text/html',
+          'X-Requested-With': 'XMLHttpRequest',
+        },
+        signal: AbortSignal.timeout(p.timeoutMs),
+      });
+
+      if (!resp.ok) {
+        const err = new Error(`抓取失败 ${url}: HTTP ${resp.status}`);
+        err.status = resp.status;
+        const retryAfterMs = parseRetryAfter(resp.headers.get('retry-after'));
+        if ((resp.status === 429 || resp.status === 503) && retryAfterMs !== null) {
+          err.retryAfterMs = retryAfterMs;
+        }
+        throw err;
+      }
+
+      return await resp.text();
+    } catch (err) {
+      if (err.name === 'TimeoutError') throw new Error(`请求超时 (${p.timeoutMs}ms): ${url}`);
+      throw err;
+    }
+  }, {
+    retries: p.retries,
+    baseDelayMs: p.baseDelayMs,
+    maxDelayMs: p.maxDelayMs,
+    jitter: p.jitter,
+    onRetry: (err, attempt, delayMs) => {
+      console.warn(`[scraper] 第 ${attempt} 次请求失败 (${err.message})，${delayMs}ms 后重试`);
+      p.onRetry?.(err, attempt, delayMs);
+    },
+  });
+}
+
 /**
  * 抓取指定类别的机构列表
+ * 指定 replay 时从录制读取 HTML 而不请求 FID；指定 recorder 时保存原始 HTML（见 recorder.js）
  * @param {string} sector
  * @param {string} category
+ * @param {{ policy?: Partial<typeof DEFAULT_SCRAPE_POLICY> & { onRetry?: Function }, recorder?: object, replay?: object }} [opts]
  * @returns {Promise<Array>}
  */
-async function scrapeCategory(sector, category) {
-  const params = new URLSearchParams({ sector, category });
-  const url = `${PRINT_ENDPOINT}?${params}`;
-
-  console.log(`[scraper] 抓取: ${category}`);
-  const resp = await fetch(url, {
-    headers: {
-      'User-Agent': 'MAS-Scout/0.1 (compliance monitoring)',
-      'Accept': 'text/html',
-      'X-Requested-With': 'XMLHttpRequest',
-    },
-  });
+async function scrapeCategory(sector, category, opts = {}) {
+  let html;
+  if (opts.replay) {
+    console.log(`[scraper] 回放: ${category}`);
+    html = opts.replay.load(sector, category);
+  } else {
+    const params = new URLSearchParams({ sector, category });
+    const url = `${PRINT_ENDPOINT}?${params}`;
 
-  if (!resp.ok) {
-    throw new Error(`抓取失败 ${url}: HTTP ${resp.status}`);
+    console.log(`[scraper] 抓取: ${category}`);
+    html = await fetchPrintPartial(url, opts.policy);
+    // 先录制再解析，解析失败的 HTML 也能留作排查
+    opts.recorder?.save(sector, category, html);
   }
-
-  const html = await resp.text();
   return parsePrintTable(html);
 }
 
 /**
  * 解析 printpartial 返回的 HTML 表格
+ * 表格缺失或表头与 EXPECTED_HEADERS 不符时抛出异常
  * @param {string} html
  * @returns {Array<{name: string, address: string, phone: string, website: string, sector: string, licenseType: string, activity: string, subActivity: string}>}
  */
@@ -50,7 +150,14 @@ function parsePrintTable(html) {
   const $ = load(html);
   const institutions = [];
 
-  $('table.fid-print-table tr').each((i, row) => {
+  const table = $('table.fid-print-table');
+  if (table.length === 0) {
+    throw new Error('FID 返回内容中没有 table.fid-print-table');
+  }
+  const headers = table.find('tr').first().find('th, td').map((_, cell) => $(cell).text().trim()).get();
+  verifyHeaders(headers);
+
+  table.find('tr').each((i, row) => {
     // 跳过表头
     if (i === 0) return;
 
@@ -84,8 +191,20 @@ function parsePrintTable(html) {
   return institutions;
 }
 
+/**
+ * 将一行的 activity → subActivity 记入映射（去重）
+ * @param {Object<string, string[]>} subActivities
+ * @param {{ activity: string, subActivity?: string }} row
+ */
+function addSubActivity(subActivities, row) {
+  if (!row.activity) return;
+  const list = subActivities[row.activity] || (subActivities[row.activity] = []);
+  if (row.subActivity && !list.includes(row.subActivity)) list.push(row.subActivity);
+}
+
 /**
  * 同一公司可能因多个 activity 出现多行，合并它们
+ * subActivities 保留每个 activity 下的 Sub-Activity/Product 列表
  * @param {Array} rows
  * @returns {Array}
  */
@@ -96,6 +215,7 @@ function mergeRows(rows) {
     const key = row.name;
     if (map.has(key)) {
       const existing = map.get(key);
+      addSubActivity(existing.subActivities, row);
       // 合并 activity
       if (row.activity && !existing.activities.includes(row.activity)) {
         existing.activities.push(row.activity);
@@ -104,7 +224,13 @@ function mergeRows(rows) {
       if (row.licenseType && !existing.licenseTypes.includes(row.licenseType)) {
         existing.licenseTypes.push(row.licenseType);
       }
+      // 合并来源类别
+      for (const code of row.categories || []) {
+        if (!existing.categories.includes(code)) existing.categories.push(code);
+      }
     } else {
+      const subActivities = {};
+      addSubActivity(subActivities, row);
       map.set(key, {
         name: row.name,
         address: row.address,
@@ -113,6 +239,8 @@ function mergeRows(rows) {
         sector: row.sector,
         licenseTypes: [row.licenseType].filter(Boolean),
         activities: [row.activity].filter(Boolean),
+        subActivities,
+        categories: [...(row.categories || [])],
       });
     }
   }
@@ -120,27 +248,95 @@ function mergeRows(rows) {
   return [...map.values()];
 }
 
+/**
+ * 类别条目是否保留该行（有 activity 过滤时只保留匹配的活动）
+ * @param {{ activity?: string }} entry
+ * @param {{ activity: string }} row
+ * @returns {boolean}
+ */
+function rowMatchesCategory(entry, row) {
+  if (!entry.activity) return true;
+  return row.activity.toLowerCase().includes(entry.activity.toLowerCase());
+}
+
 /**
  * 抓取所有关注类别的机构
- * @returns {Promise<Array>}
+ * 同一 sector/category 只请求一次，再按各条目的 activity 过滤并打上类别 code。
+ * 单个类别重试耗尽后不会中断整体抓取，但会在 categories 中标记为 failed，
+ * 并记录请求次数与耗时，供后续 diff 判断哪些类别可信。
+ * @param {Array} [categories] - 类别目录条目，默认 WATCHED_CATEGORIES
+ * @param {{ policy?: Partial<typeof DEFAULT_SCRAPE_POLICY>, recorder?: object, replay?: object }} [opts]
+ *   policy 覆盖默认抓取策略；recorder / replay 见 scrapeCategory
+ * @returns {Promise<{ institutions: Array, categories: Array<{ code: string, sector: string, category: string, activity?: string, status: 'ok'|'failed', count: number, attempts: number, durationMs: number, error?: string }> }>}
  */
-async function scrapeAll() {
+async function scrapeAll(categories = WATCHED_CATEGORIES, opts = {}) {
+  const p = { ...getScrapePolicy(), ...opts.policy };
   const allRows = [];
+  const status = new Map();
+
+  const groups = new Map();
+  for (const entry of categories) {
+    const key = `${entry.sector}|${entry.category}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
 
-  for (const { sector, category } of WATCHED_CATEGORIES) {
+  let first = true;
+  for (const entries of groups.values()) {
+    const { sector, category } = entries[0];
+    // 避免请求过快
+    if (!first && !opts.replay) await sleep(p.delayBetweenMs);
+    first = false;
+
+    const started = Date.now();
+    let attempts = 1;
     try {
-      const rows = await scrapeCategory(sector, category);
-      allRows.push(...rows);
-      // 避免请求过快
-      await new Promise(r => setTimeout(r, 2000));
+      const rows = await scrapeCategory(sector, category, {
+        policy: { ...p, onRetry: () => { attempts++; } },
+        recorder: opts.recorder,
+        replay: opts.replay,
+      });
+      for (const row of rows) {
+        const codes = entries.filter(e => rowMatchesCategory(e, row)).map(e => e.code);
+        if (codes.length > 0) allRows.push({ ...row, categories: codes });
+      }
+      const durationMs = Date.now() - started;
+      for (const e of entries) status.set(e.code, { status: 'ok', attempts, durationMs });
     } catch (err) {
-      console.error(`[scraper] 抓取 ${category} 失败:`, err.message);
+      const durationMs = Date.now() - started;
+      console.error(`[scraper] 抓取 ${category} 失败 (共 ${attempts} 次):`, err.message);
+      // 表头漂移说明 FID 改版，由 guard 拦下整次运行；其他失败只让该类别不可信
+      const failure = { status: 'failed', error: err.message, attempts, durationMs, ...(err.headerDrift ? { headerDrift: true } : {}) };
+      for (const e of entries) status.set(e.code, failure);
     }
   }
 
   const merged = mergeRows(allRows);
   console.log(`[scraper] 总计: ${allRows.length} 行 → 合并为 ${merged.length} 家机构`);
-  return merged;
+
+  const categoryStats = categories.map(({ code, sector, category, activity }) => ({
+    code,
+    sector,
+    category,
+    activity,
+    ...status.get(code),
+    count: merged.filter(i => i.categories.includes(code)).length,
+  }));
+
+  opts.recorder?.finish(categories.map(c => c.code));
+
+  return { institutions: merged, categories: categoryStats };
 }
 
-export { scrapeAll, scrapeCategory, parsePrintTable, mergeRows };
+export {
+  scrapeAll,
+  scrapeCategory,
+  fetchPrintPartial,
+  getScrapePolicy,
+  DEFAULT_SCRAPE_POLICY,
+  parsePrintTable,
+  mergeRows,
+  rowMatchesCategory,
+  verifyHeaders,
+  EXPECTED_HEADERS,
+};
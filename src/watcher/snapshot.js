@@ -2,76 +2,214 @@
  * 快照管理 — 存储和比对 FID 数据
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join } from 'path';
-import { DATA_DIR } from '../shared/config.js';
-
-const SNAPSHOT_DIR = join(DATA_DIR, 'snapshots');
+import { getSnapshotStore, snapshotId } from '../shared/snapshot-store.js';
+import { matchInstitutions, normalizeName, getInstitutionId } from '../shared/identity.js';
 
 /**
- * 确保快照目录存在
+ * 构造快照内容
+ * @param {Array} institutions
+ * @param {{ categories?: Array, timestamp?: Date }} meta
+ * @returns {object}
  */
-function ensureDir() {
-  if (!existsSync(SNAPSHOT_DIR)) {
-    mkdirSync(SNAPSHOT_DIR, { recursive: true });
-  }
+function buildSnapshot(institutions, meta) {
+  return {
+    timestamp: (meta.timestamp || new Date()).toISOString(),
+    count: institutions.length,
+    categories: (meta.categories || []).map(({ code, sector, category, activity, status, count, error, attempts, durationMs }) => ({
+      code, sector, category, activity, status, count, error, attempts, durationMs,
+    })),
+    institutions,
+  };
 }
 
 /**
- * 保存快照
+ * 保存快照（gzip 压缩，内容与上一份相同时只记入索引，见 shared/snapshot-store.js），并执行保留策略
+ * 回放录制时传入录制的 timestamp，同一次运行的快照会被重建的结果覆盖
  * @param {Array} institutions
+ * @param {{ categories?: Array, timestamp?: Date }} [meta] - 本次抓取的类别及各类别抓取状态（记录在快照中）
  * @returns {string} 快照文件路径
  */
-function saveSnapshot(institutions) {
-  ensureDir();
-  const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-  const filename = `snapshot-${ts}.json`;
-  const filepath = join(SNAPSHOT_DIR, filename);
-
-  const data = {
-    timestamp: new Date().toISOString(),
-    count: institutions.length,
-    institutions,
-  };
+function saveSnapshot(institutions, meta = {}) {
+  const store = getSnapshotStore();
+  const { id, path, deduplicated } = store.save(buildSnapshot(institutions, meta));
+  console.log(`[snapshot] 已保存: ${id} (${institutions.length} 家机构)${deduplicated ? '，内容未变化，复用上一份文件' : ''}`);
+
+  const pruned = store.prune();
+  if (pruned.length > 0) console.log(`[snapshot] 按保留策略清理 ${pruned.length} 份旧快照`);
+  return path;
+}
 
+/**
+ * 隔离未通过校验的快照 — 写入 quarantine/ 子目录，不参与后续 diff
+ * @param {Array} institutions
+ * @param {{ categories?: Array, failures: Array, timestamp?: Date }} meta
+ * @returns {string} 隔离文件路径
+ */
+function quarantineSnapshot(institutions, meta) {
+  const dir = join(getSnapshotStore().dir, 'quarantine');
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const filename = `${snapshotId(meta.timestamp)}.json`;
+  const filepath = join(dir, filename);
+
+  const data = { ...buildSnapshot(institutions, meta), failures: meta.failures };
   writeFileSync(filepath, JSON.stringify(data, null, 2));
-  console.log(`[snapshot] 已保存: ${filename} (${institutions.length} 家机构)`);
+  console.log(`[snapshot] 已隔离: quarantine/${filename} (${institutions.length} 家机构)`);
   return filepath;
 }
 
+/**
+ * 列出所有快照 ID（按时间升序）
+ * @returns {string[]}
+ */
+function listSnapshots() {
+  return getSnapshotStore().list().map(e => e.id);
+}
+
+/**
+ * 按 ID 加载快照
+ * @param {string} id
+ * @returns {{ timestamp: string, count: number, categories?: Array, institutions: Array } | null}
+ */
+function loadSnapshot(id) {
+  return getSnapshotStore().load(id);
+}
+
 /**
  * 加载最近一次快照
- * @returns {{ timestamp: string, count: number, institutions: Array } | null}
+ * @param {Date} [before] - 只考虑早于该时间的快照（回放历史录制时使用）
+ * @returns {{ timestamp: string, count: number, categories?: Array, institutions: Array } | null}
  */
-function loadLatestSnapshot() {
-  ensureDir();
-  const files = readdirSync(SNAPSHOT_DIR)
-    .filter(f => f.startsWith('snapshot-') && f.endsWith('.json'))
-    .sort()
-    .reverse();
-
-  if (files.length === 0) return null;
-
-  const filepath = join(SNAPSHOT_DIR, files[0]);
-  const data = JSON.parse(readFileSync(filepath, 'utf-8'));
-  console.log(`[snapshot] 加载上次快照: ${files[0]} (${data.count} 家机构)`);
+function loadLatestSnapshot(before) {
+  const data = getSnapshotStore().latest({ before });
+  if (data) console.log(`[snapshot] 加载上次快照: ${data.id} (${data.count} 家机构)`);
   return data;
 }
 
 /**
- * Diff 两个快照，找出新增机构
+ * 需要逐字段比对的机构字段
+ * 数组字段按集合比较（忽略顺序），subActivities 展开为「活动 › 子项」后按集合比较，
+ * 其余按字符串比较
+ */
+const TRACKED_FIELDS = ['licenseTypes', 'activities', 'subActivities', 'address', 'phone', 'website'];
+
+/**
+ * 将 activity → subActivity 映射展开为「活动 › 子项」列表
+ * @param {Object<string, string[]>} subActivities
+ * @returns {string[]}
+ */
+function flattenSubActivities(subActivities) {
+  return Object.entries(subActivities || {})
+    .flatMap(([activity, subs]) => subs.map(sub => `${activity} › ${sub}`));
+}
+
+/**
+ * 比对同一机构前后两次记录的字段差异
+ * @param {object} current
+ * @param {object} previous
+ * @returns {object|null} 形如 { field: { before, after, added?, removed? } }，无变化时返回 null
+ */
+function diffFields(current, previous) {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    let before = previous[field];
+    let after = current[field];
+
+    if (field === 'subActivities') {
+      // 旧快照没有该字段，不视为变更
+      if (!before || !after) continue;
+      before = flattenSubActivities(before);
+      after = flattenSubActivities(after);
+    }
+
+    if (Array.isArray(before) || Array.isArray(after)) {
+      const prevSet = new Set(before || []);
+      const currSet = new Set(after || []);
+      const added = [...currSet].filter(v => !prevSet.has(v));
+      const removed = [...prevSet].filter(v => !currSet.has(v));
+      if (added.length > 0 || removed.length > 0) {
+        changes[field] = { before: before || [], after: after || [], added, removed };
+      }
+    } else if ((before || '') !== (after || '')) {
+      changes[field] = { before: before || '', after: after || '' };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * 抓取失败的类别 code（任一快照中 status 为 failed 即不可信）
+ * @param {...Array<{ code: string, status?: string }>} categoryLists - 快照或 scrapeAll 的 categories
+ * @returns {Set<string>}
+ */
+function untrustedCategories(...categoryLists) {
+  const codes = new Set();
+  for (const list of categoryLists) {
+    for (const c of list || []) {
+      if (c.status === 'failed') codes.add(c.code);
+    }
+  }
+  return codes;
+}
+
+/**
+ * 机构是否只出现在不可信类别中
+ * @param {{ categories?: string[] }} inst
+ * @param {Set<string>} untrusted
+ * @returns {boolean}
+ */
+function inUntrustedOnly(inst, untrusted) {
+  const codes = inst.categories || [];
+  return codes.length > 0 && codes.every(code => untrusted.has(code));
+}
+
+/**
+ * Diff 两个快照，找出新增、移除和信息变更的机构
+ * 按机构 ID 匹配（见 shared/identity.js），更名视为信息变更而非一增一减。
+ * 只属于抓取失败类别的新增 / 移除无法确认，单独放入 unverified，不计入 added / removed。
  * @param {Array} current - 当前抓取结果
  * @param {Array} previous - 上次快照
- * @returns {{ added: Array, removed: Array }}
+ * @param {{ untrusted?: Set<string> }} [opts] - 不可信的类别 code，见 untrustedCategories
+ * @returns {{ added: Array, removed: Array, changed: Array<{ id: string, name: string, institution: object, changes: object }>, unverified: { added: Array, removed: Array } }}
  */
-function diffSnapshots(current, previous) {
-  const prevNames = new Set(previous.map(i => i.name));
-  const currNames = new Set(current.map(i => i.name));
+function diffSnapshots(current, previous, opts = {}) {
+  const untrusted = opts.untrusted || new Set();
+  const matched = matchInstitutions(current, previous);
+  const { pairs } = matched;
+  const added = matched.added.filter(i => !inUntrustedOnly(i, untrusted));
+  const removed = matched.removed.filter(i => !inUntrustedOnly(i, untrusted));
+  const unverified = {
+    added: matched.added.filter(i => inUntrustedOnly(i, untrusted)),
+    removed: matched.removed.filter(i => inUntrustedOnly(i, untrusted)),
+  };
 
-  const added = current.filter(i => !prevNames.has(i.name));
-  const removed = previous.filter(i => !currNames.has(i.name));
+  const changed = [];
+  for (const { current: inst, previous: prev } of pairs) {
+    const changes = diffFields(inst, prev) || {};
+    // 标点差异不算更名，只有规范化后名称不同才记录
+    if (normalizeName(inst.name) !== normalizeName(prev.name)) {
+      changes.name = { before: prev.name, after: inst.name };
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.push({ id: getInstitutionId(prev), name: inst.name, institution: inst, changes });
+    }
+  }
 
-  return { added, removed };
+  return { added, removed, changed, unverified };
 }
 
-export { saveSnapshot, loadLatestSnapshot, diffSnapshots };
+export {
+  saveSnapshot,
+  quarantineSnapshot,
+  loadLatestSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  diffSnapshots,
+  diffFields,
+  flattenSubActivities,
+  untrustedCategories,
+  TRACKED_FIELDS,
+};
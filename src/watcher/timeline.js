@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+
+/**
+ * 机构牌照时间线 — 从全部快照历史构建
+ *
+ * 每家机构记录首次出现时间、各牌照类型的获得 / 失去日期，以及名称、地址、网站、电话的变更。
+ * 「获牌 N 天」以 firstSeen 为准；baseline 为 true 表示机构出现在最早一份快照中，
+ * 真实获牌时间早于监控开始，不能用来推算获牌天数。
+ *
+ * 结果缓存在 data/timeline.json，新快照按增量追加；快照历史被改写（如回放回填，
+ * 见 snapshot-store 的 revision）时整体重建。只有 watcher 运行时写缓存，show 命令与看板只读。
+ *
+ * 用法:
+ *   node src/watcher/timeline.js                  # 最近新增的机构及获牌天数
+ *   node src/watcher/timeline.js "Alpha Pay"      # 按名称或机构 ID 查询时间线
+ *   node src/watcher/timeline.js --rebuild        # 忽略缓存重建
+ *   node src/watcher/timeline.js --json <query>   # 以 JSON 输出
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR } from '../shared/config.js';
+import { matchInstitutions, normalizeName, getInstitutionId } from '../shared/identity.js';
+import { getSnapshotStore } from '../shared/snapshot-store.js';
+
+const TIMELINE_FILE = join(DATA_DIR, 'timeline.json');
+const TIMELINE_VERSION = 2;
+
+// 记录变更的标量字段
+const TIMELINE_FIELDS = ['address', 'website', 'phone'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 空的时间线索引
+ * @param {number} [revision] - 构建时快照历史的 revision
+ * @returns {{ version: number, revision: number, processed: number, lastSnapshot: string|null, lastKeys: string[], institutions: Object<string, object> }}
+ */
+function createTimeline(revision = 0) {
+  return { version: TIMELINE_VERSION, revision, processed: 0, lastSnapshot: null, lastKeys: [], institutions: {} };
+}
+
+/**
+ * 新建一条机构时间线
+ * @param {string} key
+ * @param {object} inst
+ * @param {string} date
+ * @param {boolean} baseline
+ * @returns {object}
+ */
+function createEntry(key, inst, date, baseline) {
+  const licences = {};
+  for (const type of inst.licenseTypes || []) {
+    licences[type] = { since: date, until: null, baseline };
+  }
+  return {
+    id: key,
+    name: inst.name,
+    firstSeen: date,
+    lastSeen: date,
+    baseline,
+    active: true,
+    licences,
+    events: [{ date, type: 'first_seen' }],
+  };
+}
+
+/**
+ * 比对牌照类型，记录获得 / 失去
+ * @param {object} entry
+ * @param {string[]} licenseTypes - 本次快照中的牌照类型
+ * @param {string} date
+ */
+function applyLicences(entry, licenseTypes, date) {
+  const current = new Set(licenseTypes || []);
+  for (const [type, licence] of Object.entries(entry.licences)) {
+    if (licence.until === null && !current.has(type)) {
+      licence.until = date;
+      entry.events.push({ date, type: 'licence_lost', licence: type });
+    }
+  }
+  for (const type of current) {
+    const licence = entry.licences[type];
+    if (!licence || licence.until !== null) {
+      entry.licences[type] = { since: date, until: null, baseline: false };
+      entry.events.push({ date, type: 'licence_gained', licence: type });
+    }
+  }
+}
+
+/**
+ * 将一份快照并入时间线
+ * @param {ReturnType<typeof createTimeline>} timeline
+ * @param {{ timestamp: string, institutions: Array }} snapshot
+ * @param {Array|null} previous - 上一份快照的机构列表，首份快照为 null
+ */
+function applySnapshot(timeline, snapshot, previous) {
+  const date = snapshot.timestamp;
+  const keys = new Map();
+
+  if (!previous) {
+    for (const inst of snapshot.institutions) {
+      const key = getInstitutionId(inst);
+      keys.set(inst, key);
+      timeline.institutions[key] = createEntry(key, inst, date, true);
+    }
+  } else {
+    const prevKeys = new Map(previous.map((p, i) => [p, timeline.lastKeys[i] || getInstitutionId(p)]));
+    const { pairs, added, removed } = matchInstitutions(snapshot.institutions, previous);
+
+    for (const { current: inst, previous: prev } of pairs) {
+      const key = prevKeys.get(prev);
+      keys.set(inst, key);
+      const entry = timeline.institutions[key] || (timeline.institutions[key] = createEntry(key, prev, date, false));
+
+      if (normalizeName(inst.name) !== normalizeName(prev.name)) {
+        entry.events.push({ date, type: 'renamed', before: prev.name, after: inst.name });
+      }
+      for (const field of TIMELINE_FIELDS) {
+        const before = prev[field] || '';
+        const after = inst[field] || '';
+        if (before !== after) entry.events.push({ date, type: 'field_changed', field, before, after });
+      }
+      applyLicences(entry, inst.licenseTypes, date);
+      entry.name = inst.name;
+      entry.lastSeen = date;
+    }
+
+    for (const inst of added) {
+      const key = getInstitutionId(inst);
+      keys.set(inst, key);
+      const entry = timeline.institutions[key];
+      if (entry) {
+        // 之前被移除过，重新出现
+        entry.events.push({ date, type: 'reappeared' });
+        entry.active = true;
+        entry.name = inst.name;
+        entry.lastSeen = date;
+        applyLicences(entry, inst.licenseTypes, date);
+      } else {
+        timeline.institutions[key] = createEntry(key, inst, date, false);
+      }
+    }
+
+    for (const prev of removed) {
+      const entry = timeline.institutions[prevKeys.get(prev)];
+      if (!entry) continue;
+      entry.active = false;
+      entry.events.push({ date, type: 'removed' });
+      applyLicences(entry, [], date);
+    }
+  }
+
+  timeline.lastKeys = snapshot.institutions.map(inst => keys.get(inst));
+}
+
+/**
+ * 从快照列表构建时间线（按时间升序）
+ * @param {Array<{ timestamp: string, institutions: Array }>} snapshots
+ * @returns {ReturnType<typeof createTimeline>}
+ */
+function buildTimeline(snapshots) {
+  const timeline = createTimeline();
+  let previous = null;
+  for (const snapshot of snapshots) {
+    applySnapshot(timeline, snapshot, previous);
+    previous = snapshot.institutions;
+    timeline.processed++;
+  }
+  return timeline;
+}
+
+/**
+ * 读取缓存的时间线
+ * @returns {ReturnType<typeof createTimeline> | null}
+ */
+function loadTimeline() {
+  if (!existsSync(TIMELINE_FILE)) return null;
+  const data = JSON.parse(readFileSync(TIMELINE_FILE, 'utf-8'));
+  return data.version === TIMELINE_VERSION ? data : null;
+}
+
+/**
+ * 缓存加上之后的新快照，在内存中补齐，不写文件
+ * 快照历史被改写过（revision 变化）或缓存的最后一份快照已不存在时整体重建
+ * @param {{ rebuild?: boolean, store?: object }} [opts]
+ * @returns {{ timeline: ReturnType<typeof createTimeline>, pending: number }} pending: 本次补上的快照数
+ */
+function refreshTimeline(opts = {}) {
+  const store = opts.store || getSnapshotStore();
+  const ids = store.list().map(e => e.id);
+  const revision = store.revision();
+  let timeline = opts.rebuild ? null : loadTimeline();
+
+  if (timeline && (timeline.revision !== revision || (timeline.lastSnapshot && !ids.includes(timeline.lastSnapshot)))) {
+    console.log('[timeline] 快照历史已变化，重建时间线');
+    timeline = null;
+  }
+  if (!timeline) timeline = createTimeline(revision);
+
+  const pending = ids.filter(id => !timeline.lastSnapshot || id > timeline.lastSnapshot);
+  let previous = pending.length > 0 && timeline.lastSnapshot ? store.load(timeline.lastSnapshot).institutions : null;
+  for (const id of pending) {
+    const snapshot = store.load(id);
+    applySnapshot(timeline, snapshot, previous);
+    previous = snapshot.institutions;
+    timeline.processed++;
+    timeline.lastSnapshot = id;
+  }
+  return { timeline, pending: pending.length };
+}
+
+/**
+ * 只读查询用的时间线（show 命令、看板）：不改写 timeline.json，缓存由 watcher 运行时更新
+ * @param {{ store?: object }} [opts]
+ * @returns {ReturnType<typeof createTimeline>}
+ */
+function readTimeline(opts = {}) {
+  return refreshTimeline(opts).timeline;
+}
+
+/**
+ * 增量更新时间线并写回缓存：只处理缓存之后的新快照
+ * @param {{ rebuild?: boolean }} [opts]
+ * @returns {ReturnType<typeof createTimeline>}
+ */
+function updateTimeline(opts = {}) {
+  const { timeline, pending } = refreshTimeline(opts);
+  if (pending === 0) return timeline;
+
+  if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
+  writeFileSync(TIMELINE_FILE, JSON.stringify(timeline));
+  console.log(`[timeline] 已更新: ${pending} 份新快照，共 ${Object.keys(timeline.institutions).length} 家机构`);
+  return timeline;
+}
+
+/**
+ * 距今天数（向下取整）
+ * @param {string} date - ISO 时间
+ * @param {Date} [now]
+ * @returns {number}
+ */
+function daysSince(date, now = new Date()) {
+  return Math.floor((now.getTime() - new Date(date).getTime()) / DAY_MS);
+}
+
+/**
+ * 按机构 ID 或名称（含曾用名，规范化后子串匹配）查询
+ * @param {ReturnType<typeof createTimeline>} timeline
+ * @param {string} query
+ * @returns {Array<object>}
+ */
+function findTimeline(timeline, query) {
+  if (timeline.institutions[query]) return [timeline.institutions[query]];
+  const q = normalizeName(query);
+  if (!q) return [];
+  return Object.values(timeline.institutions).filter(entry => {
+    const names = [entry.name, ...entry.events.filter(e => e.type === 'renamed').map(e => e.before)];
+    return names.some(name => normalizeName(name).includes(q));
+  });
+}
+
+/**
+ * 最近首次出现的机构（不含 baseline），按首次出现时间倒序
+ * @param {ReturnType<typeof createTimeline>} timeline
+ * @param {number} [limit]
+ * @returns {Array<object>}
+ */
+function recentNewcomers(timeline, limit = 20) {
+  return Object.values(timeline.institutions)
+    .filter(entry => !entry.baseline)
+    .sort((a, b) => b.firstSeen.localeCompare(a.firstSeen))
+    .slice(0, limit);
+}
+
+/**
+ * 格式化一条时间线事件
+ * @param {{ date: string, type: string, licence?: string, field?: string, before?: string, after?: string }} event
+ * @returns {string}
+ */
+function formatEvent(event) {
+  const date = event.date.slice(0, 10);
+  switch (event.type) {
+    case 'first_seen': return `${date}  首次出现`;
+    case 'licence_gained': return `${date}  获得牌照：${event.licence}`;
+    case 'licence_lost': return `${date}  失去牌照：${event.licence}`;
+    case 'renamed': return `${date}  更名：${event.before} → ${event.after}`;
+    case 'field_changed': return `${date}  ${event.field}：${event.before || '（空）'} → ${event.after || '（空）'}`;
+    case 'removed': return `${date}  从 FID 移除`;
+    case 'reappeared': return `${date}  重新出现`;
+    default: return `${date}  ${event.type}`;
+  }
+}
+
+/**
+ * 获牌天数描述
+ * @param {object} entry
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function describeAge(entry, now = new Date()) {
+  if (entry.baseline) return `监控开始（${entry.firstSeen.slice(0, 10)}）前已持牌`;
+  return `${daysSince(entry.firstSeen, now)} 天前首次出现（${entry.firstSeen.slice(0, 10)}）`;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const query = args.filter(a => !a.startsWith('--')).join(' ');
+  const timeline = updateTimeline({ rebuild: args.includes('--rebuild') });
+
+  if (!query) {
+    const recent = recentNewcomers(timeline);
+    if (json) return console.log(JSON.stringify(recent, null, 2));
+    console.log(`最近新增的机构（共 ${timeline.processed} 份快照）：`);
+    for (const entry of recent) {
+      console.log(`  ${entry.name.padEnd(50)} ${describeAge(entry)}`);
+    }
+    return;
+  }
+
+  const matches = findTimeline(timeline, query);
+  if (json) return console.log(JSON.stringify(matches, null, 2));
+  if (matches.length === 0) {
+    console.log(`未找到机构: ${query}`);
+    process.exitCode = 1;
+    return;
+  }
+  for (const entry of matches) {
+    console.log(`\n${entry.name} [${entry.id}]${entry.active ? '' : '（已移除）'}`);
+    console.log(`  ${describeAge(entry)}`);
+    for (const event of entry.events) console.log(`  ${formatEvent(event)}`);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export {
+  buildTimeline,
+  updateTimeline,
+  readTimeline,
+  loadTimeline,
+  findTimeline,
+  recentNewcomers,
+  daysSince,
+  describeAge,
+  formatEvent,
+};
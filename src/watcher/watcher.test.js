@@ -1,8 +1,9 @@
 import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
-import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { mkdtempSync, mkdirSync, readdirSync, rmSync, existsSync, writeFileSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
+import { createServer } from 'http';
 
 // We need to override DATA_DIR before importing snapshot, so we mock config.
 // Since the snapshot module reads DATA_DIR at import time, we use a dynamic
@@ -221,3 +222,1100 @@ describe('diffSnapshots', () => {
     assert.strictEqual(diff.added[0].name, 'New Corp');
   });
 });
+
+describe('diffSnapshots — field changes', () => {
+  let diffSnapshots;
+
+  before(async () => {
+    const mod = await import('./snapshot.js');
+    diffSnapshots = mod.diffSnapshots;
+  });
+
+  it('should detect a newly added licence type', () => {
+    const previous = [
+      { name: 'Alpha Corp', licenseTypes: ['Capital Markets Services Licensee'], activities: [] },
+    ];
+    const current = [
+      { name: 'Alpha Corp', licenseTypes: ['Capital Markets Services Licensee', 'Major Payment Institution'], activities: [] },
+    ];
+
+    const diff = diffSnapshots(current, previous);
+    assert.strictEqual(diff.added.length, 0);
+    assert.strictEqual(diff.changed.length, 1);
+    assert.strictEqual(diff.changed[0].name, 'Alpha Corp');
+    assert.deepStrictEqual(diff.changed[0].changes.licenseTypes.added, ['Major Payment Institution']);
+    assert.deepStrictEqual(diff.changed[0].changes.licenseTypes.removed, []);
+  });
+
+  it('should record before/after values for scalar fields', () => {
+    const previous = [{ name: 'Alpha Corp', address: '1 Old Road', website: 'https://alpha.com' }];
+    const current = [{ name: 'Alpha Corp', address: '2 New Road', website: 'https://alpha.com' }];
+
+    const diff = diffSnapshots(current, previous);
+    assert.strictEqual(diff.changed.length, 1);
+    assert.deepStrictEqual(diff.changed[0].changes.address, { before: '1 Old Road', after: '2 New Road' });
+    assert.ok(!('website' in diff.changed[0].changes));
+  });
+
+  it('should ignore activity ordering', () => {
+    const previous = [{ name: 'Alpha Corp', activities: ['A', 'B'] }];
+    const current = [{ name: 'Alpha Corp', activities: ['B', 'A'] }];
+
+    const diff = diffSnapshots(current, previous);
+    assert.strictEqual(diff.changed.length, 0);
+  });
+
+  it('should detect a new sub-activity and skip snapshots without the field', () => {
+    const previous = [
+      { name: 'Alpha Corp', subActivities: { 'Digital Payment Token Service': ['Dealing in DPT'] } },
+      { name: 'Beta Corp' },
+    ];
+    const current = [
+      { name: 'Alpha Corp', subActivities: { 'Digital Payment Token Service': ['Dealing in DPT', 'Facilitating the exchange of DPT'] } },
+      { name: 'Beta Corp', subActivities: { 'E-money Issuance Service': [] } },
+    ];
+
+    const diff = diffSnapshots(current, previous);
+    assert.strictEqual(diff.changed.length, 1);
+    assert.deepStrictEqual(diff.changed[0].changes.subActivities.added, [
+      'Digital Payment Token Service › Facilitating the exchange of DPT',
+    ]);
+  });
+});
+
+describe('generateMarkdownReport / generateTextSummary — changed', () => {
+  let generateMarkdownReport;
+  let generateTextSummary;
+
+  before(async () => {
+    const mod = await import('./report.js');
+    generateMarkdownReport = mod.generateMarkdownReport;
+    generateTextSummary = mod.generateTextSummary;
+  });
+
+  const diff = {
+    added: [],
+    removed: [],
+    changed: [{
+      name: 'Alpha Corp',
+      institution: { name: 'Alpha Corp' },
+      changes: {
+        licenseTypes: { before: ['CMS'], after: ['CMS', 'Major Payment Institution'], added: ['Major Payment Institution'], removed: [] },
+        website: { before: '', after: 'https://alpha.com' },
+      },
+    }],
+  };
+
+  it('should render changed institutions in the Markdown report', () => {
+    const report = generateMarkdownReport(diff, { timestamp: new Date().toISOString(), count: 1 });
+    assert.ok(report.includes('## 信息变更'));
+    assert.ok(report.includes('+Major Payment Institution'));
+    assert.ok(report.includes('https://alpha.com'));
+    assert.ok(!report.includes('今日无变化'));
+  });
+
+  it('should mention changed institutions in the text summary', () => {
+    const summary = generateTextSummary(diff);
+    assert.ok(summary.includes('信息变更 1 家'));
+    assert.ok(summary.includes('Alpha Corp'));
+  });
+});
+
+describe('diffSnapshots — identity', () => {
+  let diffSnapshots;
+
+  before(async () => {
+    const mod = await import('./snapshot.js');
+    diffSnapshots = mod.diffSnapshots;
+  });
+
+  it('should not report punctuation drift as removal plus addition', () => {
+    const previous = [{ name: 'ABC PTE. LTD.', address: '1 Raffles Place' }];
+    const current = [{ name: 'ABC PTE LTD', address: '1 Raffles Place' }];
+
+    const diff = diffSnapshots(current, previous);
+    assert.strictEqual(diff.added.length, 0);
+    assert.strictEqual(diff.removed.length, 0);
+    assert.strictEqual(diff.changed.length, 0);
+  });
+
+  it('should report a rename as a name change', () => {
+    const previous = [{ id: 'inst-aaaaaaaaaaaa', name: 'Old Name Pte Ltd', website: 'https://brand.io' }];
+    const current = [{ name: 'New Brand Pte Ltd', website: 'https://brand.io' }];
+
+    const diff = diffSnapshots(current, previous);
+    assert.strictEqual(diff.added.length, 0);
+    assert.strictEqual(diff.removed.length, 0);
+    assert.strictEqual(diff.changed.length, 1);
+    assert.strictEqual(diff.changed[0].id, 'inst-aaaaaaaaaaaa');
+    assert.deepStrictEqual(diff.changed[0].changes.name, { before: 'Old Name Pte Ltd', after: 'New Brand Pte Ltd' });
+  });
+});
+
+describe('mergeRows / rowMatchesCategory — categories', () => {
+  let mergeRows;
+  let rowMatchesCategory;
+
+  before(async () => {
+    const mod = await import('./scraper.js');
+    mergeRows = mod.mergeRows;
+    rowMatchesCategory = mod.rowMatchesCategory;
+  });
+
+  it('should union the category codes of merged rows', () => {
+    const rows = [
+      { name: 'Alpha Pay', licenseType: 'Major Payment Institution', activity: 'Cross-border Money Transfer Service', categories: ['mpi'] },
+      { name: 'Alpha Pay', licenseType: 'Major Payment Institution', activity: 'Digital Payment Token Service', categories: ['mpi', 'mpi-dpt'] },
+    ];
+
+    const merged = mergeRows(rows);
+    assert.strictEqual(merged.length, 1);
+    assert.deepStrictEqual(merged[0].categories, ['mpi', 'mpi-dpt']);
+    assert.strictEqual(merged[0].activities.length, 2);
+  });
+
+  it('should keep sub-activities grouped under their activity', () => {
+    const rows = [
+      { name: 'Alpha Pay', activity: 'Digital Payment Token Service', subActivity: 'Dealing in DPT' },
+      { name: 'Alpha Pay', activity: 'Digital Payment Token Service', subActivity: 'Facilitating the exchange of DPT' },
+      { name: 'Alpha Pay', activity: 'Digital Payment Token Service', subActivity: 'Dealing in DPT' },
+      { name: 'Alpha Pay', activity: 'E-money Issuance Service', subActivity: '' },
+    ];
+
+    const [merged] = mergeRows(rows);
+    assert.deepStrictEqual(merged.subActivities, {
+      'Digital Payment Token Service': ['Dealing in DPT', 'Facilitating the exchange of DPT'],
+      'E-money Issuance Service': [],
+    });
+  });
+
+  it('should filter rows by the catalogue activity', () => {
+    const entry = { code: 'mpi-dpt', activity: 'Digital Payment Token Service' };
+    assert.strictEqual(rowMatchesCategory(entry, { activity: 'Digital Payment Token Service' }), true);
+    assert.strictEqual(rowMatchesCategory(entry, { activity: 'Domestic Money Transfer Service' }), false);
+    assert.strictEqual(rowMatchesCategory({ code: 'mpi' }, { activity: 'anything' }), true);
+  });
+});
+
+describe('press monitor', () => {
+  let parseFeed;
+  let fetchFeed;
+  let extractSignals;
+
+  const RSS = `<?xml version="1.0"?>
+    <rss version="2.0"><channel><title>Fintech</title>
+      <item>
+        <title>Alpha Pay Pte. Ltd. receives in-principle approval for MPI licence</title>
+        <link>https://news.example.com/alpha-ipa</link>
+        <description>&lt;p&gt;The firm was granted &lt;b&gt;in-principle approval&lt;/b&gt; by MAS.&lt;/p&gt;</description>
+        <pubDate>Mon, 02 Mar 2026 08:00:00 GMT</pubDate>
+      </item>
+      <item>
+        <title>Quarterly earnings roundup</title>
+        <link>https://news.example.com/earnings</link>
+        <description>Nothing about licences here.</description>
+      </item>
+    </channel></rss>`;
+
+  const ATOM = `<?xml version="1.0"?>
+    <feed xmlns="http://www.w3.org/2005/Atom">
+      <entry>
+        <title>New Major Payment Institution licences granted</title>
+        <link rel="alternate" href="https://mas.example.com/mr/1"/>
+        <summary>MAS granted licences under the Payment Services Act.</summary>
+        <updated>2026-03-01T00:00:00Z</updated>
+      </entry>
+    </feed>`;
+
+  before(async () => {
+    const mod = await import('./press.js');
+    parseFeed = mod.parseFeed;
+    fetchFeed = mod.fetchFeed;
+    extractSignals = mod.extractSignals;
+  });
+
+  it('should parse RSS items and strip HTML from descriptions', () => {
+    const articles = parseFeed(RSS, 'Fintech');
+    assert.strictEqual(articles.length, 2);
+    assert.strictEqual(articles[0].url, 'https://news.example.com/alpha-ipa');
+    assert.strictEqual(articles[0].summary, 'The firm was granted in-principle approval by MAS.');
+    assert.strictEqual(articles[0].publishedAt, '2026-03-02T08:00:00.000Z');
+    assert.strictEqual(articles[1].publishedAt, null);
+  });
+
+  it('should parse Atom entries', () => {
+    const articles = parseFeed(ATOM, 'MAS');
+    assert.strictEqual(articles.length, 1);
+    assert.strictEqual(articles[0].url, 'https://mas.example.com/mr/1');
+    assert.strictEqual(articles[0].source, 'MAS');
+  });
+
+  it('should read a feed from a local fixture file', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'mas-scout-press-'));
+    const file = join(dir, 'feed.xml');
+    writeFileSync(file, RSS);
+    try {
+      const articles = await fetchFeed({ name: 'Fixture', url: file });
+      assert.strictEqual(articles.length, 2);
+      assert.strictEqual(articles[0].source, 'Fixture');
+    } finally {
+      rmSync(dir, { recursive: true });
+    }
+  });
+
+  it('should time out a feed that does not answer', async () => {
+    const server = createServer((req, res) => setTimeout(() => res.end(RSS), 300));
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    try {
+      await assert.rejects(
+        fetchFeed({ name: 'Slow', url: `http://127.0.0.1:${server.address().port}/feed` }, { timeoutMs: 50 }),
+        /订阅源请求超时 \(50ms\)/,
+      );
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  it('should keep only licence-related articles and link known institutions', () => {
+    const institutions = [
+      { id: 'inst-alpha', name: 'ALPHA PAY PTE. LTD.' },
+      { id: 'inst-beta', name: 'BETA PTE LTD' },
+    ];
+    const signals = extractSignals(parseFeed(RSS, 'Fintech'), institutions);
+
+    assert.strictEqual(signals.length, 1);
+    assert.ok(signals[0].keywords.includes('in-principle approval'));
+    assert.deepStrictEqual(signals[0].institutions, [{ id: 'inst-alpha', name: 'ALPHA PAY PTE. LTD.' }]);
+    assert.strictEqual(signals[0].url, 'https://news.example.com/alpha-ipa');
+  });
+
+  it('should keep signals that match no FID institution yet', () => {
+    const signals = extractSignals(parseFeed(ATOM, 'MAS'), []);
+    assert.strictEqual(signals.length, 1);
+    assert.deepStrictEqual(signals[0].institutions, []);
+  });
+
+  it('should count revocation news only when it names an FID institution', () => {
+    const articles = [
+      { title: 'Club votes to revoke membership of former chairman', summary: '', url: 'https://news.example.com/club' },
+      { title: 'MAS revokes licence of Shady Pay', summary: '', url: 'https://news.example.com/shady' },
+    ];
+    const signals = extractSignals(articles, [{ id: 'inst-shady', name: 'SHADY PAY PTE. LTD.' }]);
+
+    assert.deepStrictEqual(signals.map(s => s.url), ['https://news.example.com/shady']);
+    assert.deepStrictEqual(signals[0].keywords, ['revoke']);
+    assert.strictEqual(extractSignals(articles, []).length, 0);
+  });
+
+  it('should render signals in the daily report', async () => {
+    const { generateMarkdownReport } = await import('./report.js');
+    const signals = extractSignals(parseFeed(RSS, 'Fintech'), []);
+    const report = generateMarkdownReport({ added: [], removed: [], changed: [] }, { count: 0, signals });
+    assert.ok(report.includes('## 新闻信号'));
+    assert.ok(report.includes('https://news.example.com/alpha-ipa'));
+    assert.ok(report.includes('2026-03-02'));
+  });
+});
+
+describe('parsePrintTable — header schema', () => {
+  let parsePrintTable;
+
+  const HEADER = '<tr><th>No.</th><th>Organisation Name</th><th>Address</th><th>Phone Number</th><th>Website</th>'
+    + '<th>Sector</th><th>Licence Type/Status</th><th>Activity/Business Type</th><th>Sub-Activity/Product</th></tr>';
+  const ROW = '<tr><td>1</td><td>Alpha Pay Pte Ltd</td><td>1 Raffles Place</td><td>61234567</td><td>alpha.com</td>'
+    + '<td>Payments</td><td>Major Payment Institution</td><td>Digital Payment Token Service</td><td>Dealing in DPT</td></tr>';
+
+  before(async () => {
+    const mod = await import('./scraper.js');
+    parsePrintTable = mod.parsePrintTable;
+  });
+
+  it('should parse rows under the expected header', () => {
+    const rows = parsePrintTable(`<table class="fid-print-table">${HEADER}${ROW}</table>`);
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].name, 'Alpha Pay Pte Ltd');
+    assert.strictEqual(rows[0].subActivity, 'Dealing in DPT');
+  });
+
+  it('should throw when the table is missing', () => {
+    assert.throws(() => parsePrintTable('<div>maintenance</div>'), /fid-print-table/);
+  });
+
+  it('should throw when columns are reordered', () => {
+    const header = HEADER.replace('<th>Address</th><th>Phone Number</th>', '<th>Phone Number</th><th>Address</th>');
+    assert.throws(() => parsePrintTable(`<table class="fid-print-table">${header}${ROW}</table>`), /表头不匹配/);
+  });
+});
+
+describe('checkSnapshot', () => {
+  let checkSnapshot;
+
+  const makeInstitutions = (n, code = 'mpi') =>
+    Array.from({ length: n }, (_, i) => ({ name: `Inst ${i}`, categories: [code] }));
+
+  before(async () => {
+    const mod = await import('./guard.js');
+    checkSnapshot = mod.checkSnapshot;
+  });
+
+  it('should pass a normal day', () => {
+    const previous = { categories: [{ code: 'mpi', count: 100 }], institutions: makeInstitutions(100) };
+    const current = { categories: [{ code: 'mpi', status: 'ok', count: 101 }], institutions: makeInstitutions(101) };
+    const result = checkSnapshot(current, previous, { added: [{}], removed: [] });
+    assert.deepStrictEqual(result, { ok: true, failures: [] });
+  });
+
+  it('should leave a failed category to the unverified split', () => {
+    const previous = { categories: [{ code: 'mpi', count: 100 }, { code: 'cms', count: 50 }], institutions: makeInstitutions(150) };
+    const current = {
+      categories: [{ code: 'mpi', status: 'ok', count: 100 }, { code: 'cms', status: 'failed', count: 0, error: 'HTTP 503' }],
+      institutions: makeInstitutions(100),
+    };
+    // The failed category's institutions are unverified, not removed
+    const result = checkSnapshot(current, previous, { added: [], removed: [] });
+    assert.deepStrictEqual(result, { ok: true, failures: [] });
+  });
+
+  it('should fail when the FID table header drifted', () => {
+    const current = { categories: [{ code: 'cms', status: 'failed', count: 0, error: 'FID 表头不匹配', headerDrift: true }], institutions: makeInstitutions(5) };
+    const result = checkSnapshot(current, null, null);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.failures[0].check, 'header_drift');
+  });
+
+  it('should fail on a large per-category drop', () => {
+    const previous = { categories: [{ code: 'mpi', count: 100 }], institutions: makeInstitutions(100) };
+    const current = { categories: [{ code: 'mpi', status: 'ok', count: 50 }], institutions: makeInstitutions(50) };
+    const result = checkSnapshot(current, previous, { added: [], removed: makeInstitutions(50) });
+    const checks = result.failures.map(f => f.check);
+    assert.ok(checks.includes('category_drop'));
+    assert.ok(checks.includes('removal_ratio'));
+  });
+
+  it('should fall back to institution category tags for older snapshots', () => {
+    const previous = { institutions: makeInstitutions(100) };
+    const current = { categories: [{ code: 'mpi', status: 'ok', count: 10 }], institutions: makeInstitutions(10) };
+    const result = checkSnapshot(current, previous, { added: [], removed: [] });
+    assert.ok(result.failures.some(f => f.check === 'category_drop'));
+  });
+
+  it('should flag a flood of additions', () => {
+    const previous = { categories: [{ code: 'mpi', count: 100 }], institutions: makeInstitutions(100) };
+    const current = { categories: [{ code: 'mpi', status: 'ok', count: 200 }], institutions: makeInstitutions(200) };
+    const result = checkSnapshot(current, previous, { added: makeInstitutions(100), removed: [] });
+    assert.ok(result.failures.some(f => f.check === 'added_ratio'));
+  });
+
+  it('should honour custom thresholds', () => {
+    const previous = { categories: [{ code: 'mpi', count: 100 }], institutions: makeInstitutions(100) };
+    const current = { categories: [{ code: 'mpi', status: 'ok', count: 70 }], institutions: makeInstitutions(70) };
+    const result = checkSnapshot(current, previous, { added: [], removed: makeInstitutions(30) }, { maxRemovalRatio: 0.5, maxCategoryDrop: 0.5 });
+    assert.strictEqual(result.ok, true);
+  });
+});
+
+describe('fetchPrintPartial — retry and timeout', () => {
+  let fetchPrintPartial;
+  let server;
+  let baseUrl;
+  let replies = [];
+  let hits = 0;
+
+  before(async () => {
+    const mod = await import('./scraper.js');
+    fetchPrintPartial = mod.fetchPrintPartial;
+
+    server = createServer((req, res) => {
+      hits++;
+      const reply = replies.shift() || { status: 200 };
+      setTimeout(() => {
+        res.writeHead(reply.status, reply.headers || { 'Content-Type': 'text/html' });
+        res.end(reply.body || '<table class="fid-print-table"></table>');
+      }, reply.delayMs || 0);
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('should retry 503 responses and honour Retry-After', async () => {
+    replies = [{ status: 503, headers: { 'Retry-After': '0' } }, { status: 200, body: 'ok' }];
+    hits = 0;
+    const retries = [];
+
+    const html = await fetchPrintPartial(`${baseUrl}/printpartial`, {
+      retries: 2,
+      baseDelayMs: 1,
+      jitter: 0,
+      onRetry: (err, attempt, delayMs) => retries.push({ status: err.status, delayMs }),
+    });
+
+    assert.strictEqual(html, 'ok');
+    assert.strictEqual(hits, 2);
+    assert.deepStrictEqual(retries, [{ status: 503, delayMs: 1 }]);
+  });
+
+  it('should not retry client errors', async () => {
+    replies = [{ status: 404 }];
+    hits = 0;
+    await assert.rejects(fetchPrintPartial(`${baseUrl}/printpartial`, { retries: 2, baseDelayMs: 1 }), err => err.status === 404);
+    assert.strictEqual(hits, 1);
+  });
+
+  it('should time out slow responses and report the attempts', async () => {
+    replies = [{ status: 200, delayMs: 300 }, { status: 200, delayMs: 300 }];
+    await assert.rejects(
+      fetchPrintPartial(`${baseUrl}/printpartial`, { retries: 1, baseDelayMs: 1, timeoutMs: 50 }),
+      err => /超时/.test(err.message) && err.attempts === 2,
+    );
+  });
+});
+
+describe('diffSnapshots — untrusted categories', () => {
+  let diffSnapshots;
+  let untrustedCategories;
+
+  before(async () => {
+    const mod = await import('./snapshot.js');
+    diffSnapshots = mod.diffSnapshots;
+    untrustedCategories = mod.untrustedCategories;
+  });
+
+  it('should collect failed codes from both snapshots', () => {
+    const codes = untrustedCategories(
+      [{ code: 'cms', status: 'ok' }, { code: 'mpi', status: 'failed' }],
+      [{ code: 'spi', status: 'failed' }, { code: 'cms' }],
+    );
+    assert.deepStrictEqual([...codes].sort(), ['mpi', 'spi']);
+  });
+
+  it('should move changes in failed categories to unverified', () => {
+    const previous = [
+      { name: 'Alpha Pay', categories: ['mpi'] },
+      { name: 'Beta Capital', categories: ['cms'] },
+      { name: 'Gamma Pay', categories: ['mpi', 'cms'] },
+    ];
+    const current = [
+      { name: 'Delta Pay', categories: ['mpi'] },
+    ];
+
+    const diff = diffSnapshots(current, previous, { untrusted: new Set(['mpi']) });
+    assert.deepStrictEqual(diff.removed.map(i => i.name).sort(), ['Beta Capital', 'Gamma Pay']);
+    assert.deepStrictEqual(diff.unverified.removed.map(i => i.name), ['Alpha Pay']);
+    assert.deepStrictEqual(diff.unverified.added.map(i => i.name), ['Delta Pay']);
+    assert.strictEqual(diff.added.length, 0);
+  });
+});
+
+describe('watcher run — failed category', () => {
+  let main;
+  let createRecorder;
+  let getSnapshotStore;
+  let DATA_DIR;
+  let tempDir;
+
+  const HEADER = '<tr><th>No.</th><th>Organisation Name</th><th>Address</th><th>Phone Number</th><th>Website</th>'
+    + '<th>Sector</th><th>Licence Type/Status</th><th>Activity/Business Type</th><th>Sub-Activity/Product</th></tr>';
+  const table = (sector, licence, names) => '<table class="fid-print-table">' + HEADER
+    + names.map((name, i) => `<tr><td>${i + 1}</td><td>${name}</td><td></td><td></td><td></td><td>${sector}</td><td>${licence}</td><td></td><td></td></tr>`).join('')
+    + '</table>';
+  const payments = Array.from({ length: 10 }, (_, i) => `Payments ${String.fromCharCode(65 + i)} Pte Ltd`);
+
+  // One recorded run; a category without HTML fails on replay
+  function record(timestamp, html) {
+    const dir = join(tempDir, timestamp.slice(0, 10));
+    const recorder = createRecorder({ timestamp: new Date(timestamp), dir });
+    if (html.mpi) recorder.save('Payments', 'Major Payment Institution', html.mpi);
+    if (html.cms) recorder.save('Capital Markets', 'Capital Markets Services Licensee', html.cms);
+    recorder.finish(['mpi', 'cms']);
+    return dir;
+  }
+
+  before(async () => {
+    ({ main } = await import('./index.js'));
+    ({ createRecorder } = await import('./recorder.js'));
+    ({ getSnapshotStore } = await import('../shared/snapshot-store.js'));
+    ({ DATA_DIR } = await import('../shared/config.js'));
+    tempDir = mkdtempSync(join(tmpdir(), 'mas-scout-run-'));
+  });
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+    for (const date of ['2001-01-07', '2001-01-08']) {
+      for (const ext of ['.md', '.en.md', '.json', '.csv']) rmSync(join(DATA_DIR, 'reports', `report-${date}${ext}`), { force: true });
+    }
+  });
+
+  it('should save the snapshot and report the failed category as unverified', async (t) => {
+    for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+    const flags = ['--no-press', '--no-notify', '--no-registry'];
+
+    await main(['--replay', record('2001-01-07T01:00:00.000Z', {
+      mpi: table('Payments', 'Major Payment Institution', payments),
+      cms: table('Capital Markets', 'Capital Markets Services Licensee', ['Gamma Capital Pte Ltd']),
+    }), ...flags]);
+    const result = await main(['--replay', record('2001-01-08T01:00:00.000Z', {
+      mpi: table('Payments', 'Major Payment Institution', [...payments, 'Newco Pay Pte Ltd']),
+    }), ...flags]);
+
+    assert.strictEqual(result.check, undefined);
+    assert.notStrictEqual(process.exitCode, 2);
+    assert.ok(getSnapshotStore().list().some(e => e.id === 'snapshot-2001-01-08T01-00-00'));
+    assert.deepStrictEqual(result.diff.added.map(i => i.name), ['Newco Pay Pte Ltd']);
+    assert.deepStrictEqual(result.diff.removed, []);
+    assert.deepStrictEqual(result.diff.unverified.removed.map(i => i.name), ['Gamma Capital Pte Ltd']);
+    assert.ok(result.report.includes('## 未核实的变化'));
+    assert.ok(result.report.includes('缺失：Gamma Capital Pte Ltd'));
+  });
+});
+
+describe('recorder / replay', () => {
+  let createRecorder;
+  let openRecording;
+  let pruneRecordings;
+  let scrapeAll;
+  let tempDir;
+
+  const HTML = '<table class="fid-print-table">'
+    + '<tr><th>No.</th><th>Organisation Name</th><th>Address</th><th>Phone Number</th><th>Website</th>'
+    + '<th>Sector</th><th>Licence Type/Status</th><th>Activity/Business Type</th><th>Sub-Activity/Product</th></tr>'
+    + '<tr><td>1</td><td>Alpha Pay Pte Ltd</td><td>1 Raffles Place</td><td>61234567</td><td>alpha.com</td>'
+    + '<td>Payments</td><td>Major Payment Institution</td><td>Digital Payment Token Service</td><td>Dealing in DPT</td></tr>'
+    + '</table>';
+
+  before(async () => {
+    ({ createRecorder, openRecording, pruneRecordings } = await import('./recorder.js'));
+    ({ scrapeAll } = await import('./scraper.js'));
+    tempDir = mkdtempSync(join(tmpdir(), 'mas-scout-rec-'));
+  });
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should round-trip recorded HTML through the manifest', () => {
+    const timestamp = new Date('2025-03-01T01:00:00Z');
+    const recorder = createRecorder({ timestamp, dir: tempDir });
+    recorder.save('Payments', 'Major Payment Institution', HTML);
+    recorder.finish(['mpi']);
+
+    const recording = openRecording(tempDir);
+    assert.strictEqual(recording.timestamp.toISOString(), timestamp.toISOString());
+    assert.deepStrictEqual(recording.categories, ['mpi']);
+    assert.strictEqual(recording.load('Payments', 'Major Payment Institution'), HTML);
+    assert.throws(() => recording.load('Capital Markets', 'Capital Markets Services Licensee'), /录制中没有该类别/);
+  });
+
+  it('should rebuild institutions from a recording without network access', async () => {
+    const categories = [
+      { code: 'mpi', sector: 'Payments', category: 'Major Payment Institution' },
+      { code: 'cms', sector: 'Capital Markets', category: 'Capital Markets Services Licensee' },
+    ];
+
+    const result = await scrapeAll(categories, { replay: openRecording(tempDir) });
+    assert.strictEqual(result.institutions.length, 1);
+    assert.deepStrictEqual(result.institutions[0].subActivities, {
+      'Digital Payment Token Service': ['Dealing in DPT'],
+    });
+    assert.deepStrictEqual(result.categories.map(c => c.status), ['ok', 'failed']);
+  });
+
+  it('should reject a directory without a manifest', () => {
+    assert.throws(() => openRecording(join(tempDir, 'missing')), /manifest\.json/);
+  });
+
+  it('should prune recordings older than the retention period', () => {
+    const root = mkdtempSync(join(tmpdir(), 'mas-scout-rec-root-'));
+    try {
+      for (const d of ['2025-03-01T01-00-00', '2025-04-20T01-00-00', 'notes']) mkdirSync(join(root, d));
+      const pruned = pruneRecordings({ dir: root, now: new Date('2025-05-01T01:00:00Z'), retentionDays: 30 });
+      assert.deepStrictEqual(pruned, ['2025-03-01T01-00-00']);
+      assert.deepStrictEqual(readdirSync(root).sort(), ['2025-04-20T01-00-00', 'notes']);
+    } finally {
+      rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('licence timeline', () => {
+  let buildTimeline;
+  let findTimeline;
+  let recentNewcomers;
+  let daysSince;
+
+  const snap = (timestamp, institutions) => ({ timestamp, institutions });
+  const alpha = { name: 'Alpha Pay Pte Ltd', address: '1 Raffles Place', website: 'alpha.com', licenseTypes: ['Standard Payment Institution'] };
+
+  before(async () => {
+    ({ buildTimeline, findTimeline, recentNewcomers, daysSince } = await import('./timeline.js'));
+  });
+
+  it('should mark institutions in the first snapshot as baseline', () => {
+    const timeline = buildTimeline([snap('2025-01-01T01:00:00.000Z', [alpha])]);
+    const [entry] = findTimeline(timeline, 'Alpha Pay');
+    assert.strictEqual(entry.baseline, true);
+    assert.strictEqual(recentNewcomers(timeline).length, 0);
+  });
+
+  it('should record first seen, licence upgrades and field changes with dates', () => {
+    const beta = { name: 'Beta Remit Pte Ltd', address: '2 Shenton Way', website: 'beta.sg', licenseTypes: ['Standard Payment Institution'] };
+    const timeline = buildTimeline([
+      snap('2025-01-01T01:00:00.000Z', [alpha]),
+      snap('2025-01-02T01:00:00.000Z', [alpha, beta]),
+      snap('2025-01-10T01:00:00.000Z', [alpha, { ...beta, licenseTypes: ['Major Payment Institution'], website: 'betaremit.com' }]),
+    ]);
+
+    const [entry] = findTimeline(timeline, 'beta remit');
+    assert.strictEqual(entry.baseline, false);
+    assert.strictEqual(entry.firstSeen, '2025-01-02T01:00:00.000Z');
+    assert.deepStrictEqual(entry.licences['Major Payment Institution'], { since: '2025-01-10T01:00:00.000Z', until: null, baseline: false });
+    assert.strictEqual(entry.licences['Standard Payment Institution'].until, '2025-01-10T01:00:00.000Z');
+    assert.deepStrictEqual(entry.events.map(e => e.type), ['first_seen', 'field_changed', 'licence_lost', 'licence_gained']);
+    assert.strictEqual(daysSince(entry.firstSeen, new Date('2025-01-14T02:00:00.000Z')), 12);
+  });
+
+  it('should follow renames and keep the original ID', () => {
+    const timeline = buildTimeline([
+      snap('2025-01-01T01:00:00.000Z', [alpha]),
+      snap('2025-01-05T01:00:00.000Z', [{ ...alpha, name: 'Alpha Payments Pte Ltd' }]),
+    ]);
+
+    const entries = Object.values(timeline.institutions);
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].name, 'Alpha Payments Pte Ltd');
+    assert.strictEqual(findTimeline(timeline, 'Alpha Pay Pte Ltd').length, 1);
+    assert.ok(entries[0].events.some(e => e.type === 'renamed'));
+  });
+
+  it('should record removal and reappearance', () => {
+    const timeline = buildTimeline([
+      snap('2025-01-01T01:00:00.000Z', [alpha]),
+      snap('2025-01-02T01:00:00.000Z', []),
+      snap('2025-01-03T01:00:00.000Z', [alpha]),
+    ]);
+
+    const [entry] = findTimeline(timeline, 'Alpha Pay');
+    assert.strictEqual(entry.active, true);
+    assert.deepStrictEqual(entry.events.map(e => e.type), ['first_seen', 'removed', 'licence_lost', 'reappeared', 'licence_gained']);
+  });
+});
+
+describe('classifyRemovals', () => {
+  let classifyRemovals;
+  let generateMarkdownReport;
+  let institutionId;
+
+  const now = new Date('2025-05-10T01:00:00.000Z');
+
+  before(async () => {
+    ({ classifyRemovals } = await import('./removals.js'));
+    ({ generateMarkdownReport } = await import('./report.js'));
+    ({ institutionId } = await import('../shared/identity.js'));
+  });
+
+  it('should classify revocations, mergers, glitches and exits', () => {
+    const revoked = { name: 'Shady Pay Pte Ltd', licenseTypes: ['Major Payment Institution'] };
+    const merged = { name: 'Old Remit Pte Ltd', address: '8 Marina View' };
+    const flaky = { name: 'Flaky Capital Pte Ltd' };
+    const gone = { name: 'Quiet Exit Pte Ltd' };
+    const successor = { name: 'Global Transfers Pte Ltd', address: '8 MARINA VIEW' };
+
+    const signals = [{
+      title: 'MAS revokes licence of Shady Pay',
+      publishedAt: '2025-05-08T00:00:00.000Z',
+      keywords: ['revoke', 'major payment institution'],
+      institutions: [{ id: institutionId(revoked), name: revoked.name }],
+    }];
+    const timeline = {
+      institutions: {
+        [institutionId(flaky)]: { events: [{ type: 'first_seen' }, { type: 'removed', date: '2025-02-01T01:00:00.000Z' }, { type: 'reappeared', date: '2025-02-02T01:00:00.000Z' }] },
+      },
+    };
+
+    const result = classifyRemovals(
+      { added: [successor], removed: [revoked, merged, flaky, gone], changed: [] },
+      { timeline, signals, now },
+    );
+
+    assert.deepStrictEqual(result.removals.map(r => r.classification), ['revoked', 'merger', 'glitch', 'exit']);
+    assert.strictEqual(result.removals[1].successor, successor);
+  });
+
+  it('should ignore revocation news outside the lookback window', () => {
+    const inst = { name: 'Shady Pay Pte Ltd' };
+    const signals = [{
+      title: 'old news',
+      publishedAt: '2024-01-01T00:00:00.000Z',
+      keywords: ['revocation'],
+      institutions: [{ id: institutionId(inst), name: inst.name }],
+    }];
+    const result = classifyRemovals({ added: [], removed: [inst] }, { signals, now });
+    assert.strictEqual(result.removals[0].classification, 'exit');
+  });
+
+  it('should detect downgrades and transient reappearances', () => {
+    const downgraded = { name: 'Step Down Pte Ltd' };
+    const back = { name: 'Blinky Pay Pte Ltd' };
+    const timeline = {
+      institutions: {
+        [institutionId(back)]: { events: [{ type: 'removed', date: '2025-05-07T01:00:00.000Z' }, { type: 'reappeared', date: '2025-05-10T01:00:00.000Z' }] },
+      },
+    };
+
+    const result = classifyRemovals({
+      added: [back],
+      removed: [],
+      changed: [{
+        institution: downgraded,
+        changes: { licenseTypes: { added: ['Standard Payment Institution'], removed: ['Major Payment Institution'] } },
+      }],
+    }, { timeline, now });
+
+    assert.deepStrictEqual(result.downgrades.map(d => [d.from, d.to]), [['Major Payment Institution', 'Standard Payment Institution']]);
+    assert.strictEqual(result.reappeared.length, 1);
+    assert.strictEqual(result.reappeared[0].days, 3);
+  });
+
+  it('should group removals by classification in the report', () => {
+    const revoked = { name: 'Shady Pay Pte Ltd', licenseTypes: ['Major Payment Institution'] };
+    const gone = { name: 'Quiet Exit Pte Ltd', licenseTypes: ['Standard Payment Institution'] };
+    const removals = {
+      removals: [
+        { institution: gone, classification: 'exit', reason: '7 天内未重新出现即确认退出' },
+        { institution: revoked, classification: 'revoked', reason: '新闻：MAS revokes licence' },
+      ],
+      downgrades: [],
+      reappeared: [],
+    };
+
+    const report = generateMarkdownReport({ added: [], removed: [gone, revoked] }, { timestamp: now.toISOString(), count: 10, removals });
+    assert.ok(report.indexOf('### 牌照吊销 / 撤销') < report.indexOf('### 退出（待确认）'));
+    assert.ok(report.includes('Shady Pay Pte Ltd (Major Payment Institution) — 新闻：MAS revokes licence'));
+  });
+});
+
+describe('watch list', () => {
+  let addWatch;
+  let removeWatch;
+  let loadWatchlist;
+  let checkWatchlist;
+  let generateTextSummary;
+  let tempDir;
+  let file;
+
+  before(async () => {
+    ({ addWatch, removeWatch, loadWatchlist, checkWatchlist } = await import('./watchlist.js'));
+    ({ generateTextSummary } = await import('./report.js'));
+    tempDir = mkdtempSync(join(tmpdir(), 'mas-scout-watch-'));
+    file = join(tempDir, 'watchlist.json');
+  });
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should add, deduplicate and remove entries', () => {
+    assert.strictEqual(addWatch({ type: 'name', value: 'Alpha Pay', note: 'IPA' }, { file }).added, true);
+    assert.strictEqual(addWatch({ type: 'name', value: 'ALPHA PAY' }, { file }).added, false);
+    addWatch({ type: 'licence', value: 'Major Payment Institution' }, { file });
+    assert.strictEqual(loadWatchlist(file).entries.length, 2);
+
+    assert.strictEqual(removeWatch({ type: 'licence', value: 'major payment institution' }, { file }), true);
+    assert.strictEqual(removeWatch({ type: 'name', value: 'Beta Capital' }, { file }), false);
+    assert.deepStrictEqual(loadWatchlist(file).entries.map(e => e.value), ['Alpha Pay']);
+  });
+
+  it('should reject unknown entry types', () => {
+    assert.throws(() => addWatch({ type: 'uen', value: '123' }, { file }), /未知的关注类型/);
+  });
+
+  it('should alert on watched names appearing, changing and leaving', () => {
+    const entries = [{ type: 'name', value: 'Alpha Pay' }, { type: 'name', value: 'Gamma Trust' }, { type: 'name', value: 'Old Name' }];
+    const appeared = { name: 'Alpha Pay Pte. Ltd.', licenseTypes: ['Major Payment Institution'] };
+    const gone = { name: 'Gamma Trust (Singapore) Pte Ltd' };
+    const renamed = { name: 'New Name Pte Ltd' };
+    const diff = {
+      added: [appeared, { name: 'Alphabet Payments Pte Ltd' }],
+      removed: [gone],
+      changed: [{ name: renamed.name, institution: renamed, changes: { name: { before: 'Old Name Pte Ltd', after: renamed.name } } }],
+    };
+
+    const alerts = checkWatchlist(diff, { entries, minSimilarity: 0.8 });
+    assert.deepStrictEqual(alerts.map(a => [a.event, a.institution.name]), [
+      ['appeared', 'Alpha Pay Pte. Ltd.'],
+      ['removed', 'Gamma Trust (Singapore) Pte Ltd'],
+      ['changed', 'New Name Pte Ltd'],
+    ]);
+  });
+
+  it('should alert on licence and activity rules', () => {
+    const entries = [{ type: 'licence', value: 'Major Payment Institution' }, { type: 'activity', value: 'digital payment token' }];
+    const upgraded = { name: 'Up Pay Pte Ltd' };
+    const dpt = { name: 'Coin Desk Pte Ltd', subActivities: { 'Digital Payment Token Service': ['Dealing in DPT'] } };
+    const diff = {
+      added: [dpt, { name: 'Plain Pte Ltd', licenseTypes: ['Standard Payment Institution'] }],
+      removed: [],
+      changed: [{ name: upgraded.name, institution: upgraded, changes: { licenseTypes: { added: ['Major Payment Institution'], removed: ['Standard Payment Institution'] } } }],
+    };
+
+    const alerts = checkWatchlist(diff, { entries });
+    assert.deepStrictEqual(alerts.map(a => [a.event, a.institution.name]), [
+      ['licence_gained', 'Up Pay Pte Ltd'],
+      ['activity_added', 'Coin Desk Pte Ltd'],
+    ]);
+    assert.ok(generateTextSummary(diff, { watchAlerts: alerts }).includes('关注提醒：Up Pay Pte Ltd 新获牌照（Major Payment Institution）'));
+  });
+});
+
+describe('report formats', () => {
+  let writeReports;
+  let registerReportFormat;
+  let generateJsonReport;
+  let generateCsvReport;
+  let generateEnglishReport;
+  let tempDir;
+
+  const added = { id: 'inst-a', name: 'Alpha Pay Pte Ltd', licenseTypes: ['Major Payment Institution'], address: '1 Raffles Place, #10-01', categories: ['mpi'] };
+  const removed = { id: 'inst-b', name: 'Beta "Remit" Pte Ltd', licenseTypes: ['Standard Payment Institution'], categories: ['spi'] };
+  const moved = { id: 'inst-c', name: 'Gamma Capital Pte Ltd', address: '2 Shenton Way', categories: ['cms'] };
+  const diff = {
+    added: [added],
+    removed: [removed],
+    changed: [{ id: 'inst-c', name: moved.name, institution: moved, changes: { address: { before: '1 Shenton Way', after: '2 Shenton Way' } } }],
+  };
+  const meta = {
+    timestamp: '2025-05-10T01:00:00.000Z',
+    count: 120,
+    categories: [
+      { code: 'mpi', status: 'ok', count: 80, attempts: 1, durationMs: 900 },
+      { code: 'spi', status: 'ok', count: 40, attempts: 2, durationMs: 3100 },
+    ],
+    removals: { removals: [{ institution: removed, classification: 'exit', reason: '7 天内未重新出现即确认退出' }], downgrades: [], reappeared: [] },
+  };
+
+  before(async () => {
+    ({ writeReports, registerReportFormat, generateJsonReport, generateCsvReport } = await import('./formats.js'));
+    ({ generateEnglishReport } = await import('./report.js'));
+    tempDir = mkdtempSync(join(tmpdir(), 'mas-scout-reports-'));
+  });
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should render a structured JSON report with category stats', () => {
+    const report = JSON.parse(generateJsonReport(diff, meta));
+    assert.strictEqual(report.date, '2025-05-10');
+    assert.deepStrictEqual(report.stats, { added: 1, removed: 1, changed: 1, unverified: 0, signals: 0, watchAlerts: 0 });
+    assert.deepStrictEqual(report.categories.map(c => [c.code, c.added, c.removed]), [['mpi', 1, 0], ['spi', 0, 1]]);
+    assert.strictEqual(report.diff.removed[0].classification, 'exit');
+    assert.deepStrictEqual(report.diff.changed[0], { id: 'inst-c', name: moved.name, changes: diff.changed[0].changes });
+  });
+
+  it('should render added and changed institutions as CSV', () => {
+    const lines = generateCsvReport(diff).trim().split('\n');
+    assert.strictEqual(lines[0], 'change,id,name,licenseTypes,activities,address,website,phone,changedFields');
+    assert.strictEqual(lines[1], 'added,inst-a,Alpha Pay Pte Ltd,Major Payment Institution,,"1 Raffles Place, #10-01",,,');
+    assert.strictEqual(lines[2], 'changed,inst-c,Gamma Capital Pte Ltd,,,2 Shenton Way,,,address');
+    assert.strictEqual(lines.length, 3);
+  });
+
+  it('should render an English report', () => {
+    const report = generateEnglishReport(diff, meta);
+    assert.ok(report.startsWith('# MAS Scout Daily Report — 2025-05-10'));
+    assert.ok(report.includes('## New Licensees'));
+    assert.ok(report.includes('- Address: 1 Shenton Way → 2 Shenton Way'));
+    assert.ok(report.includes('- Beta "Remit" Pte Ltd (Standard Payment Institution) — Exit (unconfirmed)'));
+  });
+
+  it('should write every requested format, including registered ones', () => {
+    registerReportFormat('count', { extension: '.txt', render: d => `${d.added.length}\n` });
+    const written = writeReports(diff, meta, { dir: tempDir, formats: ['markdown', 'json', 'csv', 'markdown-en', 'count', 'missing'] });
+
+    assert.deepStrictEqual(Object.keys(written), ['markdown', 'json', 'csv', 'markdown-en', 'count']);
+    assert.ok(written['markdown-en'].path.endsWith('report-2025-05-10.en.md'));
+    assert.ok(existsSync(join(tempDir, 'report-2025-05-10.json')));
+    assert.strictEqual(written.count.content, '1\n');
+  });
+});
+
+describe('digest', () => {
+  let buildDigest;
+  let digestRange;
+  let customRange;
+  let renderDigestMarkdown;
+  let renderDigestHtml;
+  let createSnapshotStore;
+  let tempDir;
+
+  const inst = (name, categories, activities = []) => ({ id: `inst-${name.toLowerCase()}`, name: `${name} Pte Ltd`, licenseTypes: ['Major Payment Institution'], categories, activities });
+  const snapshot = (timestamp, institutions) => ({ timestamp, count: institutions.length, categories: [], institutions });
+
+  before(async () => {
+    ({ buildDigest, digestRange, customRange, renderDigestMarkdown, renderDigestHtml } = await import('./digest.js'));
+    ({ createSnapshotStore } = await import('../shared/snapshot-store.js'));
+    tempDir = mkdtempSync(join(tmpdir(), 'mas-scout-digest-'));
+  });
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should compute the previous full week and month', () => {
+    const now = new Date('2025-05-14T03:00:00Z'); // Wednesday
+    const weekly = digestRange('weekly', now);
+    assert.strictEqual(weekly.from.toISOString(), '2025-05-05T00:00:00.000Z');
+    assert.strictEqual(weekly.to.toISOString(), '2025-05-12T00:00:00.000Z');
+    const monthly = digestRange('monthly', now);
+    assert.strictEqual(monthly.from.toISOString(), '2025-04-01T00:00:00.000Z');
+    assert.strictEqual(monthly.to.toISOString(), '2025-05-01T00:00:00.000Z');
+  });
+
+  it('should end a --from range without --to at the end of today', () => {
+    const now = new Date('2025-05-14T03:00:00Z');
+    const open = customRange('2025-05-01', undefined, now);
+    assert.strictEqual(open.to.toISOString(), '2025-05-15T00:00:00.000Z');
+    assert.strictEqual(customRange('2025-05-01', '2025-05-14', now).to.toISOString(), open.to.toISOString());
+    assert.throws(() => customRange('2025-05-20', undefined, now), /无效的日期区间/);
+  });
+
+  it('should aggregate additions, removals and pipeline status over the range', () => {
+    const store = createSnapshotStore({ dir: tempDir, retention: { dailyDays: 100000 } });
+    const a = inst('Alpha', ['mpi'], ['Account Issuance Service']);
+    const b = inst('Beta', ['cms']);
+    const c = inst('Gamma', ['mpi', 'mpi-dpt'], ['Digital Payment Token Service']);
+    const d = inst('Delta', ['spi']);
+    const e = inst('Echo', ['mpi']);
+    store.save(snapshot('2025-05-04T01:00:00.000Z', [a, b]));
+    store.save(snapshot('2025-05-06T01:00:00.000Z', [a, b, c, e]));
+    store.save(snapshot('2025-05-08T01:00:00.000Z', [a, c, d]));
+    store.save(snapshot('2025-05-13T01:00:00.000Z', [a]));
+
+    const digest = buildDigest(
+      { from: new Date('2025-05-05T00:00:00Z'), to: new Date('2025-05-12T00:00:00Z') },
+      {
+        store,
+        enrichment: { results: [{ institutionId: c.id, status: 'enriched', contacts: [{}, {}] }] },
+        outreach: { prospects: [{ institutionId: c.id, confidence: 0.8, sequence: [{ status: 'sent' }, { status: 'draft' }] }] },
+      },
+    );
+
+    assert.strictEqual(digest.snapshots, 2);
+    assert.deepStrictEqual([digest.startCount, digest.endCount, digest.netGrowth], [2, 3, 1]);
+    // Echo appeared and disappeared inside the range, so it cancels out
+    assert.deepStrictEqual(digest.newLicensees.map(n => n.institution.name), ['Gamma Pte Ltd', 'Delta Pte Ltd']);
+    assert.deepStrictEqual(digest.removed.map(r => r.institution.name), ['Beta Pte Ltd']);
+    assert.deepStrictEqual(digest.byCategory.find(c => c.code === 'mpi'), { code: 'mpi', label: 'Major Payment Institution', count: 1 });
+    assert.deepStrictEqual(digest.topActivities, [{ activity: 'Digital Payment Token Service', count: 1 }]);
+
+    const markdown = renderDigestMarkdown(digest);
+    assert.ok(markdown.startsWith('# MAS Scout 汇总 — 2025-05-05 至 2025-05-11'));
+    assert.ok(markdown.includes('| Gamma Pte Ltd | Major Payment Institution | 2025-05-06 | 已找到联系人（2） | 已发送 1/2，置信度 0.80 |'));
+    assert.ok(markdown.includes('| Delta Pte Ltd | Major Payment Institution | 2025-05-08 | 未处理 | — |'));
+    assert.ok(renderDigestHtml(digest).includes('<td>Gamma Pte Ltd</td>'));
+  });
+});
+
+describe('watcher CLI commands', () => {
+  let runCommand;
+  let diffLatest;
+  let resolveSnapshotRef;
+  let createSnapshotStore;
+  let tempDir;
+  let store;
+
+  const alpha = { id: 'inst-alpha', name: 'Alpha Pay Pte Ltd', licenseTypes: ['Major Payment Institution'], categories: ['mpi'] };
+  const beta = { id: 'inst-beta', name: 'Beta Pay Pte Ltd', licenseTypes: ['Major Payment Institution'], categories: ['mpi'] };
+  const snapshot = (timestamp, institutions) => ({ timestamp, count: institutions.length, categories: [{ code: 'mpi', status: 'ok', count: institutions.length }], institutions });
+
+  before(async () => {
+    ({ runCommand, diffLatest, resolveSnapshotRef } = await import('./cli.js'));
+    ({ createSnapshotStore } = await import('../shared/snapshot-store.js'));
+    tempDir = mkdtempSync(join(tmpdir(), 'mas-scout-cli-'));
+    store = createSnapshotStore({ dir: tempDir, retention: { dailyDays: 100000 } });
+    store.save(snapshot('2025-05-01T01:00:00.000Z', [alpha]));
+    store.save(snapshot('2025-05-02T01:00:00.000Z', [alpha]));
+    store.save(snapshot('2025-05-03T01:00:00.000Z', [alpha, beta]));
+  });
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should resolve snapshots by date, ID, file name and latest~N', () => {
+    const entries = store.list();
+    assert.strictEqual(resolveSnapshotRef('2025-05-02', entries).id, 'snapshot-2025-05-02T01-00-00');
+    assert.strictEqual(resolveSnapshotRef('snapshot-2025-05-01T01-00-00', entries), entries[0]);
+    assert.strictEqual(resolveSnapshotRef(join(tempDir, entries[2].file), entries), entries[2]);
+    assert.strictEqual(resolveSnapshotRef('latest', entries), entries[2]);
+    assert.strictEqual(resolveSnapshotRef('latest~2', entries), entries[0]);
+    assert.throws(() => resolveSnapshotRef('2024-01-01', entries), /找不到快照: 2024-01-01/);
+    assert.throws(() => resolveSnapshotRef('latest~3', entries), /找不到快照/);
+  });
+
+  it('should diff two snapshots in either order', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    runCommand('diff', ['latest', '2025-05-01', '--format', 'json'], { store });
+    const report = JSON.parse(log.mock.calls[0].arguments[0]);
+    assert.deepStrictEqual(report.diff.added.map(i => i.name), ['Beta Pay Pte Ltd']);
+    assert.strictEqual(report.date, '2025-05-03');
+  });
+
+  it('should list snapshots and mark unchanged ones', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    runCommand('list', [], { store });
+    const lines = log.mock.calls.map(c => c.arguments[0]);
+    assert.strictEqual(lines[0], '快照共 3 份：');
+    assert.ok(lines[2].includes('snapshot-2025-05-02T01-00-00') && lines[2].includes('无变化'));
+  });
+
+  it('should print a rebuilt report without touching the archive', async (t) => {
+    const { DATA_DIR } = await import('../shared/config.js');
+    const log = t.mock.method(console, 'log', () => {});
+    runCommand('report', ['--date', '2025-05-03', '--format', 'json'], { store });
+    const report = JSON.parse(log.mock.calls.at(-1).arguments[0]);
+    assert.deepStrictEqual(report.diff.added.map(i => i.name), ['Beta Pay Pte Ltd']);
+    assert.ok(!existsSync(join(DATA_DIR, 'reports', 'report-2025-05-03.json')));
+  });
+
+  it('should show an institution history without writing the timeline cache', async (t) => {
+    const { DATA_DIR } = await import('../shared/config.js');
+    const log = t.mock.method(console, 'log', () => {});
+    const existed = existsSync(join(DATA_DIR, 'timeline.json'));
+    runCommand('show', ['Beta Pay'], { store });
+    const lines = log.mock.calls.map(c => c.arguments[0]);
+    assert.ok(lines.some(l => l.includes('Beta Pay Pte Ltd [inst-beta]')));
+    assert.strictEqual(existsSync(join(DATA_DIR, 'timeline.json')), existed);
+  });
+
+  it('should keep positional arguments after switches', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    runCommand('show', ['--json', 'Beta', 'Pay'], { store });
+    assert.ok(log.mock.calls.some(c => c.arguments[0].includes('Beta Pay Pte Ltd [inst-beta]')));
+    runCommand('diff', ['--format', 'json', 'latest', '2025-05-01'], { store });
+    assert.deepStrictEqual(JSON.parse(log.mock.calls.at(-1).arguments[0]).diff.added.map(i => i.name), ['Beta Pay Pte Ltd']);
+  });
+
+  it('should diff the latest two snapshots and stay quiet with fewer than two', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    diffLatest({ store });
+    assert.strictEqual(log.mock.calls[0].arguments[0], 'snapshot-2025-05-02T01-00-00 → snapshot-2025-05-03T01-00-00');
+
+    const emptyDir = mkdtempSync(join(tmpdir(), 'mas-scout-cli-empty-'));
+    try {
+      diffLatest({ store: createSnapshotStore({ dir: emptyDir }) });
+      assert.strictEqual(log.mock.calls.at(-1).arguments[0], '[watcher] 快照不足两份，无历史快照可比对');
+    } finally {
+      rmSync(emptyDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject unknown commands', () => {
+    assert.throws(() => runCommand('purge', [], { store }), /未知命令: purge/);
+  });
+});
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+
+/**
+ * 关注名单 — 指定机构与牌照变动规则的高优先级提醒
+ *
+ * 销售常跟踪已获原则性批准（IPA）但尚未上架 FID 的机构，以及现有客户。
+ * 名单存放在 data/watchlist.json：
+ *   { entries: [{ type, value, note?, addedAt }] }
+ *
+ * 条目类型：
+ *   name      机构名（模糊匹配）：出现在 FID、信息变更、从 FID 移除时提醒
+ *   licence   任一机构新获得该牌照类型（新增机构或已有机构新增牌照）
+ *   activity  任一机构新增匹配的受监管活动 / 业务子项
+ *
+ * 牌照和活动按不区分大小写的子串匹配，如 "digital payment token" 可匹配 DPT 相关业务子项。
+ *
+ * 用法:
+ *   node src/watcher/watchlist.js list
+ *   node src/watcher/watchlist.js add "Alpha Pay" --note "IPA 2025-03"
+ *   node src/watcher/watchlist.js add --licence "Major Payment Institution"
+ *   node src/watcher/watchlist.js add --activity "digital payment token"
+ *   node src/watcher/watchlist.js remove "Alpha Pay"
+ *   node src/watcher/watchlist.js remove --licence "Major Payment Institution"
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR, loadConfigFile } from '../shared/config.js';
+import { normalizeName, nameSimilarity } from '../shared/identity.js';
+import { flattenSubActivities } from './snapshot.js';
+
+const WATCHLIST_FILE = join(DATA_DIR, 'watchlist.json');
+
+const WATCH_TYPES = ['name', 'licence', 'activity'];
+
+// 默认参数，可在配置文件 watchlist 中覆盖
+const DEFAULT_WATCHLIST_OPTIONS = {
+  minSimilarity: 0.8,   // 名称模糊匹配的相似度下限（忽略 Pte Ltd 等法律形式）
+};
+
+// 提醒事件在报告中的显示名
+const EVENT_LABELS = {
+  appeared: '出现在 FID',
+  changed: '信息变更',
+  removed: '从 FID 移除',
+  licence_gained: '新获牌照',
+  activity_added: '新增业务',
+};
+
+/**
+ * 读取参数
+ * @returns {typeof DEFAULT_WATCHLIST_OPTIONS}
+ */
+function getWatchlistOptions() {
+  return { ...DEFAULT_WATCHLIST_OPTIONS, ...loadConfigFile().watchlist };
+}
+
+/**
+ * 读取关注名单，文件不存在时为空
+ * @param {string} [file]
+ * @returns {{ entries: Array<{ type: 'name'|'licence'|'activity', value: string, note?: string, addedAt: string }> }}
+ */
+function loadWatchlist(file = WATCHLIST_FILE) {
+  if (!existsSync(file)) return { entries: [] };
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+/**
+ * 保存关注名单
+ * @param {{ entries: Array }} watchlist
+ * @param {string} [file]
+ */
+function saveWatchlist(watchlist, file = WATCHLIST_FILE) {
+  const dir = dirname(file);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  writeFileSync(file, JSON.stringify(watchlist, null, 2));
+}
+
+/**
+ * 两个条目是否相同：机构名按规范化名称比较，规则按不区分大小写比较
+ * @param {{ type: string, value: string }} a
+ * @param {{ type: string, value: string }} b
+ * @returns {boolean}
+ */
+function sameEntry(a, b) {
+  if (a.type !== b.type) return false;
+  if (a.type === 'name') return normalizeName(a.value) === normalizeName(b.value);
+  return a.value.toLowerCase() === b.value.toLowerCase();
+}
+
+/**
+ * 添加条目（已存在则不重复添加）
+ * @param {{ type: 'name'|'licence'|'activity', value: string, note?: string }} entry
+ * @param {{ file?: string, now?: Date }} [opts]
+ * @returns {{ added: boolean, entry: object }}
+ */
+function addWatch(entry, opts = {}) {
+  if (!WATCH_TYPES.includes(entry.type)) {
+    throw new Error(`未知的关注类型: ${entry.type}（可选 ${WATCH_TYPES.join(', ')}）`);
+  }
+  if (!entry.value?.trim()) {
+    throw new Error('关注条目不能为空');
+  }
+  const watchlist = loadWatchlist(opts.file);
+  const existing = watchlist.entries.find(e => sameEntry(e, entry));
+  if (existing) return { added: false, entry: existing };
+
+  const created = { type: entry.type, value: entry.value.trim(), addedAt: (opts.now || new Date()).toISOString() };
+  if (entry.note) created.note = entry.note;
+  watchlist.entries.push(created);
+  saveWatchlist(watchlist, opts.file);
+  return { added: true, entry: created };
+}
+
+/**
+ * 移除条目
+ * @param {{ type: 'name'|'licence'|'activity', value: string }} entry
+ * @param {{ file?: string }} [opts]
+ * @returns {boolean} 是否找到并移除
+ */
+function removeWatch(entry, opts = {}) {
+  const watchlist = loadWatchlist(opts.file);
+  const remaining = watchlist.entries.filter(e => !sameEntry(e, entry));
+  if (remaining.length === watchlist.entries.length) return false;
+  saveWatchlist({ ...watchlist, entries: remaining }, opts.file);
+  return true;
+}
+
+/**
+ * 关注的机构名是否与该机构匹配：规范化后相同，或名称相似度达到下限
+ * @param {string} value - 关注的机构名
+ * @param {string[]} names - 机构当前名称及曾用名
+ * @param {number} minSimilarity
+ * @returns {boolean}
+ */
+function matchesName(value, names, minSimilarity) {
+  const target = normalizeName(value);
+  return names.some(name => normalizeName(name) === target || nameSimilarity(value, name) >= minSimilarity);
+}
+
+/**
+ * 列表中与规则匹配的值（不区分大小写子串）
+ * @param {string} value
+ * @param {string[]} candidates
+ * @returns {string[]}
+ */
+function matchingValues(value, candidates) {
+  const needle = value.toLowerCase();
+  return candidates.filter(c => c.toLowerCase().includes(needle));
+}
+
+/**
+ * 按关注名单检查一次 diff
+ *
+ * @param {{ added: Array, removed: Array, changed?: Array }} diff
+ * @param {{ entries?: Array, minSimilarity?: number, removals?: object }} [opts]
+ *   entries 缺省时读取 data/watchlist.json；removals 为 classifyRemovals 的结果，用于说明移除原因
+ * @returns {Array<{ entry: object, event: string, institution: object, detail: string }>}
+ */
+function checkWatchlist(diff, opts = {}) {
+  const { minSimilarity } = { ...getWatchlistOptions(), ...opts };
+  const entries = opts.entries || loadWatchlist().entries;
+  const changed = diff.changed || [];
+  const removalReasons = new Map((opts.removals?.removals || []).map(r => [r.institution, r.reason]));
+  const alerts = [];
+
+  for (const entry of entries) {
+    if (entry.type === 'name') {
+      for (const inst of diff.added) {
+        if (matchesName(entry.value, [inst.name], minSimilarity)) {
+          alerts.push({ entry, event: 'appeared', institution: inst, detail: inst.licenseTypes?.join(', ') || '' });
+        }
+      }
+      for (const c of changed) {
+        const names = c.changes.name ? [c.changes.name.after, c.changes.name.before] : [c.name];
+        if (matchesName(entry.value, names, minSimilarity)) {
+          alerts.push({ entry, event: 'changed', institution: c.institution, detail: Object.keys(c.changes).join(', ') });
+        }
+      }
+      for (const inst of diff.removed) {
+        if (matchesName(entry.value, [inst.name], minSimilarity)) {
+          alerts.push({ entry, event: 'removed', institution: inst, detail: removalReasons.get(inst) || '' });
+        }
+      }
+    } else if (entry.type === 'licence') {
+      const gains = [
+        ...diff.added.map(inst => [inst, inst.licenseTypes || []]),
+        ...changed.map(c => [c.institution, c.changes.licenseTypes?.added || []]),
+      ];
+      for (const [inst, licences] of gains) {
+        const matched = matchingValues(entry.value, licences);
+        if (matched.length > 0) {
+          alerts.push({ entry, event: 'licence_gained', institution: inst, detail: matched.join(', ') });
+        }
+      }
+    } else if (entry.type === 'activity') {
+      const gains = [
+        ...diff.added.map(inst => [inst, [...(inst.activities || []), ...flattenSubActivities(inst.subActivities)]]),
+        ...changed.map(c => [c.institution, [...(c.changes.activities?.added || []), ...(c.changes.subActivities?.added || [])]]),
+      ];
+      for (const [inst, activities] of gains) {
+        const matched = matchingValues(entry.value, activities);
+        if (matched.length > 0) {
+          alerts.push({ entry, event: 'activity_added', institution: inst, detail: matched.join(', ') });
+        }
+      }
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * 格式化一条提醒
+ * @param {{ entry: object, event: string, institution: object, detail: string }} alert
+ * @returns {string}
+ */
+function formatWatchAlert(alert) {
+  const rule = alert.entry.type === 'name' ? alert.entry.value : `${alert.entry.type}: ${alert.entry.value}`;
+  const detail = alert.detail ? `（${alert.detail}）` : '';
+  return `${alert.institution.name} ${EVENT_LABELS[alert.event]}${detail} ← 关注「${rule}」`;
+}
+
+/**
+ * 解析 CLI 参数中的条目：--licence / --activity 指定规则，否则为机构名
+ * @param {string[]} args - 子命令之后的参数
+ * @returns {{ type: string, value: string, note?: string }}
+ */
+function parseEntryArgs(args) {
+  const take = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+  const note = take('--note');
+  if (args.includes('--licence')) return { type: 'licence', value: take('--licence') || '', note };
+  if (args.includes('--activity')) return { type: 'activity', value: take('--activity') || '', note };
+  const flagValues = new Set([note]);
+  const value = args.filter(a => !a.startsWith('--') && !flagValues.has(a)).join(' ');
+  return { type: 'name', value, note };
+}
+
+function main() {
+  const [command = 'list', ...rest] = process.argv.slice(2);
+
+  if (command === 'add') {
+    const { added, entry } = addWatch(parseEntryArgs(rest));
+    console.log(added ? `已添加: [${entry.type}] ${entry.value}` : `已在关注名单中: [${entry.type}] ${entry.value}`);
+    return;
+  }
+
+  if (command === 'remove') {
+    const entry = parseEntryArgs(rest);
+    if (removeWatch(entry)) {
+      console.log(`已移除: [${entry.type}] ${entry.value}`);
+    } else {
+      console.log(`关注名单中没有: [${entry.type}] ${entry.value}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'list') {
+    const { entries } = loadWatchlist();
+    if (entries.length === 0) return console.log('关注名单为空');
+    for (const type of WATCH_TYPES) {
+      const group = entries.filter(e => e.type === type);
+      if (group.length === 0) continue;
+      console.log(`${type}:`);
+      for (const e of group) {
+        console.log(`  ${e.value}${e.note ? ` — ${e.note}` : ''}（${e.addedAt.slice(0, 10)} 添加）`);
+      }
+    }
+    return;
+  }
+
+  console.error(`未知命令: ${command}（可用 add / remove / list）`);
+  process.exitCode = 1;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`[watchlist] ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+export {
+  loadWatchlist,
+  saveWatchlist,
+  addWatch,
+  removeWatch,
+  checkWatchlist,
+  formatWatchAlert,
+  getWatchlistOptions,
+  DEFAULT_WATCHLIST_OPTIONS,
+  WATCHLIST_FILE,
+};